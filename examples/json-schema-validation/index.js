@@ -50,7 +50,8 @@ function initializeEditor() {
       name: "John Doe",
       address: {
         name: "Alpha Beta"
-      }
+      },
+      tags: "team:alpha, env:prod"
     }, null, 2)
   });
 
@@ -8,12 +8,22 @@ export const PROPERTIES = [
         label: "address name",
         jsonPath: ["address", "name"],
         schemaPath: "$.properties.address.properties.name.pattern"
+    },
+    {
+        label: "tags",
+        jsonPath: ["tags"],
+        schemaPath: "$.definitions.tag",
+        separator: ",",
+        token: /^[a-z]+:[a-z]+$/
     }
 ];
 
 export const schema = {
     $schema: "http://json-schema.org/draft-07/schema#",
     type: "object",
+    definitions: {
+        tag: { enum: ["team:alpha", "team:beta", "env:prod", "env:dev"] }
+    },
     properties: {
         id: { type: "number" },
         name: {
@@ -29,6 +39,10 @@ export const schema = {
                 }
             }
         },
+        tags: {
+            type: "string",
+            description: "Comma-separated tags such as team:alpha"
+        },
         active: { type: "boolean" }
     },
     required: ["id", "name"]
@@ -1,5 +1,6 @@
 import * as monaco from 'monaco-editor';
 import { setupSmartTable } from '@features/smart-table';
+import { createQueryHistory } from '@features/query-language';
 import './styles.css';
 
 // Sample data
@@ -77,6 +78,7 @@ function initializeSmartTable() {
       data,
       columns,
       editorContainer,
+      history: createQueryHistory({ key: 'smart-table-example-history' }), // Saved queries panel
       showCheckboxes: false, // Enable checkboxes
       multiSelect: true, // Enable multi-selection
       onSelectionChange: (selectedData) => {
@@ -32,16 +32,31 @@ class DivTable {
     this.showAutoFetchButton = options.showAutoFetchButton !== false; // Enabled by default
     this.autoFetchDelay = options.autoFetchDelay || 500; // Delay between auto-fetch requests in ms
     
-    // Virtual scrolling options
-    this.virtualScrolling = options.virtualScrolling || false;
+    // Server-side mode: query, sort and grouping are applied by the server, which returns pages through onNextPage
+    this.serverSide = options.serverSide || false;
+    
+    // Virtual scrolling options (always on in server-side mode)
+    this.virtualScrolling = options.virtualScrolling || this.serverSide;
     this.pageSize = options.pageSize || 100;
     // If totalRecords not provided and virtual scrolling is enabled, assume 10x page size for progress bar animation
     this.totalRecords = options.totalRecords || (this.virtualScrolling ? this.pageSize * 10 : this.data.length);
     this.onNextPage = options.onNextPage || (() => {});
     this.onPreviousPage = options.onPreviousPage || (() => {});
+    this.onQueryChange = options.onQueryChange || (() => {});
     this.loadingThreshold = options.loadingThreshold || Math.floor(this.pageSize * 0.8); // Default: 80% of page size
     this.scrollThreshold = options.scrollThreshold || 0.95; // Fallback for percentage-based logic
     
+    // URL sync: the query, sort, grouping and collapsed groups are kept in the page's query string
+    this.urlSync = options.urlSync || false;
+    this.bookmarkPrefix = options.bookmarkPrefix || '';
+    
+    // Query editor theme ('light', 'dark', 'hc' or 'auto') and token colour overrides
+    this.theme = options.theme || 'light';
+    this.tokenColors = options.tokenColors || null;
+    
+    // Query history (createQueryHistory): applied queries are recorded and listed in a saved queries panel
+    this.history = options.history || null;
+    
     // Internal state
     this.filteredData = [...this.data];
     this.sortColumn = null;
@@ -60,6 +75,7 @@ class DivTable {
     this.estimatedRowHeight = 40; // Default row height for calculations
     this.visibleStartIndex = 0;
     this.visibleEndIndex = this.pageSize;
+    this.serverRequestId = 0; // Incremented on every server-side reload so pages of an outdated query are dropped
     
     // Auto-fetch state
     this.isAutoFetching = false;
@@ -94,6 +110,20 @@ class DivTable {
     // Create the table structure
     this.createTableStructure(container);
     
+    // Restore the state bookmarked in the URL, and follow it through back/forward navigation
+    if (this.urlSync) {
+      this.applyUrlState(this.readUrlState());
+      this.handlePopState = () => {
+        this.applyUrlState(this.readUrlState());
+        if (this.serverSide) {
+          this.reloadServerData();
+        } else {
+          this.render();
+        }
+      };
+      window.addEventListener('popstate', this.handlePopState);
+    }
+    
     // Set up query editor
     this.setupQueryEditor();
     
@@ -120,7 +150,7 @@ class DivTable {
       this.isLoading = true;
       this.updateInfoSection();
       
-      const firstPageData = await this.onNextPage(0, this.pageSize);
+      const firstPageData = this.readPageResponse(await this.onNextPage(0, this.pageSize, this.getQueryState()));
       
       // Clear loading state
       this.isLoading = false;
@@ -314,9 +344,11 @@ class DivTable {
         if (col.type) {
           fieldType = col.type;
         } else {
+          // Date objects and ISO timestamps are compared as dates rather than text
           fieldType = typeof sampleItem[field] === 'boolean' ? 'boolean'
             : typeof sampleItem[field] === 'number' ? 'number'
-              : 'string';
+              : sampleItem[field] instanceof Date || isIsoDate(sampleItem[field]) ? 'date'
+                : 'string';
         }
 
         let fieldValues;
@@ -365,7 +397,8 @@ class DivTable {
           } else {
             fieldType = typeof sampleItem[field] === 'boolean' ? 'boolean'
               : typeof sampleItem[field] === 'number' ? 'number'
-                : 'string';
+                : sampleItem[field] instanceof Date || isIsoDate(sampleItem[field]) ? 'date'
+                  : 'string';
           }
 
           let fieldValues;
@@ -422,12 +455,28 @@ class DivTable {
       this.queryEditor = createQueryEditor(this.monaco, queryContainer, {
         fieldNames,
         initialValue: this.currentQuery,
-        placeholder: this.generateDynamicPlaceholder(fieldNames)
+        placeholder: this.generateDynamicPlaceholder(fieldNames),
+        getData: () => this.data,
+        theme: this.theme,
+        tokenColors: this.tokenColors,
+        history: this.history
       });
       
       // Store field names for comparison in future updates
       this.queryEditor.fieldNames = fieldNames;
 
+      // A chosen saved or recent query is applied like a typed one
+      if (this.history && typeof createQueryHistoryPanel === 'function') {
+        this.historyPanel = createQueryHistoryPanel(this.history, {
+          getQuery: () => this.queryEditor.model.getValue(),
+          onSelect: query => {
+            this.queryEditor.model.setValue(query);
+            this.queryEditor.editor.focus();
+          }
+        });
+        queryContainer.insertAdjacentElement('afterend', this.historyPanel.element);
+      }
+
       // Set up event handlers for query editor
       this.setupQueryEventHandlers();
     }
@@ -439,22 +488,23 @@ class DivTable {
       query = this.queryEditor.model?.getValue() || '';
     }
     
-    // Get Monaco editor markers to check for errors
+    // Validation markers lag behind typing, so the query itself is parsed for syntax errors too
     const model = this.queryEditor.editor?.getModel();
     if (model) {
       const markers = this.monaco.editor.getModelMarkers({ resource: model.uri });
-      const hasErrors = markers.some(m => m.severity === this.monaco.MarkerSeverity.Error);
+      const hasErrors = parseQuery(query, { recover: true }).errors.length > 0 ||
+        markers.some(m => m.severity === this.monaco.MarkerSeverity.Error);
       
       const queryContainer = this.toolbar.querySelector('.query-input-container');
       if (!hasErrors) {
         queryContainer.classList.remove('error');
-        this.applyQuery(query);
+        this._applyQuery(query);
       } else {
         queryContainer.classList.add('error');
       }
     } else {
       // Fallback if no Monaco model available
-      this.applyQuery(query);
+      this._applyQuery(query);
     }
   }
 
@@ -531,6 +581,8 @@ class DivTable {
         examples.push(`${field} > 100`);
       } else if (fieldInfo.type === 'boolean') {
         examples.push(`${field} = true`);
+      } else if (fieldInfo.type === 'date') {
+        examples.push(`${field} > now-7d`);
       } else if (fieldInfo.type === 'string') {
         if (fieldInfo.values && fieldInfo.values.length > 0) {
           // Use actual values from the data, excluding NULL
@@ -1182,6 +1234,7 @@ class DivTable {
     this.updateInfoSection();
     this.updateSelectionStates();
     this.updateTabIndexes(); // Update tab navigation order
+    this.updateUrlState();
     
     // Verify data consistency in development mode
     if (typeof process === 'undefined' || process.env.NODE_ENV !== 'production') {
@@ -2282,7 +2335,8 @@ class DivTable {
         key = value.length > 0 ? value.join(', ') : '__null__';
         displayValue = value.length > 0 ? value.join(', ') : null;
       } else {
-        key = value ?? '__null__';
+        // Keys are strings, like the group keys kept in the DOM and the URL
+        key = value === null || value === undefined ? '__null__' : String(value);
         displayValue = value;
       }
       
@@ -2300,7 +2354,8 @@ class DivTable {
   }
 
   sortData(data) {
-    if (!this.sortColumn) return data;
+    // In server-side mode records arrive sorted from the server
+    if (!this.sortColumn || this.serverSide) return data;
     
     return [...data].sort((a, b) => {
       const aVal = a[this.sortColumn];
@@ -2409,7 +2464,15 @@ class DivTable {
     statsInfo.className = 'info-stats';
     
     let statsText = '';
-    if (this.virtualScrolling) {
+    if (this.serverSide && this.currentQuery.trim()) {
+      // Server-side filtering: the total counts the matching records on the server
+      if (loaded < total) {
+        const percentage = Math.round((loaded / total) * 100);
+        statsText = `${percentage}% of ${total} filtered`;
+      } else {
+        statsText = `${total} filtered`;
+      }
+    } else if (this.virtualScrolling) {
       // Virtual scrolling mode
       if (filtered < loaded) {
         // Has filtering applied
@@ -2472,17 +2535,21 @@ class DivTable {
       // Show loading segment when there's more data to load (not just when actively loading)
       const loadingSegmentEnd = loaded < currentTotal ? Math.min(currentTotal, loaded + estimatedBatchSize) : loaded;
       
+      // In server-side mode every loaded record matches the query
+      const matching = this.serverSide ? loaded : filtered;
+      
       // Calculate percentages
-      const filteredPercentage = (filtered / currentTotal) * 100;
+      const filteredPercentage = (matching / currentTotal) * 100;
       const loadedPercentage = (loaded / currentTotal) * 100;
       const loadingEndPercentage = (loadingSegmentEnd / currentTotal) * 100;
       
-      const hasFilter = filtered < loaded;
+      // In server-side mode the total is the filtered server total
+      const hasFilter = this.serverSide ? Boolean(this.currentQuery.trim()) : filtered < loaded;
       
       // When there's a filter active, show filtered (red) + loaded-not-filtered (gray)
       if (hasFilter) {
         // Segment 1: Filtered records (red, opacity 1)
-        if (filtered > 0) {
+        if (matching > 0) {
           const filteredBar = document.createElement('div');
           filteredBar.className = 'progress-segment filtered-segment';
           filteredBar.style.width = `${filteredPercentage}%`;
@@ -2491,7 +2558,7 @@ class DivTable {
         }
         
         // Segment 2: Loaded but filtered out (gray, opacity 0.8)
-        if (loaded > filtered) {
+        if (loaded > matching) {
           const loadedNotFilteredBar = document.createElement('div');
           loadedNotFilteredBar.className = 'progress-segment loaded-segment';
           loadedNotFilteredBar.style.left = `${filteredPercentage}%`;
@@ -2569,8 +2636,11 @@ class DivTable {
       refreshButton.classList.add('refreshing');
       
       try {
-        // If this is a virtual scrolling table, reset and load first page
-        if (this.virtualScrolling && typeof this.onNextPage === 'function') {
+        // Server-side tables reload the first page of the current query
+        if (this.serverSide) {
+          await this.reloadServerData({ notify: false });
+        } else if (this.virtualScrolling && typeof this.onNextPage === 'function') {
+          // If this is a virtual scrolling table, reset and load first page
           
           // Preserve current filter/query before resetting
           const preservedQuery = this.currentQuery;
@@ -2850,7 +2920,15 @@ class DivTable {
     statsInfo.className = 'info-stats';
     
     let statsText = '';
-    if (filtered < currentLoaded) {
+    if (this.serverSide && this.currentQuery.trim()) {
+      // Server-side filtering - show anticipated progress through the matching records
+      if (anticipatedLoaded < total) {
+        const percentage = Math.round((anticipatedLoaded / total) * 100);
+        statsText = `${percentage}% of ${total} filtered`;
+      } else {
+        statsText = `${total} filtered`;
+      }
+    } else if (filtered < currentLoaded) {
       // Has filtering applied - show anticipated with current filter count
       if (anticipatedLoaded < total) {
         const loadPercentage = Math.round((anticipatedLoaded / total) * 100);
@@ -2878,6 +2956,15 @@ class DivTable {
 
   // Public API methods
   applyQuery(query) {
+    // Queries the host applies are recorded in the history, typed ones on Ctrl+Enter
+    if (this.history && parseQuery(query, { recover: true }).errors.length === 0) {
+      this.history.record(query);
+    }
+    this._applyQuery(query);
+  }
+
+  _applyQuery(query) {
+    const queryChanged = query !== this.currentQuery;
     this.currentQuery = query;
     
     // Update Monaco editor value to match the applied query
@@ -2888,21 +2975,35 @@ class DivTable {
       }
     }
     
-    if (!query.trim()) {
+    // In server-side mode the loaded data is already filtered, a new query reloads it
+    if (this.serverSide) {
       this.filteredData = [...this.data];
-    } else {
-      try {
-        // Use QueryEngine like in smart-table for proper query parsing
-        const filteredIds = this.queryEngine.filterObjects(query);
-        this.filteredData = this.data.filter(obj => filteredIds.includes(obj[this.primaryKeyField]));
-      } catch (error) {
-        this.filteredData = [...this.data];
+      if (queryChanged) {
+        this.reloadServerData();
+      } else {
+        this.render();
       }
+      return;
     }
     
+    this.filteredData = this.filterData(query);
     this.render();
   }
 
+  // The loaded records matching a query, all of them when it is empty or invalid
+  filterData(query) {
+    if (!query.trim()) {
+      return [...this.data];
+    }
+    try {
+      // Use QueryEngine like in smart-table for proper query parsing
+      const filteredIds = this.queryEngine.filterObjects(query);
+      return this.data.filter(obj => filteredIds.includes(obj[this.primaryKeyField]));
+    } catch (error) {
+      return [...this.data];
+    }
+  }
+
   sort(field, direction) {
     if (this.sortColumn === field) {
       this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
@@ -2911,6 +3012,11 @@ class DivTable {
       this.sortDirection = direction || 'asc';
     }
     
+    if (this.serverSide) {
+      this.reloadServerData();
+      return;
+    }
+    
     this.render();
   }
 
@@ -2934,6 +3040,13 @@ class DivTable {
     
     this.groupByField = field || null;
     
+    // The server orders records by the group field, groups start collapsed once the first page arrives
+    if (this.serverSide) {
+      this.collapsedGroups.clear();
+      this.reloadServerData({ collapseGroups: Boolean(field) });
+      return;
+    }
+    
     if (field) {
       // When grouping is enabled, start with all groups collapsed
       this.collapsedGroups.clear();
@@ -2993,7 +3106,7 @@ class DivTable {
     this.updateQueryEditorIfNeeded();
     
     // Re-apply current filter to include new/updated record if it matches
-    this.applyQuery(this.currentQuery);
+    this._applyQuery(this.currentQuery);
     
     return true;
   }
@@ -3023,7 +3136,7 @@ class DivTable {
       this.updateQueryEditorIfNeeded();
       
       // Re-apply current filter
-      this.applyQuery(this.currentQuery);
+      this._applyQuery(this.currentQuery);
       
       return removedRecord;
     }
@@ -3145,8 +3258,9 @@ class DivTable {
       }
     }, 10);
 
-    // Set up proper query change handling
-    if (this.queryEditor.model) {
+    // Set up proper query change handling; in server-side mode every applied query is a
+    // request, so only the debounced listener applies it
+    if (this.queryEditor.model && !this.serverSide) {
       this.queryEditor.model.onDidChangeContent(() => {
         const query = this.queryEditor.model.getValue();
         this.handleQueryChange(query);
@@ -3245,10 +3359,18 @@ class DivTable {
     this.showLoadingPlaceholders();
     this.updateInfoSectionWithAnticipatedProgress();
     
+    const requestId = this.serverRequestId;
+    
     try {
       // Step 2: Trigger onNextPage
       const nextPageToLoad = this.currentPage + 1;
-      const newData = await this.onNextPage(nextPageToLoad, this.pageSize);
+      const response = await this.onNextPage(nextPageToLoad, this.pageSize, this.getQueryState());
+      
+      // The query, sort or grouping changed while loading, the page belongs to the old results
+      if (requestId !== this.serverRequestId) {
+        return;
+      }
+      const newData = this.readPageResponse(response);
       
       // Step 3: Stop loading status BEFORE appending data
       this.isLoading = false;
@@ -3281,6 +3403,9 @@ class DivTable {
         this.hasMoreData = false;
       }
     } catch (error) {
+      if (requestId !== this.serverRequestId) {
+        return;
+      }
       console.error('❌ Error loading next page:', error);
       this.isLoading = false;
       this.hideLoadingPlaceholders();
@@ -3291,6 +3416,149 @@ class DivTable {
     }
   }
 
+  // Reads the table state from the URL parameters
+  readUrlState() {
+    const params = new URL(window.location).searchParams;
+    const prefix = this.bookmarkPrefix;
+    return {
+      query: params.get(`${prefix}query`) || '',
+      sortColumn: params.get(`${prefix}sort`) || null,
+      sortDirection: params.get(`${prefix}dir`) === 'desc' ? 'desc' : 'asc',
+      groupByField: params.get(`${prefix}group`) || null,
+      collapsedGroups: params.getAll(`${prefix}collapsed`)
+    };
+  }
+
+  // Takes over a state read from the URL, the caller renders or reloads
+  applyUrlState(state) {
+    const groupColumn = state.groupByField && this.columns.find(col => col.field === state.groupByField);
+    const groupable = groupColumn && !groupColumn.hidden && groupColumn.groupable !== false;
+    
+    this.sortColumn = state.sortColumn;
+    this.sortDirection = state.sortDirection;
+    this.groupByField = groupable ? state.groupByField : null;
+    this.collapsedGroups = new Set(groupable ? state.collapsedGroups : []);
+    this.currentQuery = state.query;
+    
+    if (this.queryEditor?.editor && this.queryEditor.editor.getValue() !== state.query) {
+      this.queryEditor.editor.setValue(state.query);
+    }
+    this.filteredData = this.serverSide ? [...this.data] : this.filterData(state.query);
+  }
+
+  // Writes the table state to the URL, replacing the current history entry; defaults are left out
+  updateUrlState() {
+    if (!this.urlSync) return;
+    
+    const url = new URL(window.location);
+    const prefix = this.bookmarkPrefix;
+    ['query', 'sort', 'dir', 'group', 'collapsed'].forEach(name => url.searchParams.delete(`${prefix}${name}`));
+    
+    if (this.currentQuery.trim()) {
+      url.searchParams.set(`${prefix}query`, this.currentQuery);
+    }
+    if (this.sortColumn) {
+      url.searchParams.set(`${prefix}sort`, this.sortColumn);
+      if (this.sortDirection === 'desc') {
+        url.searchParams.set(`${prefix}dir`, 'desc');
+      }
+    }
+    if (this.groupByField) {
+      url.searchParams.set(`${prefix}group`, this.groupByField);
+      this.collapsedGroups.forEach(key => url.searchParams.append(`${prefix}collapsed`, key));
+    }
+    
+    if (url.href !== window.location.href) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+
+  // Query, sort and grouping state passed to onNextPage and onQueryChange
+  getQueryState() {
+    return {
+      query: this.currentQuery,
+      sortColumn: this.sortColumn,
+      sortDirection: this.sortDirection,
+      groupByField: this.groupByField
+    };
+  }
+
+  // A page is either an array of records or { data, totalRecords } to also update the total
+  readPageResponse(response) {
+    if (response && !Array.isArray(response) && Array.isArray(response.data)) {
+      if (typeof response.totalRecords === 'number' && response.totalRecords >= 0) {
+        this.totalRecords = response.totalRecords;
+      }
+      return response.data;
+    }
+    return response;
+  }
+
+  async reloadServerData({ notify = true, collapseGroups = false } = {}) {
+    const requestId = ++this.serverRequestId;
+    
+    // Stop auto-fetch, it was paging through the previous results
+    if (this.isAutoFetching) {
+      this.stopAutoFetch();
+    }
+    
+    // Reset to loading state and first page
+    this.isLoadingState = true;
+    this.data = [];
+    this.filteredData = [];
+    this.selectedRows.clear();
+    this.currentPage = 0;
+    this.isLoading = true;
+    this.hasMoreData = true;
+    this.queryEngine.setObjects([]);
+    this.hideErrorIndicator();
+    this.render();
+    
+    try {
+      const state = this.getQueryState();
+      if (notify) {
+        await this.onQueryChange(state);
+      }
+      
+      // A newer reload was started while this one was waiting
+      if (requestId !== this.serverRequestId) {
+        return;
+      }
+      const response = await this.onNextPage(0, this.pageSize, state);
+      if (requestId !== this.serverRequestId) {
+        return;
+      }
+      
+      const firstPageData = this.readPageResponse(response);
+      this.isLoading = false;
+      
+      if (firstPageData && Array.isArray(firstPageData) && firstPageData.length > 0) {
+        this.replaceData(firstPageData);
+        
+        // Newly grouped tables start with all groups collapsed
+        if (collapseGroups && this.groupByField) {
+          this.groupData(this.filteredData).forEach(group => {
+            this.collapsedGroups.add(group.key);
+          });
+          this.render();
+        }
+      } else {
+        this.isLoadingState = false;
+        this.hasMoreData = false;
+        this.render();
+      }
+    } catch (error) {
+      if (requestId !== this.serverRequestId) {
+        return;
+      }
+      console.error('❌ Error reloading data:', error);
+      this.isLoading = false;
+      this.isLoadingState = false;
+      this.hasMoreData = false;
+      this.render();
+    }
+  }
+
   showErrorIndicator() {
     let indicator = this.bodyContainer.querySelector('.error-indicator');
     if (!indicator) {
@@ -3561,7 +3829,7 @@ class DivTable {
         this.filteredData = [...this.data];
       } else {
         // Re-apply query to include new/updated data
-        this.applyQuery(this.currentQuery);
+        this._applyQuery(this.currentQuery);
       }
       
       // Only update info section and re-render if not skipped
@@ -3627,7 +3895,7 @@ class DivTable {
     this.updateQueryEditorIfNeeded();
     
     if (this.currentQuery && this.currentQuery.trim()) {
-      this.applyQuery(this.currentQuery);
+      this._applyQuery(this.currentQuery);
     } else {
       this.filteredData = [...this.data];
     }
@@ -3703,161 +3971,16 @@ class QueryEngine {
   filterObjects(query) {
     if (!query.trim()) return this.objects.map(obj => obj[this.primaryKeyField]);
 
-    const hasOperators = /[=!<>()]|(\bAND\b|\bOR\b|\bIN\b)/i.test(query);
-
-    if (!hasOperators) {
-      return this.searchObjects(query);
-    }
-
-    const results = [];
-    for (const obj of this.objects) {
-      try {
-        if (this.evaluateExpression(obj, query)) {
-          results.push(obj[this.primaryKeyField]);
-        }
-      } catch (error) {
-        throw new Error(`Query error: ${error.message}`);
-      }
-    }
-    return results;
-  }
-
-  searchObjects(searchTerms) {
-    const terms = searchTerms.trim().toLowerCase().split(/\s+/).filter(Boolean);
-    if (terms.length === 0) return this.objects.map(obj => obj[this.primaryKeyField]);
-
-    const results = [];
-    for (const obj of this.objects) {
-      const searchableValues = Object.values(obj)
-        .map(value => (value == null ? '' : String(value).toLowerCase()))
-        .join(' ');
-
-      const allTermsFound = terms.every(term => searchableValues.includes(term));
-      if (allTermsFound) results.push(obj[this.primaryKeyField]);
-    }
-    return results;
-  }
-
-  evaluateExpression(obj, expression) {
-    if (!expression.trim()) return true;
-
-    expression = expression.replace(/\s+/g, ' ').trim();
-
-    while (/\(([^()]+)\)/.test(expression)) {
-      expression = expression.replace(/\(([^()]+)\)/g, (_, innerExpr) =>
-        this.processGroup(obj, innerExpr) ? 'true' : 'false'
-      );
-    }
-
-    return this.processGroup(obj, expression);
-  }
-
-  processGroup(obj, group) {
-    const orConditions = group.split(/\s+OR\s+/);
-
-    return orConditions.some(conditionGroup => {
-      const andConditions = conditionGroup.split(/\s+AND\s+/);
-
-      return andConditions.every(condition => {
-        const cond = condition.trim().toLowerCase();
-        if (cond === 'false') return false;
-        if (cond === 'true') return true;
-
-        try {
-          const parsed = this.parseCondition(condition);
-          return this.applyCondition(obj, parsed);
-        } catch {
-          throw new Error(`Invalid condition: ${condition}`);
-        }
-      });
-    });
-  }
-
-  parseCondition(condition) {
-    const inMatch = condition.match(/(\w+)\s+IN\s+\[([^\]]+)\]/);
-    if (inMatch) {
-      const [, field, values] = inMatch;
-      return {
-        field,
-        operator: 'IN',
-        value: values.split(',').map(v => {
-          const trimmed = v.trim().replace(/"/g, '');
-          return trimmed === 'NULL' ? null : trimmed;
-        })
-      };
-    }
-
-    const match = condition.match(/(\w+)\s*(=|!=|>|<)\s*(.+)/i);
-    if (match) {
-      const [, field, operator, value] = match;
-      let parsedValue = value.trim();
-
-      if (parsedValue.startsWith('"') && parsedValue.endsWith('"')) {
-        parsedValue = parsedValue.slice(1, -1);
-      } else if (parsedValue === 'NULL') {
-        parsedValue = null;
-      } else if (parsedValue.toLowerCase() === 'true') {
-        parsedValue = true;
-      } else if (parsedValue.toLowerCase() === 'false') {
-        parsedValue = false;
-      } else if (!isNaN(parsedValue) && parsedValue !== '') {
-        parsedValue = parseFloat(parsedValue);
-      }
-
-      return { field, operator, value: parsedValue };
+    // Same parser and evaluator as the query editor (compileQuery comes from query.js)
+    let matches;
+    try {
+      matches = compileQuery(query);
+    } catch (error) {
+      throw new Error(`Query error: ${error.message}`);
     }
 
-    throw new Error(`Invalid condition: ${condition}`);
-  }
-
-  applyCondition(obj, { field, operator, value }) {
-    const objValue = field in obj ? obj[field] : null;
-    const isNullish = val => val === null || val === undefined || val === '';
-
-    switch (operator) {
-      case '=':
-        if (value === null) return isNullish(objValue);
-        if (isNullish(objValue)) return false;
-        // Handle array fields: check if the array contains the value
-        if (Array.isArray(objValue)) {
-          return objValue.includes(value);
-        }
-        return objValue == value;
-
-      case '!=':
-        if (value === null) return !isNullish(objValue);
-        if (isNullish(objValue)) return true;
-        // Handle array fields: check if the array does NOT contain the value
-        if (Array.isArray(objValue)) {
-          return !objValue.includes(value);
-        }
-        return objValue != value;
-
-      case '>':
-        if (isNullish(objValue)) return false;
-        // Arrays don't support > comparison
-        if (Array.isArray(objValue)) return false;
-        return objValue > parseFloat(value);
-
-      case '<':
-        if (isNullish(objValue)) return false;
-        // Arrays don't support < comparison
-        if (Array.isArray(objValue)) return false;
-        return objValue < parseFloat(value);
-
-      case 'IN':
-        if (value.includes(null)) {
-          return isNullish(objValue) || value.includes(objValue);
-        }
-        if (isNullish(objValue)) return false;
-        // Handle array fields: check if any element in objValue array is in the value list
-        if (Array.isArray(objValue)) {
-          return objValue.some(item => value.includes(item));
-        }
-        return value.includes(objValue);
-
-      default:
-        return false;
-    }
+    return this.objects
+      .filter(obj => matches(obj))
+      .map(obj => obj[this.primaryKeyField]);
   }
 }
@@ -23,6 +23,3035 @@ function setupLanguageConfiguration(monaco, languageId) {
   });
 }
 
+/**
+ * Date values of the query language.
+ *
+ * Date fields accept ISO 8601 strings (`"2024-01-31"`, `"2024-01-31T09:30:00Z"`)
+ * and unquoted relative expressions: an anchor (`now`, `today`, `startOfDay`,
+ * `startOfWeek`, `startOfMonth`, `startOfYear`) followed by any number of
+ * offsets such as `-7d` or `+1M`. Relative expressions are resolved in local
+ * time when a query is compiled, so every record is compared against the same
+ * instant. Date-only ISO strings are local as well, and as query values they
+ * stand for the whole day: `= "2024-03-01"` matches any time on that day.
+ */
+
+// Offset units, `m` is minutes and `M` is months
+const DATE_OFFSET_UNITS = {
+  s: 'Seconds',
+  m: 'Minutes',
+  h: 'Hours',
+  d: 'Date',
+  w: 'Date',
+  M: 'Month',
+  y: 'FullYear'
+};
+
+const RELATIVE_DATE_PATTERN = /^(now|today|startOfDay|startOfWeek|startOfMonth|startOfYear)((?:[+-]\d+[smhdwMy])*)$/;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const ISO_DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Checks whether a word is a relative date expression such as `now-7d`
+ * @param {string} text The word to check
+ * @returns {boolean} True if the text is a relative date
+ */
+function isRelativeDate(text) {
+  return RELATIVE_DATE_PATTERN.test(text);
+}
+
+/**
+ * Checks whether a string is a valid ISO 8601 date or date-time
+ * @param {string} text The string to check
+ * @returns {boolean} True if the text is an ISO date
+ */
+function isIsoDate(text) {
+  return typeof text === 'string' && ISO_DATE_PATTERN.test(text) && !isNaN(Date.parse(text));
+}
+
+/**
+ * Parses an ISO 8601 date or date-time. A date without a time is local
+ * midnight, like `today`, rather than the UTC midnight of `Date.parse`.
+ * @param {string} text The ISO string
+ * @returns {Date|null} The date, or null if the text isn't an ISO date
+ */
+function parseIsoDate(text) {
+  if (!isIsoDate(text)) {
+    return null;
+  }
+  const day = text.match(ISO_DAY_PATTERN);
+  return day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(text);
+}
+
+/**
+ * Formats the local day of a date as a date-only ISO string, the way
+ * parseIsoDate reads it back
+ * @param {Date} date The date
+ * @returns {string} The day, e.g. `2024-03-01`
+ */
+function formatIsoDay(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * A whole day as a query value, from local midnight up to the next one
+ */
+class QueryDay {
+  /**
+   * @param {string} text A date-only ISO string such as `2024-03-01`
+   */
+  constructor(text) {
+    this.text = text;
+    this.start = parseIsoDate(text);
+    this.end = new Date(this.start.getFullYear(), this.start.getMonth(), this.start.getDate() + 1);
+  }
+}
+
+/**
+ * The day a date-only ISO string names
+ * @param {string} text The string
+ * @returns {QueryDay|null} The day, or null if the text isn't a date without a time
+ */
+function toQueryDay(text) {
+  return isIsoDate(text) && ISO_DAY_PATTERN.test(text) ? new QueryDay(text) : null;
+}
+
+/**
+ * Resolves a relative date expression to a Date
+ * @param {string} expression The relative date, e.g. `startOfMonth-1M`
+ * @param {Date} [now=new Date()] The reference instant
+ * @returns {Date} The resolved date
+ * @throws {SyntaxError} If the expression isn't a relative date
+ */
+function resolveRelativeDate(expression, now = new Date()) {
+  const match = expression.match(RELATIVE_DATE_PATTERN);
+  if (!match) {
+    throw new SyntaxError(`Invalid relative date '${expression}'`);
+  }
+
+  const date = new Date(now.getTime());
+  const anchor = match[1];
+  if (anchor !== 'now') {
+    date.setHours(0, 0, 0, 0);
+  }
+  if (anchor === 'startOfWeek') {
+    // Weeks start on Monday
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+  } else if (anchor === 'startOfMonth') {
+    date.setDate(1);
+  } else if (anchor === 'startOfYear') {
+    date.setMonth(0, 1);
+  }
+
+  (match[2].match(/[+-]\d+[smhdwMy]/g) || []).forEach(offset => {
+    const unit = offset[offset.length - 1];
+    const amount = parseInt(offset.slice(0, -1), 10) * (unit === 'w' ? 7 : 1);
+    const part = DATE_OFFSET_UNITS[unit];
+    date[`set${part}`](date[`get${part}`]() + amount);
+  });
+
+  return date;
+}
+
+/**
+ * Converts a date literal or ISO string to a Date
+ * @param {object} literal A Literal node with valueType 'date' or 'string'
+ * @param {Date} [now] The reference instant for relative dates
+ * @returns {Date|null} The date, or null if the value isn't a date
+ */
+function toQueryDate(literal, now) {
+  if (literal.valueType === 'date') {
+    return resolveRelativeDate(literal.value, now);
+  }
+  if (literal.valueType === 'string' && isIsoDate(literal.value)) {
+    return parseIsoDate(literal.value);
+  }
+  return null;
+}
+
+/**
+ * Field paths of the query language.
+ *
+ * A field name is a path into the record: `address.city` reads a nested
+ * object and `tags[*]` stands for any element of an array, so
+ * `items[*].price > 10` matches when at least one item costs more than 10.
+ * Arrays met halfway through a path are searched the same way even without
+ * `[*]`.
+ *
+ * A field definition may list `aliases`, other names the field can be queried
+ * by (e.g. `dept` for `department`).
+ */
+
+/**
+ * Splits a field path into its segments
+ * @param {string} path The field path, e.g. `items[*].name`
+ * @returns {object[]} Segments of shape { name, wildcard }
+ */
+function splitFieldPath(path) {
+  return path.split('.').map(segment => {
+    const wildcard = segment.endsWith('[*]');
+    return { name: wildcard ? segment.slice(0, -3) : segment, wildcard };
+  });
+}
+
+/**
+ * Reads the value of a field path from a record
+ * @param {object} obj The record
+ * @param {string} path The field path
+ * @returns {*} The value, an array of values when the path crosses an array,
+ *   or null when the field is missing
+ */
+function readFieldPath(obj, path) {
+  // Plain names and keys that literally contain a dot are read directly
+  if (path in obj) {
+    return obj[path];
+  }
+  if (!/[.[]/.test(path)) {
+    return null;
+  }
+
+  const segments = splitFieldPath(path);
+  let values = [obj];
+  let many = false;
+
+  segments.forEach((segment, index) => {
+    const last = index === segments.length - 1;
+    const next = [];
+    values.forEach(value => {
+      if (value === null || typeof value !== 'object' || !(segment.name in value)) return;
+      const child = value[segment.name];
+      if (Array.isArray(child) && (segment.wildcard || !last)) {
+        many = true;
+        next.push(...child);
+      } else {
+        next.push(child);
+      }
+    });
+    values = next;
+  });
+
+  if (many) {
+    return values.length > 0 ? values : null;
+  }
+  return values.length > 0 ? values[0] : null;
+}
+
+// The declared name of a field written as-is, with or without `[*]`, or as one of its aliases
+function findFieldKey(fieldNames, name) {
+  if (Object.prototype.hasOwnProperty.call(fieldNames, name)) {
+    return name;
+  }
+  const canonical = name.replace(/\[\*\]/g, '');
+  const fieldKeys = Object.keys(fieldNames);
+  return fieldKeys.find(fieldName => fieldName.replace(/\[\*\]/g, '') === canonical) ||
+    fieldKeys.find(fieldName => (fieldNames[fieldName].aliases || []).includes(name));
+}
+
+/**
+ * Looks up the definition of a field, `tags[*]` and `tags` name the same field
+ * and aliases name the field they belong to
+ * @param {object} fieldNames The field name definitions
+ * @param {string} name The field path as written in the query
+ * @returns {object|undefined} The field definition
+ */
+function findFieldDefinition(fieldNames, name) {
+  const key = findFieldKey(fieldNames, name);
+  return key ? fieldNames[key] : undefined;
+}
+
+/**
+ * Resolves an alias to the name of the field it stands for
+ * @param {object} fieldNames The field name definitions
+ * @param {string} name The field path as written in the query
+ * @returns {string} The declared field name for an alias, otherwise `name` unchanged
+ */
+function resolveFieldName(fieldNames, name) {
+  const key = findFieldKey(fieldNames, name);
+  return key && (fieldNames[key].aliases || []).includes(name) ? key : name;
+}
+
+/**
+ * Comparison operators of the query language.
+ *
+ * This table is the single source of truth for which operators exist, which
+ * field types they apply to and how they order values. The completion
+ * provider builds its suggestions from it, the validator checks operator/type
+ * compatibility against it and the evaluator uses it to apply comparisons.
+ *
+ * Ordering operators provide `test(order)`, string matching operators provide
+ * `match(text, value)` plus an optional `compile(literal)` that prepares the
+ * query value once per query (e.g. into a RegExp). `list` operators take a
+ * bracketed list and `range` operators a `lower AND upper` pair.
+ */
+const QUERY_OPERATORS = [
+  { operator: '=', description: 'Equals operator' },
+  { operator: '!=', description: 'Not equals operator' },
+  { operator: '>', description: 'Greater than operator', fieldTypes: ['number', 'string', 'date'], test: order => order > 0 },
+  { operator: '<', description: 'Less than operator', fieldTypes: ['number', 'string', 'date'], test: order => order < 0 },
+  { operator: '>=', description: 'Greater than or equal operator', fieldTypes: ['number', 'string', 'date'], test: order => order >= 0 },
+  { operator: '<=', description: 'Less than or equal operator', fieldTypes: ['number', 'string', 'date'], test: order => order <= 0 },
+  {
+    operator: 'BETWEEN',
+    description: 'Check if a value lies within a range, bounds included, e.g. `age BETWEEN 20 AND 40`',
+    fieldTypes: ['number', 'string', 'date'],
+    range: true
+  },
+  { operator: 'IN', description: 'Check if a value is in a list', fieldTypes: ['string', 'number'], list: true },
+  { operator: 'NOT IN', description: 'Check if a value is not in a list', fieldTypes: ['string', 'number'], list: true },
+  {
+    operator: 'CONTAINS',
+    description: 'Check if the value contains a text (case-insensitive)',
+    fieldTypes: ['string'],
+    match: (text, value) => text.toLowerCase().includes(String(value).toLowerCase())
+  },
+  {
+    operator: 'STARTS WITH',
+    description: 'Check if the value starts with a text (case-insensitive)',
+    fieldTypes: ['string'],
+    match: (text, value) => text.toLowerCase().startsWith(String(value).toLowerCase())
+  },
+  {
+    operator: 'ENDS WITH',
+    description: 'Check if the value ends with a text (case-insensitive)',
+    fieldTypes: ['string'],
+    match: (text, value) => text.toLowerCase().endsWith(String(value).toLowerCase())
+  },
+  {
+    operator: 'LIKE',
+    description: 'Match a pattern where `%` stands for any text and `_` for a single character (case-insensitive)',
+    fieldTypes: ['string'],
+    compile: literal => likePatternToRegExp(String(literal.value)),
+    match: (text, regex) => regex.test(text)
+  },
+  {
+    operator: 'MATCHES',
+    description: 'Match a regular expression, e.g. `/^a.*z$/i`',
+    fieldTypes: ['string'],
+    valueTypes: ['regex', 'string'],
+    compile: literal => createQueryRegExp(literal),
+    match: (text, regex) => regex.test(text)
+  }
+];
+
+/**
+ * Converts a LIKE pattern into an anchored, case-insensitive regular expression
+ * @param {string} pattern The LIKE pattern (`%` any text, `_` any character)
+ * @returns {RegExp} The equivalent regular expression
+ */
+function likePatternToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(ch => {
+      if (ch === '%') return '.*';
+      if (ch === '_') return '.';
+      return ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'is');
+}
+
+/**
+ * Creates the RegExp for a MATCHES value (a regex literal or a quoted pattern)
+ * @param {object} literal The Literal node
+ * @returns {RegExp} The regular expression
+ * @throws {SyntaxError} If the pattern or flags are invalid
+ */
+function createQueryRegExp(literal) {
+  // Global and sticky flags would make test() stateful across records
+  const flags = (literal.flags || '').replace(/[gy]/g, '');
+  return new RegExp(String(literal.value), flags);
+}
+
+/**
+ * Looks up an operator definition
+ * @param {string} operator The operator as written in the query
+ * @returns {object|undefined} The operator definition
+ */
+function findQueryOperator(operator) {
+  return QUERY_OPERATORS.find(definition => definition.operator === operator);
+}
+
+/**
+ * Checks whether an operator can be used with a field
+ * @param {object} definition The operator definition
+ * @param {object} field The field definition
+ * @returns {boolean} True if the operator applies to the field
+ */
+function operatorAppliesTo(definition, field) {
+  // List operators also work on any field with a fixed set of values
+  if (definition.list && field.values) return true;
+  return !definition.fieldTypes || definition.fieldTypes.includes(field.type);
+}
+
+/**
+ * Lists the operators that can be used with a field, in suggestion order
+ * @param {object} field The field definition
+ * @returns {object[]} The applicable operator definitions
+ */
+function getFieldOperators(field) {
+  return QUERY_OPERATORS.filter(definition => operatorAppliesTo(definition, field));
+}
+
+// Numbers and numeric strings compare numerically
+function toComparableNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\s*-?\d*\.?\d+\s*$/.test(value)) return parseFloat(value);
+  return null;
+}
+
+// Date objects and ISO date strings compare by time, dates without a time are local midnight
+function toComparableTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const date = parseIsoDate(value);
+    const time = date ? date.getTime() : Date.parse(value);
+    return isNaN(time) ? null : time;
+  }
+  return null;
+}
+
+// An instant is within a day, or before or after it
+function compareTimeToDay(time, day) {
+  if (time < day.start.getTime()) return time - day.start.getTime();
+  if (time >= day.end.getTime()) return time - day.end.getTime() + 1;
+  return 0;
+}
+
+/**
+ * Checks a record value and a query value for equality, dates are equal when
+ * they denote the same instant and a QueryDay equals every instant within it
+ * @param {*} left The record value
+ * @param {*} right The query value
+ * @returns {boolean} True if the values are equal
+ */
+function queryValuesEqual(left, right) {
+  if (right instanceof QueryDay) {
+    return compareQueryValues(left, right) === 0;
+  }
+  const leftTime = toComparableTime(left);
+  const rightTime = toComparableTime(right);
+  if (leftTime !== null && rightTime !== null) {
+    return leftTime === rightTime;
+  }
+  return left == right;
+}
+
+/**
+ * Orders a record value against a query value, taking their types into account
+ * @param {*} left The record value
+ * @param {*} right The query value, a QueryDay orders after the instants before it
+ *   and before the instants after it
+ * @returns {number|null} Negative, zero or positive like a sort comparator,
+ *   or null if the values can't be ordered against each other
+ */
+function compareQueryValues(left, right) {
+  const leftNumber = toComparableNumber(left);
+  const rightNumber = toComparableNumber(right);
+  if (leftNumber !== null && rightNumber !== null) {
+    return leftNumber - rightNumber;
+  }
+
+  const leftTime = toComparableTime(left);
+  if (right instanceof QueryDay) {
+    return leftTime !== null ? compareTimeToDay(leftTime, right) : null;
+  }
+  const rightTime = toComparableTime(right);
+  if (leftTime !== null && rightTime !== null) {
+    return leftTime - rightTime;
+  }
+
+  // Other strings in the locale's alphabetical order
+  if (typeof left === 'string' && typeof right === 'string') {
+    return left.localeCompare(right);
+  }
+
+  return null;
+}
+
+/**
+ * Recursive-descent parser for the query language.
+ *
+ * Every AST node carries `start`/`end` offsets (end exclusive) into the source
+ * string so that validation, completion and evaluation all work from the same
+ * structure. Node types:
+ *
+ * - Logical:    { operator: 'AND' | 'OR', left, right }
+ * - Not:        { expression } (unary `NOT` prefix)
+ * - Group:      { expression }
+ * - Comparison: { field, operator, operatorRange, value } (`IN`/`NOT IN` carry a List value,
+ *               `BETWEEN` a Range value)
+ * - Field:      { name } (a path such as `address.city` or `tags[*]`, see fields.js)
+ * - Literal:    { valueType: 'string' | 'number' | 'boolean' | 'null' | 'regex' | 'date', value, raw }
+ *               (regex literals keep the pattern in `value` and add `flags`, date literals
+ *               keep the relative expression such as `now-7d`)
+ * - List:       { items }
+ * - Range:      { lower, upper } (the two Literal bounds of `BETWEEN`)
+ * - Term:       { value, quoted } (free-text search word or quoted phrase, matched
+ *               against all fields; adjacent terms are joined with an implicit AND)
+ * - Error:      placeholder produced only in recovering mode
+ */
+
+/**
+ * Error thrown for invalid queries when the parser is not in recovering mode.
+ * Its `fixes` are the quick fixes for the error, each { title, edits } where an
+ * edit replaces the text from `start` to `end` with `text`.
+ */
+class QuerySyntaxError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.start = start;
+    this.end = end;
+  }
+}
+
+const QUERY_LITERAL_TYPES = ['string', 'unclosed-string', 'number', 'boolean', 'null', 'regex', 'unclosed-regex'];
+
+// Operators spelled as words (CONTAINS, STARTS WITH, ...), list operators are parsed separately
+const QUERY_WORD_OPERATORS = QUERY_OPERATORS
+  .filter(definition => !definition.list && /^[A-Z]/.test(definition.operator))
+  .map(definition => definition.operator);
+
+// Matches a word operator at the start of the text, returns its canonical form and source length
+function matchWordOperator(text, caseSensitive) {
+  for (const operator of QUERY_WORD_OPERATORS) {
+    const match = text.match(new RegExp(`^${operator.replace(' ', '\\s+')}\\b`, caseSensitive ? '' : 'i'));
+    if (match) {
+      return { operator, length: match[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates a quick fix replacing the text between two offsets
+ * @param {string} title The title shown for the fix
+ * @param {number} start Start offset of the replaced text
+ * @param {number} end End offset of the replaced text (exclusive)
+ * @param {string} text The replacement
+ * @returns {object} The fix { title, edits }
+ */
+function queryFix(title, start, end, text) {
+  return { title, edits: [{ start, end, text }] };
+}
+
+// Fix for a keyword or operator written in the wrong case
+function uppercaseFix(start, end, text) {
+  return [queryFix(`Change to '${text}'`, start, end, text)];
+}
+
+// Fixes for two conditions without a logical operator between them
+function missingLogicalFixes(position) {
+  return [
+    queryFix('Insert AND', position, position, 'AND '),
+    queryFix('Insert OR', position, position, 'OR ')
+  ];
+}
+
+// Field names and paths into nested records: `name`, `address.city`, `items[*].price`.
+// A trailing dot is kept so that a path being typed stays a single token.
+const FIELD_PATH_PATTERN = /^[a-zA-Z_]\w*(?:\[\*\])*(?:\.[a-zA-Z_]\w*(?:\[\*\])*)*\.?/;
+
+// Free text that isn't otherwise a token, e.g. `john@example.com` or `10kg`
+const FREE_TEXT_PATTERN = /^[^\s()\[\],"=<>!\/]+/;
+
+// Length of a /regex/flags literal starting at `position`, and whether it is closed
+function scanRegexLiteral(str, position) {
+  let end = position + 1;
+  let inClass = false;
+  while (end < str.length && str[end] !== '\n') {
+    const ch = str[end];
+    if (ch === '\\') {
+      end += 2;
+      continue;
+    }
+    if (ch === '[') inClass = true;
+    if (ch === ']') inClass = false;
+    if (ch === '/' && !inClass) {
+      end++;
+      // Flags directly follow the closing slash
+      while (end < str.length && /[a-z]/i.test(str[end])) end++;
+      return { length: end - position, closed: true };
+    }
+    end++;
+  }
+  return { length: Math.min(end, str.length) - position, closed: false };
+}
+
+/**
+ * Splits a query into tokens with source offsets
+ * @param {string} str The query text
+ * @returns {object[]} Tokens of shape { value, type, start, end }
+ */
+function tokenizeQuery(str) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < str.length) {
+    // Skip whitespace
+    if (/\s/.test(str[position])) {
+      position++;
+      continue;
+    }
+
+    const tokenStart = position;
+    const rest = str.substring(position);
+    let value = '';
+    let type = '';
+    let length = 0;
+
+    // Multi-character operators first, then single character ones
+    if (/^(!=|>=|<=)/.test(rest)) {
+      value = rest.substring(0, 2);
+      type = 'operator';
+    } else if (/[=<>]/.test(str[position])) {
+      value = str[position];
+      type = 'operator';
+    } else if (/[(),\[\]]/.test(str[position])) {
+      value = str[position];
+      type = 'punctuation';
+    } else if (str[position] === '"') {
+      // Quoted strings (including unclosed ones), honouring escaped quotes
+      let stringEnd = position + 1;
+      let endQuoteFound = false;
+      while (stringEnd < str.length) {
+        if (str[stringEnd] === '\\') {
+          stringEnd += 2;
+          continue;
+        }
+        if (str[stringEnd] === '"') {
+          endQuoteFound = true;
+          stringEnd++;
+          break;
+        }
+        stringEnd++;
+      }
+      stringEnd = Math.min(stringEnd, str.length);
+      value = str.substring(position, stringEnd);
+      type = endQuoteFound ? 'string' : 'unclosed-string';
+    } else if (str[position] === '/') {
+      // Regular expression literals, e.g. /^abc/i
+      const regex = scanRegexLiteral(str, position);
+      value = str.substr(position, regex.length);
+      type = regex.closed ? 'regex' : 'unclosed-regex';
+    } else if (/^-?\d*\.?\d+/.test(rest) && /[\d.-]/.test(str[position])) {
+      value = rest.match(/^-?\d*\.?\d+/)[0];
+      type = 'number';
+    } else if (/[a-zA-Z_]/.test(str[position])) {
+      const wordOperator = matchWordOperator(rest, true);
+      value = rest.match(FIELD_PATH_PATTERN)[0];
+      // Logical and word operators are case-sensitive, literals are not
+      if (wordOperator) {
+        // Keep the canonical spelling even if the words are separated by several spaces
+        value = wordOperator.operator;
+        length = wordOperator.length;
+        type = 'operator';
+      } else if (['AND', 'OR', 'NOT', 'IN'].includes(value)) {
+        type = 'keyword';
+      } else if (/^(true|false)$/i.test(value)) {
+        type = 'boolean';
+      } else if (/^null$/i.test(value)) {
+        type = 'null';
+      } else {
+        type = 'identifier';
+      }
+    } else {
+      value = str[position];
+      type = 'invalid';
+    }
+
+    // A run of free text stays a single search word instead of being split up
+    const word = rest.match(FREE_TEXT_PATTERN);
+    if (['identifier', 'number', 'boolean', 'null', 'invalid'].includes(type) && word && word[0].length > value.length) {
+      value = word[0];
+      type = 'word';
+    }
+
+    position += length || value.length;
+    tokens.push({ value, type, start: tokenStart, end: position });
+  }
+
+  return tokens;
+}
+
+/**
+ * Resolves the escape sequences of a quoted string token
+ * @param {string} raw The token text including quotes
+ * @returns {string} The unquoted string value
+ */
+function unquoteQueryString(raw) {
+  const body = raw.endsWith('"') && raw.length > 1 ? raw.slice(1, -1) : raw.slice(1);
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  return body.replace(/\\(.)/g, (match, ch) => escapes[ch] || ch);
+}
+
+class QueryParser {
+  constructor(input, { recover = false } = {}) {
+    this.input = input;
+    this.tokens = tokenizeQuery(input);
+    this.pos = 0;
+    this.recover = recover;
+    this.errors = [];
+    this.expected = null;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos] || null;
+  }
+
+  next() {
+    return this.tokens[this.pos++] || null;
+  }
+
+  isKeyword(token, keyword) {
+    return !!token && token.type === 'keyword' && token.value === keyword;
+  }
+
+  isPunctuation(token, value) {
+    return !!token && token.type === 'punctuation' && token.value === value;
+  }
+
+  // `fixes` are quick fixes offered for the error, see queryFix
+  error(message, start, end, fixes = []) {
+    const error = new QuerySyntaxError(message, start, end);
+    error.fixes = fixes;
+    if (!this.recover) {
+      throw error;
+    }
+    this.errors.push(error);
+  }
+
+  // Records what the parser was looking for when it ran out of input. The
+  // innermost expectation wins, which is what completion needs.
+  expectAtEnd(kind, details = {}) {
+    if (!this.expected) {
+      this.expected = { kind, depth: this.depth, ...details };
+    }
+  }
+
+  incompleteAtEnd(token) {
+    const last = token || this.tokens[this.tokens.length - 1];
+    this.error('Incomplete expression at end of query', last.start, last.end);
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      this.expectAtEnd('field');
+      return null;
+    }
+
+    let ast = this.parseOr();
+    while (this.pos < this.tokens.length) {
+      // parseOr only stops early on a closing parenthesis without a partner
+      const token = this.next();
+      this.error('Unmatched closing parenthesis', token.start, token.end);
+      if (this.pos < this.tokens.length) {
+        ast = this.logical('AND', ast, this.parseOr());
+      }
+    }
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword(this.peek(), 'OR')) {
+      this.next();
+      left = this.logical('OR', left, this.parseAnd());
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      if (!token) {
+        // After a search word the query may also continue with another word
+        const last = this.rightmost(left);
+        if (last && last.type === 'Term') {
+          // A bare word might also be a field name the user is about to compare
+          const isName = !last.quoted && !last.value.endsWith('.') && (last.value.match(FIELD_PATH_PATTERN) || [])[0] === last.value;
+          this.expectAtEnd('term', { field: isName ? last.value : null });
+        } else {
+          this.expectAtEnd('logical');
+        }
+        break;
+      }
+      if (this.isKeyword(token, 'OR') || this.isPunctuation(token, ')')) {
+        break;
+      }
+      if (this.isKeyword(token, 'AND')) {
+        this.next();
+        left = this.logical('AND', left, this.parseUnary());
+        continue;
+      }
+
+      if (token.type === 'identifier' && /^(and|or)$/i.test(token.value)) {
+        const operator = token.value.toUpperCase();
+        this.error(`Logical operator must be uppercase. Use '${operator}' instead of '${token.value}'.`, token.start, token.end,
+          uppercaseFix(token.start, token.end, operator));
+        this.next();
+        left = this.logical(operator, left, this.parseUnary());
+        continue;
+      }
+
+      // Search words join the expressions around them with an implicit AND
+      if (this.canStartPrimary(token)) {
+        const right = this.parseUnary();
+        if (!this.isTerm(this.rightmost(left)) && !this.isTerm(this.leftmost(right)) && this.isComplete(left)) {
+          this.error(`Expected logical operator (AND/OR) after complete expression, but found '${token.value}'.`, token.start, token.end,
+            missingLogicalFixes(token.start));
+        }
+        left = this.logical('AND', left, right);
+        continue;
+      }
+
+      // An incomplete condition has already been reported, don't pile on
+      if (this.isComplete(left)) {
+        this.error(`Expected logical operator (AND/OR) after complete expression, but found '${token.value}'.`, token.start, token.end,
+          missingLogicalFixes(token.start));
+      }
+      this.synchronize();
+    }
+
+    return left;
+  }
+
+  // Whether a token can begin a condition, group or search word
+  canStartPrimary(token) {
+    return token.type === 'identifier' ||
+      token.type === 'word' ||
+      (QUERY_LITERAL_TYPES.includes(token.type) && token.type !== 'regex' && token.type !== 'unclosed-regex') ||
+      this.isKeyword(token, 'NOT') ||
+      this.isPunctuation(token, '(');
+  }
+
+  isTerm(node) {
+    return !!node && node.type === 'Term';
+  }
+
+  // The innermost node at the right/left edge of an expression
+  rightmost(node) {
+    if (node && node.type === 'Logical') return this.rightmost(node.right);
+    if (node && node.type === 'Not') return this.rightmost(node.expression);
+    return node;
+  }
+
+  leftmost(node) {
+    if (node && node.type === 'Logical') return this.leftmost(node.left);
+    return node;
+  }
+
+  // Skips tokens until something that can continue an expression
+  synchronize() {
+    while (this.pos < this.tokens.length) {
+      const token = this.peek();
+      if (this.canStartPrimary(token) || (token.type === 'keyword' && token.value !== 'IN') ||
+          this.isPunctuation(token, ')')) {
+        return;
+      }
+      this.pos++;
+    }
+  }
+
+  isComplete(node) {
+    if (!node || node.type === 'Error') return false;
+    if (node.type === 'Logical') return this.isComplete(node.right);
+    if (node.type === 'Not') return this.isComplete(node.expression);
+    if (node.type === 'Comparison') return !!node.operator && !!node.value;
+    return true;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (this.isKeyword(token, 'NOT') || this.isLowercaseNot(token)) {
+      if (token.value !== 'NOT') {
+        this.error(`NOT operator must be uppercase. Use 'NOT' instead of '${token.value}'.`, token.start, token.end,
+          uppercaseFix(token.start, token.end, 'NOT'));
+      }
+      this.next();
+
+      // Completion shouldn't offer a second NOT right after this one
+      if (!this.peek()) {
+        this.expectAtEnd('field', { negated: true });
+      }
+
+      const expression = this.parseUnary();
+      return {
+        type: 'Not',
+        expression,
+        start: token.start,
+        end: expression ? expression.end : token.end
+      };
+    }
+
+    return this.parsePrimary();
+  }
+
+  // A lowercase `not` is only treated as NOT when it is followed by a condition
+  isLowercaseNot(token) {
+    const following = this.tokens[this.pos + 1];
+    return !!token && token.type === 'identifier' && token.value.toLowerCase() === 'not' &&
+      !!following && (following.type === 'identifier' || this.isKeyword(following, 'NOT') || this.isPunctuation(following, '('));
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (!token) {
+      this.expectAtEnd('field');
+      this.incompleteAtEnd();
+      return null;
+    }
+
+    if (this.isPunctuation(token, '(')) {
+      return this.parseGroup();
+    }
+
+    if (token.type === 'identifier' && this.startsComparison()) {
+      return this.parseComparison();
+    }
+
+    if (token.type === 'identifier' || token.type === 'word' ||
+        (QUERY_LITERAL_TYPES.includes(token.type) && token.type !== 'regex' && token.type !== 'unclosed-regex')) {
+      return this.parseTerm();
+    }
+
+    if (this.isKeyword(token, 'AND') || this.isKeyword(token, 'OR')) {
+      // Leave the operator for the caller so parsing can continue after it
+      this.error('Incomplete expression before logical operator', token.start, token.end);
+      return this.errorNode(token);
+    }
+
+    if (this.isPunctuation(token, ')')) {
+      if (this.depth > 0) {
+        this.error('Incomplete expression before closing parenthesis', token.start, token.end);
+      }
+      return this.errorNode(token);
+    }
+
+    this.next();
+    if (this.isKeyword(token, 'IN')) {
+      this.error('IN operator without a preceding field name', token.start, token.end);
+      this.parseList(null, token);
+    } else if (token.type === 'operator') {
+      this.error('Operator without a preceding field name', token.start, token.end);
+      if (this.peek() && QUERY_LITERAL_TYPES.includes(this.peek().type)) {
+        this.next();
+      }
+    } else if (QUERY_LITERAL_TYPES.includes(token.type)) {
+      this.error(`Expected a field name or search text but found ${token.value}`, token.start, token.end);
+    } else if (token.type === 'invalid') {
+      this.error(`Unexpected character '${token.value}'`, token.start, token.end);
+    } else {
+      this.error(`Unexpected '${token.value}'`, token.start, token.end);
+    }
+    return this.errorNode(token);
+  }
+
+  parseGroup() {
+    const open = this.next();
+    this.depth++;
+    const expression = this.parseOr();
+    this.depth--;
+
+    const close = this.peek();
+    let end;
+    if (this.isPunctuation(close, ')')) {
+      this.next();
+      end = close.end;
+    } else {
+      this.error('Unclosed parentheses in expression', open.start, this.input.length);
+      end = expression ? expression.end : open.end;
+    }
+
+    return { type: 'Group', expression, start: open.start, end };
+  }
+
+  // Looks ahead from an identifier to tell a field comparison from a search word
+  startsComparison() {
+    const next = this.tokens[this.pos + 1];
+    if (!next) return false;
+    const afterNext = this.tokens[this.pos + 2];
+
+    if (next.type === 'operator' || this.isKeyword(next, 'IN')) {
+      return true;
+    }
+    // Lowercase `in` only counts when a list follows (`made in china` is text)
+    if (next.type === 'identifier' && next.value.toLowerCase() === 'in') {
+      return this.isPunctuation(afterNext, '[');
+    }
+    // `field NOT IN [...]`, while `urgent NOT spam` is two search words
+    if (this.isKeyword(next, 'NOT') || (next.type === 'identifier' && next.value.toLowerCase() === 'not')) {
+      return !afterNext || this.isKeyword(afterNext, 'IN') ||
+        (afterNext.type === 'identifier' && afterNext.value.toLowerCase() === 'in');
+    }
+    // A lowercase word operator only counts when a value follows (`name contains "x"`)
+    if (next.type === 'identifier') {
+      const wordOperator = matchWordOperator(this.input.slice(next.start), false);
+      if (wordOperator) {
+        const value = this.tokens.find(token => token.start >= next.start + wordOperator.length);
+        return !!value && QUERY_LITERAL_TYPES.includes(value.type);
+      }
+    }
+    return false;
+  }
+
+  parseTerm() {
+    const token = this.next();
+    if (token.type === 'unclosed-string') {
+      this.error('Unclosed string literal. Did you forget a closing quote?', token.start, token.end,
+        [queryFix('Add closing quote', token.end, token.end, '"')]);
+    }
+    const quoted = token.type === 'string' || token.type === 'unclosed-string';
+    return {
+      type: 'Term',
+      value: quoted ? unquoteQueryString(token.value) : token.value,
+      quoted,
+      start: token.start,
+      end: token.end
+    };
+  }
+
+  parseComparison() {
+    const fieldToken = this.next();
+    const field = { type: 'Field', name: fieldToken.value, start: fieldToken.start, end: fieldToken.end };
+    const node = {
+      type: 'Comparison',
+      field,
+      operator: null,
+      operatorRange: null,
+      value: null,
+      start: field.start,
+      end: field.end
+    };
+    const token = this.peek();
+
+    if (token.type === 'operator') {
+      this.next();
+      node.operator = token.value;
+      node.operatorRange = { start: token.start, end: token.end };
+      node.end = token.end;
+      node.value = this.parseOperand(field, token);
+    } else if (this.isKeyword(token, 'IN') || (token.type === 'identifier' && token.value.toLowerCase() === 'in')) {
+      if (token.value !== 'IN') {
+        this.error(`IN operator must be uppercase. Use 'IN' instead of '${token.value}'.`, token.start, token.end,
+          uppercaseFix(token.start, token.end, 'IN'));
+      }
+      this.next();
+      node.operator = 'IN';
+      node.operatorRange = { start: token.start, end: token.end };
+      node.end = token.end;
+      node.value = this.parseList(field, token);
+    } else if (this.isKeyword(token, 'NOT') || (token.type === 'identifier' && token.value.toLowerCase() === 'not')) {
+      this.parseNotIn(node, token);
+    } else {
+      // A lowercase word operator, startsComparison() has made sure there is one
+      const { operator, length } = matchWordOperator(this.input.slice(token.start), false);
+      const end = token.start + length;
+      this.error(`Operator must be uppercase. Use '${operator}' instead of '${this.input.slice(token.start, end)}'.`, token.start, end,
+        uppercaseFix(token.start, end, operator));
+      // The operator may span several tokens (e.g. `starts with`)
+      while (this.peek() && this.peek().end <= end) {
+        this.next();
+      }
+      node.operator = operator;
+      node.operatorRange = { start: token.start, end };
+      node.end = end;
+      node.value = this.parseOperand(field, { value: operator, start: token.start, end });
+    }
+
+    if (node.value) {
+      node.end = node.value.end;
+    }
+    return node;
+  }
+
+  // `field NOT IN [...]`, the only place NOT may follow a field name
+  parseNotIn(node, notToken) {
+    if (notToken.value !== 'NOT') {
+      this.error(`NOT operator must be uppercase. Use 'NOT' instead of '${notToken.value}'.`, notToken.start, notToken.end,
+        uppercaseFix(notToken.start, notToken.end, 'NOT'));
+    }
+    this.next();
+
+    const token = this.peek();
+    if (!token) {
+      this.expectAtEnd('operator', { field: node.field.name, negated: true });
+      this.incompleteAtEnd(notToken);
+      return;
+    }
+    if (token.value !== 'IN') {
+      this.error(`IN operator must be uppercase. Use 'IN' instead of '${token.value}'.`, token.start, token.end,
+        uppercaseFix(token.start, token.end, 'IN'));
+    }
+    this.next();
+
+    node.operator = 'NOT IN';
+    node.operatorRange = { start: notToken.start, end: token.end };
+    node.end = token.end;
+    node.value = this.parseList(node.field, token);
+  }
+
+  // The right-hand side of a comparison operator, a pair of bounds for range operators
+  parseOperand(field, operatorToken) {
+    const definition = findQueryOperator(operatorToken.value);
+    return definition && definition.range
+      ? this.parseRange(field, operatorToken)
+      : this.parseValue(field, operatorToken);
+  }
+
+  // `field BETWEEN lower AND upper`, the AND belongs to the operator rather than joining conditions
+  parseRange(field, operatorToken) {
+    const lower = this.parseValue(field, operatorToken);
+    if (!lower) {
+      return null;
+    }
+
+    let separator = this.peek();
+    if (!separator) {
+      this.expectAtEnd('range-separator', { field: field.name, operator: operatorToken.value });
+      this.incompleteAtEnd(lower);
+      return null;
+    }
+    if (this.isKeyword(separator, 'AND') || (separator.type === 'identifier' && separator.value.toLowerCase() === 'and')) {
+      if (separator.value !== 'AND') {
+        this.error(`Logical operator must be uppercase. Use 'AND' instead of '${separator.value}'.`, separator.start, separator.end,
+          uppercaseFix(separator.start, separator.end, 'AND'));
+      }
+      this.next();
+    } else if (QUERY_LITERAL_TYPES.includes(separator.type)) {
+      // Keep going with the upper bound so it isn't reported a second time
+      this.error(`Expected AND between the bounds of ${operatorToken.value}`, separator.start, separator.end,
+        [queryFix('Insert AND', separator.start, separator.start, 'AND ')]);
+      separator = { value: operatorToken.value, start: lower.start, end: lower.end };
+    } else {
+      this.error(`Expected AND and an upper bound after '${lower.raw}'`, lower.start, lower.end);
+      return null;
+    }
+
+    const upper = this.parseValue(field, separator, { operator: operatorToken.value, lower: lower.value });
+    if (!upper) {
+      return null;
+    }
+    return { type: 'Range', lower, upper, start: lower.start, end: upper.end };
+  }
+
+  parseValue(field, operatorToken, expected = {}) {
+    const token = this.peek();
+
+    if (!token) {
+      this.expectAtEnd('value', { field: field.name, operator: operatorToken.value, ...expected });
+      this.incompleteAtEnd(operatorToken);
+      return null;
+    }
+
+    if (QUERY_LITERAL_TYPES.includes(token.type) || this.isRelativeDateToken(token)) {
+      this.next();
+      return this.literal(token);
+    }
+
+    if (this.isKeyword(token, 'AND') || this.isKeyword(token, 'OR')) {
+      this.error('Incomplete expression before logical operator', token.start, token.end);
+    } else if (token.type === 'identifier') {
+      this.next();
+      this.error(`Expected a value after '${operatorToken.value}' but found '${token.value}'. String values must be quoted.`, token.start, token.end);
+    } else {
+      this.error(`Missing value after operator '${operatorToken.value}'`, operatorToken.start, operatorToken.end);
+    }
+    return null;
+  }
+
+  // Relative dates are unquoted words, they only count as values after an operator
+  isRelativeDateToken(token) {
+    return (token.type === 'identifier' || token.type === 'word') && isRelativeDate(token.value);
+  }
+
+  parseList(field, inToken) {
+    const fieldName = field ? field.name : null;
+    const open = this.peek();
+
+    if (!open) {
+      this.expectAtEnd('value', { field: fieldName, operator: 'IN' });
+      this.incompleteAtEnd(inToken);
+      return null;
+    }
+    if (!this.isPunctuation(open, '[')) {
+      this.error('Expected a list in square brackets after IN', inToken.start, inToken.end);
+      return null;
+    }
+    this.next();
+
+    const list = { type: 'List', items: [], start: open.start, end: open.end };
+    let expectingValue = true;
+
+    for (;;) {
+      const token = this.peek();
+
+      if (!token) {
+        this.expectAtEnd(expectingValue ? 'list-value' : 'list-separator', {
+          field: fieldName,
+          values: list.items.map(item => item.value)
+        });
+        this.error('Unclosed IN list. Did you forget a closing bracket?', open.start, this.input.length);
+        break;
+      }
+
+      if (this.isPunctuation(token, ']')) {
+        this.next();
+        if (expectingValue && list.items.length > 0) {
+          this.error('Trailing comma in IN list', token.start, token.end);
+        }
+        list.end = token.end;
+        return list;
+      }
+
+      if (this.isPunctuation(token, '[')) {
+        this.next();
+        this.error('Unexpected opening bracket inside IN list', token.start, token.end);
+      } else if (QUERY_LITERAL_TYPES.includes(token.type)) {
+        this.next();
+        if (!expectingValue) {
+          const previous = list.items[list.items.length - 1];
+          this.error('Missing comma between list values', token.start, token.end,
+            previous ? [queryFix('Insert comma', previous.end, previous.end, ',')] : []);
+        }
+        list.items.push(this.literal(token));
+        expectingValue = false;
+      } else if (this.isPunctuation(token, ',')) {
+        this.next();
+        if (expectingValue) {
+          this.error('Missing value before comma in IN list', token.start, token.end);
+        }
+        expectingValue = true;
+      } else if (token.type === 'identifier') {
+        this.next();
+        this.error(`Expected a value in IN list but found '${token.value}'. String values must be quoted.`, token.start, token.end);
+        expectingValue = false;
+      } else {
+        this.error('Unclosed IN list. Did you forget a closing bracket?', open.start, token.start);
+        break;
+      }
+
+      list.end = token.end;
+    }
+
+    return list;
+  }
+
+  literal(token) {
+    let value;
+    let valueType = token.type;
+
+    let flags;
+
+    if (token.type === 'string' || token.type === 'unclosed-string') {
+      if (token.type === 'unclosed-string') {
+        this.error('Unclosed string literal. Did you forget a closing quote?', token.start, token.end,
+          [queryFix('Add closing quote', token.end, token.end, '"')]);
+      }
+      valueType = 'string';
+      value = unquoteQueryString(token.value);
+    } else if (token.type === 'regex' || token.type === 'unclosed-regex') {
+      if (token.type === 'unclosed-regex') {
+        this.error('Unclosed regular expression. Did you forget a closing slash?', token.start, token.end,
+          [queryFix('Add closing slash', token.end, token.end, '/')]);
+      }
+      const closingSlash = token.type === 'regex' ? token.value.lastIndexOf('/') : token.value.length;
+      valueType = 'regex';
+      value = token.value.slice(1, closingSlash);
+      flags = token.value.slice(closingSlash + 1);
+    } else if (this.isRelativeDateToken(token)) {
+      valueType = 'date';
+      value = token.value;
+    } else if (token.type === 'number') {
+      value = parseFloat(token.value);
+    } else if (token.type === 'boolean') {
+      value = token.value.toLowerCase() === 'true';
+    } else {
+      value = null;
+    }
+
+    const literal = {
+      type: 'Literal',
+      valueType,
+      value,
+      raw: token.value,
+      unclosed: token.type === 'unclosed-string' || token.type === 'unclosed-regex',
+      start: token.start,
+      end: token.end
+    };
+    if (flags !== undefined) {
+      literal.flags = flags;
+    }
+    return literal;
+  }
+
+  logical(operator, left, right) {
+    if (!left) return right;
+    if (!right) return left;
+    return { type: 'Logical', operator, left, right, start: left.start, end: right.end };
+  }
+
+  errorNode(token) {
+    return { type: 'Error', start: token.start, end: token.end };
+  }
+}
+
+/**
+ * Parses a query into an AST
+ * @param {string} input The query text
+ * @param {object} [options] Parser options
+ * @param {boolean} [options.recover=false] Collect errors and keep parsing instead of throwing
+ * @returns {object} { ast, tokens, errors, expected } where `expected` describes what
+ *   the parser was looking for when the input ended (used for completion)
+ * @throws {QuerySyntaxError} On the first error when not recovering
+ */
+function parseQuery(input, { recover = false } = {}) {
+  const parser = new QueryParser(input || '', { recover });
+  const ast = parser.parse();
+  return {
+    ast,
+    tokens: parser.tokens,
+    errors: parser.errors,
+    expected: parser.expected
+  };
+}
+
+/**
+ * Calls `visit` for every node of the AST in source order
+ * @param {object} node The AST root
+ * @param {function} visit Callback receiving (node, parent)
+ */
+function walkQuery(node, visit, parent = null) {
+  if (!node) return;
+  visit(node, parent);
+  switch (node.type) {
+    case 'Logical':
+      walkQuery(node.left, visit, node);
+      walkQuery(node.right, visit, node);
+      break;
+    case 'Not':
+    case 'Group':
+      walkQuery(node.expression, visit, node);
+      break;
+    case 'Comparison':
+      walkQuery(node.field, visit, node);
+      walkQuery(node.value, visit, node);
+      break;
+    case 'List':
+      node.items.forEach(item => walkQuery(item, visit, node));
+      break;
+    case 'Range':
+      walkQuery(node.lower, visit, node);
+      walkQuery(node.upper, visit, node);
+      break;
+  }
+}
+
+// Helper function to check if value is null/undefined/empty
+function isNullishValue(val) {
+  return val === null || val === undefined || val === '';
+}
+
+/**
+ * Applies a single comparison to a record value
+ * @param {*} objValue The value read from the record
+ * @param {string} operator The comparison operator
+ * @param {*} value The literal value (an array for IN, a [lower, upper] pair for BETWEEN)
+ * @returns {boolean} Whether the comparison holds
+ */
+function applyComparison(objValue, operator, value) {
+  switch (operator) {
+    case '=':
+      // Handle NULL comparison specially
+      if (value === null) return isNullishValue(objValue);
+      if (isNullishValue(objValue)) return false;
+      // Array fields match when they contain the value
+      if (Array.isArray(objValue)) return objValue.some(item => queryValuesEqual(item, value));
+      return queryValuesEqual(objValue, value);
+
+    case '!=':
+      if (value === null) return !isNullishValue(objValue);
+      if (isNullishValue(objValue)) return true;
+      if (Array.isArray(objValue)) return !objValue.some(item => queryValuesEqual(item, value));
+      return !queryValuesEqual(objValue, value);
+
+    case 'IN':
+      // Handle NULL in the list specially
+      if (value.includes(null) && isNullishValue(objValue)) return true;
+      if (isNullishValue(objValue)) return false;
+      if (Array.isArray(objValue)) {
+        return objValue.some(item => value.some(v => v !== null && item == v));
+      }
+      return value.some(v => v !== null && objValue == v);
+
+    case 'NOT IN':
+      return !applyComparison(objValue, 'IN', value);
+
+    case 'BETWEEN': {
+      // Both bounds are inclusive, array fields match when any of their items is in range
+      if (Array.isArray(objValue)) return objValue.some(item => applyComparison(item, operator, value));
+      if (isNullishValue(objValue)) return false;
+      const fromLower = compareQueryValues(objValue, value[0]);
+      const toUpper = compareQueryValues(objValue, value[1]);
+      return fromLower !== null && toUpper !== null && fromLower >= 0 && toUpper <= 0;
+    }
+
+    default: {
+      // Ordering and string matching operators come from the shared operator table
+      const definition = findQueryOperator(operator);
+      if (!definition || isNullishValue(objValue) || value === null) return false;
+      if (definition.match) {
+        // Array fields match when any of their items does
+        const items = Array.isArray(objValue) ? objValue : [objValue];
+        return items.some(item => !isNullishValue(item) && definition.match(String(item), value));
+      }
+      if (!definition.test) return false;
+      if (Array.isArray(objValue)) return objValue.some(item => applyComparison(item, operator, value));
+      const order = compareQueryValues(objValue, value);
+      return order !== null && definition.test(order);
+    }
+  }
+}
+
+// Prepared operator values (LIKE patterns, regular expressions, resolved dates) per Comparison node
+const compiledQueryValues = new WeakMap();
+
+// Relative dates resolve to the instant the query is compiled at, date-only ISO strings to their day
+function literalValue(literal) {
+  if (literal.valueType === 'date') return resolveRelativeDate(literal.value);
+  return (literal.valueType === 'string' && toQueryDay(literal.value)) || literal.value;
+}
+
+// The value a comparison is evaluated with, compiled once per node where the operator needs it
+function comparisonValue(node) {
+  if (node.value.type === 'List') {
+    return node.value.items.map(item => item.value);
+  }
+  if (node.value.type === 'Range') {
+    if (!compiledQueryValues.has(node)) {
+      compiledQueryValues.set(node, [literalValue(node.value.lower), literalValue(node.value.upper)]);
+    }
+    return compiledQueryValues.get(node);
+  }
+
+  const definition = findQueryOperator(node.operator);
+  // String matching operators compare text, the others compare dates as well
+  const compile = definition && definition.match ? definition.compile : literalValue;
+  if (!compile || node.value.value === null) {
+    return node.value.value;
+  }
+  if (!compiledQueryValues.has(node)) {
+    compiledQueryValues.set(node, compile(node.value));
+  }
+  return compiledQueryValues.get(node);
+}
+
+// Free-text terms match when any field value contains them (case-insensitive),
+// including the values of nested objects and arrays
+function containsText(value, needle) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.values(value).some(child => containsText(child, needle));
+  }
+  return String(value).toLowerCase().includes(needle);
+}
+
+function matchesTerm(obj, term) {
+  return containsText(obj, term.toLowerCase());
+}
+
+/**
+ * Evaluates a parsed query against a record
+ * @param {object|null} node The AST produced by parseQuery
+ * @param {object} obj The record to test
+ * @param {object} [options] Evaluation options
+ * @param {object} [options.fieldNames] The field name definitions, field aliases
+ *   read the field they stand for
+ * @returns {boolean} Whether the record matches
+ */
+function evaluateQuery(node, obj, options = {}) {
+  if (!node) return true;
+
+  switch (node.type) {
+    case 'Logical':
+      return node.operator === 'AND'
+        ? evaluateQuery(node.left, obj, options) && evaluateQuery(node.right, obj, options)
+        : evaluateQuery(node.left, obj, options) || evaluateQuery(node.right, obj, options);
+
+    case 'Not':
+      return !evaluateQuery(node.expression, obj, options);
+
+    case 'Group':
+      return evaluateQuery(node.expression, obj, options);
+
+    case 'Comparison': {
+      // Missing fields are treated as null/undefined, paths into arrays yield all matching values
+      const name = options.fieldNames ? resolveFieldName(options.fieldNames, node.field.name) : node.field.name;
+      const objValue = readFieldPath(obj, name);
+      return applyComparison(objValue, node.operator, comparisonValue(node));
+    }
+
+    case 'Term':
+      return matchesTerm(obj, node.value);
+
+    default:
+      throw new Error(`Cannot evaluate ${node.type} node`);
+  }
+}
+
+/**
+ * Compiles a query string into a predicate over records
+ * @param {string} query The query text
+ * @param {object} [options] Compilation options
+ * @param {object} [options.fieldNames] The field name definitions, used to resolve field aliases
+ * @returns {function(object): boolean} The record predicate
+ * @throws {QuerySyntaxError} If the query is invalid
+ */
+function compileQuery(query, options = {}) {
+  const { ast } = parseQuery(query);
+
+  // Prepare operator values up front so an invalid pattern fails here, not per record
+  walkQuery(ast, node => {
+    if (node.type === 'Comparison') {
+      try {
+        comparisonValue(node);
+      } catch (error) {
+        throw new QuerySyntaxError(error.message, node.value.start, node.value.end);
+      }
+    }
+  });
+
+  return obj => evaluateQuery(ast, obj, options);
+}
+
+/**
+ * Translators from the query language to backend filters.
+ *
+ * Each translator takes a query string or an AST produced by parseQuery and
+ * emits the same filter for a backend, so a server can apply what the user
+ * typed: a parameterized SQL WHERE clause, a MongoDB filter document, an OData
+ * `$filter` expression or an Elasticsearch query.
+ *
+ * All translators accept these options:
+ * - `fieldMap`: maps query field names to backend names, either an object
+ *   (`{ 'address.city': 'city' }`) or a function `name => backendName`;
+ *   unmapped fields keep their query name
+ * - `searchFields`: the query fields that free-text search terms are matched against
+ * - `fieldNames`: the field name definitions, field aliases are translated as
+ *   the field they stand for before `fieldMap` applies, and ISO strings
+ *   compared with `date` fields are sent as dates
+ * - `now`: the instant relative dates such as `now-7d` are resolved against,
+ *   the time of the call by default
+ *
+ * Relative dates are resolved once per translation, so all of them in a query
+ * agree on `now`. A date without a time
+ * stands for the whole local day, as in the evaluator, so comparisons with it
+ * become comparisons with the day's bounds.
+ */
+
+/**
+ * Error thrown when a query uses something a backend has no equivalent for
+ */
+class QueryTranslationError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = 'QueryTranslationError';
+    this.start = start;
+    this.end = end;
+  }
+}
+
+// The AST of a query given either as text or already parsed
+function translationAst(query) {
+  return typeof query === 'string' ? parseQuery(query).ast : query;
+}
+
+// Backend name of a query field
+function mappedFieldName(queryName, { fieldMap, fieldNames } = {}) {
+  const name = fieldNames ? resolveFieldName(fieldNames, queryName) : queryName;
+  const mapped = typeof fieldMap === 'function'
+    ? fieldMap(name)
+    : fieldMap && findFieldDefinition(fieldMap, name);
+  return mapped || name;
+}
+
+// The options of one translation, with the instant its relative dates resolve against
+function translationOptions(options) {
+  return { ...options, now: options.now || new Date() };
+}
+
+// The value of a literal as sent to a backend, relative dates become Date objects
+function translatedValue(literal, now) {
+  if (literal.valueType !== 'date') return literal.value;
+  return literal.value instanceof Date ? literal.value : resolveRelativeDate(literal.value, now);
+}
+
+// Whether a query field is declared with type 'date'
+function isDateField(fieldNode, { fieldNames } = {}) {
+  const definition = fieldNames && findFieldDefinition(fieldNames, resolveFieldName(fieldNames, fieldNode.name));
+  return !!definition && definition.type === 'date';
+}
+
+// Rewrites a comparison of a date field with ISO strings into comparisons with dates,
+// a date without a time into comparisons with the bounds of its day
+function resolveDateComparison(node, options) {
+  const ordered = ['=', '!=', '>', '<', '>=', '<=', 'BETWEEN'];
+  if (!ordered.includes(node.operator) || !isDateField(node.field, options)) {
+    return node;
+  }
+
+  const isoString = literal => literal.valueType === 'string' && isIsoDate(literal.value);
+  const compare = (operator, literal, date) => ({ ...node, operator, value: { ...literal, valueType: 'date', value: date } });
+  const and = (left, right) => ({ type: 'Logical', operator: 'AND', left, right, start: node.start, end: node.end });
+  const both = (left, right) => ({ type: 'Group', start: node.start, end: node.end, expression: and(left, right) });
+
+  if (node.value.type === 'Range') {
+    const { lower, upper } = node.value;
+    if (!isoString(lower) && !isoString(upper)) return node;
+    const lowerDate = isoString(lower) ? parseIsoDate(lower.value) : translatedValue(lower, options.now);
+    const upperDay = isoString(upper) && toQueryDay(upper.value);
+    return both(
+      compare('>=', lower, lowerDate),
+      upperDay ? compare('<', upper, upperDay.end) : compare('<=', upper, isoString(upper) ? parseIsoDate(upper.value) : translatedValue(upper, options.now))
+    );
+  }
+
+  const literal = node.value;
+  if (literal.type !== 'Literal' || !isoString(literal)) return node;
+  const day = toQueryDay(literal.value);
+  if (!day) return compare(node.operator, literal, parseIsoDate(literal.value));
+  switch (node.operator) {
+    case '=':
+      return both(compare('>=', literal, day.start), compare('<', literal, day.end));
+    case '!=':
+      return { type: 'Not', start: node.start, end: node.end, expression: and(compare('>=', literal, day.start), compare('<', literal, day.end)) };
+    case '>':
+      return compare('>=', literal, day.end);
+    case '>=':
+      return compare('>=', literal, day.start);
+    case '<':
+      return compare('<', literal, day.start);
+    default:
+      return compare('<', literal, day.end);
+  }
+}
+
+// Escapes text for use inside a regular expression
+function escapeRegExpText(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Fields searched by free-text terms, a backend without a catch-all search needs them
+function requireSearchFields(node, options, backend) {
+  const fields = options.searchFields || [];
+  if (fields.length === 0) {
+    throw new QueryTranslationError(`Free-text search needs the searchFields option to translate to ${backend}`, node.start, node.end);
+  }
+  return fields;
+}
+
+function unsupportedOperator(node, backend) {
+  return new QueryTranslationError(`Operator ${node.operator} cannot be translated to ${backend}`, node.operatorRange.start, node.operatorRange.end);
+}
+
+// Walks the logical structure of a query, leaving comparisons and search terms to the backend.
+// Backends learn whether a comparison is under an odd number of NOTs.
+function translateLogical(node, backend, options, negated = false) {
+  switch (node.type) {
+    case 'Logical':
+      return backend.logical(
+        node.operator,
+        translateLogical(node.left, backend, options, negated),
+        translateLogical(node.right, backend, options, negated),
+        node
+      );
+    case 'Not':
+      return backend.not(translateLogical(node.expression, backend, options, !negated));
+    case 'Group':
+      return backend.group(translateLogical(node.expression, backend, options, negated));
+    case 'Comparison': {
+      const resolved = resolveDateComparison(node, options);
+      return resolved === node ? backend.comparison(node, negated) : translateLogical(resolved, backend, options, negated);
+    }
+    case 'Term':
+      return backend.term(node, negated);
+    default:
+      throw new QueryTranslationError(`Cannot translate ${node.type} node`, node.start, node.end);
+  }
+}
+
+/**
+ * Translates a query into a parameterized SQL WHERE clause
+ * @param {string|object} query The query text or its AST
+ * @param {object} [options] Translation options (see the module comment)
+ * @param {function(number): string} [options.placeholder] Placeholder for the nth parameter,
+ *   `?` by default (use `n => '$' + n` for PostgreSQL)
+ * @param {function(string): string} [options.quoteIdentifier] Quotes one part of a column name,
+ *   ANSI double quotes by default
+ * @param {function(string, string, string): string} [options.regex] Builds a regular expression
+ *   match from (column, placeholder, flags), required for MATCHES since SQL has no standard syntax
+ * @returns {object} { sql, params }, `sql` is empty for an empty query
+ * @throws {QuerySyntaxError|QueryTranslationError} If the query is invalid or can't be translated
+ */
+function toSqlWhere(query, options = {}) {
+  options = translationOptions(options);
+  const {
+    placeholder = () => '?',
+    quoteIdentifier = name => `"${name.replace(/"/g, '""')}"`,
+    regex
+  } = options;
+  const params = [];
+
+  function param(value) {
+    params.push(value);
+    return placeholder(params.length);
+  }
+
+  function column(field) {
+    const name = mappedFieldName(field.name, options);
+    if (name.includes('[*]')) {
+      throw new QueryTranslationError(`Field '${field.name}' reads an array, map it to a column with fieldMap`, field.start, field.end);
+    }
+    return name.split('.').map(quoteIdentifier).join('.');
+  }
+
+  // A condition on a column that is false rather than NULL for missing values, so that
+  // NOT keeps records without a value as the evaluator does
+  function known(col, sql, negated) {
+    return negated ? `(${sql} AND ${col} IS NOT NULL)` : sql;
+  }
+
+  // Case-insensitive LIKE, `!` escapes the wildcards of literal text
+  function like(col, pattern) {
+    return `LOWER(${col}) LIKE ${param(pattern.toLowerCase())} ESCAPE '!'`;
+  }
+
+  function likeText(value) {
+    return String(value).replace(/[!%_]/g, '!$&');
+  }
+
+  function list(node, col, negated) {
+    const values = node.value.items.map(item => translatedValue(item, options.now));
+    const present = values.filter(value => value !== null);
+    const hasNull = present.length < values.length;
+    const placeholders = present.map(value => param(value)).join(', ');
+
+    if (node.operator === 'IN') {
+      if (present.length === 0) return hasNull ? `${col} IS NULL` : '1 = 0';
+      return hasNull ? `(${col} IN (${placeholders}) OR ${col} IS NULL)` : known(col, `${col} IN (${placeholders})`, negated);
+    }
+    // NOT IN keeps missing values unless NULL is listed
+    if (present.length === 0) return hasNull ? `${col} IS NOT NULL` : '1 = 1';
+    return hasNull ? known(col, `${col} NOT IN (${placeholders})`, negated) : `(${col} NOT IN (${placeholders}) OR ${col} IS NULL)`;
+  }
+
+  const backend = {
+    logical(operator, left, right, node) {
+      const wrap = (sql, child) => (child.type === 'Logical' && child.operator !== operator ? `(${sql})` : sql);
+      return `${wrap(left, node.left)} ${operator} ${wrap(right, node.right)}`;
+    },
+    not: sql => `NOT (${sql})`,
+    group: sql => `(${sql})`,
+    comparison(node, negated) {
+      const col = column(node.field);
+      const value = node.value.type === 'Literal' ? translatedValue(node.value, options.now) : null;
+      switch (node.operator) {
+        case '=':
+          return value === null ? `${col} IS NULL` : known(col, `${col} = ${param(value)}`, negated);
+        case '!=':
+          // Records without a value are "not equal" as well
+          return value === null ? `${col} IS NOT NULL` : `(${col} <> ${param(value)} OR ${col} IS NULL)`;
+        case '>':
+        case '<':
+        case '>=':
+        case '<=':
+          return known(col, `${col} ${node.operator} ${param(value)}`, negated);
+        case 'BETWEEN':
+          return known(col, `${col} BETWEEN ${param(translatedValue(node.value.lower, options.now))} AND ${param(translatedValue(node.value.upper, options.now))}`, negated);
+        case 'IN':
+        case 'NOT IN':
+          return list(node, col, negated);
+        case 'CONTAINS':
+          return known(col, like(col, `%${likeText(value)}%`), negated);
+        case 'STARTS WITH':
+          return known(col, like(col, `${likeText(value)}%`), negated);
+        case 'ENDS WITH':
+          return known(col, like(col, `%${likeText(value)}`), negated);
+        case 'LIKE':
+          return known(col, like(col, String(value).replace(/!/g, '!!')), negated);
+        case 'MATCHES':
+          if (!regex) throw unsupportedOperator(node, 'SQL without the regex option');
+          return known(col, regex(col, param(value), (node.value.flags || '').replace(/[gy]/g, '')), negated);
+        default:
+          throw unsupportedOperator(node, 'SQL');
+      }
+    },
+    term(node, negated) {
+      const fields = requireSearchFields(node, options, 'SQL');
+      const matches = fields.map(name => {
+        const col = column({ name, start: node.start, end: node.end });
+        return known(col, like(col, `%${likeText(node.value)}%`), negated);
+      });
+      return matches.length > 1 ? `(${matches.join(' OR ')})` : matches[0];
+    }
+  };
+
+  const ast = translationAst(query);
+  return { sql: ast ? translateLogical(ast, backend, options) : '', params };
+}
+
+/**
+ * Translates a query into a MongoDB filter document
+ * @param {string|object} query The query text or its AST
+ * @param {object} [options] Translation options (see the module comment). Without
+ *   `searchFields`, free-text terms use a `$text` search.
+ * @returns {object} The filter, `{}` for an empty query
+ * @throws {QuerySyntaxError|QueryTranslationError} If the query is invalid or can't be translated
+ */
+function toMongoFilter(query, options = {}) {
+  options = translationOptions(options);
+  // MongoDB matches array elements implicitly, so `[*]` can simply be dropped
+  function field(fieldNode) {
+    return mappedFieldName(fieldNode.name, options).replace(/\[\*\]/g, '');
+  }
+
+  const rangeOperators = { '>': '$gt', '<': '$lt', '>=': '$gte', '<=': '$lte' };
+
+  const backend = {
+    logical(operator, left, right) {
+      const key = operator === 'AND' ? '$and' : '$or';
+      // a AND b AND c becomes one $and instead of nested ones
+      const parts = [left, right].flatMap(part =>
+        Object.keys(part).length === 1 && part[key] ? part[key] : [part]
+      );
+      return { [key]: parts };
+    },
+    not: filter => ({ $nor: [filter] }),
+    group: filter => filter,
+    comparison(node) {
+      const name = field(node.field);
+      const value = node.value.type === 'Literal' ? translatedValue(node.value, options.now) : null;
+      switch (node.operator) {
+        case '=':
+          return { [name]: { $eq: value } };
+        case '!=':
+          return { [name]: { $ne: value } };
+        case '>':
+        case '<':
+        case '>=':
+        case '<=':
+          return { [name]: { [rangeOperators[node.operator]]: value } };
+        case 'BETWEEN':
+          return { [name]: { $gte: translatedValue(node.value.lower, options.now), $lte: translatedValue(node.value.upper, options.now) } };
+        case 'IN':
+          return { [name]: { $in: node.value.items.map(item => translatedValue(item, options.now)) } };
+        case 'NOT IN':
+          return { [name]: { $nin: node.value.items.map(item => translatedValue(item, options.now)) } };
+        case 'CONTAINS':
+          return { [name]: { $regex: escapeRegExpText(value), $options: 'i' } };
+        case 'STARTS WITH':
+          return { [name]: { $regex: `^${escapeRegExpText(value)}`, $options: 'i' } };
+        case 'ENDS WITH':
+          return { [name]: { $regex: `${escapeRegExpText(value)}$`, $options: 'i' } };
+        case 'LIKE':
+          return { [name]: { $regex: likePatternToRegExp(String(value)).source, $options: 'is' } };
+        case 'MATCHES':
+          // MongoDB knows the i, m, s and x options
+          return { [name]: { $regex: String(value), $options: (node.value.flags || '').replace(/[^imsx]/g, '') } };
+        default:
+          throw unsupportedOperator(node, 'MongoDB');
+      }
+    },
+    term(node) {
+      const fields = options.searchFields || [];
+      if (fields.length === 0) {
+        return { $text: { $search: `"${node.value.replace(/"/g, '')}"` } };
+      }
+      const matches = fields.map(name => ({
+        [field({ name })]: { $regex: escapeRegExpText(node.value), $options: 'i' }
+      }));
+      return matches.length > 1 ? { $or: matches } : matches[0];
+    }
+  };
+
+  const ast = translationAst(query);
+  return ast ? translateLogical(ast, backend, options) : {};
+}
+
+/**
+ * Translates a query into an OData `$filter` expression
+ * @param {string|object} query The query text or its AST
+ * @param {object} [options] Translation options (see the module comment)
+ * @returns {string} The filter expression, empty for an empty query
+ * @throws {QuerySyntaxError|QueryTranslationError} If the query is invalid or can't be translated
+ */
+function toODataFilter(query, options = {}) {
+  options = translationOptions(options);
+  function literal(value) {
+    if (value === null) return 'null';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
+    return String(value);
+  }
+
+  // Builds a predicate on a field path, `[*]` segments become any() lambdas
+  function onPath(fieldNode, predicate) {
+    function nest(segments, prefix, depth) {
+      const index = segments.findIndex(segment => segment.wildcard);
+      const names = segments.map(segment => segment.name);
+      if (index === -1) {
+        return predicate([prefix, ...names].filter(Boolean).join('/'));
+      }
+      const collection = [prefix, ...names.slice(0, index + 1)].filter(Boolean).join('/');
+      const variable = `x${depth}`;
+      return `${collection}/any(${variable}: ${nest(segments.slice(index + 1), variable, depth + 1)})`;
+    }
+    return nest(splitFieldPath(mappedFieldName(fieldNode.name, options)), '', 0);
+  }
+
+  // Text functions compare lowercase on both sides to stay case-insensitive
+  function textFunction(name, fieldNode, text) {
+    return onPath(fieldNode, path => `${name}(tolower(${path}), ${literal(String(text).toLowerCase())})`);
+  }
+
+  // LIKE patterns with wildcards only at the ends map to the text functions
+  function likePattern(fieldNode, pattern) {
+    const match = pattern.match(/^(%?)([^%_]*)(%?)$/);
+    if (!match) {
+      const source = likePatternToRegExp(pattern.toLowerCase()).source;
+      return onPath(fieldNode, path => `matchesPattern(tolower(${path}), ${literal(source)})`);
+    }
+    const [, leading, text, trailing] = match;
+    if (leading && trailing) return textFunction('contains', fieldNode, text);
+    if (trailing) return textFunction('startswith', fieldNode, text);
+    if (leading) return textFunction('endswith', fieldNode, text);
+    return onPath(fieldNode, path => `tolower(${path}) eq ${literal(text.toLowerCase())}`);
+  }
+
+  const comparisonOperators = { '=': 'eq', '!=': 'ne', '>': 'gt', '<': 'lt', '>=': 'ge', '<=': 'le' };
+
+  const backend = {
+    logical(operator, left, right, node) {
+      const keyword = operator.toLowerCase();
+      const wrap = (filter, child) => (child.type === 'Logical' && child.operator !== operator ? `(${filter})` : filter);
+      return `${wrap(left, node.left)} ${keyword} ${wrap(right, node.right)}`;
+    },
+    not: filter => `not (${filter})`,
+    group: filter => `(${filter})`,
+    comparison(node) {
+      const value = node.value.type === 'Literal' ? translatedValue(node.value, options.now) : null;
+      const wildcard = node.field.name.includes('[*]');
+      switch (node.operator) {
+        case '!=':
+          // An array is unequal when none of its items is equal
+          if (wildcard) return `not (${onPath(node.field, path => `${path} eq ${literal(value)}`)})`;
+          return onPath(node.field, path => `${path} ne ${literal(value)}`);
+        case '=':
+        case '>':
+        case '<':
+        case '>=':
+        case '<=':
+          return onPath(node.field, path => `${path} ${comparisonOperators[node.operator]} ${literal(value)}`);
+        case 'BETWEEN':
+          return onPath(node.field, path =>
+            `${path} ge ${literal(translatedValue(node.value.lower, options.now))} and ${path} le ${literal(translatedValue(node.value.upper, options.now))}`
+          );
+        case 'IN':
+        case 'NOT IN': {
+          const values = node.value.items.map(item => translatedValue(item, options.now));
+          const inList = onPath(node.field, path =>
+            (values.length > 0 ? `(${values.map(item => `${path} eq ${literal(item)}`).join(' or ')})` : 'false')
+          );
+          return node.operator === 'IN' ? inList : `not ${inList}`;
+        }
+        case 'CONTAINS':
+          return textFunction('contains', node.field, value);
+        case 'STARTS WITH':
+          return textFunction('startswith', node.field, value);
+        case 'ENDS WITH':
+          return textFunction('endswith', node.field, value);
+        case 'LIKE':
+          return likePattern(node.field, String(value));
+        case 'MATCHES':
+          if ((node.value.flags || '').replace(/[gy]/g, '')) {
+            throw new QueryTranslationError('Regular expression flags cannot be translated to OData', node.value.start, node.value.end);
+          }
+          return onPath(node.field, path => `matchesPattern(${path}, ${literal(String(value))})`);
+        default:
+          throw unsupportedOperator(node, 'OData');
+      }
+    },
+    term(node) {
+      const fields = requireSearchFields(node, options, 'OData');
+      const matches = fields.map(name => textFunction('contains', { name }, node.value));
+      return matches.length > 1 ? `(${matches.join(' or ')})` : matches[0];
+    }
+  };
+
+  const ast = translationAst(query);
+  return ast ? translateLogical(ast, backend, options) : '';
+}
+
+/**
+ * Translates a query into an Elasticsearch query
+ * @param {string|object} query The query text or its AST
+ * @param {object} [options] Translation options (see the module comment). Without
+ *   `searchFields`, free-text terms search the index's default fields.
+ * @returns {object} The query (the value of the request body's `query` key),
+ *   `match_all` for an empty query
+ * @throws {QuerySyntaxError|QueryTranslationError} If the query is invalid or can't be translated
+ */
+function toElasticsearchQuery(query, options = {}) {
+  options = translationOptions(options);
+  // Object arrays are flattened by Elasticsearch unless mapped as nested, so `[*]` is dropped
+  function field(fieldNode) {
+    return mappedFieldName(fieldNode.name, options).replace(/\[\*\]/g, '');
+  }
+
+  function value(item) {
+    return item instanceof Date ? item.toISOString() : item;
+  }
+
+  // Escapes text for wildcard queries
+  function wildcardText(text) {
+    return String(text).replace(/[*?\\]/g, '\\$&');
+  }
+
+  function wildcard(name, pattern) {
+    return { wildcard: { [name]: { value: pattern, case_insensitive: true } } };
+  }
+
+  function missing(name) {
+    return { bool: { must_not: [{ exists: { field: name } }] } };
+  }
+
+  // Lucene regular expressions always match the whole value and know no anchors
+  function regexpPattern(pattern) {
+    const anchoredStart = pattern.startsWith('^');
+    const anchoredEnd = /(^|[^\\])\$$/.test(pattern);
+    const body = pattern.slice(anchoredStart ? 1 : 0, anchoredEnd ? -1 : undefined);
+    return `${anchoredStart ? '' : '.*'}${body}${anchoredEnd ? '' : '.*'}`;
+  }
+
+  function inList(name, items) {
+    const values = items.map(item => value(translatedValue(item, options.now)));
+    const present = values.filter(item => item !== null);
+    const clauses = [];
+    if (present.length > 0) clauses.push({ terms: { [name]: present } });
+    if (present.length < values.length) clauses.push(missing(name));
+    if (clauses.length === 1) return clauses[0];
+    return { bool: { should: clauses, minimum_should_match: 1 } };
+  }
+
+  const rangeOperators = { '>': 'gt', '<': 'lt', '>=': 'gte', '<=': 'lte' };
+
+  const backend = {
+    logical(operator, left, right) {
+      const key = operator === 'AND' ? 'filter' : 'should';
+      // a AND b AND c becomes one bool query instead of nested ones
+      const parts = [left, right].flatMap(part => {
+        const bool = part.bool;
+        const keys = bool ? Object.keys(bool).filter(k => k !== 'minimum_should_match') : [];
+        return keys.length === 1 && keys[0] === key ? bool[key] : [part];
+      });
+      return { bool: operator === 'AND' ? { filter: parts } : { should: parts, minimum_should_match: 1 } };
+    },
+    not: clause => ({ bool: { must_not: [clause] } }),
+    group: clause => clause,
+    comparison(node) {
+      const name = field(node.field);
+      const literal = node.value.type === 'Literal' ? value(translatedValue(node.value, options.now)) : null;
+      switch (node.operator) {
+        case '=':
+          return literal === null ? missing(name) : { term: { [name]: literal } };
+        case '!=':
+          return literal === null ? { exists: { field: name } } : { bool: { must_not: [{ term: { [name]: literal } }] } };
+        case '>':
+        case '<':
+        case '>=':
+        case '<=':
+          return { range: { [name]: { [rangeOperators[node.operator]]: literal } } };
+        case 'BETWEEN':
+          return {
+            range: {
+              [name]: { gte: value(translatedValue(node.value.lower, options.now)), lte: value(translatedValue(node.value.upper, options.now)) }
+            }
+          };
+        case 'IN':
+          return inList(name, node.value.items);
+        case 'NOT IN':
+          return { bool: { must_not: [inList(name, node.value.items)] } };
+        case 'CONTAINS':
+          return wildcard(name, `*${wildcardText(literal)}*`);
+        case 'STARTS WITH':
+          return { prefix: { [name]: { value: String(literal), case_insensitive: true } } };
+        case 'ENDS WITH':
+          return wildcard(name, `*${wildcardText(literal)}`);
+        case 'LIKE':
+          return wildcard(name, String(literal)
+            .split('')
+            .map(ch => (ch === '%' ? '*' : ch === '_' ? '?' : wildcardText(ch)))
+            .join(''));
+        case 'MATCHES':
+          return {
+            regexp: {
+              [name]: { value: regexpPattern(String(literal)), case_insensitive: (node.value.flags || '').includes('i') }
+            }
+          };
+        default:
+          throw unsupportedOperator(node, 'Elasticsearch');
+      }
+    },
+    term(node) {
+      const match = { query: node.value, type: 'phrase' };
+      if (options.searchFields && options.searchFields.length > 0) {
+        match.fields = options.searchFields.map(name => field({ name }));
+      }
+      return { multi_match: match };
+    }
+  };
+
+  const ast = translationAst(query);
+  return ast ? translateLogical(ast, backend, options) : { match_all: {} };
+}
+
+/**
+ * Formatter for the query language.
+ *
+ * Prints a query in its canonical form: single spaces around operators,
+ * uppercase keywords, `IN [a, b]` lists and only the parentheses that change
+ * the meaning. Search words joined by an implicit AND stay without one.
+ */
+
+// Binding strength of each position, a node needs parentheses inside a stronger one
+const QUERY_PRECEDENCE = { OR: 1, AND: 2, NOT: 3 };
+
+/**
+ * Formats a query into its canonical form
+ * @param {string} query The query text
+ * @returns {string} The formatted query, empty for an empty query
+ * @throws {QuerySyntaxError} If the query is invalid; keywords in the wrong case
+ *   are not an error here, formatting fixes them
+ */
+function formatQuery(query) {
+  const { ast, errors } = parseQuery(query, { recover: true });
+  const error = errors.find(e => !/must be uppercase/.test(e.message));
+  if (error) {
+    throw error;
+  }
+  return ast ? formatQueryNode(ast, query, 0) : '';
+}
+
+function formatQueryNode(node, source, parentPrecedence) {
+  switch (node.type) {
+    case 'Logical': {
+      const precedence = QUERY_PRECEDENCE[node.operator];
+      const left = formatQueryNode(node.left, source, precedence);
+      const right = formatQueryNode(node.right, source, precedence);
+      // Nothing but whitespace between the operands: an implicit AND between search words
+      const implicit = source.slice(node.left.end, node.right.start).trim() === '';
+      const text = implicit ? `${left} ${right}` : `${left} ${node.operator} ${right}`;
+      return precedence < parentPrecedence ? `(${text})` : text;
+    }
+    case 'Not':
+      return `NOT ${formatQueryNode(node.expression, source, QUERY_PRECEDENCE.NOT)}`;
+    case 'Group':
+      // Parentheses are added back by the enclosing node where they are needed
+      return formatQueryNode(node.expression, source, parentPrecedence);
+    case 'Comparison':
+      return `${node.field.name} ${node.operator} ${formatQueryValue(node.value, source)}`;
+    default:
+      // Search words are kept as written
+      return source.slice(node.start, node.end);
+  }
+}
+
+function formatQueryValue(node, source) {
+  switch (node.type) {
+    case 'List':
+      return `[${node.items.map(item => formatQueryValue(item, source)).join(', ')}]`;
+    case 'Range':
+      return `${formatQueryValue(node.lower, source)} AND ${formatQueryValue(node.upper, source)}`;
+    default:
+      return formatQueryLiteral(node);
+  }
+}
+
+function formatQueryLiteral(literal) {
+  if (literal.valueType === 'boolean') {
+    return String(literal.value);
+  }
+  if (literal.valueType === 'null') {
+    return 'NULL';
+  }
+  return literal.raw;
+}
+
+/**
+ * Sets up the document formatting provider
+ * @param {object} monaco The Monaco editor instance
+ * @param {object} options Configuration options
+ * @param {string} options.languageId The language ID
+ * @returns {object} The disposable provider
+ */
+function setupFormattingProvider(monaco, { languageId }) {
+  return monaco.languages.registerDocumentFormattingEditProvider(languageId, {
+    provideDocumentFormattingEdits: (model) => {
+      const text = model.getValue();
+      let formatted;
+      try {
+        formatted = formatQuery(text);
+      } catch (error) {
+        // Invalid queries are left alone, validation already marks the problem
+        return [];
+      }
+      if (formatted === text) {
+        return [];
+      }
+      return [{ range: model.getFullModelRange(), text: formatted }];
+    }
+  });
+}
+
+/**
+ * Hover provider for the query language.
+ *
+ * Hovering a field shows its definition (label, type, description, aliases,
+ * allowed values and range) and, when the editor knows the records it filters,
+ * statistics over them. Hovering an allowed value shows its description.
+ * Operators, logical keywords and relative dates explain themselves.
+ */
+
+// Records filtered by each editor model, as functions returning the current records
+const queryDataSources = new WeakMap();
+
+const QUERY_KEYWORD_DOCS = {
+  AND: 'Matches when both conditions match. `AND` binds tighter than `OR`.',
+  OR: 'Matches when either condition matches.',
+  NOT: 'Matches when the following condition does not.'
+};
+
+/**
+ * Connects an editor model to the records its query filters, field hovers then
+ * include statistics over them
+ * @param {object} model The editor model
+ * @param {function(): object[]} getData Returns the current records
+ */
+function setQueryDataSource(model, getData) {
+  queryDataSources.set(model, getData);
+}
+
+// Distinct and empty counts (and the bounds of number and date fields) over the records
+function fieldStatistics(records, name, type) {
+  const distinct = new Set();
+  let empty = 0;
+  let min = null;
+  let max = null;
+
+  records.forEach(record => {
+    const value = readFieldPath(record, name);
+    const values = (Array.isArray(value) ? value : [value])
+      .filter(item => item !== null && item !== undefined && item !== '');
+    if (values.length === 0) {
+      empty++;
+      return;
+    }
+    values.forEach(item => {
+      const comparable = type === 'date' ? new Date(item).getTime() : item;
+      distinct.add(item instanceof Date ? item.getTime() : item);
+      if ((type === 'number' || type === 'date') && !Number.isNaN(comparable)) {
+        if (min === null || comparable < min) min = comparable;
+        if (max === null || comparable > max) max = comparable;
+      }
+    });
+  });
+
+  const stats = { total: records.length, distinct: distinct.size, empty, min, max };
+  if (type === 'date' && min !== null) {
+    stats.min = new Date(min).toISOString();
+    stats.max = new Date(max).toISOString();
+  }
+  return stats;
+}
+
+function fieldHover(name, field, getData) {
+  const title = field.label ? `**${field.label}** (\`${name}\`)` : `**${name}**`;
+  const contents = [{ value: `${title} \`${field.type}\`` }];
+  if (field.deprecated) {
+    contents.push({ value: typeof field.deprecated === 'string' ? `*Deprecated:* ${field.deprecated}` : '*Deprecated*' });
+  }
+  if (field.description) {
+    contents.push({ value: field.description });
+  }
+  if (field.aliases && field.aliases.length > 0) {
+    contents.push({ value: `Also written as ${field.aliases.map(alias => `\`${alias}\``).join(', ')}` });
+  }
+
+  const details = [];
+  if (field.values && field.values.length > 0) {
+    details.push(`Allowed values: ${field.values.length}`);
+  }
+  if (field.range && (field.range.min !== undefined || field.range.max !== undefined)) {
+    const min = field.range.min !== undefined ? field.range.min : '…';
+    const max = field.range.max !== undefined ? field.range.max : '…';
+    details.push(`Range: ${min} to ${max}`);
+  }
+  if (details.length > 0) {
+    contents.push({ value: details.join(' · ') });
+  }
+
+  const records = getData ? getData() : null;
+  if (Array.isArray(records) && records.length > 0) {
+    const stats = fieldStatistics(records, name, field.type);
+    const line = [`Records: ${stats.total}`, `Distinct: ${stats.distinct}`, `Empty: ${stats.empty}`];
+    if (stats.min !== null) {
+      line.push(`Min: ${stats.min}`, `Max: ${stats.max}`);
+    }
+    contents.push({ value: line.join(' · ') });
+  }
+  return contents;
+}
+
+function operatorHover(operator) {
+  const definition = findQueryOperator(operator);
+  const contents = [{ value: `**${operator}** operator` }];
+  if (definition) {
+    contents.push({ value: definition.description });
+    if (definition.fieldTypes) {
+      contents.push({ value: `Applies to ${definition.fieldTypes.join(' and ')} fields` });
+    }
+  }
+  return contents;
+}
+
+function relativeDateHover(expression) {
+  let resolved;
+  try {
+    resolved = resolveRelativeDate(expression);
+  } catch (error) {
+    return null;
+  }
+  return [
+    { value: `**${expression}** relative date` },
+    { value: `Currently ${resolved.toLocaleString()}, resolved each time the query is applied` }
+  ];
+}
+
+/**
+ * Sets up the hover provider
+ * @param {object} monaco The Monaco editor instance
+ * @param {object} options Configuration options
+ * @param {object} options.fieldNames The field name definitions
+ * @param {string} options.languageId The language ID
+ * @returns {object} The disposable provider
+ */
+function setupHoverProvider(monaco, { fieldNames, languageId }) {
+  return monaco.languages.registerHoverProvider(languageId, {
+    provideHover: (model, position) => {
+      const text = model.getValue();
+      const offset = model.getOffsetAt(position);
+      const { ast, tokens } = parseQuery(text, { recover: true });
+      const contains = range => !!range && range.start <= offset && offset < range.end;
+
+      // The innermost part of the query under the cursor
+      let hover = null;
+      let inRange = false;
+      let valueField = null;
+      walkQuery(ast, node => {
+        if (node.type === 'Comparison') {
+          const field = findFieldDefinition(fieldNames, node.field.name);
+          if (contains(node.field)) {
+            if (field) {
+              // Aliases are described as the field they stand for
+              const name = resolveFieldName(fieldNames, node.field.name);
+              hover = { range: node.field, contents: fieldHover(name, field, queryDataSources.get(model)) };
+            }
+          } else if (contains(node.operatorRange)) {
+            hover = { range: node.operatorRange, contents: operatorHover(node.operator) };
+          }
+          valueField = field;
+        } else if (node.type === 'Literal' && node.valueType === 'string' && contains(node)) {
+          const description = valueField && valueField.valueDescriptions && valueField.valueDescriptions[node.value];
+          if (description) {
+            hover = { range: node, contents: [{ value: `**"${node.value}"**` }, { value: description }] };
+          }
+        } else if (node.type === 'Literal' && node.valueType === 'date' && contains(node)) {
+          const contents = relativeDateHover(node.value);
+          if (contents) {
+            hover = { range: node, contents };
+          }
+        } else if (node.type === 'Range' && node.upper && node.lower.end <= offset && offset < node.upper.start) {
+          inRange = true;
+        }
+      });
+
+      if (!hover) {
+        const keyword = tokens.find(token => token.type === 'keyword' && QUERY_KEYWORD_DOCS[token.value] && contains(token));
+        if (keyword) {
+          // The AND of BETWEEN doesn't join conditions
+          const description = inRange ? 'Separates the lower and upper bound of `BETWEEN`.' : QUERY_KEYWORD_DOCS[keyword.value];
+          hover = { range: keyword, contents: [{ value: `**${keyword.value}**` }, { value: description }] };
+        }
+      }
+
+      if (!hover) {
+        return null;
+      }
+
+      const start = model.getPositionAt(hover.range.start);
+      const end = model.getPositionAt(hover.range.end);
+      return {
+        range: new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+        contents: hover.contents
+      };
+    }
+  });
+}
+
+/**
+ * Values of fields declared with a `valuesProvider`.
+ *
+ * A string field may give `valuesProvider(prefix, context)` instead of (or on
+ * top of) a static `values` array. It returns the allowed values starting with
+ * `prefix`, or a promise of them, so fields with too many distinct values to
+ * list up front, or whose values live on a server, still get completion and
+ * validation. Requests are debounced and cancelled together with the
+ * completion request that made them, and answers are cached per field and
+ * prefix.
+ */
+
+// Answers of each field's provider by prefix, oldest first
+const fieldValuesCaches = new WeakMap();
+
+// Prefixes remembered per field before the oldest answers are dropped
+const QUERY_VALUES_CACHE_LIMIT = 100;
+
+/**
+ * Whether a field definition has a values provider
+ * @param {object} field The field definition
+ * @returns {boolean} Whether the field declares `valuesProvider`
+ */
+function hasValuesProvider(field) {
+  return !!field && field.type === 'string' && typeof field.valuesProvider === 'function';
+}
+
+/**
+ * Asks a field's values provider for the values starting with a prefix
+ * @param {object} field The field definition
+ * @param {string} prefix The start of the value typed so far
+ * @param {object} [context] Passed on to the provider, along with an AbortSignal
+ *   as `signal` that aborts when the request is cancelled
+ * @param {object} [options] Request options
+ * @param {number} [options.delay=0] Milliseconds to wait before asking the provider
+ * @param {object} [options.token] A Monaco cancellation token; once cancelled the
+ *   provider is not asked, or its request is aborted
+ * @returns {Promise<string[]|null>} The values, or null when the request was
+ *   cancelled or the provider failed
+ */
+function requestFieldValues(field, prefix, context = {}, { delay = 0, token } = {}) {
+  let cache = fieldValuesCaches.get(field);
+  if (!cache) {
+    cache = new Map();
+    fieldValuesCaches.set(field, cache);
+  }
+
+  const cancelled = () => !!token && token.isCancellationRequested;
+  const ask = () => {
+    if (cancelled()) {
+      return null;
+    }
+    // Answered (or asked for) while waiting
+    if (cache.has(prefix)) {
+      return cache.get(prefix);
+    }
+
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const subscription = controller && token && token.onCancellationRequested
+      ? token.onCancellationRequested(() => controller.abort())
+      : null;
+    const request = Promise.resolve()
+      .then(() => field.valuesProvider(prefix, { ...context, signal: controller ? controller.signal : undefined }))
+      .then(values => (Array.isArray(values) ? values : []))
+      .catch(() => {
+        // Failed and aborted requests are asked again next time
+        cache.delete(prefix);
+        return null;
+      })
+      .finally(() => subscription && subscription.dispose());
+
+    cache.set(prefix, request);
+    if (cache.size > QUERY_VALUES_CACHE_LIMIT) {
+      cache.delete(cache.keys().next().value);
+    }
+    return request;
+  };
+
+  // Cached answers need no debounce
+  if (cache.has(prefix) || delay <= 0) {
+    return Promise.resolve(ask());
+  }
+  return new Promise(resolve => setTimeout(resolve, delay)).then(ask);
+}
+
+/**
+ * Query history and saved queries.
+ *
+ * A history remembers the queries recently applied and the queries saved
+ * under a name, optionally pinned to the top. Query editors given a history
+ * step through it with Up/Down and offer its entries as completions while
+ * empty, and createQueryHistoryPanel lists it for saving, pinning and
+ * renaming. Everything is persisted through a storage adapter with the
+ * `getItem`/`setItem` interface of `localStorage`, which is the default.
+ */
+
+// History of each editor model
+const queryHistories = new WeakMap();
+
+/**
+ * Creates a storage adapter that keeps everything in memory, e.g. for tests
+ * @returns {object} A storage with `getItem` and `setItem`
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    }
+  };
+}
+
+// localStorage where there is one (it throws when disabled), memory otherwise
+function defaultQueryStorage() {
+  try {
+    if (typeof localStorage !== 'undefined' && localStorage) {
+      return localStorage;
+    }
+  } catch (error) {
+    // Fall through to memory
+  }
+  return createMemoryStorage();
+}
+
+/**
+ * Creates a query history
+ * @param {object} [options] History options
+ * @param {object} [options.storage] Storage adapter with `getItem(key)` and
+ *   `setItem(key, value)`, `localStorage` by default
+ * @param {string} [options.key='query-history'] Storage key, histories with
+ *   different keys are independent
+ * @param {number} [options.limit=50] Number of recent queries kept
+ * @returns {object} The history
+ */
+function createQueryHistory({ storage = defaultQueryStorage(), key = 'query-history', limit = 50 } = {}) {
+  let state = { recent: [], saved: [] };
+  try {
+    const stored = JSON.parse(storage.getItem(key));
+    if (stored && Array.isArray(stored.recent) && Array.isArray(stored.saved)) {
+      state = stored;
+    }
+  } catch (error) {
+    // Unreadable history starts over
+  }
+
+  const listeners = new Set();
+
+  function persist() {
+    try {
+      storage.setItem(key, JSON.stringify(state));
+    } catch (error) {
+      // A full or unavailable storage keeps the history for this session only
+    }
+    listeners.forEach(listener => listener());
+  }
+
+  function findSaved(name) {
+    const entry = state.saved.find(saved => saved.name === name);
+    if (!entry) {
+      throw new Error(`No saved query named '${name}'`);
+    }
+    return entry;
+  }
+
+  return {
+    /**
+     * Records a query that was applied, most recent first and without duplicates
+     * @param {string} query The query text
+     */
+    record(query) {
+      const text = query.trim();
+      if (!text) return;
+      state.recent = [text, ...state.recent.filter(recent => recent !== text)].slice(0, limit);
+      persist();
+    },
+
+    /**
+     * The recently applied queries, most recent first
+     * @returns {string[]} The queries
+     */
+    getRecent() {
+      return [...state.recent];
+    },
+
+    /**
+     * Forgets the recently applied queries, saved queries are kept
+     */
+    clearRecent() {
+      state.recent = [];
+      persist();
+    },
+
+    /**
+     * Saves a query under a name, replacing a saved query of the same name
+     * @param {string} name The name
+     * @param {string} query The query text
+     * @param {object} [options] Save options
+     * @param {boolean} [options.pinned=false] Whether it is listed first
+     */
+    save(name, query, { pinned = false } = {}) {
+      const title = name.trim();
+      if (!title) {
+        throw new Error('A saved query needs a name');
+      }
+      state.saved = [
+        ...state.saved.filter(saved => saved.name !== title),
+        { name: title, query: query.trim(), pinned }
+      ];
+      persist();
+    },
+
+    /**
+     * The saved queries, pinned ones first, then by name
+     * @returns {Array<{name: string, query: string, pinned: boolean}>} The saved queries
+     */
+    getSaved() {
+      return state.saved
+        .map(saved => ({ ...saved }))
+        .sort((a, b) => (b.pinned - a.pinned) || a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Renames a saved query
+     * @param {string} name The current name
+     * @param {string} newName The new name
+     * @throws {Error} If there is no saved query of that name, or the new name is taken
+     */
+    rename(name, newName) {
+      const entry = findSaved(name);
+      const title = newName.trim();
+      if (!title) {
+        throw new Error('A saved query needs a name');
+      }
+      if (title !== name && state.saved.some(saved => saved.name === title)) {
+        throw new Error(`A saved query named '${title}' already exists`);
+      }
+      entry.name = title;
+      persist();
+    },
+
+    /**
+     * Pins a saved query to the top, or unpins it
+     * @param {string} name The name
+     * @param {boolean} [pinned=true] Whether to pin it
+     * @throws {Error} If there is no saved query of that name
+     */
+    pin(name, pinned = true) {
+      findSaved(name).pinned = pinned;
+      persist();
+    },
+
+    /**
+     * Deletes a saved query
+     * @param {string} name The name
+     */
+    remove(name) {
+      state.saved = state.saved.filter(saved => saved.name !== name);
+      persist();
+    },
+
+    /**
+     * Calls a listener whenever the history changes, e.g. to re-render a panel
+     * @param {function(): void} listener The listener
+     * @returns {object} Disposable that removes the listener
+     */
+    onDidChange(listener) {
+      listeners.add(listener);
+      return { dispose: () => listeners.delete(listener) };
+    }
+  };
+}
+
+/**
+ * Connects an editor model to a history, the completion provider then offers
+ * its entries while the query is empty
+ * @param {object} model The editor model
+ * @param {object} history A history created by createQueryHistory
+ */
+function setQueryHistory(model, history) {
+  queryHistories.set(model, history);
+}
+
+/**
+ * The history connected to an editor model
+ * @param {object} model The editor model
+ * @returns {object|undefined} The history
+ */
+function getQueryHistory(model) {
+  return queryHistories.get(model);
+}
+
+/**
+ * Saved queries panel.
+ *
+ * A button that opens a dropdown over a query history: the saved queries,
+ * pinned ones first, with buttons to pin, rename and delete them, a form that
+ * saves the current query under a name, and the recent queries. Clicking an
+ * entry hands its query to the host, which puts it into its editor. Colours
+ * come from CSS custom properties (`--query-history-background`,
+ * `--query-history-color`, `--query-history-border`, `--query-history-muted`,
+ * `--query-history-hover`) so pages can match their theme.
+ */
+
+// Recent queries listed in the panel, the history may keep more
+const QUERY_HISTORY_PANEL_RECENT = 10;
+
+function historyPanelElement(tag, className, text) {
+  const element = document.createElement(tag);
+  element.className = className;
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+function historyPanelButton(className, text, title, onClick) {
+  const button = historyPanelElement('button', className, text);
+  button.type = 'button';
+  button.title = title;
+  button.style.cssText = `
+    border: none;
+    background: transparent;
+    color: inherit;
+    font: inherit;
+    cursor: pointer;
+    padding: 2px 4px;
+    border-radius: 3px;
+  `;
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Creates the saved queries panel for a history
+ * @param {object} history A history created by createQueryHistory
+ * @param {object} options Panel options
+ * @param {function(): string} options.getQuery Returns the query the save form stores
+ * @param {function(string): void} options.onSelect Called with the query of a clicked entry
+ * @param {string} [options.label='Queries'] Text of the button that opens the panel
+ * @returns {object} `{ element, open, close, dispose }`, the element holds the button and the panel
+ */
+function createQueryHistoryPanel(history, { getQuery, onSelect, label = 'Queries' }) {
+  const element = historyPanelElement('div', 'query-history');
+  element.style.cssText = `
+    position: relative;
+    display: inline-block;
+    font-size: 13px;
+  `;
+
+  const toggle = historyPanelButton('query-history-toggle', `${label} ▾`, 'Saved and recent queries', () => {
+    if (panel.hidden) {
+      open();
+    } else {
+      close();
+    }
+  });
+  toggle.setAttribute('aria-haspopup', 'true');
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.style.border = '1px solid var(--query-history-border, #d1d5db)';
+  toggle.style.padding = '4px 8px';
+
+  const panel = historyPanelElement('div', 'query-history-panel');
+  panel.hidden = true;
+  panel.style.cssText = `
+    position: absolute;
+    top: calc(100% + 4px);
+    right: 0;
+    z-index: 1000;
+    min-width: 280px;
+    max-width: 420px;
+    max-height: 360px;
+    overflow: auto;
+    padding: 8px;
+    background: var(--query-history-background, #ffffff);
+    color: var(--query-history-color, #1f2937);
+    border: 1px solid var(--query-history-border, #d1d5db);
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    text-align: left;
+  `;
+
+  element.appendChild(toggle);
+  element.appendChild(panel);
+
+  // Name of the saved query being renamed, the names typed so far and an error to show
+  // next to a name field, kept across renders
+  let renaming = null;
+  let saveDraft = '';
+  let renameDraft = '';
+  let error = null;
+  let errorField = null;
+
+  function nameInput(field, value, placeholder, onCommit) {
+    const fieldError = errorField === field ? error : null;
+    const input = historyPanelElement('input', 'query-history-name');
+    input.type = 'text';
+    input.value = value;
+    input.placeholder = placeholder;
+    input.style.cssText = `
+      flex: 1;
+      min-width: 0;
+      font: inherit;
+      padding: 2px 6px;
+      color: inherit;
+      background: transparent;
+      border: 1px solid ${fieldError ? '#dc2626' : 'var(--query-history-border, #d1d5db)'};
+      border-radius: 3px;
+    `;
+    if (fieldError) {
+      input.title = fieldError;
+    }
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        onCommit(input.value);
+      }
+    });
+    return input;
+  }
+
+  // Runs a history change, keeping the panel open with the message of a rejected one
+  function attempt(field, change) {
+    try {
+      change();
+      error = null;
+      return true;
+    } catch (e) {
+      error = e.message;
+      errorField = field;
+      render();
+      return false;
+    }
+  }
+
+  function select(query) {
+    close();
+    onSelect(query);
+  }
+
+  function sectionTitle(text, action) {
+    const title = historyPanelElement('div', 'query-history-section');
+    title.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin: 8px 0 4px;
+      font-size: 11px;
+      text-transform: uppercase;
+      color: var(--query-history-muted, #6b7280);
+    `;
+    title.appendChild(historyPanelElement('span', '', text));
+    if (action) {
+      title.appendChild(action);
+    }
+    return title;
+  }
+
+  function row(className) {
+    const item = historyPanelElement('li', className);
+    item.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 2px;
+      border-radius: 3px;
+    `;
+    item.addEventListener('mouseenter', () => {
+      item.style.background = 'var(--query-history-hover, #f3f4f6)';
+    });
+    item.addEventListener('mouseleave', () => {
+      item.style.background = '';
+    });
+    return item;
+  }
+
+  function entryButton(className, text, query) {
+    const button = historyPanelButton(className, text, query, () => select(query));
+    button.style.flex = '1';
+    button.style.minWidth = '0';
+    button.style.textAlign = 'left';
+    button.style.overflow = 'hidden';
+    button.style.textOverflow = 'ellipsis';
+    button.style.whiteSpace = 'nowrap';
+    return button;
+  }
+
+  function list(className) {
+    const items = historyPanelElement('ul', className);
+    items.style.cssText = 'list-style: none; margin: 0; padding: 0;';
+    return items;
+  }
+
+  function empty(text) {
+    const message = historyPanelElement('div', 'query-history-empty', text);
+    message.style.cssText = 'padding: 2px 4px; color: var(--query-history-muted, #6b7280);';
+    return message;
+  }
+
+  function render() {
+    panel.textContent = '';
+
+    // Save the current query under a name
+    const form = historyPanelElement('div', 'query-history-save');
+    form.style.cssText = 'display: flex; gap: 4px;';
+    const save = name => {
+      saveDraft = name;
+      const query = getQuery();
+      if (attempt('save', () => {
+        if (!query.trim()) {
+          throw new Error('Write a query to save first');
+        }
+        history.save(name, query);
+      })) {
+        saveDraft = '';
+        render();
+      }
+    };
+    const input = nameInput('save', saveDraft, 'Name the current query', save);
+    form.appendChild(input);
+    form.appendChild(historyPanelButton('query-history-save-button', 'Save', 'Save the current query', () => save(input.value)));
+    panel.appendChild(form);
+
+    const saved = history.getSaved();
+    panel.appendChild(sectionTitle('Saved'));
+    if (saved.length === 0) {
+      panel.appendChild(empty('No saved queries'));
+    } else {
+      const items = list('query-history-saved');
+      saved.forEach(entry => {
+        const item = row('query-history-entry');
+        item.appendChild(historyPanelButton(
+          'query-history-pin',
+          entry.pinned ? '★' : '☆',
+          entry.pinned ? 'Unpin' : 'Pin to the top',
+          () => history.pin(entry.name, !entry.pinned)
+        ));
+        if (renaming === entry.name) {
+          const rename = nameInput('rename', renameDraft, 'New name', name => {
+            renameDraft = name;
+            if (attempt('rename', () => history.rename(entry.name, name))) {
+              renaming = null;
+              render();
+            }
+          });
+          rename.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+              e.stopPropagation();
+              renaming = null;
+              error = null;
+              render();
+            }
+          });
+          item.appendChild(rename);
+          setTimeout(() => rename.focus(), 0);
+        } else {
+          item.appendChild(entryButton('query-history-query', entry.name, entry.query));
+          item.appendChild(historyPanelButton('query-history-rename', '✎', 'Rename', () => {
+            renaming = entry.name;
+            renameDraft = entry.name;
+            error = null;
+            render();
+          }));
+        }
+        item.appendChild(historyPanelButton('query-history-delete', '×', 'Delete', () => history.remove(entry.name)));
+        items.appendChild(item);
+      });
+      panel.appendChild(items);
+    }
+
+    const recent = history.getRecent().slice(0, QUERY_HISTORY_PANEL_RECENT);
+    panel.appendChild(sectionTitle('Recent', recent.length > 0
+      ? historyPanelButton('query-history-clear', 'Clear', 'Forget the recent queries', () => history.clearRecent())
+      : null));
+    if (recent.length === 0) {
+      panel.appendChild(empty('No recent queries'));
+    } else {
+      const items = list('query-history-recent');
+      recent.forEach(query => {
+        const item = row('query-history-entry');
+        item.appendChild(entryButton('query-history-query', query, query));
+        items.appendChild(item);
+      });
+      panel.appendChild(items);
+    }
+  }
+
+  function open() {
+    renaming = null;
+    saveDraft = '';
+    error = null;
+    render();
+    panel.hidden = false;
+    toggle.setAttribute('aria-expanded', 'true');
+  }
+
+  function close() {
+    panel.hidden = true;
+    toggle.setAttribute('aria-expanded', 'false');
+  }
+
+  // Clicks elsewhere and Escape close the panel
+  const onDocumentMouseDown = (e) => {
+    if (!panel.hidden && !element.contains(e.target)) {
+      close();
+    }
+  };
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape' && !panel.hidden) {
+      close();
+      toggle.focus();
+    }
+  };
+  document.addEventListener('mousedown', onDocumentMouseDown);
+  element.addEventListener('keydown', onKeyDown);
+
+  const changeDisposable = history.onDidChange(() => {
+    if (!panel.hidden) {
+      render();
+    }
+  });
+
+  return {
+    element,
+    open,
+    close,
+    dispose: () => {
+      changeDisposable.dispose();
+      document.removeEventListener('mousedown', onDocumentMouseDown);
+      element.removeEventListener('keydown', onKeyDown);
+      element.remove();
+    }
+  };
+}
+
 /**
  * Sets up the completion provider for the query language
  * @param {object} monaco The Monaco editor instance
@@ -111,11 +3140,6 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
     return ` ${op}`;
   }
 
-  // Create patterns for matching with better context awareness
-  const fieldPattern = new RegExp(`^(${Object.keys(fieldNames).join('|')})$`);
-  const operPattern = /^(=|!=|>=|<=|>|<)$/i;
-  const inPattern = /^IN$/; // Case-sensitive IN operator
-  const logicalPattern = /^(AND|OR)$/; // Case-sensitive logical operators
   const fieldList = Object.keys(fieldNames);
   
 
@@ -127,11 +3151,13 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
   // Sort text helper to ensure consistent ordering
   function getSortText(type, label) {
     const order = {
+      saved: '0',
       field: '1',
       operator: '2',
       value: '3',
       logical: '4',
-      list: '5'
+      list: '5',
+      recent: '6'
     };
     
     // Handle undefined or null labels
@@ -139,42 +3165,57 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
       return `${order[type] || '9'}`;
     }
     
-    // Convert label to string to handle numeric values
-    const labelStr = String(label);
-    
-    // Special ordering for operators
+    // Operators keep the order of the shared operator table
     if (type === 'operator') {
-      const operatorOrder = {
-        '=': '1',
-        '!=': '2',
-        '>': '3',
-        '<': '4',
-        'IN': '5'
-      };
-      return `${order[type]}${operatorOrder[labelStr] || '9'}${labelStr.toLowerCase()}`;
+      const index = QUERY_OPERATORS.findIndex(definition => definition.operator === label);
+      return `${order[type]}${index === -1 ? '9' : index}${label.toLowerCase()}`;
     }
     
-    return `${order[type]}${labelStr.toLowerCase()}`;
+    return `${order[type]}${label.toLowerCase()}`;
   }
 
   // Operator descriptions
   const descriptions = {
-    '=': 'Equals operator',
-    '!=': 'Not equals operator',
-    '>': 'Greater than operator',
-    '<': 'Less than operator',
-    'IN': 'Check if a value is in a list',
+    ...Object.fromEntries(QUERY_OPERATORS.map(definition => [definition.operator, definition.description])),
     'AND': 'Logical AND operator',
     'OR': 'Logical OR operator',
+    'NOT': 'Logical NOT operator, matches when the following condition does not',
     'true': 'Boolean true value',
     'false': 'Boolean false value',
-    ...Object.fromEntries(Object.entries(fieldNames).map(([key, attr]) => 
-      [key, `${key} (${attr.type}${attr.values ? `: One of [${attr.values.join(', ')}]` : ''})`]
-    ))
+    ...Object.fromEntries(Object.entries(fieldNames).map(([key, attr]) => [key, fieldDocumentation(key, attr)]))
   };
 
-  // Helper to get value suggestions based on field type
-  function getValueSuggestions(field, fieldName = 'unknown') {
+  // Field documentation: label and type, then the description, aliases, deprecation and allowed values
+  function fieldDocumentation(key, attr) {
+    const lines = [`**${attr.label || key}** \`${attr.type}\``];
+    if (attr.description) {
+      lines.push(attr.description);
+    }
+    if (attr.aliases && attr.aliases.length > 0) {
+      lines.push(`Also written as ${attr.aliases.map(alias => `\`${alias}\``).join(', ')}`);
+    }
+    if (attr.deprecated) {
+      lines.push(typeof attr.deprecated === 'string' ? `Deprecated: ${attr.deprecated}` : 'Deprecated');
+    }
+    if (attr.values) {
+      lines.push(`One of [${attr.values.join(', ')}]`);
+    }
+    return lines.join('\n\n');
+  }
+
+  // Documentation of an allowed value, with its description when the field gives one
+  function valueDocumentation(field, v) {
+    if (v === 'NULL') {
+      return docMarkdown('Special keyword for null/undefined/empty values');
+    }
+    const description = field.valueDescriptions && field.valueDescriptions[v];
+    return docMarkdown(description ? `String value "${v}"\n\n${description}` : `String value "${v}"`);
+  }
+
+  // Helper to get value suggestions based on field type (`lower` is the lower bound
+  // when suggesting the upper bound of BETWEEN, `values` the allowed values when
+  // they come from the field's values provider)
+  function getValueSuggestions(field, lower, values = field && field.values) {
     const suggestions = [];
     if (!field) {
       return suggestions;
@@ -196,20 +3237,15 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
           sortText: getSortText('value', 'false')
         }
       );
-    } else if (field.type === 'string' && field.values) {
-      console.log(`🔍 Generating suggestions for field "${fieldName}" with values:`, field.values);
-      const newSuggestions = field.values.map(v => ({
+    } else if (field.type === 'string' && values) {
+      suggestions.push(...values.map(v => ({
         label: v === 'NULL' ? 'NULL' : `"${v}"`,
         kind: monaco.languages.CompletionItemKind.Value,
         insertText: v === 'NULL' ? 'NULL' : `"${v}"`,
-        documentation: v === 'NULL' ? 
-          docMarkdown('Special keyword for null/undefined/empty values') :
-          docMarkdown(`String value "${v}"`),
+        documentation: valueDocumentation(field, v),
         sortText: getSortText('value', v)
-      }));
-      console.log(`📋 Generated ${newSuggestions.length} suggestions for field "${fieldName}"`);
-      suggestions.push(...newSuggestions);
-    } else if (field.type === 'string' && !field.values) {
+      })));
+    } else if (field.type === 'string' && !values) {
       // For string fields without predefined values, suggest empty quotes with cursor positioning
       suggestions.push({
         label: '""',
@@ -220,6 +3256,38 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
         sortText: getSortText('value', '""'),
         detail: 'Free text string'
       });
+    } else if (field.type === 'date') {
+      // Relative dates first, then an ISO date template pre-filled with today
+      const relativeDates = {
+        'now': 'The current date and time',
+        'today': 'The start of today',
+        'now-7d': 'Seven days ago',
+        'now-30d': 'Thirty days ago',
+        'startOfWeek': 'The start of this week (Monday)',
+        'startOfMonth': 'The start of this month',
+        'startOfYear': 'The start of this year'
+      };
+      Object.entries(relativeDates).forEach(([expression, description], index) => {
+        suggestions.push({
+          label: expression,
+          kind: monaco.languages.CompletionItemKind.Constant,
+          insertText: expression,
+          documentation: docMarkdown(`${description}. Add offsets such as \`-7d\`, \`+1M\` or \`-2h\` to shift it.`),
+          sortText: getSortText('value', String(index))
+        });
+      });
+
+      // The local day, which is what date-only literals mean
+      const today = formatIsoDay(new Date());
+      suggestions.push({
+        label: `"${today}"`,
+        kind: monaco.languages.CompletionItemKind.Value,
+        insertText: `"\${1:${today}}"`,
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+        documentation: docMarkdown('An ISO date (`"2024-01-31"`) or date and time (`"2024-01-31T09:30:00Z"`)'),
+        sortText: getSortText('value', '9'),
+        detail: 'ISO date'
+      });
     } else if (field.type === 'number') {
       // First add a hint suggestion that shows but doesn't insert anything
       suggestions.push({
@@ -238,117 +3306,233 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
 
       // Then add actual values if we have range information
       if (field.range) {
-        const suggestions = new Set();
+        const rangeValues = new Set();
         if (field.range.min !== undefined) {
-          suggestions.add(field.range.min);
+          rangeValues.add(field.range.min);
         }
         if (field.range.max !== undefined) {
-          suggestions.add(field.range.max);
+          rangeValues.add(field.range.max);
         }
         // If we have both min and max, suggest some values in between
         if (field.range.min !== undefined && field.range.max !== undefined) {
           const mid = Math.floor((field.range.min + field.range.max) / 2);
           if (mid !== field.range.min && mid !== field.range.max) {
-            suggestions.add(mid);
+            rangeValues.add(mid);
           }
           // Add quarter points if they're different enough
           const quarter = Math.floor((field.range.min + mid) / 2);
           const threeQuarter = Math.floor((mid + field.range.max) / 2);
           if (quarter !== field.range.min && quarter !== mid) {
-            suggestions.add(quarter);
+            rangeValues.add(quarter);
           }
           if (threeQuarter !== mid && threeQuarter !== field.range.max) {
-            suggestions.add(threeQuarter);
+            rangeValues.add(threeQuarter);
           }
         }
 
-        // Add all the suggestions
-        [...suggestions].sort((a, b) => a - b).forEach(value => {
-          suggestions.push({
-            label: value.toString(),
-            kind: monaco.languages.CompletionItemKind.Value,
-            insertText: value.toString(),
-            documentation: docMarkdown(`Number value: ${value}`),
-            sortText: getSortText('value', value.toString())
+        // Add all the suggestions, an upper bound can't be below the lower one
+        [...rangeValues]
+          .filter(value => typeof lower !== 'number' || value >= lower)
+          .sort((a, b) => a - b)
+          .forEach(value => {
+            suggestions.push({
+              label: value.toString(),
+              kind: monaco.languages.CompletionItemKind.Value,
+              insertText: value.toString(),
+              documentation: docMarkdown(`Number value: ${value}`),
+              sortText: getSortText('value', value.toString())
+            });
           });
-        });
       }
     }
     return suggestions;
   }
 
+  // Helper to build an operator suggestion, list operators get a bracket snippet
+  function operatorSuggestion(label, definition, position, model) {
+    return {
+      label,
+      kind: monaco.languages.CompletionItemKind.Operator,
+      insertText: operatorInsertText(definition.list ? `${label} [\${1}]` : `${label} `, position, model),
+      insertTextRules: definition.list
+        ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet | monaco.languages.CompletionItemInsertTextRule.KeepWhitespace
+        : monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
+      documentation: docMarkdown(definition.description),
+      sortText: getSortText('operator', definition.operator),
+      command: { id: 'editor.action.triggerSuggest' }
+    };
+  }
+
   // Helper to get operator suggestions based on field type
-  function getOperatorSuggestions(field, position, model) {
-    const suggestions = [
-      { 
-        label: '=', 
-        kind: monaco.languages.CompletionItemKind.Operator, 
-        insertText: operatorInsertText('= ', position, model), 
-        insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-        documentation: docMarkdown(descriptions['=']),
-        sortText: getSortText('operator', '='),
-        command: { id: 'editor.action.triggerSuggest' }
-      },
-      { 
-        label: '!=', 
-        kind: monaco.languages.CompletionItemKind.Operator, 
-        insertText: operatorInsertText('!= ', position, model), 
-        insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-        documentation: docMarkdown(descriptions['!=']),
-        sortText: getSortText('operator', '!='),
+  function getOperatorSuggestions(field, position, model, negated = false) {
+    const operators = getFieldOperators(field);
+
+    // After `field NOT` only IN can follow
+    if (negated) {
+      return operators
+        .filter(definition => definition.operator === 'NOT IN')
+        .map(definition => operatorSuggestion('IN', definition, position, model));
+    }
+
+    return operators.map(definition => operatorSuggestion(definition.operator, definition, position, model));
+  }
+
+  // Value templates for operators that take a pattern rather than a plain value
+  const patternSnippets = {
+    'LIKE': [
+      { label: '"%…%"', insertText: '"%${1}%"', documentation: 'Values containing the text (`%` matches any text, `_` a single character)' },
+      { label: '"…%"', insertText: '"${1}%"', documentation: 'Values starting with the text' }
+    ],
+    'MATCHES': [
+      { label: '/…/', insertText: '/${1}/', documentation: 'Regular expression' },
+      { label: '/…/i', insertText: '/${1}/i', documentation: 'Case-insensitive regular expression' }
+    ]
+  };
+
+  // Helper to get pattern templates after LIKE / MATCHES
+  function getPatternSuggestions(operator) {
+    return patternSnippets[operator].map(snippet => ({
+      label: snippet.label,
+      kind: monaco.languages.CompletionItemKind.Snippet,
+      insertText: snippet.insertText,
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+      documentation: docMarkdown(snippet.documentation),
+      sortText: getSortText('value', snippet.label)
+    }));
+  }
+
+  // Helper to get field name suggestions. Nested fields are offered one level at a
+  // time: `address.` first, then `address.city` etc. once the dot is typed.
+  function getFieldSuggestions(currentWord) {
+    const parent = currentWord.slice(0, currentWord.lastIndexOf('.') + 1);
+    const paths = new Map();
+    fieldList.filter(f => f.startsWith(parent)).forEach(f => {
+      const segment = f.slice(parent.length).split('.')[0];
+      const nested = f.length > parent.length + segment.length;
+      paths.set(parent + segment + (nested ? '.' : ''), nested);
+    });
+
+    // Filter field list by the current word if it's a (partial) field path or alias
+    const isFieldWord = /^[a-zA-Z_][\w.[\]*]*$/.test(currentWord);
+    const startsWithWord = name => name.toLowerCase().startsWith(currentWord.toLowerCase());
+    const matchingPaths = isFieldWord
+      ? [...paths.keys()].filter(f => startsWithWord(f) ||
+        (!paths.get(f) && (fieldNames[f].aliases || []).some(startsWithWord)))
+      : [...paths.keys()];
+
+    return matchingPaths.map(f => {
+      if (paths.get(f)) {
+        // A parent only inserts the path, its children are suggested next
+        return {
+          label: f,
+          kind: monaco.languages.CompletionItemKind.Module,
+          insertText: f,
+          documentation: docMarkdown(`Nested fields of ${f.slice(0, -1)}`),
+          sortText: getSortText('field', f),
+          command: { id: 'editor.action.triggerSuggest' }
+        };
+      }
+      const field = fieldNames[f];
+      const suggestion = {
+        label: f,
+        kind: monaco.languages.CompletionItemKind.Field,
+        insertText: `${f} `,
+        documentation: docMarkdown(descriptions[f] || ''),
+        sortText: getSortText('field', f),
         command: { id: 'editor.action.triggerSuggest' }
+      };
+      if (field.label) {
+        suggestion.detail = field.label;
       }
-    ];
+      if (field.aliases && field.aliases.length > 0) {
+        // Typing an alias finds the field, which is inserted under its own name
+        suggestion.filterText = [f, ...field.aliases].join(' ');
+      }
+      if (field.deprecated && monaco.languages.CompletionItemTag) {
+        suggestion.tags = [monaco.languages.CompletionItemTag.Deprecated];
+      }
+      return suggestion;
+    });
+  }
+
+  // Debounced request for the values starting with the word being typed, undefined
+  // when there is no answer (the suggestions then fall back to a free-text value)
+  function requestValues(field, currentWord, context, token) {
+    const prefix = currentWord.replace(/^"/, '');
+    const delay = field.valuesDebounce !== undefined ? field.valuesDebounce : 150;
+    return requestFieldValues(field, prefix, context, { delay, token }).then(values => values || undefined);
+  }
+
+  // Helper to get IN list suggestions, skipping values already in the list
+  function getListSuggestions(field, usedValues, afterValue, position, model, values = field.values) {
+    const suggestions = [];
+    const listValues = new Set(usedValues);
+
+    // Filter out used values and add remaining ones
+    if (field.type === 'string' && values) {
+      const remainingValues = values.filter(v => !listValues.has(v) && !(v === 'NULL' && listValues.has(null)));
+      suggestions.push(...remainingValues.map(v => ({
+        label: v === 'NULL' ? 'NULL' : `"${v}"`,
+        kind: monaco.languages.CompletionItemKind.Value,
+        insertText: v === 'NULL' ? 'NULL' : `"${v}"`,
+        documentation: valueDocumentation(field, v),
+        sortText: getSortText('value', v)
+      })));
+    } else if (field.type === 'string' && !values) {
+      // For string fields without predefined values in IN lists, suggest empty quotes
+      suggestions.push({
+        label: '""',
+        kind: monaco.languages.CompletionItemKind.Value,
+        insertText: '"${1}"',
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+        documentation: docMarkdown('Enter a string value for the list'),
+        sortText: getSortText('value', '""'),
+        detail: 'Free text string'
+      });
+    } else if (field.type === 'number') {
+      // First add the hint suggestion
+      suggestions.push({
+        label: '(a number)',
+        kind: monaco.languages.CompletionItemKind.Text,
+        insertText: '', // Don't insert anything when selected
+        documentation: docMarkdown(
+          field.range
+            ? `Enter a number${field.range.min !== undefined ? ` ≥ ${field.range.min}` : ''}${field.range.max !== undefined ? ` ≤ ${field.range.max}` : ''}`
+            : 'Enter a number'
+        ),
+        sortText: getSortText('value', '0'),
+        preselect: false,
+        filterText: ''
+      });
 
-    if (field.type === 'number') {
-      suggestions.push(
-        { 
-          label: '>', 
-          kind: monaco.languages.CompletionItemKind.Operator, 
-          insertText: operatorInsertText('> ', position, model), 
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-          documentation: docMarkdown(descriptions['>']),
-          sortText: getSortText('operator', '>'),
-          command: { id: 'editor.action.triggerSuggest' }
-        },
-        { 
-          label: '<', 
-          kind: monaco.languages.CompletionItemKind.Operator, 
-          insertText: operatorInsertText('< ', position, model), 
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-          documentation: docMarkdown(descriptions['<']),
-          sortText: getSortText('operator', '<'),
-          command: { id: 'editor.action.triggerSuggest' }
-        },
-        { 
-          label: '>=', 
-          kind: monaco.languages.CompletionItemKind.Operator, 
-          insertText: operatorInsertText('>= ', position, model), 
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-          documentation: docMarkdown('Greater than or equal operator'),
-          sortText: getSortText('operator', '>='),
-          command: { id: 'editor.action.triggerSuggest' }
-        },
-        { 
-          label: '<=', 
-          kind: monaco.languages.CompletionItemKind.Operator, 
-          insertText: operatorInsertText('<= ', position, model), 
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-          documentation: docMarkdown('Less than or equal operator'),
-          sortText: getSortText('operator', '<='),
-          command: { id: 'editor.action.triggerSuggest' }
+      // Then add some reasonable values if we have range info
+      if (field.range) {
+        const values = new Set();
+        if (field.range.min !== undefined) values.add(field.range.min);
+        if (field.range.max !== undefined) values.add(field.range.max);
+        // Add some values in between if we have both min and max
+        if (field.range.min !== undefined && field.range.max !== undefined) {
+          const mid = Math.floor((field.range.min + field.range.max) / 2);
+          values.add(mid);
         }
-      );
+        suggestions.push(...Array.from(values).filter(v => !listValues.has(v)).map(v => ({
+          label: v.toString(),
+          kind: monaco.languages.CompletionItemKind.Value,
+          insertText: v.toString(),
+          documentation: docMarkdown(`Number value ${v}`),
+          sortText: getSortText('value', v.toString())
+        })));
+      }
     }
 
-    if (field.values || ['string', 'number'].includes(field.type)) {
-      suggestions.push({
-        label: 'IN',
+    // Add comma if we're right after a value in the list
+    if (afterValue) {
+      suggestions.unshift({
+        label: ',',
         kind: monaco.languages.CompletionItemKind.Operator,
-        insertText: operatorInsertText('IN [${1}]', position, model),
-        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet | monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
-        documentation: docMarkdown(descriptions['IN']),
-        sortText: getSortText('operator', 'IN'),
+        insertText: operatorInsertText(', ', position, model),
+        documentation: docMarkdown('Add another value'),
+        sortText: getSortText('list', ','),
         command: { id: 'editor.action.triggerSuggest' }
       });
     }
@@ -356,73 +3540,90 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
     return suggestions;
   }
 
-  // Helper to check expression context
-  function getExpressionContext(tokens, position) {
-    const lastToken = tokens[tokens.length - 1] || '';
-    const prevToken = tokens[tokens.length - 2] || '';
-    const context = {
-      needsField: false,
-      needsOperator: false,
-      needsValue: false,
-      inList: false,
-      currentField: null,
-      afterLogical: false
+  // Helper to offer the saved and recent queries of the model's history, saved ones
+  // first and recent ones after the fields
+  function getHistorySuggestions(model) {
+    const history = getQueryHistory(model);
+    if (!history) {
+      return [];
+    }
+    const saved = history.getSaved().map((entry, index) => ({
+      label: entry.name,
+      kind: monaco.languages.CompletionItemKind.Snippet,
+      insertText: entry.query,
+      filterText: `${entry.name} ${entry.query}`,
+      detail: entry.pinned ? 'Pinned query' : 'Saved query',
+      documentation: docMarkdown(`\`\`\`\n${entry.query}\n\`\`\``),
+      sortText: getSortText('saved', String(index).padStart(4, '0'))
+    }));
+    const recent = history.getRecent().map((query, index) => ({
+      label: query,
+      kind: monaco.languages.CompletionItemKind.Snippet,
+      insertText: query,
+      detail: 'Recent query',
+      sortText: getSortText('recent', String(index).padStart(4, '0'))
+    }));
+    return [...saved, ...recent];
+  }
+
+  // Helper to get the NOT prefix suggestion where a condition can start
+  function getNotSuggestion(position, model) {
+    return {
+      label: 'NOT',
+      kind: monaco.languages.CompletionItemKind.Keyword,
+      insertText: operatorInsertText('NOT ', position, model),
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
+      documentation: docMarkdown(descriptions['NOT']),
+      sortText: getSortText('logical', 'NOT'),
+      command: { id: 'editor.action.triggerSuggest' }
     };
+  }
 
-    // Check for parentheses context - if we're right after an opening parenthesis
-    // or inside empty parentheses, we should expect a field name
-    if (lastToken === '(' || (lastToken === '' && prevToken === '(')) {
-      context.needsField = true;
-      context.afterLogical = false;
-      return context;
-    }
-
-    // First check for logical operators as they reset the expression context
-    if (!lastToken || logicalPattern.test(lastToken)) {
-      context.needsField = true;
-      context.afterLogical = !!lastToken; // true if we're after AND/OR, false if empty query
-    } else if (fieldPattern.test(lastToken)) {
-      context.needsOperator = true;
-      context.currentField = lastToken;
-    } else if (operPattern.test(lastToken) || inPattern.test(lastToken)) {
-      context.needsValue = true;
-      // Find the associated field name by looking backwards
-      for (let i = tokens.length - 2; i >= 0; i--) {
-        if (fieldPattern.test(tokens[i])) {
-          context.currentField = tokens[i];
-          break;
-        }
-        // Stop if we hit a logical operator or another expression
-        if (logicalPattern.test(tokens[i]) || operPattern.test(tokens[i]) || inPattern.test(tokens[i])) {
-          break;
-        }
-      }
-    } else if (/\[$/.test(lastToken) || // after opening bracket
-           (/\[/.test(lastToken) && !/\]$/.test(lastToken)) || // between brackets
-           /,$/.test(lastToken) || // after comma
-           (lastToken === '' && tokens.length >= 2 && /\[/.test(tokens[tokens.length - 2]))) { // empty space between brackets
-      context.inList = true;
-      // Find the field name before IN
-      for (let i = tokens.length - 1; i >= 0; i--) {
-        if (tokens[i] === 'IN' && i > 0) {
-          context.currentField = tokens[i - 1];
-          break;
-        }
-      }
+  // Helper to suggest the word being typed as free text matched against all fields
+  function getSearchSuggestion(currentWord, continuing) {
+    if (continuing) {
+      const term = currentWord || 'term';
+      return {
+        label: `"${term}" (continue search)`,
+        kind: monaco.languages.CompletionItemKind.Text,
+        insertText: currentWord,
+        documentation: docMarkdown(`Add "${term}" as additional search term\n\nAll terms must be found in the record for it to match.`),
+        detail: 'Additional search term',
+        sortText: '0_search_continue'
+      };
     }
+    return {
+      label: `"${currentWord}" (search all fields)`,
+      kind: monaco.languages.CompletionItemKind.Text,
+      insertText: currentWord,
+      documentation: docMarkdown(`Search for "${currentWord}" in any field\n\nType additional words to search for multiple terms.`),
+      detail: 'Text search',
+      sortText: `6_search_${currentWord}` // Sort after fields
+    };
+  }
 
-    return context;
+  // Helper to get logical operator suggestions
+  function getLogicalSuggestions(position, model) {
+    return ['AND', 'OR'].map(op => ({
+      label: op,
+      kind: monaco.languages.CompletionItemKind.Keyword,
+      insertText: operatorInsertText(`${op} `, position, model),
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
+      documentation: docMarkdown(descriptions[op]),
+      sortText: getSortText('logical', op),
+      command: { id: 'editor.action.triggerSuggest' }
+    }));
   }
 
   const triggerCharacters= [
       // Add all alphabetical characters first
       ...Array.from('abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'),
       // Then add other special characters
-      ',', ' ', '=', '!', '>', '<', '[', ']', '(', ')', '"', "'"
+      ',', ' ', '=', '!', '>', '<', '[', ']', '(', ')', '"', "'", '/'
     ];
   const completionProvider = monaco.languages.registerCompletionItemProvider(languageId, {
     triggerCharacters,
-    provideCompletionItems: (model, position) => {
+    provideCompletionItems: (model, position, context, token) => {
       // Get text up to cursor (don't trim to preserve space context)
       const text = model.getValueInRange({
         startLineNumber: 1,
@@ -433,213 +3634,145 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
 
       // Check if cursor is after whitespace (indicates we completed a token)
       const endsWithSpace = /\s$/.test(text);
-      
-      // Enhanced context extraction - use trimmed text for tokenization
-      const tokens = text.trim().match(/([\w]+|\(|\)|\[|\]|"[^"]*"|\S)/g) || [];
-      const context = getExpressionContext(tokens, position);
-      let suggestions = [];
 
-      // If we're after whitespace and have tokens, we might need to adjust context
-      if (endsWithSpace && tokens.length > 0) {
-        const lastToken = tokens[tokens.length - 1];
-        // If last token is a field name and we're after space, we need operators
-        if (fieldList.includes(lastToken)) {
-          context.needsOperator = true;
-          context.currentField = lastToken;
-          context.needsField = false;
-          context.afterLogical = false;
-        }
-      }
+      const tokens = tokenizeQuery(text);
+      const lastToken = tokens[tokens.length - 1];
 
-      // Detect if we're in search mode or structured query mode
-      const hasOperators = tokens.some(token => 
-        ['=', '!=', '>', '<', '>=', '<=', 'IN', 'AND', 'OR','(', ')'].includes(token)
-      );
+      // A word or quoted value still being typed doesn't belong to the context yet
+      const isPartial = !!lastToken && !endsWithSpace && lastToken.end === text.length &&
+        ['identifier', 'word', 'keyword', 'boolean', 'null', 'unclosed-string'].includes(lastToken.type);
+      const currentWord = isPartial ? lastToken.value : '';
 
-      // Count meaningful tokens (exclude empty strings)
-      const meaningfulTokens = tokens.filter(token => token.trim().length > 0);
-      const isFirstWord = meaningfulTokens.length <= 1 && !context.needsOperator;
+      // Nothing sensible to suggest in the middle of a regular expression
+      if (lastToken && lastToken.type === 'unclosed-regex' && lastToken.end === text.length) {
+        return { suggestions: [] };
+      }
 
-      // Get the current word being typed
-      const currentWord = context.afterLogical ? '' : (tokens[tokens.length - 1] || '');
-      const prevToken = context.afterLogical ? tokens[tokens.length - 1] : (tokens[tokens.length - 2] || '');
+      // Operators are inserted relative to the start of the word being replaced
+      const insertPosition = isPartial ? model.getPositionAt(lastToken.start) : position;
 
-      // Special handling for first word - show both structured and search suggestions
-      if (isFirstWord && !hasOperators && currentWord.length >= 1 && /^[a-zA-Z]+$/.test(currentWord)) {
-        // Show field name suggestions (for structured mode)
-        const matchingFields = fieldList.filter(f => 
-          f.toLowerCase().startsWith(currentWord.toLowerCase())
-        );
-        
-        if (matchingFields.length > 0) {
-          suggestions.push(...matchingFields.map(f => ({
-            label: f,
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: `${f} `,
-            documentation: docMarkdown(`Field: ${descriptions[f] || f}\n\nClick to start a structured query with this field.`),
-            detail: 'Field (start structured query)',
-            sortText: `0_field_${f}`, // Sort fields first
-            command: { id: 'editor.action.triggerSuggest' } // Auto-trigger next suggestions
-          })));
-        }
+      // Ask the parser what it expects at the cursor
+      const { expected } = parseQuery(isPartial ? text.slice(0, lastToken.start) : text, { recover: true });
 
-        // Show search mode suggestion for any alphabetical input
-        suggestions.push({
-          label: `"${currentWord}" (search all fields)`,
-          kind: monaco.languages.CompletionItemKind.Text,
-          insertText: currentWord,
-          documentation: docMarkdown(`Search for "${currentWord}" in any field\n\nType additional words to search for multiple terms.`),
-          detail: 'Text search mode',
-          sortText: `1_search_${currentWord}` // Sort after fields
-        });
-        
-        return { suggestions };
-      }
+      let suggestions = [];
+      // Values from the field's values provider, when the allowed values are fetched instead of listed
+      let providedValues = null;
+      const field = expected && expected.field ? findFieldDefinition(fieldNames, expected.field) : null;
+      const provideValues = hasValuesProvider(field) && !field.values;
 
-      // Search mode suggestions (for subsequent words when no operators detected)
-      if (!hasOperators && meaningfulTokens.length > 1) {
-        // After first word in search mode, only suggest search continuation
-        if (/^[a-zA-Z0-9]*$/.test(currentWord)) {
-          suggestions.push({
-            label: `"${currentWord || 'term'}" (continue search)`,
-            kind: monaco.languages.CompletionItemKind.Text,
-            insertText: currentWord || '',
-            documentation: docMarkdown(`Add "${currentWord || 'term'}" as additional search term\n\nAll terms must be found in the record for it to match.`),
-            detail: 'Additional search term',
-            sortText: `0_search_continue`
-          });
-        }
-        
+      // A quoted search phrase is free text, there is nothing to complete
+      if (isPartial && lastToken.type === 'unclosed-string' && expected && ['field', 'term'].includes(expected.kind)) {
         return { suggestions };
       }
 
-      // Structured query mode (existing logic)
-      if (context.needsOperator && context.currentField) {
-        // After a field name, show operators
-        suggestions = getOperatorSuggestions(fieldNames[context.currentField], position, model);
-      } else if (context.needsValue && context.currentField && fieldNames[context.currentField]) {
-        // After an operator, show values
-        suggestions = getValueSuggestions(fieldNames[context.currentField], context.currentField);
-      } else if (context.needsField || context.afterLogical || (tokens.length === 1 && /^[a-zA-Z]+$/.test(tokens[0]) && !fieldPattern.test(tokens[0]))) {        
-        // Only show field suggestions if:
-        // 1. We're at the start of a query, or
-        // 2. After a logical operator (AND/OR), or
-        // 3. We're typing something that isn't a complete field name yet
-        if (!prevToken || logicalPattern.test(prevToken) || (currentWord && !fieldPattern.test(currentWord))) {
-          // Filter field list by the current word if it's an alphabetical string (including single characters)
-          const matchingFields = /^[a-zA-Z]+$/.test(currentWord) && currentWord.length >= 1
-            ? fieldList.filter(f => f.toLowerCase().startsWith(currentWord.toLowerCase()))
-            : fieldList;
-
-          suggestions = matchingFields.map(f => ({
-            label: f,
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: `${f} `,
-            documentation: docMarkdown(descriptions[f] || ''),
-            sortText: getSortText('field', f),
-            command: { id: 'editor.action.triggerSuggest' }
-          }));
-        } else {
-          suggestions = [];
-        }
-      } else if (context.inList && context.currentField) {
-        // Handle IN list suggestions...
-        const field = fieldNames[context.currentField];
-        if (!field) return { suggestions: [] };
-        
-        // Extract existing values
-        const listValues = new Set();
-        const listStart = tokens.findIndex(t => t === '[');
-        if (listStart !== -1) {
-          tokens.slice(listStart + 1)
-            .filter(t => t !== ',' && t !== '[')
-            .forEach(t => listValues.add(t.replace(/^"(.*)"$/, '$1')));
-        }
+      switch (expected ? expected.kind : null) {
+        case 'field':
+          // At the start of a query, after AND/OR/NOT or after an opening parenthesis
+          suggestions = getFieldSuggestions(currentWord);
+          // NOT can't continue a field path that is being typed
+          if (!expected.negated && !currentWord.includes('.')) {
+            suggestions.push(getNotSuggestion(insertPosition, model));
+          }
+          // The word being typed may also be plain text to search for
+          if (/^[^"]+$/.test(currentWord)) {
+            suggestions.push(getSearchSuggestion(currentWord, false));
+          }
+          // An empty query can be replaced by a saved or recent one
+          if (!model.getValue().trim()) {
+            suggestions.push(...getHistorySuggestions(model));
+          }
+          break;
 
-        // Filter out used values and add remaining ones
-        if (field.type === 'string' && field.values) {
-          const remainingValues = field.values.filter(v => !listValues.has(v));
-          suggestions = remainingValues.map(v => ({
-            label: v === 'NULL' ? 'NULL' : `"${v}"`,
-            kind: monaco.languages.CompletionItemKind.Value,
-            insertText: v === 'NULL' ? 'NULL' : `"${v}"`,
-            documentation: v === 'NULL' ? 
-              docMarkdown('Special keyword for null/undefined/empty values') :
-              docMarkdown(`String value "${v}"`),
-            sortText: getSortText('value', v)
-          }));
-        } else if (field.type === 'string' && !field.values) {
-          // For string fields without predefined values in IN lists, suggest empty quotes
-          suggestions.push({
-            label: '""',
-            kind: monaco.languages.CompletionItemKind.Value,
-            insertText: '"${1}"',
-            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-            documentation: docMarkdown('Enter a string value for the list'),
-            sortText: getSortText('value', '""'),
-            detail: 'Free text string'
-          });
-        } else if (field.type === 'number') {
-          // First add the hint suggestion
-          suggestions.push({
-            label: '(a number)',
-            kind: monaco.languages.CompletionItemKind.Text,
-            insertText: '', // Don't insert anything when selected
-            documentation: docMarkdown(
-              field.range 
-                ? `Enter a number${field.range.min !== undefined ? ` ≥ ${field.range.min}` : ''}${field.range.max !== undefined ? ` ≤ ${field.range.max}` : ''}`
-                : 'Enter a number'
-            ),
-            sortText: getSortText('value', '0'),
-            preselect: false,
-            filterText: ''
-          });
+        case 'term':
+          // A field name followed by a space starts a comparison
+          if (!isPartial && field) {
+            suggestions = getOperatorSuggestions(field, position, model);
+            break;
+          }
+          // Otherwise continue the search, or combine it with a condition
+          suggestions = [
+            getSearchSuggestion(currentWord, true),
+            ...getLogicalSuggestions(insertPosition, model),
+            getNotSuggestion(insertPosition, model),
+            ...getFieldSuggestions(currentWord)
+          ];
+          break;
 
-          // Then add some reasonable values if we have range info
-          if (field.range) {
-            const values = new Set();
-            if (field.range.min !== undefined) values.add(field.range.min);
-            if (field.range.max !== undefined) values.add(field.range.max);
-            // Add some values in between if we have both min and max
-            if (field.range.min !== undefined && field.range.max !== undefined) {
-              const mid = Math.floor((field.range.min + field.range.max) / 2);
-              values.add(mid);
-            }
-            suggestions.push(...Array.from(values).map(v => ({
-              label: v.toString(),
-              kind: monaco.languages.CompletionItemKind.Value,
-              insertText: v.toString(),
-              documentation: docMarkdown(`Number value ${v}`),
-              sortText: getSortText('value', v.toString())
-            })));
+        case 'operator':
+          // After a field name (or `field NOT`), show operators
+          if (field) {
+            suggestions = getOperatorSuggestions(field, insertPosition, model, expected.negated);
+          } else if (expected.negated) {
+            // `word NOT` where the word isn't a field negates whatever follows
+            suggestions = getFieldSuggestions(currentWord);
           }
-        }
+          break;
 
-        // Add comma if we have values and aren't right after a comma
-        if (suggestions.length > 0 && tokens[tokens.length - 1] !== ',') {
-          suggestions.unshift({
-            label: ',',
-            kind: monaco.languages.CompletionItemKind.Operator,
-            insertText: operatorInsertText(', ', position, model),
-            documentation: docMarkdown('Add another value'),
-            sortText: getSortText('list', ','),
-            command: { id: 'editor.action.triggerSuggest' }
-          });
-        }
-      } else if (/[\])]$/.test(tokens[tokens.length - 1]) || /^".*"|\d+|true|false$/i.test(tokens[tokens.length - 1])) {
-        // After a complete value or closing bracket/parenthesis, suggest logical operators
-        suggestions = ['AND', 'OR'].map(op => ({
-          label: op,
-          kind: monaco.languages.CompletionItemKind.Keyword,
-          insertText: operatorInsertText(`${op} `, position, model),
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
-          documentation: docMarkdown(descriptions[op]),
-          sortText: getSortText('logical', op),
-          command: { id: 'editor.action.triggerSuggest' }
-        }));
+        case 'value':
+          // After an operator, show values (or a pattern template for pattern operators)
+          if (patternSnippets[expected.operator]) {
+            suggestions = getPatternSuggestions(expected.operator);
+          } else if (provideValues) {
+            providedValues = requestValues(field, currentWord, { field: expected.field }, token)
+              .then(values => getValueSuggestions(field, expected.lower, values));
+          } else {
+            suggestions = getValueSuggestions(field, expected.lower);
+          }
+          break;
+
+        case 'range-separator':
+          // Between the two bounds of BETWEEN only AND fits
+          suggestions = getLogicalSuggestions(insertPosition, model)
+            .filter(suggestion => suggestion.label === 'AND')
+            .map(suggestion => ({ ...suggestion, documentation: docMarkdown('Separates the lower and upper bound') }));
+          break;
+
+        case 'list-value':
+        case 'list-separator':
+          if (field && provideValues && expected.kind === 'list-value') {
+            providedValues = requestValues(field, currentWord, { field: expected.field, values: expected.values }, token)
+              .then(values => getListSuggestions(field, expected.values, false, insertPosition, model, values));
+          } else {
+            suggestions = field
+              ? getListSuggestions(field, expected.values, expected.kind === 'list-separator', insertPosition, model)
+              : [];
+          }
+          break;
+
+        case 'logical':
+          // After a complete value or closing bracket/parenthesis, suggest logical operators
+          suggestions = getLogicalSuggestions(insertPosition, model);
+          break;
+      }
+
+      // Replace a partially typed quoted value including its quotes
+      let range = null;
+      if (isPartial && lastToken.type === 'unclosed-string') {
+        const start = model.getPositionAt(lastToken.start);
+        const nextChar = model.getValueInRange({
+          startLineNumber: position.lineNumber,
+          startColumn: position.column,
+          endLineNumber: position.lineNumber,
+          endColumn: position.column + 1
+        });
+        range = new monaco.Range(
+          start.lineNumber,
+          start.column,
+          position.lineNumber,
+          position.column + (nextChar === '"' ? 1 : 0)
+        );
+      } else if (isPartial && /[.[]/.test(lastToken.value)) {
+        // The editor's current word ends at a dot, so replace the whole field path
+        const start = model.getPositionAt(lastToken.start);
+        range = new monaco.Range(start.lineNumber, start.column, position.lineNumber, position.column);
       }
+      const withRange = items => (range ? items.map(suggestion => ({ ...suggestion, range })) : items);
 
-      return { suggestions };
+      // Provided values are asked for again as the value grows, the answer depends on its prefix
+      if (providedValues) {
+        return providedValues.then(items => ({ suggestions: withRange(items), incomplete: true }));
+      }
+      return { suggestions: withRange(suggestions) };
     }
   });
 
@@ -649,6 +3782,10 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
   };
 }
 
+// Semantic token types in legend order, queryTheme has a rule of the same name for each
+const QUERY_SEMANTIC_TOKEN_TYPES = ['field', 'unknownField', 'invalidValue', 'enumValue', 'keyword', 'searchTerm'];
+const QUERY_SEMANTIC_TOKEN_MODIFIERS = ['deprecated'];
+
 /**
  * Sets up the token provider for syntax highlighting
  * @param {object} monaco The Monaco editor instance
@@ -656,8 +3793,18 @@ function setupCompletionProvider(monaco, { fieldNames, languageId }) {
  * @param {object} options.fieldNames The field name definitions
  */
 function setupTokenProvider(monaco, { fieldNames, languageId }) {
-  // Create pattern for field names - add word boundary only at end to allow partial matches
-  const fieldPattern = `\\b(${Object.keys(fieldNames).join('|')})\\b`;
+  // Create pattern for field names and their aliases, longest first so `address.city` wins over `address`.
+  // Every path segment may carry `[*]`, as in `tags[*]` or `items[*].price`.
+  const fieldPaths = Object.keys(fieldNames)
+    .concat(...Object.values(fieldNames).map(field => field.aliases || []))
+    .sort((a, b) => b.length - a.length)
+    .map(name => name
+      .replace(/\[\*\]/g, '')
+      .split('.')
+      .map(segment => `${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:\\[\\*\\])?`)
+      .join('\\.'));
+  // Without fields the pattern must not match at all (an empty match stalls the tokenizer)
+  const fieldPattern = fieldPaths.length > 0 ? `\\b(${fieldPaths.join('|')})(?![\\w.])` : '(?!)';
   
   monaco.languages.setMonarchTokensProvider(languageId, {
     // Define the states
@@ -670,18 +3817,19 @@ function setupTokenProvider(monaco, { fieldNames, languageId }) {
       { open: '(', close: ')', token: 'delimiter.parenthesis' }
     ],
 
-    keywords: ['AND', 'OR', 'IN'],
-    operators: ['=', '!=', '>=', '<=', '>', '<'],
+    keywords: ['AND', 'OR', 'NOT', 'IN'],
+    operators: ['=', '!=', '>=', '<=', '>', '<', 'BETWEEN', 'CONTAINS', 'STARTS WITH', 'ENDS WITH', 'LIKE', 'MATCHES'],
     
     tokenizer: {
       root: [
         // Keywords and operators (most specific word-based matches first)
-        [/\b(AND|OR)\b/, 'keyword'],
+        [/\b(AND|OR|NOT)\b/, 'keyword'],
         [/\b(IN)\b/, { token: 'operator', next: '@inArray' }],
         [/\b(true|false)\b/, 'boolean'],
         [/\b(NULL)\b/, 'keyword.null'],
         
         // Operators and delimiters
+        [/\b(BETWEEN|CONTAINS|STARTS\s+WITH|ENDS\s+WITH|LIKE|MATCHES)\b/, 'operator'],
         [/(=|!=|>=|<=|>|<)/, 'operator'],
         [/\(|\)/, 'delimiter.parenthesis'],
         [/\[/, { token: 'delimiter.square', next: '@inArray' }],
@@ -692,10 +3840,12 @@ function setupTokenProvider(monaco, { fieldNames, languageId }) {
         
         // Literals (after operators to avoid partial matches)
         [/"(?:[^"\\]|\\.)*"/, 'string'],
+        [/\/(?:[^\/\\\[]|\\.|\[(?:[^\]\\]|\\.)*\])*\/[a-zA-Z]*/, 'regexp'],
+        [/\b(?:now|today|startOf(?:Day|Week|Month|Year))(?:[+-]\d+[smhdwMy])*(?![\w-])/, 'date'],
         [/-?\d+(?:\.\d+)?/, 'number'],
         
         // Free text/search terms (words that don't match above patterns)
-        [/[a-zA-Z0-9_]+/, 'string.search'],
+        [/[^\s()\[\],"=<>!\/]+/, 'string.search'],
         
         // Whitespace
         [/\s+/, 'white']
@@ -712,8 +3862,109 @@ function setupTokenProvider(monaco, { fieldNames, languageId }) {
   });
 }
 
+// Whether a literal has one of the accepted types, the way validation decides it
+function literalHasValueType(literal, valueTypes) {
+  return literal.valueType === 'null' ||
+    valueTypes.includes(literal.valueType) ||
+    // Quoted ISO strings are dates too
+    (valueTypes.includes('date') && literal.valueType === 'string');
+}
+
+// The parts of a query that need the field definitions to be told apart, as
+// { start, end, type, modifiers } with a type of QUERY_SEMANTIC_TOKEN_TYPES
+function classifyQueryTokens(text, fieldNames) {
+  const { ast, tokens } = parseQuery(text, { recover: true });
+  const classified = [];
+  const add = (range, type, modifiers = 0) => classified.push({ start: range.start, end: range.end, type, modifiers });
+
+  const addValue = (literal, field, valueTypes) => {
+    if (!literal || literal.type !== 'Literal' || literal.unclosed) return;
+    if (!literalHasValueType(literal, valueTypes)) {
+      add(literal, 'invalidValue');
+    } else if (field.type === 'string' && field.values && literal.valueType === 'string' && field.values.includes(literal.value)) {
+      add(literal, 'enumValue');
+    }
+  };
+
+  walkQuery(ast, node => {
+    if (node.type === 'Term') {
+      add(node, 'searchTerm');
+    }
+    if (node.type !== 'Comparison') return;
+
+    const field = findFieldDefinition(fieldNames, node.field.name);
+    if (!field) {
+      add(node.field, 'unknownField');
+      return;
+    }
+    add(node.field, 'field', field.deprecated ? 1 : 0);
+
+    const value = node.value;
+    if (!value) return;
+    if (value.type === 'List') {
+      value.items.forEach(item => addValue(item, field, [field.type]));
+    } else if (value.type === 'Range') {
+      addValue(value.lower, field, [field.type]);
+      addValue(value.upper, field, [field.type]);
+    } else {
+      const operator = findQueryOperator(node.operator);
+      addValue(value, field, operator && operator.valueTypes ? operator.valueTypes : [field.type]);
+    }
+  });
+
+  tokens
+    .filter(token => token.type === 'keyword' && ['AND', 'OR', 'NOT'].includes(token.value))
+    .forEach(token => add(token, 'keyword'));
+
+  return classified.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Sets up the semantic tokens provider. Unlike the Monarch grammar it works
+ * from the parsed query, so unknown fields and values of the wrong type stand
+ * out as soon as they are typed, before validation marks them.
+ * @param {object} monaco The Monaco editor instance
+ * @param {object} options Configuration options
+ * @param {object} options.fieldNames The field name definitions
+ * @param {string} options.languageId The language ID
+ * @returns {object} The disposable provider
+ */
+function setupSemanticTokensProvider(monaco, { fieldNames, languageId }) {
+  const legend = { tokenTypes: QUERY_SEMANTIC_TOKEN_TYPES, tokenModifiers: QUERY_SEMANTIC_TOKEN_MODIFIERS };
+
+  return monaco.languages.registerDocumentSemanticTokensProvider(languageId, {
+    getLegend: () => legend,
+    provideDocumentSemanticTokens: (model) => {
+      // Each token is encoded relative to the previous one: line delta, column delta
+      // (from the line start on a new line), length, type and modifier bits
+      const data = [];
+      let previousLine = 1;
+      let previousColumn = 1;
+      classifyQueryTokens(model.getValue(), fieldNames).forEach(token => {
+        const start = model.getPositionAt(token.start);
+        const end = model.getPositionAt(token.end);
+        // Semantic tokens cannot span lines, a multi-line string is cut at its first line end
+        const endColumn = end.lineNumber === start.lineNumber ? end.column : model.getLineMaxColumn(start.lineNumber);
+        if (endColumn <= start.column) return;
+
+        data.push(
+          start.lineNumber - previousLine,
+          start.lineNumber === previousLine ? start.column - previousColumn : start.column - 1,
+          endColumn - start.column,
+          QUERY_SEMANTIC_TOKEN_TYPES.indexOf(token.type),
+          token.modifiers
+        );
+        previousLine = start.lineNumber;
+        previousColumn = start.column;
+      });
+      return { data: new Uint32Array(data) };
+    },
+    releaseDocumentSemanticTokens: () => {}
+  });
+}
+
 /**
- * Sets up validation for the query language
+ * Sets up validation for the query language, with quick fixes for the markers that have one
  * @param {object} monaco The Monaco editor instance
  * @param {object} options Configuration options
  * @param {object} options.fieldNames The field name definitions
@@ -728,220 +3979,64 @@ function setupValidation(monaco, { fieldNames, languageId }) {
     monaco._validationSetup = {};
   }
 
-  // Cache for tokenization and validation results
-  const tokenCache = new Map();
+  // Cache for parse and validation results
+  const parseCache = new Map();
   const validationCache = new Map();
 
-  // Enhanced tokenizer
-  function tokenize(str) {
+  // Parse in recovering mode so every syntax error becomes a marker
+  function parse(str) {
     // Check cache first
-    const cached = tokenCache.get(str);
+    const cached = parseCache.get(str);
     if (cached) {
       return cached;
     }
 
-    const tokens = [];
-    let position = 0;
-    
-    while (position < str.length) {
-      // Skip whitespace
-      if (/\s/.test(str[position])) {
-        position++;
-        continue;
-      }
-      
-      let match = null;
-      let value = '';
-      let type = '';
-      let tokenStart = position;
-      
-      // Check for specific patterns in order of priority
-      
-      // 1. Operators (multi-character first)
-      if (str.substring(position).match(/^(!=|>=|<=)/)) {
-        const op = str.substring(position).match(/^(!=|>=|<=)/)[0];
-        value = op;
-        type = 'operator';
-        position += op.length;
-      }
-      // 2. Single character operators
-      else if (/[=<>]/.test(str[position])) {
-        value = str[position];
-        type = 'operator';
-        position++;
-      }
-      // 3. Punctuation
-      else if (/[(),\[\]]/.test(str[position])) {
-        value = str[position];
-        type = 'punctuation';
-        position++;
-      }
-      // 4. Comma
-      else if (str[position] === ',') {
-        value = ',';
-        type = 'punctuation';
-        position++;
-      }
-      // 5. Quoted strings (including unclosed ones)
-      else if (str[position] === '"') {
-        let endQuoteFound = false;
-        let stringEnd = position + 1;
-        
-        // Look for closing quote, handling escaped quotes
-        while (stringEnd < str.length) {
-          if (str[stringEnd] === '"' && str[stringEnd - 1] !== '\\') {
-            endQuoteFound = true;
-            stringEnd++;
-            break;
-          }
-          stringEnd++;
-        }
-        
-        value = str.substring(position, stringEnd);
-        type = endQuoteFound ? 'string' : 'unclosed-string';
-        position = stringEnd;
-      }
-      // 6. Numbers
-      else if (/\d/.test(str[position]) || (str[position] === '-' && /\d/.test(str[position + 1]))) {
-        const numberMatch = str.substring(position).match(/^-?\d*\.?\d+/);
-        if (numberMatch) {
-          value = numberMatch[0];
-          type = 'number';
-          position += value.length;
-        } else {
-          // Fallback - treat as identifier
-          const identifierMatch = str.substring(position).match(/^\w+/);
-          value = identifierMatch ? identifierMatch[0] : str[position];
-          type = 'identifier';
-          position += value.length;
-        }
-      }
-      // 7. Keywords and identifiers
-      else if (/[a-zA-Z_]/.test(str[position])) {
-        const wordMatch = str.substring(position).match(/^[a-zA-Z_]\w*/);
-        if (wordMatch) {
-          value = wordMatch[0];
-          
-          // Check for keywords (case-sensitive for logical operators)
-          if (['AND', 'OR'].includes(value)) { // Case-sensitive check
-            type = 'keyword';
-          } else if (value === 'IN') { // Case-sensitive
-            type = 'keyword';
-          } else if (['true', 'false'].includes(value.toLowerCase())) {
-            type = 'boolean';
-          } else if (value.toLowerCase() === 'null') {
-            type = 'null';
-          } else {
-            type = 'identifier';
-          }
-          
-          position += value.length;
-        } else {
-          // Single character fallback
-          value = str[position];
-          type = 'identifier';
-          position++;
-        }
-      }
-      // 8. Fallback for any other character
-      else {
-        value = str[position];
-        type = 'identifier';
-        position++;
-      }
-      
-      if (value) {
-        tokens.push({
-          value,
-          type,
-          start: tokenStart,
-          end: position
-        });
-      }
-    }
+    const result = parseQuery(str, { recover: true });
 
     // Cache the result if it's not too large (prevent memory issues)
     if (str.length < 10000) {
-      tokenCache.set(str, tokens);
+      parseCache.set(str, result);
     }
 
-    return tokens;
+    return result;
   }
 
-  // Helper to get token type with enhanced pattern recognition
-  function getTokenType(value) {
-    if (/^-?\d*\.?\d+$/.test(value)) return 'number';
-    if (/^".*"$/.test(value)) return 'string';
-    if (/^"/.test(value) && !value.endsWith('"')) return 'unclosed-string';
-    if (/^(true|false)$/i.test(value)) return 'boolean';
-    if (/^(null)$/i.test(value)) return 'null';
-    if (/^(AND|OR)$/.test(value)) return 'keyword'; // Case-sensitive check for logical operators
-    if (value === 'IN') return 'keyword'; // Case-sensitive check for IN operator
-    if (/^[=!<>]=?$/.test(value)) return 'operator';
-    if (/^[\[\](),]$/.test(value)) return 'punctuation';
-    return 'identifier';
+  // Helper to create a marker for a source range, `fixes` are offered as quick fixes.
+  // Lines and columns are filled in from the offsets when the markers are set.
+  function createMarker(severity, message, start, end, fixes = []) {
+    return {
+      severity,
+      message,
+      start,
+      end,
+      fixes
+    };
   }
 
-  // Helper function to find the field name before an IN operator
-  function findFieldBeforeIN(tokens, inStartIndex) {
-    // Walk backwards from the IN token to find the field name
-    for (let i = inStartIndex - 1; i >= 0; i--) {
-      const token = tokens[i];
-      // Check if it's a valid field name (identifier that matches our field names)
-      if (token.type === 'identifier' && fieldNames[token.value]) {
-        return token.value;
-      }
-      // Stop if we hit another operator or the start
-      if (token.type === 'operator' || i === 0) {
-        break;
-      }
+  // Helper to describe the allowed values of a field in a warning
+  function allowedValuesMessage(stringValue, values) {
+    if (values.length <= 5) {
+      return `Value "${stringValue}" is not one of the allowed values: [${values.join(', ')}]`;
     }
-    return null;
+    // Show first few values and indicate there are more
+    const preview = values.slice(0, 5).join(', ');
+    return `Value "${stringValue}" is not one of the allowed values. Expected one of: ${preview}... (${values.length} total values)`;
   }
 
   // Validate string values
-  function validateStringValue(value, token, markers) {
-    // Check for unclosed quotes
-    if (token.type === 'unclosed-string') {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: 'Unclosed string literal. Did you forget a closing quote?',
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
-      return false;
-    }
-    
-    // Check for properly escaped quotes
-    const unescapedQuotes = value.slice(1, -1).match(/(?<!\\)"/g);
-    if (unescapedQuotes) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: 'Unescaped quote in string literal. Use \\" for quotes inside strings.',
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
-      return false;
-    }
-
+  function validateStringValue(literal, markers) {
     // Check for invalid escape sequences
-    const invalidEscapes = value.slice(1, -1).match(/\\(?!["\\/bfnrt])/g);
+    const invalidEscapes = literal.raw.slice(1, literal.unclosed ? undefined : -1).match(/\\(?!["\\/bfnrt])/g);
     if (invalidEscapes) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: 'Invalid escape sequence. Valid escapes are: \\", \\\\, \\/, \\b, \\f, \\n, \\r, \\t',
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
+      markers.push(createMarker(
+        monaco.MarkerSeverity.Error,
+        'Invalid escape sequence. Valid escapes are: \\", \\\\, \\/, \\b, \\f, \\n, \\r, \\t',
+        literal.start,
+        literal.end
+      ));
       return false;
     }
-    
+
     return true;
   }
 
@@ -949,40 +4044,19 @@ function setupValidation(monaco, { fieldNames, languageId }) {
   function validateNumberValue(value, field, token, markers) {
     // Check if it's a valid number
     if (!/^-?\d*\.?\d+$/.test(value)) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: `Invalid number format: ${value}`,
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
+      markers.push(createMarker(monaco.MarkerSeverity.Error, `Invalid number format: ${value}`, token.start, token.end));
       return false;
     }
 
-    // If field has range validation
+    // Values outside of the field range are allowed but won't match any record
     if (field.range) {
       const num = parseFloat(value);
       if (field.range.min !== undefined && num < field.range.min) {
-        markers.push({
-          severity: monaco.MarkerSeverity.Error,
-          message: `Value must be greater than or equal to ${field.range.min}`,
-          startLineNumber: 1,
-          startColumn: token.start + 1,
-          endLineNumber: 1,
-          endColumn: token.end + 1
-        });
+        markers.push(createMarker(monaco.MarkerSeverity.Warning, `Value must be greater than or equal to ${field.range.min}`, token.start, token.end));
         return false;
       }
       if (field.range.max !== undefined && num > field.range.max) {
-        markers.push({
-          severity: monaco.MarkerSeverity.Error,
-          message: `Value must be less than or equal to ${field.range.max}`,
-          startLineNumber: 1,
-          startColumn: token.start + 1,
-          endLineNumber: 1,
-          endColumn: token.end + 1
-        });
+        markers.push(createMarker(monaco.MarkerSeverity.Warning, `Value must be less than or equal to ${field.range.max}`, token.start, token.end));
         return false;
       }
     }
@@ -990,541 +4064,411 @@ function setupValidation(monaco, { fieldNames, languageId }) {
     return true;
   }
 
-  // Helper to validate IN list structure and values
-  function validateInList(tokens, startIndex, markers) {
-    let inList = false;
-    let valueCount = 0;
-    let hasTrailingComma = false;
-    let bracketBalance = 0;
-    let arrayStart = -1;
-
-    // Store values and their positions
-    let values = [];
-
-    // Find the field name associated with this IN list
-    const currentListField = findFieldBeforeIN(tokens, startIndex);
-    const fieldDef = currentListField ? fieldNames[currentListField] : null;
-    let hasErrors = false;
-
-    // Function to check for duplicates in the collected values
-    function checkForDuplicates() {
-      for (let i = 0; i < values.length; i++) {
-        for (let j = i + 1; j < values.length; j++) {
-          const a = values[i];
-          const b = values[j];
-          
-          let isDuplicate = false;
-          if (a.type === 'number' && b.type === 'number') {
-            // Compare numbers with fixed precision
-            isDuplicate = Number(a.value).toFixed(10) === Number(b.value).toFixed(10);
-          } else {
-            // Direct comparison for strings and booleans
-            isDuplicate = a.value === b.value;
-          }
+  // Resolve a date range bound given as a Date, an ISO string or a relative date
+  function rangeDate(bound) {
+    if (bound instanceof Date) return bound;
+    if (isRelativeDate(bound)) return resolveRelativeDate(bound);
+    return parseIsoDate(bound);
+  }
+
+  // Validate a date value (ISO string or relative date) and check it against the field range
+  function validateDateValue(literal, field, markers) {
+    if (literal.unclosed) {
+      return true;
+    }
+
+    const date = toQueryDate(literal);
+    if (!date) {
+      markers.push(createMarker(
+        monaco.MarkerSeverity.Error,
+        `Invalid date "${literal.value}". Use an ISO date like "2024-01-31" or "2024-01-31T09:30:00Z", or a relative date like now-7d.`,
+        literal.start,
+        literal.end
+      ));
+      return false;
+    }
+
+    if (field.range) {
+      const min = field.range.min !== undefined ? rangeDate(field.range.min) : null;
+      const max = field.range.max !== undefined ? rangeDate(field.range.max) : null;
+      if (min && date < min) {
+        markers.push(createMarker(monaco.MarkerSeverity.Warning, `Date must be on or after ${field.range.min}`, literal.start, literal.end));
+        return false;
+      }
+      if (max && date > max) {
+        markers.push(createMarker(monaco.MarkerSeverity.Warning, `Date must be on or before ${field.range.max}`, literal.start, literal.end));
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // Check a BETWEEN bound the way a single comparison value is checked
+  function validateRangeBound(literal, field, fieldName, markers) {
+    if (literal.valueType === 'null') {
+      markers.push(createMarker(monaco.MarkerSeverity.Error, 'NULL cannot be used as a BETWEEN bound', literal.start, literal.end));
+      return;
+    }
+    if (!validateValueType(literal, field, fieldName, markers)) {
+      return;
+    }
+    if (field.type === 'date') {
+      validateDateValue(literal, field, markers);
+    } else if (literal.valueType === 'number') {
+      validateNumberValue(literal.raw, field, literal, markers);
+    }
+  }
+
+  // The comparable value of a BETWEEN bound, or null if it has none
+  function rangeBoundValue(literal, field) {
+    if (field.type === 'date') {
+      return toQueryDate(literal);
+    }
+    return literal.valueType === 'number' || literal.valueType === 'string' ? literal.value : null;
+  }
+
+  // Validate both bounds of a BETWEEN range and their order
+  function validateRange(range, field, fieldName, markers) {
+    validateRangeBound(range.lower, field, fieldName, markers);
+    validateRangeBound(range.upper, field, fieldName, markers);
+
+    const lower = rangeBoundValue(range.lower, field);
+    const upper = rangeBoundValue(range.upper, field);
+    if (lower !== null && upper !== null && compareQueryValues(lower, upper) > 0) {
+      markers.push(createMarker(
+        monaco.MarkerSeverity.Error,
+        `Lower bound ${range.lower.raw} is greater than upper bound ${range.upper.raw}`,
+        range.start,
+        range.end
+      ));
+    }
+  }
+
+  // Helper to validate IN list values
+  function validateInList(list, fieldDef, operator, markers) {
+    const values = [];
+
+    list.items.forEach(item => {
+      // Check for allowed values if field has specific values defined
+      if (fieldDef && fieldDef.values && fieldDef.type === 'string' && item.valueType === 'string' && !item.unclosed) {
+        if (!fieldDef.values.includes(item.value)) {
+          markers.push(createMarker(monaco.MarkerSeverity.Warning, allowedValuesMessage(item.value, fieldDef.values), item.start, item.end));
+        }
+      }
+      values.push(item);
+    });
+
+    // Check for duplicates in the collected values
+    for (let i = 0; i < values.length; i++) {
+      for (let j = i + 1; j < values.length; j++) {
+        const a = values[i];
+        const b = values[j];
+
+        let isDuplicate = false;
+        if (a.valueType === 'number' && b.valueType === 'number') {
+          // Compare numbers with fixed precision
+          isDuplicate = a.value.toFixed(10) === b.value.toFixed(10);
+        } else {
+          // Direct comparison for strings and booleans
+          isDuplicate = a.valueType === b.valueType && a.value === b.value;
+        }
+
+        if (isDuplicate) {
+          // Removing the duplicate takes the comma before it along
+          const fixes = [queryFix(`Remove duplicate ${b.raw}`, values[j - 1].end, b.end, '')];
+          // Mark the first occurrence
+          markers.push(createMarker(monaco.MarkerSeverity.Error, 'This value is duplicated later in the list', a.start, a.end, fixes));
+          // Mark the duplicate
+          markers.push(createMarker(monaco.MarkerSeverity.Error, `Duplicate value ${b.raw} in ${operator} list`, b.start, b.end, fixes));
+        }
+      }
+    }
+  }
+
+  // The known field name closest to an unknown one
+  function closestFieldName(name) {
+    return Object.keys(fieldNames).find(f =>
+      f.toLowerCase().includes(name.toLowerCase()) ||
+      name.toLowerCase().includes(f.toLowerCase())
+    );
+  }
+
+  // Suggest the closest field name for an unknown one
+  function unknownFieldMessage(name) {
+    const availableFields = Object.keys(fieldNames);
+    let suggestion = '';
+    if (availableFields.length > 0) {
+      const closest = closestFieldName(name);
+      if (closest) {
+        suggestion = ` Did you mean '${closest}'?`;
+      } else {
+        const fieldList = availableFields.length <= 5
+          ? availableFields.join(', ')
+          : availableFields.slice(0, 5).join(', ') + '...';
+        suggestion = ` Available fields: ${fieldList}`;
+      }
+    }
+    return `Unknown field name '${name}'.${suggestion}`;
+  }
+
+  // Check a single comparison against the field definitions
+  function validateComparison(node, markers) {
+    const fieldName = node.field.name;
+    const field = findFieldDefinition(fieldNames, fieldName);
+
+    if (!field) {
+      const closest = closestFieldName(fieldName);
+      const fixes = closest ? [queryFix(`Change to '${closest}'`, node.field.start, node.field.end, closest)] : [];
+      markers.push(createMarker(monaco.MarkerSeverity.Error, unknownFieldMessage(fieldName), node.field.start, node.field.end, fixes));
+      return;
+    }
+
+    // Deprecated fields still filter, a string `deprecated` says what to use instead
+    if (field.deprecated) {
+      const marker = createMarker(
+        monaco.MarkerSeverity.Warning,
+        typeof field.deprecated === 'string' ? `Field '${fieldName}' is deprecated. ${field.deprecated}` : `Field '${fieldName}' is deprecated`,
+        node.field.start,
+        node.field.end
+      );
+      if (monaco.MarkerTag) {
+        marker.tags = [monaco.MarkerTag.Deprecated];
+      }
+      markers.push(marker);
+    }
+
+    // Validate operator compatibility with field type
+    const operator = node.operator && findQueryOperator(node.operator);
+    if (operator && !operatorAppliesTo(operator, field)) {
+      markers.push(createMarker(
+        monaco.MarkerSeverity.Error,
+        `Operator ${node.operator} can only be used with ${operator.fieldTypes.join(', ').replace(/, ([^,]*)$/, ' or $1')} fields`,
+        node.operatorRange.start,
+        node.operatorRange.end
+      ));
+    }
+
+    if (!node.value) {
+      return;
+    }
 
-          if (isDuplicate) {
-            // Mark the first occurrence
-            markers.push({
-              severity: monaco.MarkerSeverity.Error,
-              message: 'This value is duplicated later in the list',
-              startLineNumber: 1,
-              startColumn: a.token.start + 1,
-              endLineNumber: 1,
-              endColumn: a.token.end + 1
-            });
+    if (node.value.type === 'List') {
+      node.value.items.forEach(item => validateValueType(item, field, fieldName, markers));
+      validateInList(node.value, field, node.operator, markers);
+      return;
+    }
 
-            // Mark the duplicate
-            markers.push({
-              severity: monaco.MarkerSeverity.Error,
-              message: `Duplicate value ${b.value} in IN list`,
-              startLineNumber: 1,
-              startColumn: b.token.start + 1,
-              endLineNumber: 1,
-              endColumn: b.token.end + 1
-            });
+    if (node.value.type === 'Range') {
+      validateRange(node.value, field, fieldName, markers);
+      return;
+    }
 
-            hasErrors = true;
-          }
-        }
-      }
+    const literal = node.value;
+    if (!validateValueType(literal, field, fieldName, markers, operator ? operator.valueTypes : undefined)) {
+      return;
     }
 
-    for (let i = startIndex; i < tokens.length; i++) {
-      const token = tokens[i];
-      const value = token.value;
+    if (field.type === 'date' && literal.valueType !== 'null') {
+      validateDateValue(literal, field, markers);
+      return;
+    }
+    if (field.type === 'number' && literal.valueType === 'number') {
+      validateNumberValue(literal.raw, field, literal, markers);
+    }
 
-      if (value === '[') {
-        if (inList) {
-          markers.push({
-            severity: monaco.MarkerSeverity.Error,
-            message: 'Unexpected opening bracket inside IN list',
-            startLineNumber: 1,
-            startColumn: token.start + 1,
-            endLineNumber: 1,
-            endColumn: token.end + 1
-          });
-          hasErrors = true;
-        }
-        inList = true;
-        bracketBalance++;
-        arrayStart = token.start;
-        continue;
+    // Patterns are compiled the same way the evaluator does, so broken ones are caught here
+    if (operator && operator.compile && !literal.unclosed && literal.valueType !== 'null') {
+      try {
+        operator.compile(literal);
+      } catch (error) {
+        markers.push(createMarker(monaco.MarkerSeverity.Error, error.message, literal.start, literal.end));
       }
+    }
 
-      if (!inList) continue;
+    // Check for allowed values if field has specific values defined (string matching
+    // operators only compare against part of a value, so they are exempt)
+    const matchesPartially = operator && operator.match;
+    if (!matchesPartially && field.values && field.type === 'string' && literal.valueType === 'string' &&
+        !literal.unclosed && !field.values.includes(literal.value)) {
+      markers.push(createMarker(monaco.MarkerSeverity.Warning, allowedValuesMessage(literal.value, field.values), literal.start, literal.end));
+    }
+  }
 
-      if (value === ']') {
-        bracketBalance--;
-        // Check for duplicate values before exiting
-        checkForDuplicates();
-        break;
-      }
+  // Value type checking, returns false when a marker was added
+  function validateValueType(literal, field, fieldName, markers, valueTypes = [field.type]) {
+    // NULL is allowed for any field type (represents absence of value)
+    if (literal.valueType === 'null' || valueTypes.includes(literal.valueType)) {
+      return true;
+    }
+    // Quoted ISO strings are dates too, validateDateValue checks their format
+    if (valueTypes.includes('date') && literal.valueType === 'string') {
+      return true;
+    }
+    markers.push(createMarker(
+      monaco.MarkerSeverity.Error,
+      `Value must be a ${valueTypes.join(' or ')} for field '${fieldName}'`,
+      literal.start,
+      literal.end
+    ));
+    return false;
+  }
 
-      if (value === ',') {
-        hasTrailingComma = true;
-        continue;
-      }
+  // The markers last set on each model along with the model version they belong to
+  const modelMarkers = new WeakMap();
+
+  function setMarkers(model, markers) {
+    // Offsets count line breaks, so multi-line queries get their markers on the right line
+    const positioned = markers.map(marker => {
+      const start = model.getPositionAt(marker.start);
+      const end = model.getPositionAt(marker.end);
+      return {
+        ...marker,
+        startLineNumber: start.lineNumber,
+        startColumn: start.column,
+        endLineNumber: end.lineNumber,
+        endColumn: end.column
+      };
+    });
+    modelMarkers.set(model, { markers: positioned, versionId: model.getVersionId() });
+    monaco.editor.setModelMarkers(model, languageId, positioned);
+  }
 
-      hasTrailingComma = false;
-      if (['string', 'number', 'boolean'].includes(token.type)) {
-        valueCount++;
-        
-        // Check for allowed values if field has specific values defined
-        if (fieldDef && fieldDef.values && fieldDef.type === 'string' && token.type === 'string') {
-          // Remove quotes from string value to compare with allowed values
-          const stringValue = token.value.slice(1, -1);
-          if (!fieldDef.values.includes(stringValue)) {
-            let message;
-            if (fieldDef.values.length <= 3) {
-              // Show all values if there are 10 or fewer
-              message = `Value "${stringValue}" is not one of the allowed values: [${fieldDef.values.join(', ')}]`;
-            } else {
-              // Show first few values and indicate there are more
-              const preview = fieldDef.values.slice(0, 3).join(', ');
-              message = `Value "${stringValue}" is not one of the allowed values. Expected one of: ${preview}... (${fieldDef.values.length} total values)`;
+  // Values of fields with a values provider are checked once the provider answers,
+  // their warnings are added to the markers already set
+  function validateProvidedValues(model, ast, markers) {
+    const checks = [];
+    walkQuery(ast, node => {
+      if (node.type !== 'Comparison' || !node.value) return;
+      const field = findFieldDefinition(fieldNames, node.field.name);
+      const operator = findQueryOperator(node.operator);
+      // Static values are checked with the rest, string matching operators only compare part of a value
+      if (!hasValuesProvider(field) || field.values || (operator && operator.match)) return;
+
+      const literals = node.value.type === 'List' ? node.value.items : [node.value];
+      literals
+        .filter(literal => literal.type === 'Literal' && literal.valueType === 'string' && !literal.unclosed)
+        .forEach(literal => {
+          checks.push(requestFieldValues(field, literal.value, { field: node.field.name }).then(values => {
+            if (!values || values.includes(literal.value)) {
+              return null;
             }
-            markers.push({
-              severity: monaco.MarkerSeverity.Warning,
-              message: message,
-              startLineNumber: 1,
-              startColumn: token.start + 1,
-              endLineNumber: 1,
-              endColumn: token.end + 1
-            });
-          }
-        }
-        
-        values.push({
-          value: token.value,
-          token: token,
-          type: token.type
+            const similar = values.length > 0 ? ` Did you mean ${values.slice(0, 5).map(v => `"${v}"`).join(', ')}?` : '';
+            return createMarker(
+              monaco.MarkerSeverity.Warning,
+              `Value "${literal.value}" is not one of the allowed values.${similar}`,
+              literal.start,
+              literal.end
+            );
+          }));
         });
-      }
+    });
+    if (checks.length === 0) {
+      return;
     }
 
-    return !hasErrors;
+    const versionId = model.getVersionId();
+    Promise.all(checks).then(results => {
+      const warnings = results.filter(Boolean);
+      // An edit in the meantime validates again
+      if (warnings.length === 0 || (model.isDisposed && model.isDisposed()) || model.getVersionId() !== versionId) {
+        return;
+      }
+      setMarkers(model, [...markers, ...warnings]);
+    });
   }
 
   // Track the last validation state
   let lastValidationState = {
     content: '',
-    tokens: [],
+    ast: null,
     markers: [],
     hasErrors: false
   };
 
-  // Helper to calculate validation state hash
-  function getValidationHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return hash;
-  }
-
-  // Helper to check if position is in the middle of complete content
-  function isPositionInMiddle(model, position) {
-    const lineCount = model.getLineCount();
-    const lastLineLength = model.getLineLength(lineCount);
-    
-    return position.lineNumber < lineCount || 
-           (position.lineNumber === lineCount && position.column < lastLineLength);
-  }
-
-  // Helper to get tokens up to position
-  function getTokensUpToPosition(tokens, position, model) {
-    if (!position) return tokens;
-    
-    const offset = model.getOffsetAt(position);
-    return tokens.filter(token => token.end <= offset);
-  }
-
-  // Main validation function with incremental updates
-  function validateQuery(model, position) {
+  // Main validation function
+  function validateQuery(model) {
     const value = model.getValue();
-    
+
     // Quick check if content hasn't changed
     if (value === lastValidationState.content) {
-      monaco.editor.setModelMarkers(model, languageId, lastValidationState.markers);
+      setMarkers(model, lastValidationState.markers);
+      validateProvidedValues(model, lastValidationState.ast, lastValidationState.markers);
       return;
     }
 
-    // Check cache for identical content
-    const validationHash = getValidationHash(value);
-    const cached = validationCache.get(validationHash);
-    if (cached && !position) {  // Only use cache if we don't need position-aware validation
-      monaco.editor.setModelMarkers(model, languageId, cached);
+    const { ast, errors } = parse(value);
+
+    // Check cache for identical content, keyed by the text itself so no two queries share markers
+    const cached = validationCache.get(value);
+    if (cached) {
+      setMarkers(model, cached);
+      validateProvidedValues(model, ast, cached);
       lastValidationState = {
         content: value,
-        tokens: tokenCache.get(value) || [],
+        ast,
         markers: cached,
         hasErrors: cached.length > 0
       };
       return;
     }
 
-    const markers = [];
-    const tokens = tokenize(value);
-
-    // Detect if this is search mode or structured query mode
-    const hasOperators = tokens.some(token => 
-      ['=', '!=', '>', '<', '>=', '<=', 'IN', 'AND', 'OR', '(', ')'].includes(token.value)
+    // Syntax errors come straight from the parser
+    const markers = errors.map(error =>
+      createMarker(monaco.MarkerSeverity.Error, error.message, error.start, error.end, error.fixes)
     );
-    
-    // If no operators found, treat as search mode (no validation needed)
-    if (!hasOperators && tokens.length > 0) {
-      // Search mode - just check for unclosed strings
-      tokens.forEach(token => {
-        if (token.type === 'unclosed-string') {
-          addError(token, 'Unclosed string literal');
-        }
-      });
-      
-      // Cache and store validation result
-      validationCache.set(validationHash, markers);
-      lastValidationState = {
-        content: value,
-        tokens,
-        markers,
-        hasErrors: markers.length > 0
-      };
-      monaco.editor.setModelMarkers(model, languageId, markers);
-      return;
-    }
-
-    // Helper to add error marker
-    function addError(token, message) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message,
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
-    }
-
-    // Helper to add warning marker
-    function addWarning(token, message) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Warning,
-        message,
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
-    }
-
-    // State tracking
-    let expressionState = {
-      hasField: false,
-      hasOperator: false,
-      hasValue: false,
-      currentField: null,
-      lastValueToken: null,
-      inParentheses: false,
-      parenthesesBalance: 0,
-      reset() {
-        this.hasField = false;
-        this.hasOperator = false;
-        this.hasValue = false;
-        this.currentField = null;
-        this.lastValueToken = null;
-      }
-    };
-
-    // Optimize token validation by caching field lookups
-    const fieldCache = new Map();
-    function isValidField(token) {
-      if (fieldCache.has(token)) {
-        return fieldCache.get(token);
-      }
-      // Only allow defined field names - remove the fallback regex
-      const isValid = fieldNames[token] !== undefined;
-      fieldCache.set(token, isValid);
-      return isValid;
-    }
-
-    // Track parentheses for complex expressions
-    let parenthesesStack = [];
-
-    // Validate each token with enhanced state tracking
-    tokens.forEach((token, index) => {
-      const current = token.value.toUpperCase();
-      const prev = index > 0 ? tokens[index - 1].value : '';
-      const next = index < tokens.length - 1 ? tokens[index + 1].value : '';
-
-      // Track parentheses state
-      if (current === '(') {
-        expressionState.inParentheses = true;
-        expressionState.parenthesesBalance++;
-        parenthesesStack.push(expressionState.parenthesesBalance);
-      } else if (current === ')') {
-        expressionState.parenthesesBalance--;
-        parenthesesStack.pop();
-        if (expressionState.parenthesesBalance < 0) {
-          addError(token, 'Unmatched closing parenthesis');
-          return;
-        }
-        expressionState.inParentheses = expressionState.parenthesesBalance > 0;
-      }
-
-      // Reset expression state after logical operators (only uppercase ones are valid)
-      if (['AND', 'OR'].includes(token.value)) {
-        // Check if we have a complete expression before the logical operator
-        const hasCompleteExpression = expressionState.hasValue || 
-                                    (prev === ']' && tokens.slice(0, index).some(t => t.value.toUpperCase() === 'IN'));
-        if (!hasCompleteExpression && !expressionState.inParentheses) {
-          addError(token, 'Incomplete expression before logical operator');
-        }
-        expressionState.reset();
-        return;
-      }
-
-      // Check if we're expecting a logical operator after a complete expression
-      if (token.type === 'identifier' && expressionState.hasValue) {
-        // We just completed an expression (field = value), so we expect a logical operator
-        if (['and', 'or'].includes(token.value.toLowerCase())) {
-          // This is a logical operator but in wrong case
-          addError(token, `Logical operator must be uppercase. Use '${token.value.toUpperCase()}' instead of '${token.value}'.`);
-          return;
-        } else if (!['AND', 'OR'].includes(token.value.toUpperCase())) {
-          // This is not a logical operator at all, but we expected one
-          addError(token, `Expected logical operator (AND/OR) after complete expression, but found '${token.value}'.`);
-          return;
-        }
-      }
-
-      // Enhanced field name validation      
-      if (token.type === 'identifier' && !['AND', 'OR', 'IN', 'TRUE', 'FALSE', 'NULL'].includes(token.value)) {
-        // Check for lowercase logical operators first
-        if (['and', 'or'].includes(token.value.toLowerCase()) && token.value !== token.value.toUpperCase()) {
-          addError(token, `Logical operator must be uppercase. Use '${token.value.toUpperCase()}' instead of '${token.value}'.`);
-          return;
-        }
-        
-        // Check if this is a valid field name
-        if (!isValidField(token.value)) {
-          // Check if we're in a position where a field name is expected
-          const expectingField = !expressionState.hasField || 
-                               (index > 0 && ['AND', 'OR'].includes(tokens[index - 1].value.toUpperCase()));
-          
-          if (expectingField) {
-            const availableFields = Object.keys(fieldNames);
-            let suggestion = '';
-            if (availableFields.length > 0) {
-              // Find the closest matching field name
-              const closest = availableFields.find(f => 
-                f.toLowerCase().includes(token.value.toLowerCase()) ||
-                token.value.toLowerCase().includes(f.toLowerCase())
-              );
-              if (closest) {
-                suggestion = ` Did you mean '${closest}'?`;
-              } else {
-                const fieldList = availableFields.length <= 5 
-                  ? availableFields.join(', ')
-                  : availableFields.slice(0, 5).join(', ') + '...';
-                suggestion = ` Available fields: ${fieldList}`;
-              }
-            }
-            addError(token, `Unknown field name '${token.value}'.${suggestion}`);
-          }
-        } else {
-          // Valid field name
-          if (expressionState.hasField && !expressionState.hasValue && !['AND', 'OR'].includes(prev)) {
-            addError(token, 'Unexpected field name. Did you forget an operator or AND/OR?');
-          }
-          expressionState.hasField = true;
-          expressionState.currentField = token.value;
-        }
-      }
-
-      // Enhanced operator validation
-      if (['=', '!=', '>', '<', '>=', '<='].includes(current)) {
-        if (!expressionState.hasField) {
-          addError(token, 'Operator without a preceding field name');
-        }
-        expressionState.hasOperator = true;
-        expressionState.hasValue = false; // Reset value state when we see an operator
-
-        // Validate operator compatibility with field type
-        if (expressionState.currentField) {
-          const field = fieldNames[expressionState.currentField];
-          if (field && ['>', '<', '>=', '<='].includes(current) && field.type !== 'number') {
-            addError(token, `Operator ${current} can only be used with number fields`);
-          }
-        }
-      }
-
-      // Check for unclosed strings immediately (regardless of expression state)
-      if (token.type === 'unclosed-string') {
-        addError(token, 'Unclosed string literal. Did you forget a closing quote?');
-      }
-
-      // Special handling for IN operator (case-sensitive, uppercase only)
-      if (token.value === 'IN') {
-        if (!expressionState.hasField) {
-          addError(token, 'IN operator without a preceding field name');
-        }
-        expressionState.hasOperator = true;
-        expressionState.hasValue = false;
-        validateInList(tokens, index + 1, markers);
-      }
 
-      // Value validation with type checking
-      if ((token.type === 'string' || token.type === 'number' || token.type === 'boolean' || 
-           token.type === 'null' || token.type === 'unclosed-string') && expressionState.hasOperator) {
-        if (expressionState.currentField) {
-          const field = fieldNames[expressionState.currentField];
-          if (field) {
-            // NULL is allowed for any field type (represents absence of value)
-            if (token.type === 'null') {
-              // NULL is valid for any field, skip type validation
-            } else if (field.type === 'string' && token.type !== 'string' && token.type !== 'unclosed-string') {
-              addError(token, `Value must be a string for field '${expressionState.currentField}'`);
-            } else if (field.type === 'number' && token.type !== 'number') {
-              addError(token, `Value must be a number for field '${expressionState.currentField}'`);
-            } else if (field.type === 'boolean' && token.type !== 'boolean') {
-              addError(token, `Value must be a boolean for field '${expressionState.currentField}'`);
-            } else {
-              // Check for allowed values if field has specific values defined
-              if (field.values && field.type === 'string' && token.type === 'string') {
-                // Remove quotes from string value to compare with allowed values
-                const stringValue = token.value.slice(1, -1);
-                if (!field.values.includes(stringValue)) {
-                  let message;
-                  if (field.values.length <= 2) {
-                    // Show all values if there are 10 or fewer
-                    message = `Value "${stringValue}" is not one of the allowed values: [${field.values.join(', ')}]`;
-                  } else {
-                    // Show first few values and indicate there are more
-                    const preview = field.values.slice(0, 5).join(', ');
-                    message = `Value "${stringValue}" is not one of the allowed values. Expected one of: ${preview}... (${field.values.length} total values)`;
-                  }
-                  addWarning(token, message);
-                }
-              }
-            }
-          }
-        }
-        expressionState.hasValue = true;
-        expressionState.lastValueToken = token;
-        
-        // Check for consecutive tokens without proper logical operators
-        if (index < tokens.length - 1) {
-          const nextToken = tokens[index + 1];
-          if (nextToken.type === 'identifier' && !['AND', 'OR'].includes(nextToken.value.toUpperCase())) {
-            // We have a value followed immediately by an identifier that's not a logical operator
-            addError(nextToken, `Unexpected token '${nextToken.value}' after value. Did you forget a logical operator (AND/OR)?`);
-          }
-        }
+    // Semantic checks against the field definitions
+    walkQuery(ast, node => {
+      if (node.type === 'Comparison') {
+        validateComparison(node, markers);
+      } else if (node.type === 'Term' && !node.quoted && findFieldDefinition(fieldNames, node.value)) {
+        // A bare field name is searched as text, which is rarely what was meant
+        markers.push(createMarker(
+          monaco.MarkerSeverity.Hint,
+          `'${node.value}' is searched as text in all fields. Add an operator to filter by this field, or quote it to search for the word.`,
+          node.start,
+          node.end
+        ));
+      } else if (node.type === 'Literal' && node.valueType === 'string') {
+        validateStringValue(node, markers);
       }
     });
 
-    // Final validation checks
-    if (expressionState.parenthesesBalance > 0) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: 'Unclosed parentheses in expression',
-        startLineNumber: 1,
-        startColumn: 1,
-        endLineNumber: 1,
-        endColumn: value.length + 1
-      });
-    }
-
-    // Accept valid expressions ending with string/number/boolean/null
-    const lastToken = tokens[tokens.length - 1];
-    const validEndTypes = ['string', 'number', 'boolean', 'null'];
-    if (
-      tokens.length > 0 &&
-      !expressionState.hasValue &&
-      !expressionState.inParentheses &&
-      validEndTypes.includes(lastToken.type) &&
-      expressionState.hasField &&
-      expressionState.hasOperator
-    ) {
-      expressionState.hasValue = true;
-    }
-
-    if (tokens.length > 0 && !expressionState.hasValue && !expressionState.inParentheses) {
-      // Only mark as incomplete if we're at the actual end of content
-      // or if the last token is an operator/identifier and there's nothing valid after it
-      if (lastToken.type === 'identifier' || lastToken.type === 'operator') {
-        if (!position || !isPositionInMiddle(model, position)) {
-          addError(lastToken, 'Incomplete expression at end of query');
-        } else {
-          // Check if there's valid content after the cursor
-          const fullTokens = tokenize(value);
-          const tokensAfterCursor = fullTokens.filter(t => t.start >= model.getOffsetAt(position));
-          if (!tokensAfterCursor.some(t => t.type === 'string' || t.type === 'number' || t.type === 'boolean')) {
-            addError(lastToken, 'Incomplete expression at end of query');
-          }
-        }
-      }
-    }
-
     // Cache validation results
     if (value.length < 10000) {
-      validationCache.set(validationHash, markers);
+      validationCache.set(value, markers);
     }
 
     // Update last validation state
     lastValidationState = {
       content: value,
-      tokens,
+      ast,
       markers,
       hasErrors: markers.length > 0
     };
 
     // Set markers using the specific language ID
-    monaco.editor.setModelMarkers(model, languageId, markers);
+    setMarkers(model, markers);
+    validateProvidedValues(model, ast, markers);
   }
 
-  // Helper function to set up validation for a model
-  const setupModelValidation = (model) => {
+  // Validate a model now and again whenever its content changes
+  let validateTimeout = null;
+  function setupModelValidation(model) {
     // Initial validation
     validateQuery(model);
 
     // Set up change listener with debouncing
-    const changeDisposable = model.onDidChangeContent((e) => {
+    const changeDisposable = model.onDidChangeContent(() => {
       // Clear previous timeout
       if (validateTimeout) {
         clearTimeout(validateTimeout);
       }
 
-      // Get the cursor position from the last change
-      const position = e.changes[e.changes.length - 1].rangeOffset ? {
-        lineNumber: model.getPositionAt(e.changes[e.changes.length - 1].rangeOffset).lineNumber,
-        column: model.getPositionAt(e.changes[e.changes.length - 1].rangeOffset).column
-      } : null;
-
       // Set new timeout for validation
       validateTimeout = setTimeout(() => {
-        validateQuery(model, position);
+        validateQuery(model);
       }, 300); // 300ms debounce
     });
 
@@ -1535,27 +4479,75 @@ function setupValidation(monaco, { fieldNames, languageId }) {
       }
       changeDisposable.dispose();
     });
-    
+
     return changeDisposable;
-  };
+  }
 
-  // Set up validation for existing models with this language
-  const existingModelDisposables = [];
-  monaco.editor.getModels().forEach(model => {
-    if (model.getLanguageId() === languageId) {
-      const disposable = setupModelValidation(model);
-      existingModelDisposables.push(disposable);
-    }
-  });
+  // Models created before this setup (e.g. when field names are swapped at runtime)
+  const existingModelDisposables = monaco.editor.getModels()
+    .filter(model => model.getLanguageId() === languageId)
+    .map(setupModelValidation);
 
   // Set up model change listener for future models
-  let validateTimeout = null;
   let disposable = monaco.editor.onDidCreateModel(model => {
     if (model.getLanguageId() === languageId) {
       setupModelValidation(model);
     }
   });
 
+  // Offer the fixes attached to the markers as quick fixes
+  const codeActionDisposable = monaco.languages.registerCodeActionProvider(languageId, {
+    provideCodeActions: (model, range, context) => {
+      const stored = modelMarkers.get(model);
+      // Markers from before the last edit would point at the wrong text
+      if (!stored || stored.versionId !== model.getVersionId()) {
+        return { actions: [], dispose: () => {} };
+      }
+
+      const actions = [];
+      context.markers.forEach(contextMarker => {
+        const marker = stored.markers.find(m =>
+          m.message === contextMarker.message &&
+          m.startLineNumber === contextMarker.startLineNumber &&
+          m.startColumn === contextMarker.startColumn &&
+          m.endLineNumber === contextMarker.endLineNumber &&
+          m.endColumn === contextMarker.endColumn
+        );
+        if (!marker) return;
+
+        marker.fixes.forEach((fix, index) => {
+          actions.push({
+            title: fix.title,
+            kind: 'quickfix',
+            diagnostics: [contextMarker],
+            isPreferred: index === 0,
+            edit: {
+              edits: fix.edits.map(edit => {
+                const start = model.getPositionAt(edit.start);
+                const end = model.getPositionAt(edit.end);
+                return {
+                  resource: model.uri,
+                  versionId: stored.versionId,
+                  textEdit: {
+                    range: {
+                      startLineNumber: start.lineNumber,
+                      startColumn: start.column,
+                      endLineNumber: end.lineNumber,
+                      endColumn: end.column
+                    },
+                    text: edit.text
+                  }
+                };
+              })
+            }
+          });
+        });
+      });
+
+      return { actions, dispose: () => {} };
+    }
+  }, { providedCodeActionKinds: ['quickfix'] });
+
   // Return dispose function
   const disposeFunction = {
     dispose: () => {
@@ -1563,7 +4555,7 @@ function setupValidation(monaco, { fieldNames, languageId }) {
         clearTimeout(validateTimeout);
       }
       disposable.dispose();
-      // Dispose existing model listeners
+      codeActionDisposable.dispose();
       existingModelDisposables.forEach(d => d.dispose());
       // Clean up the registration tracker
       if (monaco._validationSetup && monaco._validationSetup[languageId]) {
@@ -1579,30 +4571,222 @@ function setupValidation(monaco, { fieldNames, languageId }) {
 }
 
 /**
- * Sets up the editor theme for the query language
+ * Editor themes for the query language.
+ *
+ * `queryTheme` (light), `queryTheme-dark` and `queryTheme-hc` (high contrast)
+ * share the same token names, so the grammar and the semantic tokens are
+ * coloured alike in all of them. `auto` picks one from the host page's
+ * `prefers-color-scheme` and `forced-colors` media features. Token colour
+ * overrides define a derived theme on top of the chosen one.
+ */
+
+// Theme name and Monaco base theme of each variant
+const QUERY_THEME_VARIANTS = {
+  light: { name: 'queryTheme', base: 'vs' },
+  dark: { name: 'queryTheme-dark', base: 'vs-dark' },
+  hc: { name: 'queryTheme-hc', base: 'hc-black' }
+};
+
+// Token colours of each variant, by token name: [foreground, fontStyle, background]
+const QUERY_THEME_TOKENS = {
+  light: {
+    identifier: ['795E26', 'italic', 'FFF3D0'],
+    operator: ['af00db'],
+    boolean: ['5f5757', 'bold'],
+    number: ['5f5757', 'bold'],
+    string: ['5f5757', 'bold'],
+    'string.search': ['5f5757', 'bold'],
+    date: ['0b7a75', 'bold'],
+    regexp: ['811f3f', 'bold'],
+    keyword: ['007acc', 'bold'],
+    'keyword.null': ['5f5757', 'bold'],
+    // Semantic tokens, from the parsed query and the field definitions
+    field: ['795E26', 'italic'],
+    'field.deprecated': ['795E26', 'italic strikethrough'],
+    unknownField: ['cd3131', 'italic underline'],
+    invalidValue: ['cd3131', 'bold'],
+    enumValue: ['0451a5', 'bold'],
+    searchTerm: ['5f5757', 'bold']
+  },
+  dark: {
+    identifier: ['DCDCAA', 'italic', '3A3826'],
+    operator: ['C586C0'],
+    boolean: ['D4D4D4', 'bold'],
+    number: ['D4D4D4', 'bold'],
+    string: ['D4D4D4', 'bold'],
+    'string.search': ['D4D4D4', 'bold'],
+    date: ['4EC9B0', 'bold'],
+    regexp: ['D16969', 'bold'],
+    keyword: ['569CD6', 'bold'],
+    'keyword.null': ['D4D4D4', 'bold'],
+    field: ['DCDCAA', 'italic'],
+    'field.deprecated': ['DCDCAA', 'italic strikethrough'],
+    unknownField: ['F44747', 'italic underline'],
+    invalidValue: ['F44747', 'bold'],
+    enumValue: ['9CDCFE', 'bold'],
+    searchTerm: ['D4D4D4', 'bold']
+  },
+  hc: {
+    identifier: ['FFD700', 'italic'],
+    operator: ['FF9EFF'],
+    boolean: ['FFFFFF', 'bold'],
+    number: ['FFFFFF', 'bold'],
+    string: ['FFFFFF', 'bold'],
+    'string.search': ['FFFFFF', 'bold'],
+    date: ['6FFFE9', 'bold'],
+    regexp: ['FF9E9E', 'bold'],
+    keyword: ['75BEFF', 'bold'],
+    'keyword.null': ['FFFFFF', 'bold'],
+    field: ['FFD700', 'italic'],
+    'field.deprecated': ['FFD700', 'italic strikethrough'],
+    unknownField: ['FF6B6B', 'italic underline'],
+    invalidValue: ['FF6B6B', 'bold underline'],
+    enumValue: ['9CDCFE', 'bold'],
+    searchTerm: ['FFFFFF', 'bold']
+  }
+};
+
+const QUERY_THEME_COLORS = {
+  light: { 'editor.foreground': '#5f5757', 'editor.background': '#ffffff' },
+  dark: { 'editor.foreground': '#d4d4d4', 'editor.background': '#1e1e1e' },
+  hc: { 'editor.foreground': '#ffffff', 'editor.background': '#000000' }
+};
+
+// Colours of the query editor's clear button, at rest and hovered
+const QUERY_CLEAR_BUTTON_COLORS = {
+  light: {
+    normal: { background: '#f9fafb', color: '#6b7280', borderColor: '#d1d5db' },
+    hover: { background: '#fef2f2', color: '#dc2626', borderColor: '#fca5a5' }
+  },
+  dark: {
+    normal: { background: '#1f2937', color: '#9ca3af', borderColor: '#4b5563' },
+    hover: { background: '#450a0a', color: '#f87171', borderColor: '#7f1d1d' }
+  },
+  hc: {
+    normal: { background: '#000000', color: '#ffffff', borderColor: '#ffffff' },
+    hover: { background: '#000000', color: '#ff6b6b', borderColor: '#ff6b6b' }
+  }
+};
+
+// Themes defined for token colour overrides, by variant and overrides
+const customQueryThemes = new Map();
+
+function queryThemeRules(tokens) {
+  return Object.entries(tokens).map(([token, [foreground, fontStyle, background]]) => {
+    const rule = { token, foreground };
+    if (fontStyle) rule.fontStyle = fontStyle;
+    if (background) rule.background = background;
+    return rule;
+  });
+}
+
+// Overrides are { token: 'ff0000' } or { token: { foreground, fontStyle, background } },
+// optionally per variant as { light: {...}, dark: {...}, hc: {...} }
+function queryTokenOverrides(tokenColors, variant) {
+  const perVariant = ['light', 'dark', 'hc'].some(name => tokenColors[name] && typeof tokenColors[name] === 'object');
+  const overrides = perVariant ? tokenColors[variant] || {} : tokenColors;
+  const tokens = {};
+  Object.entries(overrides).forEach(([token, style]) => {
+    const { foreground, fontStyle, background } = typeof style === 'string' ? { foreground: style } : style;
+    tokens[token] = [foreground && foreground.replace(/^#/, ''), fontStyle, background && background.replace(/^#/, '')];
+  });
+  return tokens;
+}
+
+/**
+ * Sets up the editor themes for the query language
  * @param {object} monaco The Monaco editor instance
  */
 function setupEditorTheme(monaco) {
-  monaco.editor.defineTheme("queryTheme", {
-    base: "vs",
-    inherit: true,
-    rules: [
-      { token: 'identifier', foreground: '795E26', background: 'FFF3D0', fontStyle: 'italic' },
-      { token: 'operator', foreground: 'af00db' },
-      { token: 'boolean', foreground: '5f5757', fontStyle: 'bold' },
-      { token: 'number', foreground: '5f5757', fontStyle: 'bold' },
-      { token: 'string', foreground: '5f5757', fontStyle: 'bold' },
-      { token: 'string.search', foreground: '5f5757', fontStyle: 'bold' },
-      { token: 'keyword', foreground: '007acc', fontStyle: 'bold' },
-      { token: 'keyword.null', foreground: '5f5757', fontStyle: 'bold' }
-    ],
-    colors: {
-      'editor.foreground': '#5f5757',
-      'editor.background': '#ffffff'
-    }
+  Object.entries(QUERY_THEME_VARIANTS).forEach(([variant, { name, base }]) => {
+    monaco.editor.defineTheme(name, {
+      base,
+      inherit: true,
+      rules: queryThemeRules(QUERY_THEME_TOKENS[variant]),
+      colors: QUERY_THEME_COLORS[variant]
+    });
   });
 }
 
+/**
+ * Resolves a theme option to a variant, following the host page for `auto`
+ * @param {string} theme `light`, `dark`, `hc` or `auto`
+ * @returns {string} `light`, `dark` or `hc`
+ */
+function resolveQueryThemeVariant(theme) {
+  if (QUERY_THEME_VARIANTS[theme]) {
+    return theme;
+  }
+  if (theme !== 'auto' || typeof window === 'undefined' || !window.matchMedia) {
+    return 'light';
+  }
+  if (window.matchMedia('(forced-colors: active)').matches || window.matchMedia('(prefers-contrast: more)').matches) {
+    return 'hc';
+  }
+  return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+/**
+ * The name of the theme for a variant, defining a derived theme when token
+ * colours are overridden
+ * @param {object} monaco The Monaco editor instance
+ * @param {string} variant `light`, `dark` or `hc`
+ * @param {object} [tokenColors] Token colour overrides
+ * @returns {string} The theme name
+ */
+function queryThemeName(monaco, variant, tokenColors = null) {
+  const { name, base } = QUERY_THEME_VARIANTS[variant];
+  const overrides = tokenColors ? queryTokenOverrides(tokenColors, variant) : {};
+  if (Object.keys(overrides).length === 0) {
+    return name;
+  }
+
+  const key = `${variant}:${JSON.stringify(overrides)}`;
+  if (!customQueryThemes.has(key)) {
+    const customName = `${name}-custom-${customQueryThemes.size + 1}`;
+    const tokens = { ...QUERY_THEME_TOKENS[variant] };
+    Object.entries(overrides).forEach(([token, [foreground, fontStyle, background]]) => {
+      const [baseForeground, baseFontStyle, baseBackground] = tokens[token] || [];
+      tokens[token] = [foreground || baseForeground, fontStyle !== undefined ? fontStyle : baseFontStyle, background || baseBackground];
+    });
+    monaco.editor.defineTheme(customName, {
+      base,
+      inherit: true,
+      rules: queryThemeRules(tokens),
+      colors: QUERY_THEME_COLORS[variant]
+    });
+    customQueryThemes.set(key, customName);
+  }
+  return customQueryThemes.get(key);
+}
+
+/**
+ * Calls a listener whenever the host page switches between light, dark and
+ * high-contrast mode
+ * @param {function(): void} listener The listener
+ * @returns {object} Disposable that stops listening
+ */
+function onQueryThemeVariantChange(listener) {
+  if (typeof window === 'undefined' || !window.matchMedia) {
+    return { dispose: () => {} };
+  }
+  const queries = ['(prefers-color-scheme: dark)', '(forced-colors: active)', '(prefers-contrast: more)']
+    .map(media => window.matchMedia(media));
+  queries.forEach(query => query.addEventListener && query.addEventListener('change', listener));
+  return {
+    dispose: () => queries.forEach(query => query.removeEventListener && query.removeEventListener('change', listener))
+  };
+}
+
+/**
+ * The colours of the clear button for a variant
+ * @param {string} variant `light`, `dark` or `hc`
+ * @returns {object} `{ normal, hover }`, each with `background`, `color` and `borderColor`
+ */
+function queryClearButtonColors(variant) {
+  return QUERY_CLEAR_BUTTON_COLORS[variant] || QUERY_CLEAR_BUTTON_COLORS.light;
+}
+
 /**
  * Sets up query language support for a Monaco editor instance
  * @param {object} monaco The Monaco editor instance
@@ -1648,7 +4832,10 @@ function setupQueryLanguage(monaco, { fieldNames = {} } = {}) {
     setupLanguageConfiguration(monaco, languageId),
     setupTokenProvider(monaco, { fieldNames, languageId }),
     completionSetup.provider,
-    setupValidation(monaco, { fieldNames, languageId })
+    setupValidation(monaco, { fieldNames, languageId }),
+    setupFormattingProvider(monaco, { languageId }),
+    setupHoverProvider(monaco, { fieldNames, languageId }),
+    setupSemanticTokensProvider(monaco, { fieldNames, languageId })
   ];
   
   // Set up theme only once (shared across all instances, but that's okay)
@@ -1684,15 +4871,32 @@ function setupQueryLanguage(monaco, { fieldNames = {} } = {}) {
  * @param {string} [options.initialValue=''] Initial editor content
  * @param {string} [options.placeholder=''] Placeholder text when editor is empty
  * @param {boolean} [options.showClearButton=true] Whether to show the clear button
+ * @param {function(): object[]} [options.getData] Returns the records the query filters, field hovers show statistics over them
+ * @param {boolean} [options.multiline=false] Keep line breaks in the query, `Shift+Enter` inserts one
+ * @param {boolean} [options.lineNumbers=false] Show line numbers (multi-line mode only)
+ * @param {function(string): void} [options.onSubmit] Called with the query on `Ctrl+Enter` (`Cmd+Enter` on macOS)
+ * @param {object} [options.history] A history created by createQueryHistory: queries without syntax errors are
+ *   recorded on `Ctrl+Enter`, Up/Down step through them and an empty query completes to saved and recent ones
+ * @param {string} [options.theme='light'] `light`, `dark`, `hc` (high contrast) or `auto` to follow the
+ *   page's `prefers-color-scheme`; Monaco applies one theme to all editors on the page
+ * @param {object} [options.tokenColors] Token colour overrides such as `{ keyword: '#ff0000' }` or
+ *   `{ field: { foreground, fontStyle } }`, optionally per variant as `{ dark: {...} }`
  * @returns {object} The created editor instance and its model
  */
-function createQueryEditor(monaco, container, { fieldNames = {}, initialValue = '', placeholder = '', showClearButton = true } = {}) {
+function createQueryEditor(monaco, container, { fieldNames = {}, initialValue = '', placeholder = '', showClearButton = true, getData = null, multiline = false, lineNumbers = false, onSubmit = null, history = null, theme = 'light', tokenColors = null } = {}) {
   // Set up isolated language features for this specific editor instance
   const languageSetup = setupQueryLanguage(monaco, { fieldNames });
   const { languageId, setupAutoInsertBrackets } = languageSetup;
+  let themeVariant = resolveQueryThemeVariant(theme);
 
   // Create editor model with unique language ID
   const model = monaco.editor.createModel(initialValue, languageId);
+  if (getData) {
+    setQueryDataSource(model, getData);
+  }
+  if (history) {
+    setQueryHistory(model, history);
+  }
 
   // Create wrapper div for proper sizing with clear button container
   const wrapper = document.createElement('div');
@@ -1702,7 +4906,7 @@ function createQueryEditor(monaco, container, { fieldNames = {}, initialValue =
     width: 100%;
     height: 100%;
     display: flex;
-    align-items: center;
+    align-items: ${multiline ? 'stretch' : 'center'};
   `;
   container.appendChild(wrapper);
 
@@ -1730,9 +4934,7 @@ function createQueryEditor(monaco, container, { fieldNames = {}, initialValue =
       top: -12px;
       width: 20px;
       height: 20px;
-      border: 1px solid #d1d5db;
-      background: #f9fafb;
-      color: #6b7280;
+      border: 1px solid;
       border-radius: 4px;
       cursor: pointer;
       font-size: 12px;
@@ -1746,17 +4948,15 @@ function createQueryEditor(monaco, container, { fieldNames = {}, initialValue =
       font-family: monospace;
     `;
 
+    Object.assign(clearButton.style, queryClearButtonColors(themeVariant).normal);
+
     // Add hover and focus effects
     clearButton.addEventListener('mouseenter', () => {
-      clearButton.style.background = '#fef2f2';
-      clearButton.style.color = '#dc2626';
-      clearButton.style.borderColor = '#fca5a5';
+      Object.assign(clearButton.style, queryClearButtonColors(themeVariant).hover);
     });
 
     clearButton.addEventListener('mouseleave', () => {
-      clearButton.style.background = '#f9fafb';
-      clearButton.style.color = '#6b7280';
-      clearButton.style.borderColor = '#d1d5db';
+      Object.assign(clearButton.style, queryClearButtonColors(themeVariant).normal);
     });
 
     // Add clear functionality
@@ -1779,21 +4979,27 @@ function createQueryEditor(monaco, container, { fieldNames = {}, initialValue =
     };
   }
 
+  // Line numbers only make sense with more than one line
+  const showLineNumbers = multiline && lineNumbers;
+
   // Create editor with standard configuration and proper widget positioning
   const editor = monaco.editor.create(editorContainer, {
     model,
-    theme: 'queryTheme',
-    lineNumbers: 'off',
+    theme: queryThemeName(monaco, themeVariant, tokenColors),
+    // Standalone themes leave semantic highlighting off
+    'semanticHighlighting.enabled': true,
+    lineNumbers: showLineNumbers ? 'on' : 'off',
     minimap: { enabled: false },
     scrollbar: { 
-      vertical: 'hidden', 
+      vertical: multiline ? 'auto' : 'hidden', 
       horizontal: 'auto',
+      verticalScrollbarSize: 6,
       horizontalScrollbarSize: 3,
       alwaysConsumeMouseWheel: false
     },
     overviewRulerLanes: 0,
-    lineDecorationsWidth: 0,
-    lineNumbersMinChars: 0,
+    lineDecorationsWidth: showLineNumbers ? 6 : 0,
+    lineNumbersMinChars: showLineNumbers ? 2 : 0,
     folding: false,
     scrollBeyondLastLine: false,
     wordWrap: 'off',
@@ -1825,6 +5031,15 @@ function createQueryEditor(monaco, container, { fieldNames = {}, initialValue =
   // Set up auto-insert brackets functionality for this specific editor
   const autoInsertDisposable = setupAutoInsertBrackets(editor);
 
+  // Follow the page into and out of dark and high-contrast mode
+  const themeChangeDisposable = theme === 'auto' && onQueryThemeVariantChange(() => {
+    themeVariant = resolveQueryThemeVariant(theme);
+    monaco.editor.setTheme(queryThemeName(monaco, themeVariant, tokenColors));
+    if (clearButton) {
+      Object.assign(clearButton.style, queryClearButtonColors(themeVariant).normal);
+    }
+  });
+
   let contentChangeDisposable = null;
 
   // Listen for content changes to show/hide clear button
@@ -1837,21 +5052,89 @@ function createQueryEditor(monaco, container, { fieldNames = {}, initialValue =
     updateClearButtonVisibility();
   }
 
+  // Check if the suggestion widget is visible using the correct Monaco API
+  function isSuggestWidgetVisible() {
+    const suggestController = editor.getContribution('editor.contrib.suggestController');
+    return !!(suggestController && suggestController.model && suggestController.model.state !== 0);
+  }
+
+  // Position in the recent queries while stepping through them (-1 is the query being
+  // written, kept as the draft)
+  let historyIndex = -1;
+  let historyDraft = '';
+  let showingHistory = false;
+  const historyChangeDisposable = history && model.onDidChangeContent(() => {
+    // Editing a recalled query makes it the new draft
+    if (!showingHistory) {
+      historyIndex = -1;
+    }
+  });
+
+  // Replaces the query with a recent one, or with the draft again for -1
+  function showHistoryEntry(index) {
+    const recent = history.getRecent();
+    if (index < -1 || index >= recent.length) {
+      return false;
+    }
+    if (historyIndex === -1) {
+      historyDraft = model.getValue();
+    }
+    historyIndex = index;
+    showingHistory = true;
+    model.setValue(index === -1 ? historyDraft : recent[index]);
+    showingHistory = false;
+    const end = model.getPositionAt(model.getValue().length);
+    editor.setPosition(end);
+    return true;
+  }
+
+  // Records the query, only queries without errors are worth coming back to. The query is
+  // parsed here since validation markers lag behind typing
+  function recordQuery() {
+    const query = model.getValue();
+    if (history && parseQuery(query, { recover: true }).errors.length === 0) {
+      history.record(query);
+    }
+  }
+
   // Prevent Enter key from adding newlines and handle Tab navigation
   editor.onKeyDown((e) => {
+    // Up/Down step through the history from the first and last line
+    if (history && (e.code === 'ArrowUp' || e.code === 'ArrowDown') && !isSuggestWidgetVisible()) {
+      const up = e.code === 'ArrowUp';
+      const { lineNumber } = editor.getPosition();
+      const atEdge = up ? lineNumber === 1 : lineNumber === model.getLineCount();
+      if (atEdge && showHistoryEntry(historyIndex + (up ? 1 : -1))) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    }
+
     if (e.code === 'Enter' || e.code === 'NumpadEnter') {
-      // Check if the suggestion widget is visible using the correct Monaco API
-      const suggestController = editor.getContribution('editor.contrib.suggestController');
-      const isSuggestWidgetVisible = suggestController && suggestController.model && suggestController.model.state !== 0;
-      
+      // Ctrl+Enter (Cmd+Enter on macOS) submits the query
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (onSubmit) {
+          onSubmit(model.getValue());
+        }
+        recordQuery();
+        return;
+      }
+
       // If suggestions are visible, allow Enter to accept them
-      if (isSuggestWidgetVisible) {
+      if (isSuggestWidgetVisible()) {
         return; // Let Monaco handle the suggestion acceptance
       }
       
       // Otherwise, prevent Enter from adding newlines
       e.preventDefault();
       e.stopPropagation();
+
+      // In multi-line mode Shift+Enter starts a new line
+      if (multiline && e.shiftKey) {
+        editor.trigger('keyboard', 'type', { text: '\n' });
+      }
     }
     
     // Handle Tab key for navigation instead of inserting tab character
@@ -1895,27 +5178,29 @@ function createQueryEditor(monaco, container, { fieldNames = {}, initialValue =
     }
   });
 
-  // Also prevent paste operations that contain newlines
-  editor.onDidPaste((e) => {
-    const currentValue = model.getValue();
-    // Remove any carriage return or line feed characters
-    const cleanValue = currentValue.replace(/[\r\n]/g, ' ');
-    if (cleanValue !== currentValue) {
-      model.setValue(cleanValue);
-    }
-  });
-
-  // Prevent newlines from any other source
-  model.onDidChangeContent((e) => {
-    const currentValue = model.getValue();
-    if (/[\r\n]/.test(currentValue)) {
+  if (!multiline) {
+    // Also prevent paste operations that contain newlines
+    editor.onDidPaste((e) => {
+      const currentValue = model.getValue();
+      // Remove any carriage return or line feed characters
       const cleanValue = currentValue.replace(/[\r\n]/g, ' ');
-      model.pushEditOperations([], [{
-        range: model.getFullModelRange(),
-        text: cleanValue
-      }], () => null);
-    }
-  });
+      if (cleanValue !== currentValue) {
+        model.setValue(cleanValue);
+      }
+    });
+
+    // Prevent newlines from any other source
+    model.onDidChangeContent((e) => {
+      const currentValue = model.getValue();
+      if (/[\r\n]/.test(currentValue)) {
+        const cleanValue = currentValue.replace(/[\r\n]/g, ' ');
+        model.pushEditOperations([], [{
+          range: model.getFullModelRange(),
+          text: cleanValue
+        }], () => null);
+      }
+    });
+  }
 
   // Enhanced cleanup method that also disposes language features
   const originalDispose = editor.dispose.bind(editor);
@@ -1924,6 +5209,12 @@ function createQueryEditor(monaco, container, { fieldNames = {}, initialValue =
     if (contentChangeDisposable) {
       contentChangeDisposable.dispose();
     }
+    if (historyChangeDisposable) {
+      historyChangeDisposable.dispose();
+    }
+    if (themeChangeDisposable) {
+      themeChangeDisposable.dispose();
+    }
     // Clean up the isolated language features
     languageSetup.dispose();
     originalDispose();
@@ -1990,6 +5281,8 @@ function updateQueryEditorFieldNames(monaco, languageId, newFieldNames) {
       // Original structure with disposables array
       const completionProviderIndex = 2; // Based on setupLanguageSupport disposables order
       const validationProviderIndex = 3;
+      const hoverProviderIndex = 5;
+      const semanticTokensProviderIndex = 6;
       
       if (existingSetup.disposables[completionProviderIndex]) {
         existingSetup.disposables[completionProviderIndex].dispose();
@@ -1998,6 +5291,14 @@ function updateQueryEditorFieldNames(monaco, languageId, newFieldNames) {
       if (existingSetup.disposables[validationProviderIndex]) {
         existingSetup.disposables[validationProviderIndex].dispose();
       }
+      
+      if (existingSetup.disposables[hoverProviderIndex]) {
+        existingSetup.disposables[hoverProviderIndex].dispose();
+      }
+      
+      if (existingSetup.disposables[semanticTokensProviderIndex]) {
+        existingSetup.disposables[semanticTokensProviderIndex].dispose();
+      }
     } else {
       // Updated structure with individual providers
       if (existingSetup.completionProvider) {
@@ -2007,6 +5308,14 @@ function updateQueryEditorFieldNames(monaco, languageId, newFieldNames) {
       if (existingSetup.validationProvider) {
         existingSetup.validationProvider.dispose();
       }
+
+      if (existingSetup.hoverProvider) {
+        existingSetup.hoverProvider.dispose();
+      }
+
+      if (existingSetup.semanticTokensProvider) {
+        existingSetup.semanticTokensProvider.dispose();
+      }
     }
 
     // Clear validation cache to ensure new provider is created with updated field names
@@ -2026,6 +5335,18 @@ function updateQueryEditorFieldNames(monaco, languageId, newFieldNames) {
       languageId 
     });
 
+    // Field hovers describe the new definitions too
+    const newHoverProvider = setupHoverProvider(monaco, { 
+      fieldNames: newFieldNames, 
+      languageId 
+    });
+
+    // Unknown fields are told apart by the new definitions
+    const newSemanticTokensProvider = setupSemanticTokensProvider(monaco, { 
+      fieldNames: newFieldNames, 
+      languageId 
+    });
+
     // Update the stored language setup with new field names and providers
     existingSetup.fieldNames = newFieldNames;
     
@@ -2033,10 +5354,14 @@ function updateQueryEditorFieldNames(monaco, languageId, newFieldNames) {
       // Update disposables array with new providers
       existingSetup.disposables[2] = newCompletionProvider.provider;
       existingSetup.disposables[3] = newValidationProvider;
+      existingSetup.disposables[5] = newHoverProvider;
+      existingSetup.disposables[6] = newSemanticTokensProvider;
     } else {
       // Update individual providers
       existingSetup.completionProvider = newCompletionProvider.provider;
       existingSetup.validationProvider = newValidationProvider;
+      existingSetup.hoverProvider = newHoverProvider;
+      existingSetup.semanticTokensProvider = newSemanticTokensProvider;
     }
 
     // Force re-validation for all models using this language
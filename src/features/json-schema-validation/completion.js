@@ -1,64 +1,186 @@
 import * as monaco from 'monaco-editor';
-import { JsonPathParser } from './parser';
-import { TokenValidator } from './token-validator';
+import { JsonPathParser, matchesJsonPath, decodeJsonString } from './parser';
+import { TokenValidator, splitTokens, getTokenName } from './token-validator';
+import { getSchemaAtPath, getSchemaTypes } from './schema';
+
+// Escapes text for use inside a snippet
+function escapeSnippet(text) {
+  return text.replace(/[\\$}]/g, '\\$&');
+}
 
 export class CompletionProvider {
-  constructor(editor, propertyConfigs, schema) {
+  // Without schemaSuggestions only tokens are suggested, keys and values are left to Monaco's
+  // built-in JSON completion
+  constructor(editor, propertyConfigs, schema, { schemaSuggestions = true } = {}) {
     this.editor = editor;
     this.propertyConfigs = propertyConfigs;
     this.schema = schema;
+    this.schemaSuggestions = schemaSuggestions;
     this.tokenValidator = new TokenValidator(editor, propertyConfigs, schema);
   }
 
   setupCompletion() {
-    monaco.languages.registerCompletionItemProvider("json", {
-      triggerCharacters: ['"', ' '],
+    return monaco.languages.registerCompletionItemProvider("json", {
+      triggerCharacters: ['"', ' ', ':'],
       provideCompletionItems: (model, position) => {
+        // Other JSON editors follow other schemas, or none
+        if (this.editor && model !== this.editor.getModel()) return { suggestions: [] };
+
         const content = model.getValue();
         const offset = model.getOffsetAt(position);
-        console.log('Position:', position, 'Offset:', offset);
-        console.log('Content:', content);
 
-        const parser = new JsonPathParser(content);
-        const jsonPath = parser.getPathAtOffset(offset);
+        const context = new JsonPathParser(content).getContextAtOffset(offset);
+        if (!context) return { suggestions: [] };
 
-        const property = this.propertyConfigs.find(
-          p => JSON.stringify(p.jsonPath) === JSON.stringify(jsonPath)
-        );
-        if (!property) return { suggestions: [] };
-
-        let obj;
-        try {
-          obj = JSON.parse(content);
-        } catch {
-          return { suggestions: [] };
-        }
+        const start = model.getPositionAt(context.start);
+        const end = model.getPositionAt(context.end);
+        const range = new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column);
 
-        let val = obj;
-        for (const k of property.jsonPath) {
-          if (val && typeof val === "object" && k in val) val = val[k];
-          else { val = ""; break; }
+        const suggestions = !this.schemaSuggestions ? []
+          : context.isKey
+            ? this.getPropertySuggestions(context, range, content)
+            : this.getValueSuggestions(context, range);
+        if (suggestions.length > 0) {
+          return { suggestions };
         }
 
-        const currentTokens = typeof val === "string" && val.trim().length > 0
-          ? val.trim().split(/\s+/)
-          : [];
+        // Schemas describe the configured paths with a token grammar rather than values
+        const property = !context.isKey && context.end > context.start && this.propertyConfigs.find(
+          p => matchesJsonPath(p.jsonPath, context.path)
+        );
+        if (!property) return { suggestions: [] };
+        const tokenSuggestions = this.getTokenSuggestions(model, content, context, property, offset);
+        return typeof tokenSuggestions.then === 'function'
+          ? tokenSuggestions.then(suggestions => ({ suggestions }))
+          : { suggestions: tokenSuggestions };
+      }
+    });
+  }
 
-        const pattern = this.tokenValidator.getPatternByPath(this.tokenValidator.schema, property.schemaPath);
-        const tokens = pattern ? this.tokenValidator.extractNamesFromPattern(pattern) : [];
+  // Property keys of the object at the cursor, required ones first
+  getPropertySuggestions(context, range, content) {
+    const schema = getSchemaAtPath(this.schema, context.path);
+    if (!schema || !schema.properties) return [];
 
-        const remaining = tokens.filter(n => !currentTokens.includes(n));
+    const required = schema.required || [];
+    // A key typed before its colon gets the colon and a value as well
+    const hasColon = /^\s*:/.test(content.slice(context.end));
 
+    return Object.entries(schema.properties)
+      .filter(([name]) => !context.keys.includes(name))
+      .map(([name, propertySchema]) => {
+        const key = JSON.stringify(name);
+        const isRequired = required.includes(name);
         return {
-          suggestions: remaining.map(name => ({
-            label: name,
-            kind: monaco.languages.CompletionItemKind.Value,
-            insertText: name,
-            detail: `From schema pattern (${property.label})`,
-            sortText: "0"
-          }))
+          label: name,
+          kind: monaco.languages.CompletionItemKind.Property,
+          insertText: hasColon ? key : `${escapeSnippet(key)}: ${this.getValueSnippet(propertySchema)}`,
+          insertTextRules: hasColon ? undefined : monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          filterText: key,
+          range,
+          detail: [getSchemaTypes(propertySchema).join(' | '), isRequired ? 'required' : ''].filter(Boolean).join(', '),
+          documentation: propertySchema.description,
+          sortText: `${isRequired ? '0' : '1'}${name}`
         };
+      });
+  }
+
+  // Values for the value at the cursor: enum and const values, default, examples,
+  // booleans and null, and snippets for objects and arrays
+  getValueSuggestions(context, range) {
+    const schema = getSchemaAtPath(this.schema, context.path);
+    if (!schema) return [];
+
+    const suggestions = [];
+    const add = (value, detail, sortText, kind = monaco.languages.CompletionItemKind.Value) => {
+      const text = JSON.stringify(value);
+      if (suggestions.some(suggestion => suggestion.insertText === text)) return;
+      suggestions.push({ label: text, kind, insertText: text, filterText: text, range, detail, sortText: `${sortText}${suggestions.length}` });
+    };
+
+    (schema.enum || []).forEach(value => add(value, 'Allowed value', '0', monaco.languages.CompletionItemKind.EnumMember));
+    if ('const' in schema) add(schema.const, 'Constant value', '0', monaco.languages.CompletionItemKind.Constant);
+    if ('default' in schema) add(schema.default, 'Default value', '1');
+    (Array.isArray(schema.examples) ? schema.examples : []).forEach(value => add(value, 'Example', '2'));
+
+    // Free values of the type when the schema doesn't list them
+    if (!schema.enum && !('const' in schema)) {
+      const types = getSchemaTypes(schema);
+      if (types.includes('boolean')) {
+        add(true, 'boolean', '3', monaco.languages.CompletionItemKind.Keyword);
+        add(false, 'boolean', '3', monaco.languages.CompletionItemKind.Keyword);
       }
-    });
+      if (types.includes('null')) add(null, 'null', '3', monaco.languages.CompletionItemKind.Keyword);
+      ['object', 'array'].filter(type => types.includes(type)).forEach(type => {
+        suggestions.push({
+          label: type === 'object' ? '{}' : '[]',
+          kind: monaco.languages.CompletionItemKind.Snippet,
+          insertText: this.getValueSnippet({ ...schema, type }),
+          insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+          range,
+          detail: `New ${type}`,
+          sortText: '4'
+        });
+      });
+    }
+    return suggestions;
+  }
+
+  // Snippet for a new value of a schema: its default, or an empty value of its type
+  // with the required properties of an object filled in
+  getValueSnippet(schema, depth = 0) {
+    if (schema && 'default' in schema) {
+      return `\${1:${escapeSnippet(JSON.stringify(schema.default))}}`;
+    }
+    const [type] = getSchemaTypes(schema);
+    switch (type) {
+      case 'object': {
+        const required = (schema.required || []).filter(name => schema.properties && schema.properties[name]);
+        if (required.length === 0 || depth > 0) return '{$1}';
+        const lines = required.map((name, index) =>
+          `\t${escapeSnippet(JSON.stringify(name))}: ${this.getValueSnippet(schema.properties[name], depth + 1).replace(/\$(\{?)1/, (match, brace) => `$${brace}${index + 1}`)}`);
+        return `{\n${lines.join(',\n')}\n}`;
+      }
+      case 'array': return '[$1]';
+      case 'string': return '"$1"';
+      case 'boolean': return '${1|true,false|}';
+      case 'null': return 'null';
+      case 'number':
+      case 'integer': return '${1:0}';
+      default: return '$1';
+    }
+  }
+
+  // Token suggestions for the string at the cursor from the names of its configured property,
+  // a promise of them when the names come from a provider
+  getTokenSuggestions(model, content, context, property, offset) {
+    const raw = content.slice(context.start + 1, Math.max(context.start + 1, context.end - 1));
+    // After the closing quote
+    if (offset > context.start + 1 + raw.length) return [];
+
+    const currentNames = splitTokens(decodeJsonString(raw).text, property.separator)
+      .map(({ token }) => getTokenName(property, token));
+
+    // The token being typed is replaced as a whole, from the last separator before the cursor
+    const before = raw.slice(0, offset - context.start - 1);
+    const last = splitTokens(before, property.separator).pop();
+    const tokenStart = last && last.index + last.token.length === before.length ? last.index : before.length;
+    const start = model.getPositionAt(context.start + 1 + tokenStart);
+    const end = model.getPositionAt(offset);
+    const range = new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column);
+
+    const toSuggestions = names => [...new Set(names || [])]
+      .filter(name => !currentNames.includes(name))
+      .map(name => ({
+        label: name,
+        kind: monaco.languages.CompletionItemKind.Value,
+        insertText: name,
+        range,
+        detail: `Token of ${property.label}`,
+        sortText: "0"
+      }));
+
+    const names = this.tokenValidator.getTokenNames(property, context.path);
+    return names && typeof names.then === 'function' ? names.then(toSuggestions) : toSuggestions(names);
   }
 }
@@ -1,12 +1,36 @@
 import * as monaco from 'monaco-editor';
+import { JsonPathParser } from './parser';
+import { getSchemaAtPath, getSchemaTypes } from './schema';
+
+// Title, type and description of the schema describing the key or value at an offset
+function getSchemaHoverContents(schema, content, offset) {
+  let path;
+  try {
+    const context = new JsonPathParser(content).getContextAtOffset(offset);
+    if (!context || context.start === context.end) return null;
+    path = context.isKey ? [...context.path, JSON.parse(content.slice(context.start, context.end))] : context.path;
+  } catch {
+    // Unclosed keys and the like
+    return null;
+  }
+  const propertySchema = getSchemaAtPath(schema, path);
+  if (!propertySchema || !(propertySchema.title || propertySchema.description)) return null;
+
+  const name = propertySchema.title || path[path.length - 1];
+  const types = getSchemaTypes(propertySchema).join(' | ');
+  return [
+    { value: `**${name}**${types ? ` \`${types}\`` : ''}` },
+    ...(propertySchema.description ? [{ value: propertySchema.description }] : [])
+  ];
+}
 
 export function setupHoverProvider(options) {
-  const { wordMap, contentTemplate = (word, wordDetail) => [
+  const { wordMap, schema, contentTemplate = (word, wordDetail) => [
     { value: `**${word} ${wordDetail}**` }
   ] } = options;
 
-  if (!wordMap) {
-    throw new Error('WordMap is required for hover setup');
+  if (!wordMap && !schema) {
+    throw new Error('WordMap or schema is required for hover setup');
   }
 
   monaco.languages.registerHoverProvider('json', {
@@ -15,18 +39,21 @@ export function setupHoverProvider(options) {
       const word = model.getWordAtPosition(position);
       if (!word) return null;
 
-      const details = wordMap(word.word);
-      if (!details) return null;
-
-      return {
-        range: new monaco.Range(
-          position.lineNumber,
-          word.startColumn,
-          position.lineNumber,
-          word.endColumn
-        ),
-        contents: contentTemplate(word.word, details)
-      };
+      const range = new monaco.Range(
+        position.lineNumber,
+        word.startColumn,
+        position.lineNumber,
+        word.endColumn
+      );
+
+      const details = wordMap && wordMap(word.word);
+      if (details) {
+        return { range, contents: contentTemplate(word.word, details) };
+      }
+
+      // Otherwise describe the key or value from the schema
+      const contents = schema && getSchemaHoverContents(schema, model.getValue(), model.getOffsetAt(position));
+      return contents ? { range, contents } : null;
     }
   });
 }
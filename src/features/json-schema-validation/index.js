@@ -1,14 +1,41 @@
 import * as monaco from 'monaco-editor';
 import { CompletionProvider } from './completion';
-import { TokenValidator } from './token-validator';
+import { TokenValidator, normalizeTokenGrammar } from './token-validator';
+import { parseJsonPath } from './parser';
 
 export { setupHoverProvider } from './hover';
 
+// Monaco's built-in JSON completion is a language-wide setting, it is turned off while any
+// editor replaces it and restored as it was once the last one is disposed
+let schemaCompletionEditors = 0;
+let builtInModeConfiguration = null;
+
+function disableBuiltInCompletion() {
+  if (schemaCompletionEditors++ === 0) {
+    builtInModeConfiguration = monaco.languages.json.jsonDefaults.modeConfiguration;
+    monaco.languages.json.jsonDefaults.setModeConfiguration({ ...builtInModeConfiguration, completionItems: false });
+  }
+}
+
+function restoreBuiltInCompletion() {
+  if (--schemaCompletionEditors === 0) {
+    monaco.languages.json.jsonDefaults.setModeConfiguration(builtInModeConfiguration);
+    builtInModeConfiguration = null;
+  }
+}
+
 export function setupJsonValidation(editor, options) {
   if (!options.schema || !options.properties) {
     throw new Error('Schema and properties are required for JSON validation setup');
   }
 
+  // Property paths may be JSONPath strings and contain '*' wildcards, separators and
+  // token patterns may be strings
+  const properties = options.properties.map(property => ({
+    ...normalizeTokenGrammar(property),
+    jsonPath: parseJsonPath(property.jsonPath)
+  }));
+
   // Set up schema validation
   monaco.languages.json.jsonDefaults.setDiagnosticsOptions({
     validate: true,
@@ -19,20 +46,36 @@ export function setupJsonValidation(editor, options) {
     }]
   });
 
-  // Set up completion provider
-  const completion = new CompletionProvider(editor, options.properties, options.schema);
-  completion.setupCompletion();
+  // Set up completion provider for this editor. The built-in one knows the same schema and suggests
+  // keys and values already, unless it is replaced, which turns it off for every JSON editor on the page
+  const replaceBuiltInCompletion = options.replaceBuiltInCompletion === true;
+  if (replaceBuiltInCompletion) {
+    disableBuiltInCompletion();
+  }
+  const completion = new CompletionProvider(editor, properties, options.schema, { schemaSuggestions: replaceBuiltInCompletion });
+  const completionDisposable = completion.setupCompletion();
 
   // Set up token validation
-  const validator = new TokenValidator(editor, options.properties, options.schema);
-  editor.onDidChangeModelContent(() => validator.validateDuplicates());
-  validator.validateDuplicates();
+  const validator = new TokenValidator(editor, properties, options.schema);
+  const contentDisposable = editor.onDidChangeModelContent(() => validator.validateTokens());
+  validator.validateTokens();
+
+  let disposed = false;
 
   return {
-    validateDuplicates: () => validator.validateDuplicates(),
+    validateTokens: () => validator.validateTokens(),
+    // Checks unknown tokens as well, kept under its original name
+    validateDuplicates: () => validator.validateTokens(),
     dispose: () => {
-      // Clean up if needed
+      if (disposed) return;
+      disposed = true;
+      completionDisposable.dispose();
+      contentDisposable.dispose();
+      if (replaceBuiltInCompletion) {
+        restoreBuiltInCompletion();
+      }
       monaco.editor.setModelMarkers(editor.getModel(), "duplicates-check", []);
+      monaco.editor.setModelMarkers(editor.getModel(), "unknown-tokens-check", []);
     }
   };
 }
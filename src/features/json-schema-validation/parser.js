@@ -1,3 +1,68 @@
+/**
+ * Parses a property path: an array of keys, where '*' matches any key or index,
+ * or a JSONPath string such as `$.contacts[*].name`
+ * @param {Array<string|number>|string} jsonPath - The path
+ * @returns {Array<string|number>} The keys
+ * @throws {Error} If a JSONPath string is malformed
+ */
+export function parseJsonPath(jsonPath) {
+  if (Array.isArray(jsonPath)) return [...jsonPath];
+
+  const keys = [];
+  const segment = /\.(\*|[^.[\]]+)|\[(\*|\d+|'[^']*'|"[^"]*")\]/y;
+  const text = String(jsonPath).replace(/^\$/, '');
+  while (segment.lastIndex < text.length) {
+    const match = segment.exec(text);
+    if (!match) {
+      throw new Error(`Invalid JSONPath '${jsonPath}'`);
+    }
+    const key = match[1] !== undefined ? match[1] : match[2];
+    keys.push(/^\d+$/.test(key) ? Number(key) : key.replace(/^(['"])(.*)\1$/, '$2'));
+  }
+  return keys;
+}
+
+/**
+ * Whether the path of a value matches a property path with '*' wildcards
+ * @param {Array<string|number>} pattern - Keys as returned by parseJsonPath
+ * @param {Array<string|number>} path - The path of the value
+ * @returns {boolean} Whether every key matches
+ */
+export function matchesJsonPath(pattern, path) {
+  return pattern.length === path.length &&
+    pattern.every((key, index) => key === '*' || String(key) === String(path[index]));
+}
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Decodes the escape sequences of a string as written between its quotes,
+ * keeping track of where each character was written
+ * @param {string} raw - The string content as written, without the quotes
+ * @returns {{text: string, offsets: number[]}} The decoded text, and for each of its
+ *   characters (and its end) the offset in `raw`
+ */
+export function decodeJsonString(raw) {
+  let text = '';
+  const offsets = [];
+  let i = 0;
+  while (i < raw.length) {
+    offsets.push(i);
+    if (raw[i] !== '\\') {
+      text += raw[i++];
+    } else if (raw[i + 1] === 'u' && /^[0-9a-fA-F]{4}$/.test(raw.substr(i + 2, 4))) {
+      text += String.fromCharCode(parseInt(raw.substr(i + 2, 4), 16));
+      i += 6;
+    } else {
+      // Unknown escapes stand for the character itself
+      text += raw[i + 1] in JSON_ESCAPES ? JSON_ESCAPES[raw[i + 1]] : (raw[i + 1] || '');
+      i += 2;
+    }
+  }
+  offsets.push(raw.length);
+  return { text, offsets };
+}
+
 export class JsonPathParser {
   constructor(jsonStr) {
     this.jsonStr = jsonStr;
@@ -6,7 +71,7 @@ export class JsonPathParser {
   }
 
   getPathAtOffset(offset) {
-    this.offset = offset;  // Store offset for use in parsing
+    this.reset(offset, false);
     try {
       this.parseValue();
     } catch (e) {
@@ -18,37 +83,98 @@ export class JsonPathParser {
     return [];
   }
 
+  // Describes what is written at an offset: the path of the value (for a key, of the
+  // object holding it), whether it is a key, the range to replace and the keys before it.
+  // Unlike getPathAtOffset it also answers between tokens, where a key or value is still missing.
+  getContextAtOffset(offset) {
+    this.reset(offset, true);
+    try {
+      this.parseValue();
+    } catch (e) {
+      if (e.path) {
+        return e;
+      }
+      throw e;
+    }
+    return null;
+  }
+
+  // Every value of the document with its path, type ('object', 'array', 'string' or
+  // 'primitive') and range; strings include their quotes and keep their text as `raw`
+  getValueRanges() {
+    this.reset(undefined, false);
+    this.valueRanges = [];
+    this.parseValue();
+    return this.valueRanges;
+  }
+
+  reset(offset, trackGaps) {
+    this.offset = offset;  // Store offset for use in parsing
+    this.trackGaps = trackGaps;
+    this.valueRanges = null;
+    this.i = 0;
+    this.stack = [];
+  }
+
+  // Skips whitespace where a key or value may be written, throws the context if the offset is there
+  skipGap(isKey, keys = []) {
+    const start = this.i;
+    this.skipWhitespace();
+    const next = this.jsonStr[this.i];
+    const empty = next === undefined || /[,}\]]/.test(next);
+    if (this.trackGaps && this.offset >= start && (this.offset < this.i || (this.offset === this.i && empty))) {
+      throw { path: [...this.stack], isKey, start: this.offset, end: this.offset, keys: [...keys] };
+    }
+  }
+
   skipWhitespace() {
     while (this.i < this.jsonStr.length && /\s/.test(this.jsonStr[this.i])) this.i++;
   }
 
   parseValue() {
-    this.skipWhitespace();
+    this.skipGap(false);
     const ch = this.jsonStr[this.i];
-    if (ch === '{') return this.parseObject();
-    if (ch === '[') return this.parseArray();
-    if (ch === '"') return this.parseString();
-    return this.parsePrimitive();
+    const start = this.i;
+    let type = 'primitive';
+    let string = null;
+    if (ch === '{') {
+      type = 'object';
+      this.parseObject();
+    } else if (ch === '[') {
+      type = 'array';
+      this.parseArray();
+    } else if (ch === '"') {
+      type = 'string';
+      string = this.parseString();
+    } else {
+      this.parsePrimitive();
+    }
+    if (this.valueRanges) {
+      this.valueRanges.push({ path: [...this.stack], type, start, end: this.i, ...string });
+    }
   }
 
   parseObject() {
-    this.i++; this.skipWhitespace();
+    const keys = [];
+    this.i++; this.skipGap(true, keys);
     while (this.i < this.jsonStr.length && this.jsonStr[this.i] !== '}') {
-      const key = this.parseString(); this.skipWhitespace();
+      const key = this.parseString(true, keys); this.skipWhitespace();
+      keys.push(key.value);
       if (this.jsonStr[this.i] === ':') this.i++;
       this.stack.push(key.value);
       this.parseValue();
       this.stack.pop();
       this.skipWhitespace();
       if (this.jsonStr[this.i] === ',') this.i++;
-      this.skipWhitespace();
+      this.skipGap(true, keys);
     }
     this.i++;
   }
 
   parseArray() {
-    this.i++; this.skipWhitespace();
+    this.i++;
     let index = 0;
+    this.stack.push(index); this.skipGap(false); this.stack.pop();
     while (this.i < this.jsonStr.length && this.jsonStr[this.i] !== ']') {
       this.stack.push(index);
       this.parseValue();
@@ -56,32 +182,38 @@ export class JsonPathParser {
       index++;
       this.skipWhitespace();
       if (this.jsonStr[this.i] === ',') this.i++;
-      this.skipWhitespace();
+      this.stack.push(index); this.skipGap(false); this.stack.pop();
     }
     this.i++;
   }
 
-  parseString() {
+  parseString(isKey = false, keys = []) {
     const start = this.i;
     this.i++;
     while (this.i < this.jsonStr.length) {
-      if (this.jsonStr[this.i] === '"' && this.jsonStr[this.i - 1] !== '\\') break;
+      // Skip escape sequences whole, so `\\` before the closing quote doesn't escape it
+      if (this.jsonStr[this.i] === '\\') {
+        this.i += 2;
+        continue;
+      }
+      if (this.jsonStr[this.i] === '"') break;
       this.i++;
     }
-    this.i++;
+    this.i = Math.min(this.i, this.jsonStr.length) + 1;
     const end = this.i;
-    const value = this.jsonStr.slice(start + 1, end - 1);
+    const raw = this.jsonStr.slice(start + 1, end - 1);
+    const value = decodeJsonString(raw).text;
     // Throw path when we're inside the string or at the end quote
     if (this.offset > start && this.offset <= end) {
-      throw { path: [...this.stack] };
+      throw { path: [...this.stack], isKey, start, end, keys: [...keys] };
     }
-    return { value, start, end };
+    return { value, raw, start, end };
   }
 
   parsePrimitive() {
     const start = this.i;
     while (this.i < this.jsonStr.length && /[^\s,\]\}]/.test(this.jsonStr[this.i])) this.i++;
     const end = this.i;
-    if (this.offset >= start && this.offset <= end) throw { path: [...this.stack] };
+    if (this.offset >= start && this.offset <= end) throw { path: [...this.stack], isKey: false, start, end, keys: [] };
   }
 }
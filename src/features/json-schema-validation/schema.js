@@ -0,0 +1,204 @@
+/**
+ * Navigation of a JSON schema along the path of a value in the document.
+ *
+ * Local `$ref`s (`#/definitions/...`, `#/$defs/...` or any other pointer into
+ * the root schema) are followed, a ref already followed on the way is skipped
+ * so recursive schemas terminate. `allOf` parts are merged into the schema,
+ * `anyOf`/`oneOf` alternatives make it branch: a schema expands into the
+ * branches a value may match.
+ */
+
+// Upper bound on the branches of one schema, nested alternatives multiply
+const SCHEMA_BRANCH_LIMIT = 64;
+
+const SCHEMA_COMPOSITION_KEYWORDS = ['$ref', 'allOf', 'anyOf', 'oneOf'];
+
+// The value a local JSON pointer such as '#/definitions/address' points to
+function resolveSchemaPointer(root, ref) {
+  if (typeof ref !== 'string' || !ref.startsWith('#')) {
+    return null;
+  }
+  const segments = ref.slice(1).split('/').slice(1)
+    .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+  let current = root;
+  for (const segment of segments) {
+    if (!current || typeof current !== 'object' || !(segment in current)) {
+      return null;
+    }
+    current = current[segment];
+  }
+  return current;
+}
+
+// Values without duplicates, compared as JSON
+function uniqueSchemaValues(values) {
+  return values.filter((value, index) => values.findIndex(other => JSON.stringify(other) === JSON.stringify(value)) === index);
+}
+
+// Merges two schemas a value must both match, as for allOf
+function intersectSchemas(a, b) {
+  const merged = { ...a, ...b };
+  ['properties', 'patternProperties'].forEach(keyword => {
+    if (a[keyword] || b[keyword]) merged[keyword] = { ...a[keyword], ...b[keyword] };
+  });
+  if (a.required || b.required) {
+    merged.required = uniqueSchemaValues([...(a.required || []), ...(b.required || [])]);
+  }
+  if (a.enum && b.enum) {
+    const other = b.enum.map(value => JSON.stringify(value));
+    merged.enum = a.enum.filter(value => other.includes(JSON.stringify(value)));
+  }
+  if (a.type && b.type) {
+    const types = [].concat(a.type).filter(type => [].concat(b.type).includes(type));
+    merged.type = types.length > 0 ? types : a.type;
+  }
+  return merged;
+}
+
+/**
+ * Expands a schema into the branches a value may match, each without `$ref`,
+ * `allOf`, `anyOf` and `oneOf`
+ * @param {Object} root - The root schema, refs are resolved against it
+ * @param {Object|boolean} schema - The schema to expand
+ * @param {Set<string>} [seen] - Refs followed on the way, they are not followed again
+ * @returns {Object[]} The branches, none for a schema that matches nothing
+ */
+export function expandSchema(root, schema, seen = new Set()) {
+  if (schema === true) return [{}];
+  if (!schema || typeof schema !== 'object') return [];
+
+  const { $ref, allOf, anyOf, oneOf, ...own } = schema;
+  let branches = [own];
+  const combine = alternatives => {
+    branches = branches
+      .flatMap(branch => alternatives.map(alternative => intersectSchemas(branch, alternative)))
+      .slice(0, SCHEMA_BRANCH_LIMIT);
+  };
+
+  if ($ref && !seen.has($ref)) {
+    const target = resolveSchemaPointer(root, $ref);
+    if (target !== null) {
+      combine(expandSchema(root, target, new Set(seen).add($ref)));
+    }
+  }
+  (Array.isArray(allOf) ? allOf : []).forEach(part => combine(expandSchema(root, part, seen)));
+  [anyOf, oneOf].filter(Array.isArray).forEach(alternatives => {
+    const expanded = alternatives.flatMap(alternative => expandSchema(root, alternative, seen));
+    if (expanded.length > 0) combine(expanded);
+  });
+  return branches;
+}
+
+/**
+ * Combines the branches a value may match into one schema describing all of
+ * them, e.g. the properties of every branch and the enum values of every branch
+ * @param {Object[]} branches - Expanded schemas
+ * @returns {Object|null} The combined schema, null without branches
+ */
+export function unionSchemas(branches) {
+  if (branches.length === 0) return null;
+  if (branches.length === 1) return branches[0];
+
+  const union = Object.assign({}, ...[...branches].reverse());
+  const collect = keyword => branches.filter(branch => branch[keyword] !== undefined).map(branch => branch[keyword]);
+
+  const properties = collect('properties');
+  if (properties.length > 0) union.properties = Object.assign({}, ...properties);
+  // Required in every branch
+  union.required = branches.every(branch => branch.required)
+    ? branches[0].required.filter(name => branches.every(branch => branch.required.includes(name)))
+    : undefined;
+  // Any listed value is possible unless a branch allows any value
+  union.enum = branches.every(branch => branch.enum || 'const' in branch)
+    ? uniqueSchemaValues(branches.flatMap(branch => branch.enum || [branch.const]))
+    : undefined;
+  delete union.const;
+  const examples = collect('examples').filter(Array.isArray);
+  if (examples.length > 0) union.examples = uniqueSchemaValues([].concat(...examples));
+  const types = branches.map(getSchemaTypes);
+  union.type = types.every(list => list.length > 0) ? uniqueSchemaValues([].concat(...types)) : undefined;
+  Object.keys(union).forEach(keyword => union[keyword] === undefined && delete union[keyword]);
+  return union;
+}
+
+// The subschema of a child of a value described by schema: a property by name or an item by index
+function getChildSchema(schema, key) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+
+  if (typeof key === 'number') {
+    if (Array.isArray(schema.prefixItems) && key < schema.prefixItems.length) {
+      return schema.prefixItems[key];
+    }
+    if (Array.isArray(schema.items)) {
+      if (key < schema.items.length) return schema.items[key];
+      return typeof schema.additionalItems === 'object' ? schema.additionalItems : null;
+    }
+    return typeof schema.items === 'object' ? schema.items : null;
+  }
+
+  if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+    return schema.properties[key];
+  }
+  const patternMatch = Object.entries(schema.patternProperties || {})
+    .find(([pattern]) => new RegExp(pattern).test(key));
+  if (patternMatch) {
+    return patternMatch[1];
+  }
+  return typeof schema.additionalProperties === 'object' ? schema.additionalProperties : null;
+}
+
+/**
+ * Finds the subschema describing the value at a path, with refs resolved and
+ * the branches of compositions combined
+ * @param {Object} schema - The root schema
+ * @param {Array<string|number>} path - Property names and array indexes, as returned by JsonPathParser
+ * @returns {Object|null} The subschema, or null if the schema doesn't describe the path
+ */
+export function getSchemaAtPath(schema, path) {
+  let branches = expandSchema(schema, schema);
+  for (const key of path) {
+    branches = branches
+      .map(branch => getChildSchema(branch, key))
+      .filter(Boolean)
+      .flatMap(child => expandSchema(schema, child));
+  }
+  return unionSchemas(branches);
+}
+
+/**
+ * Finds the values at a dotted keyword path such as
+ * `properties.address.properties.name.pattern`, looking through refs and into
+ * every branch of a composition
+ * @param {Object} schema - The root schema
+ * @param {string} path - The path, optionally starting with `$.`
+ * @returns {Array} The values found, one per branch that has the path
+ */
+export function findSchemaValues(schema, path) {
+  const keys = path.replace(/^\$\.?/, '').split('.').filter(Boolean);
+  let current = [schema];
+  for (const key of keys) {
+    current = current.flatMap(value => {
+      if (!value || typeof value !== 'object') return [];
+      const composed = SCHEMA_COMPOSITION_KEYWORDS.some(keyword => keyword in value);
+      const candidates = composed ? expandSchema(schema, value) : [value];
+      return candidates.filter(candidate => key in candidate).map(candidate => candidate[key]);
+    });
+  }
+  return uniqueSchemaValues(current);
+}
+
+/**
+ * The types a schema allows, from `type` or guessed from its keywords
+ * @param {Object} schema - The schema
+ * @returns {string[]} Type names such as 'object' or 'string'
+ */
+export function getSchemaTypes(schema) {
+  if (!schema || typeof schema !== 'object') return [];
+  if (Array.isArray(schema.type)) return schema.type;
+  if (schema.type) return [schema.type];
+  if (schema.properties || schema.patternProperties) return ['object'];
+  if (schema.items || schema.prefixItems) return ['array'];
+  return [];
+}
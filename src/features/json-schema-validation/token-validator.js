@@ -1,4 +1,101 @@
 import * as monaco from 'monaco-editor';
+import { expandSchema, findSchemaValues } from './schema';
+import { JsonPathParser, matchesJsonPath, decodeJsonString } from './parser';
+
+// Answers of each property's values provider by document path, oldest first
+const tokenValuesCaches = new WeakMap();
+
+// Paths remembered per property before the oldest answers are dropped
+const TOKEN_VALUES_CACHE_LIMIT = 100;
+
+/**
+ * Normalizes the token grammar of a property config. `separator` and `token`
+ * may be given as regular expressions or strings: a string separator is taken
+ * literally, a string token as the source of a regular expression. Tokens are
+ * separated by whitespace and may be anything by default.
+ * @param {Object} property - The property config
+ * @returns {Object} The config with `separator` and `token` as regular expressions
+ */
+export function normalizeTokenGrammar(property) {
+  const { separator, token } = property;
+  return {
+    ...property,
+    separator: separator instanceof RegExp
+      ? separator
+      : new RegExp(separator ? separator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') : '\\s+'),
+    // Matched against whole tokens, one at a time
+    token: token ? new RegExp(token instanceof RegExp ? token.source : token, token instanceof RegExp ? token.flags.replace(/[gy]/g, '') : '') : null
+  };
+}
+
+/**
+ * Splits a value into its tokens, without the whitespace around them
+ * @param {string} text - The value
+ * @param {RegExp} separator - What separates the tokens
+ * @returns {Array<{token: string, index: number}>} The tokens and where they start in the text
+ */
+export function splitTokens(text, separator) {
+  const pattern = new RegExp(separator.source, separator.flags.replace(/[gy]/g, '') + 'g');
+  const tokens = [];
+  let index = 0;
+  const add = end => {
+    const piece = text.slice(index, end);
+    const token = piece.trim();
+    if (token) tokens.push({ token, index: index + piece.length - piece.trimStart().length });
+  };
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    // Separators must separate something
+    if (match[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    add(match.index);
+    index = match.index + match[0].length;
+  }
+  add(text.length);
+  return tokens;
+}
+
+/**
+ * The name of a token, which duplicates and the known names are compared by:
+ * the first group of the property's token regex, or else the whole token
+ * @param {Object} property - The normalized property config
+ * @param {string} token - The token
+ * @returns {string|null} The name, null if the token doesn't match the token regex
+ */
+export function getTokenName(property, token) {
+  if (!property.token) return token;
+  const match = token.match(property.token);
+  if (!match || match.index !== 0 || match[0].length !== token.length) return null;
+  return match[1] !== undefined ? match[1] : token;
+}
+
+// Asks a property's values provider for the names at a path, null when it fails
+function requestTokenValues(property, path) {
+  let cache = tokenValuesCaches.get(property);
+  if (!cache) {
+    cache = new Map();
+    tokenValuesCaches.set(property, cache);
+  }
+
+  const key = JSON.stringify(path);
+  if (!cache.has(key)) {
+    cache.set(key, Promise.resolve()
+      .then(() => property.values(path))
+      .then(values => (Array.isArray(values) ? values : []))
+      .catch(() => {
+        // Failed requests are asked again next time
+        cache.delete(key);
+        return null;
+      }));
+    if (cache.size > TOKEN_VALUES_CACHE_LIMIT) {
+      cache.delete(cache.keys().next().value);
+    }
+  }
+  return cache.get(key);
+}
 
 export class TokenValidator {
   constructor(editor, propertyConfigs, schema) {
@@ -7,69 +104,119 @@ export class TokenValidator {
     this.schema = schema;
   }
 
+  // The first pattern at a dotted schema path, through refs and compositions
   getPatternByPath(obj, path) {
-    const keys = path.replace(/^\$\./, "").split(".");
-    let current = obj;
-    for (const key of keys) {
-      if (!current || !(key in current)) {
-        return null;
-      }
-      current = current[key];
-    }
-    return current;
+    return findSchemaValues(obj, path).find(value => typeof value === "string") || null;
   }
 
   extractNamesFromPattern(pattern) {
     const match = pattern.match(/^\^\(([^)]+)\)/);
-    return match ? match[1].split("|").filter(Boolean) : [];
+    return match ? match[1].split("|").filter(Boolean).map(name => name.replace(/\\(.)/g, '$1')) : [];
+  }
+
+  // The names at a dotted schema path, e.g. of each oneOf branch: the alternatives of
+  // a pattern, an enum, or the enum of a schema or of its items
+  getSchemaNames(path) {
+    const namesOf = value => {
+      if (typeof value === "string") return this.extractNamesFromPattern(value);
+      if (Array.isArray(value)) return value.filter(name => typeof name === "string");
+      if (!value || typeof value !== "object") return [];
+      return expandSchema(this.schema, value).flatMap(branch => {
+        if (Array.isArray(branch.enum)) return namesOf(branch.enum);
+        return branch.items && typeof branch.items === "object" && !Array.isArray(branch.items)
+          ? expandSchema(this.schema, branch.items).flatMap(item => namesOf(item.enum || []))
+          : [];
+      });
+    };
+    return [...new Set(findSchemaValues(this.schema, path).flatMap(namesOf))];
   }
 
-  validateDuplicates() {
-    let obj;
+  // The names a property's tokens may have at a document path: its `values` list, the
+  // answer of its `values` provider (a promise), or the names at its schemaPath
+  getTokenNames(property, path) {
+    if (Array.isArray(property.values)) return property.values;
+    if (typeof property.values === "function") return requestTokenValues(property, path);
+    return property.schemaPath ? this.getSchemaNames(property.schemaPath) : [];
+  }
+
+  validateTokens() {
+    const text = this.editor.getValue();
+    // Only complete documents are checked
     try {
-      obj = JSON.parse(this.editor.getValue());
+      JSON.parse(text);
     } catch {
       return;
     }
 
-    const markers = [];
+    const model = this.editor.getModel();
+    // Each string value is checked on its own, so every item of an array gets its own markers
+    const values = new JsonPathParser(text).getValueRanges().filter(({ type }) => type === 'string');
+    const duplicates = [];
+    const unknown = [];
+    const checks = [];
 
     this.propertyConfigs.forEach(property => {
-      let val = obj;
-      property.jsonPath.forEach(k => val = (val && typeof val === "object") ? val[k] : null);
-
-      if (typeof val === "string" && val.length > 0) {
-        const tokens = val.trim().split(/\s+/);
-        const seen = new Set();
-        const duplicates = [];
-        tokens.forEach((t, idx) => {
-          if (seen.has(t)) duplicates.push({ token: t, index: idx });
-          seen.add(t);
-        });
+      values
+        .filter(({ path }) => matchesJsonPath(property.jsonPath, path))
+        .forEach(({ path, raw, start }) => {
+          // Tokens are found in the decoded text and marked where they are written
+          const { text: value, offsets } = decodeJsonString(raw);
+          const createMarker = (severity, message, { token, index }) => {
+            // Past the opening quote
+            const startPosition = model.getPositionAt(start + 1 + offsets[index]);
+            const endPosition = model.getPositionAt(start + 1 + offsets[index + token.length]);
+            return {
+              severity,
+              message: `${property.label}: ${message}`,
+              startLineNumber: startPosition.lineNumber,
+              startColumn: startPosition.column,
+              endLineNumber: endPosition.lineNumber,
+              endColumn: endPosition.column
+            };
+          };
 
-        if (duplicates.length > 0) {
-          const text = this.editor.getValue();
-          duplicates.forEach(d => {
-            const regex = new RegExp(`"${tokens.join(" ")}"`, "g");
-            const match = regex.exec(text);
-            if (match) {
-              const start = match.index + 1;
-              const duplicateStart = start + tokens.slice(0, d.index).join(" ").length +
-                (d.index > 0 ? 1 : 0);
-              markers.push({
-                severity: monaco.MarkerSeverity.Error,
-                message: `${property.label}: duplicate token '${d.token}'`,
-                startLineNumber: this.editor.getModel().getPositionAt(duplicateStart).lineNumber,
-                startColumn: this.editor.getModel().getPositionAt(duplicateStart).column,
-                endLineNumber: this.editor.getModel().getPositionAt(duplicateStart + d.token.length).lineNumber,
-                endColumn: this.editor.getModel().getPositionAt(duplicateStart + d.token.length).column
-              });
+          const tokens = splitTokens(value, property.separator)
+            .map(token => ({ ...token, name: getTokenName(property, token.token) }));
+          const seen = new Set();
+          tokens.forEach(token => {
+            if (token.name === null) {
+              unknown.push(createMarker(monaco.MarkerSeverity.Warning, `'${token.token}' doesn't match ${property.token}`, token));
+              return;
+            }
+            if (seen.has(token.name)) {
+              duplicates.push(createMarker(monaco.MarkerSeverity.Error, `duplicate token '${token.name}'`, token));
             }
+            seen.add(token.name);
           });
-        }
-      }
+
+          // Without known names any name is accepted
+          const findUnknown = names => (names && names.length > 0
+            ? tokens
+              .filter(({ name }) => name !== null && !names.includes(name))
+              .map(token => createMarker(monaco.MarkerSeverity.Warning, `unknown token '${token.name}'`, token))
+            : []);
+          const names = this.getTokenNames(property, path);
+          if (names && typeof names.then === 'function') {
+            checks.push(names.then(findUnknown));
+          } else {
+            unknown.push(...findUnknown(names));
+          }
+        });
     });
 
-    monaco.editor.setModelMarkers(this.editor.getModel(), "duplicates-check", markers);
+    monaco.editor.setModelMarkers(model, "duplicates-check", duplicates);
+    monaco.editor.setModelMarkers(model, "unknown-tokens-check", unknown);
+    if (checks.length === 0) {
+      return;
+    }
+
+    const versionId = model.getVersionId();
+    Promise.all(checks).then(results => {
+      // An edit in the meantime validates again
+      if ((model.isDisposed && model.isDisposed()) || model.getVersionId() !== versionId) {
+        return;
+      }
+      monaco.editor.setModelMarkers(model, "unknown-tokens-check", [...unknown, ...[].concat(...results)]);
+    });
   }
 }
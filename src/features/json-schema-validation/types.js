@@ -2,8 +2,16 @@
  * @typedef {Object} PropertyConfig
  * @property {string} label - Display label for the property
  * @property {string} path - JSONPath-like string to locate the pattern in the schema
- * @property {string[]} jsonPath - Array of keys to navigate to the value in the JSON
+ * @property {Array<string|number>|string} jsonPath - Array of keys to navigate to the value in the JSON,
+ *   where '*' matches every key or array index, or a JSONPath string such as `$.contacts[*].name`
  * @property {Object} schema - The JSON schema object
+ * @property {string|RegExp} [separator] - What separates the tokens of a value, a string is taken
+ *   literally; whitespace by default
+ * @property {string|RegExp} [token] - What each token must look like; its first group, if any, is the
+ *   name that duplicates and known names are compared by (e.g. the key of `key=value`)
+ * @property {string[]|function(Array<string|number>): (string[]|Promise<string[]>)} [values] - The known
+ *   token names, or a provider called with the path of the value; by default the pattern alternatives
+ *   or enum values found at the schema path
  */
 
 /**
@@ -1,3 +1,10 @@
+import { parseQuery, tokenizeQuery } from './parser';
+import { QUERY_OPERATORS, getFieldOperators } from './operators';
+import { findFieldDefinition } from './fields';
+import { hasValuesProvider, requestFieldValues } from './values';
+import { getQueryHistory } from './history';
+import { formatIsoDay } from './dates';
+
 /**
  * Sets up the completion provider for the query language
  * @param {object} monaco The Monaco editor instance
@@ -86,11 +93,6 @@ export function setupCompletionProvider(monaco, { fieldNames, languageId }) {
     return ` ${op}`;
   }
 
-  // Create patterns for matching with better context awareness
-  const fieldPattern = new RegExp(`^(${Object.keys(fieldNames).join('|')})$`);
-  const operPattern = /^(=|!=|>=|<=|>|<)$/i;
-  const inPattern = /^IN$/; // Case-sensitive IN operator
-  const logicalPattern = /^(AND|OR)$/; // Case-sensitive logical operators
   const fieldList = Object.keys(fieldNames);
   
 
@@ -102,11 +104,13 @@ export function setupCompletionProvider(monaco, { fieldNames, languageId }) {
   // Sort text helper to ensure consistent ordering
   function getSortText(type, label) {
     const order = {
+      saved: '0',
       field: '1',
       operator: '2',
       value: '3',
       logical: '4',
-      list: '5'
+      list: '5',
+      recent: '6'
     };
     
     // Handle undefined or null labels
@@ -114,16 +118,10 @@ export function setupCompletionProvider(monaco, { fieldNames, languageId }) {
       return `${order[type] || '9'}`;
     }
     
-    // Special ordering for operators
+    // Operators keep the order of the shared operator table
     if (type === 'operator') {
-      const operatorOrder = {
-        '=': '1',
-        '!=': '2',
-        '>': '3',
-        '<': '4',
-        'IN': '5'
-      };
-      return `${order[type]}${operatorOrder[label] || '9'}${label.toLowerCase()}`;
+      const index = QUERY_OPERATORS.findIndex(definition => definition.operator === label);
+      return `${order[type]}${index === -1 ? '9' : index}${label.toLowerCase()}`;
     }
     
     return `${order[type]}${label.toLowerCase()}`;
@@ -131,22 +129,46 @@ export function setupCompletionProvider(monaco, { fieldNames, languageId }) {
 
   // Operator descriptions
   const descriptions = {
-    '=': 'Equals operator',
-    '!=': 'Not equals operator',
-    '>': 'Greater than operator',
-    '<': 'Less than operator',
-    'IN': 'Check if a value is in a list',
+    ...Object.fromEntries(QUERY_OPERATORS.map(definition => [definition.operator, definition.description])),
     'AND': 'Logical AND operator',
     'OR': 'Logical OR operator',
+    'NOT': 'Logical NOT operator, matches when the following condition does not',
     'true': 'Boolean true value',
     'false': 'Boolean false value',
-    ...Object.fromEntries(Object.entries(fieldNames).map(([key, attr]) => 
-      [key, `${key} (${attr.type}${attr.values ? `: One of [${attr.values.join(', ')}]` : ''})`]
-    ))
+    ...Object.fromEntries(Object.entries(fieldNames).map(([key, attr]) => [key, fieldDocumentation(key, attr)]))
   };
 
-  // Helper to get value suggestions based on field type
-  function getValueSuggestions(field) {
+  // Field documentation: label and type, then the description, aliases, deprecation and allowed values
+  function fieldDocumentation(key, attr) {
+    const lines = [`**${attr.label || key}** \`${attr.type}\``];
+    if (attr.description) {
+      lines.push(attr.description);
+    }
+    if (attr.aliases && attr.aliases.length > 0) {
+      lines.push(`Also written as ${attr.aliases.map(alias => `\`${alias}\``).join(', ')}`);
+    }
+    if (attr.deprecated) {
+      lines.push(typeof attr.deprecated === 'string' ? `Deprecated: ${attr.deprecated}` : 'Deprecated');
+    }
+    if (attr.values) {
+      lines.push(`One of [${attr.values.join(', ')}]`);
+    }
+    return lines.join('\n\n');
+  }
+
+  // Documentation of an allowed value, with its description when the field gives one
+  function valueDocumentation(field, v) {
+    if (v === 'NULL') {
+      return docMarkdown('Special keyword for null/undefined/empty values');
+    }
+    const description = field.valueDescriptions && field.valueDescriptions[v];
+    return docMarkdown(description ? `String value "${v}"\n\n${description}` : `String value "${v}"`);
+  }
+
+  // Helper to get value suggestions based on field type (`lower` is the lower bound
+  // when suggesting the upper bound of BETWEEN, `values` the allowed values when
+  // they come from the field's values provider)
+  function getValueSuggestions(field, lower, values = field && field.values) {
     const suggestions = [];
     if (!field) {
       return suggestions;
@@ -168,17 +190,15 @@ export function setupCompletionProvider(monaco, { fieldNames, languageId }) {
           sortText: getSortText('value', 'false')
         }
       );
-    } else if (field.type === 'string' && field.values) {
-      suggestions.push(...field.values.map(v => ({
+    } else if (field.type === 'string' && values) {
+      suggestions.push(...values.map(v => ({
         label: v === 'NULL' ? 'NULL' : `"${v}"`,
         kind: monaco.languages.CompletionItemKind.Value,
         insertText: v === 'NULL' ? 'NULL' : `"${v}"`,
-        documentation: v === 'NULL' ? 
-          docMarkdown('Special keyword for null/undefined/empty values') :
-          docMarkdown(`String value "${v}"`),
+        documentation: valueDocumentation(field, v),
         sortText: getSortText('value', v)
       })));
-    } else if (field.type === 'string' && !field.values) {
+    } else if (field.type === 'string' && !values) {
       // For string fields without predefined values, suggest empty quotes with cursor positioning
       suggestions.push({
         label: '""',
@@ -189,6 +209,38 @@ export function setupCompletionProvider(monaco, { fieldNames, languageId }) {
         sortText: getSortText('value', '""'),
         detail: 'Free text string'
       });
+    } else if (field.type === 'date') {
+      // Relative dates first, then an ISO date template pre-filled with today
+      const relativeDates = {
+        'now': 'The current date and time',
+        'today': 'The start of today',
+        'now-7d': 'Seven days ago',
+        'now-30d': 'Thirty days ago',
+        'startOfWeek': 'The start of this week (Monday)',
+        'startOfMonth': 'The start of this month',
+        'startOfYear': 'The start of this year'
+      };
+      Object.entries(relativeDates).forEach(([expression, description], index) => {
+        suggestions.push({
+          label: expression,
+          kind: monaco.languages.CompletionItemKind.Constant,
+          insertText: expression,
+          documentation: docMarkdown(`${description}. Add offsets such as \`-7d\`, \`+1M\` or \`-2h\` to shift it.`),
+          sortText: getSortText('value', String(index))
+        });
+      });
+
+      // The local day, which is what date-only literals mean
+      const today = formatIsoDay(new Date());
+      suggestions.push({
+        label: `"${today}"`,
+        kind: monaco.languages.CompletionItemKind.Value,
+        insertText: `"\${1:${today}}"`,
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+        documentation: docMarkdown('An ISO date (`"2024-01-31"`) or date and time (`"2024-01-31T09:30:00Z"`)'),
+        sortText: getSortText('value', '9'),
+        detail: 'ISO date'
+      });
     } else if (field.type === 'number') {
       // First add a hint suggestion that shows but doesn't insert anything
       suggestions.push({
@@ -207,117 +259,233 @@ export function setupCompletionProvider(monaco, { fieldNames, languageId }) {
 
       // Then add actual values if we have range information
       if (field.range) {
-        const suggestions = new Set();
+        const rangeValues = new Set();
         if (field.range.min !== undefined) {
-          suggestions.add(field.range.min);
+          rangeValues.add(field.range.min);
         }
         if (field.range.max !== undefined) {
-          suggestions.add(field.range.max);
+          rangeValues.add(field.range.max);
         }
         // If we have both min and max, suggest some values in between
         if (field.range.min !== undefined && field.range.max !== undefined) {
           const mid = Math.floor((field.range.min + field.range.max) / 2);
           if (mid !== field.range.min && mid !== field.range.max) {
-            suggestions.add(mid);
+            rangeValues.add(mid);
           }
           // Add quarter points if they're different enough
           const quarter = Math.floor((field.range.min + mid) / 2);
           const threeQuarter = Math.floor((mid + field.range.max) / 2);
           if (quarter !== field.range.min && quarter !== mid) {
-            suggestions.add(quarter);
+            rangeValues.add(quarter);
           }
           if (threeQuarter !== mid && threeQuarter !== field.range.max) {
-            suggestions.add(threeQuarter);
+            rangeValues.add(threeQuarter);
           }
         }
 
-        // Add all the suggestions
-        [...suggestions].sort((a, b) => a - b).forEach(value => {
-          suggestions.push({
-            label: value.toString(),
-            kind: monaco.languages.CompletionItemKind.Value,
-            insertText: value.toString(),
-            documentation: docMarkdown(`Number value: ${value}`),
-            sortText: getSortText('value', value.toString())
+        // Add all the suggestions, an upper bound can't be below the lower one
+        [...rangeValues]
+          .filter(value => typeof lower !== 'number' || value >= lower)
+          .sort((a, b) => a - b)
+          .forEach(value => {
+            suggestions.push({
+              label: value.toString(),
+              kind: monaco.languages.CompletionItemKind.Value,
+              insertText: value.toString(),
+              documentation: docMarkdown(`Number value: ${value}`),
+              sortText: getSortText('value', value.toString())
+            });
           });
-        });
       }
     }
     return suggestions;
   }
 
+  // Helper to build an operator suggestion, list operators get a bracket snippet
+  function operatorSuggestion(label, definition, position, model) {
+    return {
+      label,
+      kind: monaco.languages.CompletionItemKind.Operator,
+      insertText: operatorInsertText(definition.list ? `${label} [\${1}]` : `${label} `, position, model),
+      insertTextRules: definition.list
+        ? monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet | monaco.languages.CompletionItemInsertTextRule.KeepWhitespace
+        : monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
+      documentation: docMarkdown(definition.description),
+      sortText: getSortText('operator', definition.operator),
+      command: { id: 'editor.action.triggerSuggest' }
+    };
+  }
+
   // Helper to get operator suggestions based on field type
-  function getOperatorSuggestions(field, position, model) {
-    const suggestions = [
-      { 
-        label: '=', 
-        kind: monaco.languages.CompletionItemKind.Operator, 
-        insertText: operatorInsertText('= ', position, model), 
-        insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-        documentation: docMarkdown(descriptions['=']),
-        sortText: getSortText('operator', '='),
-        command: { id: 'editor.action.triggerSuggest' }
-      },
-      { 
-        label: '!=', 
-        kind: monaco.languages.CompletionItemKind.Operator, 
-        insertText: operatorInsertText('!= ', position, model), 
-        insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-        documentation: docMarkdown(descriptions['!=']),
-        sortText: getSortText('operator', '!='),
+  function getOperatorSuggestions(field, position, model, negated = false) {
+    const operators = getFieldOperators(field);
+
+    // After `field NOT` only IN can follow
+    if (negated) {
+      return operators
+        .filter(definition => definition.operator === 'NOT IN')
+        .map(definition => operatorSuggestion('IN', definition, position, model));
+    }
+
+    return operators.map(definition => operatorSuggestion(definition.operator, definition, position, model));
+  }
+
+  // Value templates for operators that take a pattern rather than a plain value
+  const patternSnippets = {
+    'LIKE': [
+      { label: '"%…%"', insertText: '"%${1}%"', documentation: 'Values containing the text (`%` matches any text, `_` a single character)' },
+      { label: '"…%"', insertText: '"${1}%"', documentation: 'Values starting with the text' }
+    ],
+    'MATCHES': [
+      { label: '/…/', insertText: '/${1}/', documentation: 'Regular expression' },
+      { label: '/…/i', insertText: '/${1}/i', documentation: 'Case-insensitive regular expression' }
+    ]
+  };
+
+  // Helper to get pattern templates after LIKE / MATCHES
+  function getPatternSuggestions(operator) {
+    return patternSnippets[operator].map(snippet => ({
+      label: snippet.label,
+      kind: monaco.languages.CompletionItemKind.Snippet,
+      insertText: snippet.insertText,
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+      documentation: docMarkdown(snippet.documentation),
+      sortText: getSortText('value', snippet.label)
+    }));
+  }
+
+  // Helper to get field name suggestions. Nested fields are offered one level at a
+  // time: `address.` first, then `address.city` etc. once the dot is typed.
+  function getFieldSuggestions(currentWord) {
+    const parent = currentWord.slice(0, currentWord.lastIndexOf('.') + 1);
+    const paths = new Map();
+    fieldList.filter(f => f.startsWith(parent)).forEach(f => {
+      const segment = f.slice(parent.length).split('.')[0];
+      const nested = f.length > parent.length + segment.length;
+      paths.set(parent + segment + (nested ? '.' : ''), nested);
+    });
+
+    // Filter field list by the current word if it's a (partial) field path or alias
+    const isFieldWord = /^[a-zA-Z_][\w.[\]*]*$/.test(currentWord);
+    const startsWithWord = name => name.toLowerCase().startsWith(currentWord.toLowerCase());
+    const matchingPaths = isFieldWord
+      ? [...paths.keys()].filter(f => startsWithWord(f) ||
+        (!paths.get(f) && (fieldNames[f].aliases || []).some(startsWithWord)))
+      : [...paths.keys()];
+
+    return matchingPaths.map(f => {
+      if (paths.get(f)) {
+        // A parent only inserts the path, its children are suggested next
+        return {
+          label: f,
+          kind: monaco.languages.CompletionItemKind.Module,
+          insertText: f,
+          documentation: docMarkdown(`Nested fields of ${f.slice(0, -1)}`),
+          sortText: getSortText('field', f),
+          command: { id: 'editor.action.triggerSuggest' }
+        };
+      }
+      const field = fieldNames[f];
+      const suggestion = {
+        label: f,
+        kind: monaco.languages.CompletionItemKind.Field,
+        insertText: `${f} `,
+        documentation: docMarkdown(descriptions[f] || ''),
+        sortText: getSortText('field', f),
         command: { id: 'editor.action.triggerSuggest' }
+      };
+      if (field.label) {
+        suggestion.detail = field.label;
       }
-    ];
+      if (field.aliases && field.aliases.length > 0) {
+        // Typing an alias finds the field, which is inserted under its own name
+        suggestion.filterText = [f, ...field.aliases].join(' ');
+      }
+      if (field.deprecated && monaco.languages.CompletionItemTag) {
+        suggestion.tags = [monaco.languages.CompletionItemTag.Deprecated];
+      }
+      return suggestion;
+    });
+  }
 
-    if (field.type === 'number') {
-      suggestions.push(
-        { 
-          label: '>', 
-          kind: monaco.languages.CompletionItemKind.Operator, 
-          insertText: operatorInsertText('> ', position, model), 
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-          documentation: docMarkdown(descriptions['>']),
-          sortText: getSortText('operator', '>'),
-          command: { id: 'editor.action.triggerSuggest' }
-        },
-        { 
-          label: '<', 
-          kind: monaco.languages.CompletionItemKind.Operator, 
-          insertText: operatorInsertText('< ', position, model), 
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-          documentation: docMarkdown(descriptions['<']),
-          sortText: getSortText('operator', '<'),
-          command: { id: 'editor.action.triggerSuggest' }
-        },
-        { 
-          label: '>=', 
-          kind: monaco.languages.CompletionItemKind.Operator, 
-          insertText: operatorInsertText('>= ', position, model), 
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-          documentation: docMarkdown('Greater than or equal operator'),
-          sortText: getSortText('operator', '>='),
-          command: { id: 'editor.action.triggerSuggest' }
-        },
-        { 
-          label: '<=', 
-          kind: monaco.languages.CompletionItemKind.Operator, 
-          insertText: operatorInsertText('<= ', position, model), 
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace, 
-          documentation: docMarkdown('Less than or equal operator'),
-          sortText: getSortText('operator', '<='),
-          command: { id: 'editor.action.triggerSuggest' }
+  // Debounced request for the values starting with the word being typed, undefined
+  // when there is no answer (the suggestions then fall back to a free-text value)
+  function requestValues(field, currentWord, context, token) {
+    const prefix = currentWord.replace(/^"/, '');
+    const delay = field.valuesDebounce !== undefined ? field.valuesDebounce : 150;
+    return requestFieldValues(field, prefix, context, { delay, token }).then(values => values || undefined);
+  }
+
+  // Helper to get IN list suggestions, skipping values already in the list
+  function getListSuggestions(field, usedValues, afterValue, position, model, values = field.values) {
+    const suggestions = [];
+    const listValues = new Set(usedValues);
+
+    // Filter out used values and add remaining ones
+    if (field.type === 'string' && values) {
+      const remainingValues = values.filter(v => !listValues.has(v) && !(v === 'NULL' && listValues.has(null)));
+      suggestions.push(...remainingValues.map(v => ({
+        label: v === 'NULL' ? 'NULL' : `"${v}"`,
+        kind: monaco.languages.CompletionItemKind.Value,
+        insertText: v === 'NULL' ? 'NULL' : `"${v}"`,
+        documentation: valueDocumentation(field, v),
+        sortText: getSortText('value', v)
+      })));
+    } else if (field.type === 'string' && !values) {
+      // For string fields without predefined values in IN lists, suggest empty quotes
+      suggestions.push({
+        label: '""',
+        kind: monaco.languages.CompletionItemKind.Value,
+        insertText: '"${1}"',
+        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
+        documentation: docMarkdown('Enter a string value for the list'),
+        sortText: getSortText('value', '""'),
+        detail: 'Free text string'
+      });
+    } else if (field.type === 'number') {
+      // First add the hint suggestion
+      suggestions.push({
+        label: '(a number)',
+        kind: monaco.languages.CompletionItemKind.Text,
+        insertText: '', // Don't insert anything when selected
+        documentation: docMarkdown(
+          field.range
+            ? `Enter a number${field.range.min !== undefined ? ` ≥ ${field.range.min}` : ''}${field.range.max !== undefined ? ` ≤ ${field.range.max}` : ''}`
+            : 'Enter a number'
+        ),
+        sortText: getSortText('value', '0'),
+        preselect: false,
+        filterText: ''
+      });
+
+      // Then add some reasonable values if we have range info
+      if (field.range) {
+        const values = new Set();
+        if (field.range.min !== undefined) values.add(field.range.min);
+        if (field.range.max !== undefined) values.add(field.range.max);
+        // Add some values in between if we have both min and max
+        if (field.range.min !== undefined && field.range.max !== undefined) {
+          const mid = Math.floor((field.range.min + field.range.max) / 2);
+          values.add(mid);
         }
-      );
+        suggestions.push(...Array.from(values).filter(v => !listValues.has(v)).map(v => ({
+          label: v.toString(),
+          kind: monaco.languages.CompletionItemKind.Value,
+          insertText: v.toString(),
+          documentation: docMarkdown(`Number value ${v}`),
+          sortText: getSortText('value', v.toString())
+        })));
+      }
     }
 
-    if (field.values || ['string', 'number'].includes(field.type)) {
-      suggestions.push({
-        label: 'IN',
+    // Add comma if we're right after a value in the list
+    if (afterValue) {
+      suggestions.unshift({
+        label: ',',
         kind: monaco.languages.CompletionItemKind.Operator,
-        insertText: operatorInsertText('IN [${1}]', position, model),
-        insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet | monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
-        documentation: docMarkdown(descriptions['IN']),
-        sortText: getSortText('operator', 'IN'),
+        insertText: operatorInsertText(', ', position, model),
+        documentation: docMarkdown('Add another value'),
+        sortText: getSortText('list', ','),
         command: { id: 'editor.action.triggerSuggest' }
       });
     }
@@ -325,73 +493,90 @@ export function setupCompletionProvider(monaco, { fieldNames, languageId }) {
     return suggestions;
   }
 
-  // Helper to check expression context
-  function getExpressionContext(tokens, position) {
-    const lastToken = tokens[tokens.length - 1] || '';
-    const prevToken = tokens[tokens.length - 2] || '';
-    const context = {
-      needsField: false,
-      needsOperator: false,
-      needsValue: false,
-      inList: false,
-      currentField: null,
-      afterLogical: false
-    };
-
-    // Check for parentheses context - if we're right after an opening parenthesis
-    // or inside empty parentheses, we should expect a field name
-    if (lastToken === '(' || (lastToken === '' && prevToken === '(')) {
-      context.needsField = true;
-      context.afterLogical = false;
-      return context;
+  // Helper to offer the saved and recent queries of the model's history, saved ones
+  // first and recent ones after the fields
+  function getHistorySuggestions(model) {
+    const history = getQueryHistory(model);
+    if (!history) {
+      return [];
     }
+    const saved = history.getSaved().map((entry, index) => ({
+      label: entry.name,
+      kind: monaco.languages.CompletionItemKind.Snippet,
+      insertText: entry.query,
+      filterText: `${entry.name} ${entry.query}`,
+      detail: entry.pinned ? 'Pinned query' : 'Saved query',
+      documentation: docMarkdown(`\`\`\`\n${entry.query}\n\`\`\``),
+      sortText: getSortText('saved', String(index).padStart(4, '0'))
+    }));
+    const recent = history.getRecent().map((query, index) => ({
+      label: query,
+      kind: monaco.languages.CompletionItemKind.Snippet,
+      insertText: query,
+      detail: 'Recent query',
+      sortText: getSortText('recent', String(index).padStart(4, '0'))
+    }));
+    return [...saved, ...recent];
+  }
 
-    // First check for logical operators as they reset the expression context
-    if (!lastToken || logicalPattern.test(lastToken)) {
-      context.needsField = true;
-      context.afterLogical = !!lastToken; // true if we're after AND/OR, false if empty query
-    } else if (fieldPattern.test(lastToken)) {
-      context.needsOperator = true;
-      context.currentField = lastToken;
-    } else if (operPattern.test(lastToken) || inPattern.test(lastToken)) {
-      context.needsValue = true;
-      // Find the associated field name by looking backwards
-      for (let i = tokens.length - 2; i >= 0; i--) {
-        if (fieldPattern.test(tokens[i])) {
-          context.currentField = tokens[i];
-          break;
-        }
-        // Stop if we hit a logical operator or another expression
-        if (logicalPattern.test(tokens[i]) || operPattern.test(tokens[i]) || inPattern.test(tokens[i])) {
-          break;
-        }
-      }
-    } else if (/\[$/.test(lastToken) || // after opening bracket
-           (/\[/.test(lastToken) && !/\]$/.test(lastToken)) || // between brackets
-           /,$/.test(lastToken) || // after comma
-           (lastToken === '' && tokens.length >= 2 && /\[/.test(tokens[tokens.length - 2]))) { // empty space between brackets
-      context.inList = true;
-      // Find the field name before IN
-      for (let i = tokens.length - 1; i >= 0; i--) {
-        if (tokens[i] === 'IN' && i > 0) {
-          context.currentField = tokens[i - 1];
-          break;
-        }
-      }
+  // Helper to get the NOT prefix suggestion where a condition can start
+  function getNotSuggestion(position, model) {
+    return {
+      label: 'NOT',
+      kind: monaco.languages.CompletionItemKind.Keyword,
+      insertText: operatorInsertText('NOT ', position, model),
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
+      documentation: docMarkdown(descriptions['NOT']),
+      sortText: getSortText('logical', 'NOT'),
+      command: { id: 'editor.action.triggerSuggest' }
+    };
+  }
+
+  // Helper to suggest the word being typed as free text matched against all fields
+  function getSearchSuggestion(currentWord, continuing) {
+    if (continuing) {
+      const term = currentWord || 'term';
+      return {
+        label: `"${term}" (continue search)`,
+        kind: monaco.languages.CompletionItemKind.Text,
+        insertText: currentWord,
+        documentation: docMarkdown(`Add "${term}" as additional search term\n\nAll terms must be found in the record for it to match.`),
+        detail: 'Additional search term',
+        sortText: '0_search_continue'
+      };
     }
+    return {
+      label: `"${currentWord}" (search all fields)`,
+      kind: monaco.languages.CompletionItemKind.Text,
+      insertText: currentWord,
+      documentation: docMarkdown(`Search for "${currentWord}" in any field\n\nType additional words to search for multiple terms.`),
+      detail: 'Text search',
+      sortText: `6_search_${currentWord}` // Sort after fields
+    };
+  }
 
-    return context;
+  // Helper to get logical operator suggestions
+  function getLogicalSuggestions(position, model) {
+    return ['AND', 'OR'].map(op => ({
+      label: op,
+      kind: monaco.languages.CompletionItemKind.Keyword,
+      insertText: operatorInsertText(`${op} `, position, model),
+      insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
+      documentation: docMarkdown(descriptions[op]),
+      sortText: getSortText('logical', op),
+      command: { id: 'editor.action.triggerSuggest' }
+    }));
   }
 
   const triggerCharacters= [
       // Add all alphabetical characters first
       ...Array.from('abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ'),
       // Then add other special characters
-      ',', ' ', '=', '!', '>', '<', '[', ']', '(', ')', '"', "'"
+      ',', ' ', '=', '!', '>', '<', '[', ']', '(', ')', '"', "'", '/'
     ];
   const completionProvider = monaco.languages.registerCompletionItemProvider(languageId, {
     triggerCharacters,
-    provideCompletionItems: (model, position) => {
+    provideCompletionItems: (model, position, context, token) => {
       // Get text up to cursor (don't trim to preserve space context)
       const text = model.getValueInRange({
         startLineNumber: 1,
@@ -402,215 +587,145 @@ export function setupCompletionProvider(monaco, { fieldNames, languageId }) {
 
       // Check if cursor is after whitespace (indicates we completed a token)
       const endsWithSpace = /\s$/.test(text);
-      
-      // Enhanced context extraction - use trimmed text for tokenization
-      const tokens = text.trim().match(/([\w]+|\(|\)|\[|\]|"[^"]*"|\S)/g) || [];
-      const context = getExpressionContext(tokens, position);
-      let suggestions = [];
 
-      // If we're after whitespace and have tokens, we might need to adjust context
-      if (endsWithSpace && tokens.length > 0) {
-        const lastToken = tokens[tokens.length - 1];
-        // If last token is a field name and we're after space, we need operators
-        if (fieldList.includes(lastToken)) {
-          context.needsOperator = true;
-          context.currentField = lastToken;
-          context.needsField = false;
-          context.afterLogical = false;
-        }
-      }
+      const tokens = tokenizeQuery(text);
+      const lastToken = tokens[tokens.length - 1];
 
-      // Detect if we're in search mode or structured query mode
-      const hasOperators = tokens.some(token => 
-        ['=', '!=', '>', '<', '>=', '<=', 'IN', 'AND', 'OR','(', ')'].includes(token)
-      );
+      // A word or quoted value still being typed doesn't belong to the context yet
+      const isPartial = !!lastToken && !endsWithSpace && lastToken.end === text.length &&
+        ['identifier', 'word', 'keyword', 'boolean', 'null', 'unclosed-string'].includes(lastToken.type);
+      const currentWord = isPartial ? lastToken.value : '';
 
-      // Count meaningful tokens (exclude empty strings)
-      const meaningfulTokens = tokens.filter(token => token.trim().length > 0);
-      const isFirstWord = meaningfulTokens.length <= 1 && !context.needsOperator;
+      // Nothing sensible to suggest in the middle of a regular expression
+      if (lastToken && lastToken.type === 'unclosed-regex' && lastToken.end === text.length) {
+        return { suggestions: [] };
+      }
 
-      // Get the current word being typed
-      const currentWord = context.afterLogical ? '' : (tokens[tokens.length - 1] || '');
-      const prevToken = context.afterLogical ? tokens[tokens.length - 1] : (tokens[tokens.length - 2] || '');
+      // Operators are inserted relative to the start of the word being replaced
+      const insertPosition = isPartial ? model.getPositionAt(lastToken.start) : position;
 
-      // Special handling for first word - show both structured and search suggestions
-      if (isFirstWord && !hasOperators && /^[a-zA-Z]+$/.test(currentWord)) {
-        // Show field name suggestions (for structured mode)
-        const matchingFields = fieldList.filter(f => 
-          f.toLowerCase().startsWith(currentWord.toLowerCase())
-        );
-        
-        if (matchingFields.length > 0) {
-          suggestions.push(...matchingFields.map(f => ({
-            label: f,
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: `${f} = `,
-            documentation: docMarkdown(`Field: ${descriptions[f] || f}\n\nClick to start a structured query with this field.`),
-            detail: 'Field (start structured query)',
-            sortText: `0_field_${f}`, // Sort fields first
-            command: { id: 'editor.action.triggerSuggest' } // Auto-trigger next suggestions
-          })));
-        }
+      // Ask the parser what it expects at the cursor
+      const { expected } = parseQuery(isPartial ? text.slice(0, lastToken.start) : text, { recover: true });
 
-        // Show search mode suggestion
-        if (currentWord.length >= 1) {
-          suggestions.push({
-            label: `"${currentWord}" (search all fields)`,
-            kind: monaco.languages.CompletionItemKind.Text,
-            insertText: currentWord,
-            documentation: docMarkdown(`Search for "${currentWord}" in any field\n\nType additional words to search for multiple terms.`),
-            detail: 'Text search mode',
-            sortText: `1_search_${currentWord}` // Sort after fields
-          });
-        }
-        
-        return { suggestions };
-      }
+      let suggestions = [];
+      // Values from the field's values provider, when the allowed values are fetched instead of listed
+      let providedValues = null;
+      const field = expected && expected.field ? findFieldDefinition(fieldNames, expected.field) : null;
+      const provideValues = hasValuesProvider(field) && !field.values;
 
-      // Search mode suggestions (for subsequent words when no operators detected)
-      if (!hasOperators && meaningfulTokens.length > 1) {
-        // After first word in search mode, only suggest search continuation
-        if (/^[a-zA-Z0-9]*$/.test(currentWord)) {
-          suggestions.push({
-            label: `"${currentWord || 'term'}" (continue search)`,
-            kind: monaco.languages.CompletionItemKind.Text,
-            insertText: currentWord || '',
-            documentation: docMarkdown(`Add "${currentWord || 'term'}" as additional search term\n\nAll terms must be found in the record for it to match.`),
-            detail: 'Additional search term',
-            sortText: `0_search_continue`
-          });
-        }
-        
+      // A quoted search phrase is free text, there is nothing to complete
+      if (isPartial && lastToken.type === 'unclosed-string' && expected && ['field', 'term'].includes(expected.kind)) {
         return { suggestions };
       }
 
-      // Structured query mode (existing logic)
-      if (context.needsOperator && context.currentField) {
-        // After a field name, show operators
-        suggestions = getOperatorSuggestions(fieldNames[context.currentField], position, model);
-      } else if (context.needsValue && context.currentField && fieldNames[context.currentField]) {
-        // After an operator, show values
-        suggestions = getValueSuggestions(fieldNames[context.currentField]);
-      } else if (context.needsField || context.afterLogical || (tokens.length === 1 && /^[a-zA-Z]+$/.test(tokens[0]) && !fieldPattern.test(tokens[0]))) {        
-        // Only show field suggestions if:
-        // 1. We're at the start of a query, or
-        // 2. After a logical operator (AND/OR), or
-        // 3. We're typing something that isn't a complete field name yet
-        if (!prevToken || logicalPattern.test(prevToken) || (currentWord && !fieldPattern.test(currentWord))) {
-          // Filter field list by the current word if it's an alphabetical string
-          const matchingFields = /^[a-zA-Z]+$/.test(currentWord) 
-            ? fieldList.filter(f => f.toLowerCase().startsWith(currentWord.toLowerCase()))
-            : fieldList;
-
-          suggestions = matchingFields.map(f => ({
-            label: f,
-            kind: monaco.languages.CompletionItemKind.Field,
-            insertText: `${f} `,
-            documentation: docMarkdown(descriptions[f] || ''),
-            sortText: getSortText('field', f),
-            command: { id: 'editor.action.triggerSuggest' }
-          }));
-        } else {
-          suggestions = [];
-        }
-      } else if (context.inList && context.currentField) {
-        // Handle IN list suggestions...
-        const field = fieldNames[context.currentField];
-        if (!field) return { suggestions: [] };
-        
-        // Extract existing values
-        const listValues = new Set();
-        const listStart = tokens.findIndex(t => t === '[');
-        if (listStart !== -1) {
-          tokens.slice(listStart + 1)
-            .filter(t => t !== ',' && t !== '[')
-            .forEach(t => listValues.add(t.replace(/^"(.*)"$/, '$1')));
-        }
+      switch (expected ? expected.kind : null) {
+        case 'field':
+          // At the start of a query, after AND/OR/NOT or after an opening parenthesis
+          suggestions = getFieldSuggestions(currentWord);
+          // NOT can't continue a field path that is being typed
+          if (!expected.negated && !currentWord.includes('.')) {
+            suggestions.push(getNotSuggestion(insertPosition, model));
+          }
+          // The word being typed may also be plain text to search for
+          if (/^[^"]+$/.test(currentWord)) {
+            suggestions.push(getSearchSuggestion(currentWord, false));
+          }
+          // An empty query can be replaced by a saved or recent one
+          if (!model.getValue().trim()) {
+            suggestions.push(...getHistorySuggestions(model));
+          }
+          break;
 
-        // Filter out used values and add remaining ones
-        if (field.type === 'string' && field.values) {
-          const remainingValues = field.values.filter(v => !listValues.has(v));
-          suggestions = remainingValues.map(v => ({
-            label: v === 'NULL' ? 'NULL' : `"${v}"`,
-            kind: monaco.languages.CompletionItemKind.Value,
-            insertText: v === 'NULL' ? 'NULL' : `"${v}"`,
-            documentation: v === 'NULL' ? 
-              docMarkdown('Special keyword for null/undefined/empty values') :
-              docMarkdown(`String value "${v}"`),
-            sortText: getSortText('value', v)
-          }));
-        } else if (field.type === 'string' && !field.values) {
-          // For string fields without predefined values in IN lists, suggest empty quotes
-          suggestions.push({
-            label: '""',
-            kind: monaco.languages.CompletionItemKind.Value,
-            insertText: '"${1}"',
-            insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet,
-            documentation: docMarkdown('Enter a string value for the list'),
-            sortText: getSortText('value', '""'),
-            detail: 'Free text string'
-          });
-        } else if (field.type === 'number') {
-          // First add the hint suggestion
-          suggestions.push({
-            label: '(a number)',
-            kind: monaco.languages.CompletionItemKind.Text,
-            insertText: '', // Don't insert anything when selected
-            documentation: docMarkdown(
-              field.range 
-                ? `Enter a number${field.range.min !== undefined ? ` ≥ ${field.range.min}` : ''}${field.range.max !== undefined ? ` ≤ ${field.range.max}` : ''}`
-                : 'Enter a number'
-            ),
-            sortText: getSortText('value', '0'),
-            preselect: false,
-            filterText: ''
-          });
+        case 'term':
+          // A field name followed by a space starts a comparison
+          if (!isPartial && field) {
+            suggestions = getOperatorSuggestions(field, position, model);
+            break;
+          }
+          // Otherwise continue the search, or combine it with a condition
+          suggestions = [
+            getSearchSuggestion(currentWord, true),
+            ...getLogicalSuggestions(insertPosition, model),
+            getNotSuggestion(insertPosition, model),
+            ...getFieldSuggestions(currentWord)
+          ];
+          break;
 
-          // Then add some reasonable values if we have range info
-          if (field.range) {
-            const values = new Set();
-            if (field.range.min !== undefined) values.add(field.range.min);
-            if (field.range.max !== undefined) values.add(field.range.max);
-            // Add some values in between if we have both min and max
-            if (field.range.min !== undefined && field.range.max !== undefined) {
-              const mid = Math.floor((field.range.min + field.range.max) / 2);
-              values.add(mid);
-            }
-            suggestions.push(...Array.from(values).map(v => ({
-              label: v.toString(),
-              kind: monaco.languages.CompletionItemKind.Value,
-              insertText: v.toString(),
-              documentation: docMarkdown(`Number value ${v}`),
-              sortText: getSortText('value', v.toString())
-            })));
+        case 'operator':
+          // After a field name (or `field NOT`), show operators
+          if (field) {
+            suggestions = getOperatorSuggestions(field, insertPosition, model, expected.negated);
+          } else if (expected.negated) {
+            // `word NOT` where the word isn't a field negates whatever follows
+            suggestions = getFieldSuggestions(currentWord);
           }
-        }
+          break;
 
-        // Add comma if we have values and aren't right after a comma
-        if (suggestions.length > 0 && tokens[tokens.length - 1] !== ',') {
-          suggestions.unshift({
-            label: ',',
-            kind: monaco.languages.CompletionItemKind.Operator,
-            insertText: operatorInsertText(', ', position, model),
-            documentation: docMarkdown('Add another value'),
-            sortText: getSortText('list', ','),
-            command: { id: 'editor.action.triggerSuggest' }
-          });
-        }
-      } else if (/[\])]$/.test(tokens[tokens.length - 1]) || /^".*"|\d+|true|false$/i.test(tokens[tokens.length - 1])) {
-        // After a complete value or closing bracket/parenthesis, suggest logical operators
-        suggestions = ['AND', 'OR'].map(op => ({
-          label: op,
-          kind: monaco.languages.CompletionItemKind.Keyword,
-          insertText: operatorInsertText(`${op} `, position, model),
-          insertTextRules: monaco.languages.CompletionItemInsertTextRule.KeepWhitespace,
-          documentation: docMarkdown(descriptions[op]),
-          sortText: getSortText('logical', op),
-          command: { id: 'editor.action.triggerSuggest' }
-        }));
+        case 'value':
+          // After an operator, show values (or a pattern template for pattern operators)
+          if (patternSnippets[expected.operator]) {
+            suggestions = getPatternSuggestions(expected.operator);
+          } else if (provideValues) {
+            providedValues = requestValues(field, currentWord, { field: expected.field }, token)
+              .then(values => getValueSuggestions(field, expected.lower, values));
+          } else {
+            suggestions = getValueSuggestions(field, expected.lower);
+          }
+          break;
+
+        case 'range-separator':
+          // Between the two bounds of BETWEEN only AND fits
+          suggestions = getLogicalSuggestions(insertPosition, model)
+            .filter(suggestion => suggestion.label === 'AND')
+            .map(suggestion => ({ ...suggestion, documentation: docMarkdown('Separates the lower and upper bound') }));
+          break;
+
+        case 'list-value':
+        case 'list-separator':
+          if (field && provideValues && expected.kind === 'list-value') {
+            providedValues = requestValues(field, currentWord, { field: expected.field, values: expected.values }, token)
+              .then(values => getListSuggestions(field, expected.values, false, insertPosition, model, values));
+          } else {
+            suggestions = field
+              ? getListSuggestions(field, expected.values, expected.kind === 'list-separator', insertPosition, model)
+              : [];
+          }
+          break;
+
+        case 'logical':
+          // After a complete value or closing bracket/parenthesis, suggest logical operators
+          suggestions = getLogicalSuggestions(insertPosition, model);
+          break;
       }
 
-      return { suggestions };
+      // Replace a partially typed quoted value including its quotes
+      let range = null;
+      if (isPartial && lastToken.type === 'unclosed-string') {
+        const start = model.getPositionAt(lastToken.start);
+        const nextChar = model.getValueInRange({
+          startLineNumber: position.lineNumber,
+          startColumn: position.column,
+          endLineNumber: position.lineNumber,
+          endColumn: position.column + 1
+        });
+        range = new monaco.Range(
+          start.lineNumber,
+          start.column,
+          position.lineNumber,
+          position.column + (nextChar === '"' ? 1 : 0)
+        );
+      } else if (isPartial && /[.[]/.test(lastToken.value)) {
+        // The editor's current word ends at a dot, so replace the whole field path
+        const start = model.getPositionAt(lastToken.start);
+        range = new monaco.Range(start.lineNumber, start.column, position.lineNumber, position.column);
+      }
+      const withRange = items => (range ? items.map(suggestion => ({ ...suggestion, range })) : items);
+
+      // Provided values are asked for again as the value grows, the answer depends on its prefix
+      if (providedValues) {
+        return providedValues.then(items => ({ suggestions: withRange(items), incomplete: true }));
+      }
+      return { suggestions: withRange(suggestions) };
     }
   });
 
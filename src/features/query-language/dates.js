@@ -0,0 +1,147 @@
+/**
+ * Date values of the query language.
+ *
+ * Date fields accept ISO 8601 strings (`"2024-01-31"`, `"2024-01-31T09:30:00Z"`)
+ * and unquoted relative expressions: an anchor (`now`, `today`, `startOfDay`,
+ * `startOfWeek`, `startOfMonth`, `startOfYear`) followed by any number of
+ * offsets such as `-7d` or `+1M`. Relative expressions are resolved in local
+ * time when a query is compiled, so every record is compared against the same
+ * instant. Date-only ISO strings are local as well, and as query values they
+ * stand for the whole day: `= "2024-03-01"` matches any time on that day.
+ */
+
+// Offset units, `m` is minutes and `M` is months
+const DATE_OFFSET_UNITS = {
+  s: 'Seconds',
+  m: 'Minutes',
+  h: 'Hours',
+  d: 'Date',
+  w: 'Date',
+  M: 'Month',
+  y: 'FullYear'
+};
+
+const RELATIVE_DATE_PATTERN = /^(now|today|startOfDay|startOfWeek|startOfMonth|startOfYear)((?:[+-]\d+[smhdwMy])*)$/;
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const ISO_DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Checks whether a word is a relative date expression such as `now-7d`
+ * @param {string} text The word to check
+ * @returns {boolean} True if the text is a relative date
+ */
+export function isRelativeDate(text) {
+  return RELATIVE_DATE_PATTERN.test(text);
+}
+
+/**
+ * Checks whether a string is a valid ISO 8601 date or date-time
+ * @param {string} text The string to check
+ * @returns {boolean} True if the text is an ISO date
+ */
+export function isIsoDate(text) {
+  return typeof text === 'string' && ISO_DATE_PATTERN.test(text) && !isNaN(Date.parse(text));
+}
+
+/**
+ * Parses an ISO 8601 date or date-time. A date without a time is local
+ * midnight, like `today`, rather than the UTC midnight of `Date.parse`.
+ * @param {string} text The ISO string
+ * @returns {Date|null} The date, or null if the text isn't an ISO date
+ */
+export function parseIsoDate(text) {
+  if (!isIsoDate(text)) {
+    return null;
+  }
+  const day = text.match(ISO_DAY_PATTERN);
+  return day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : new Date(text);
+}
+
+/**
+ * Formats the local day of a date as a date-only ISO string, the way
+ * parseIsoDate reads it back
+ * @param {Date} date The date
+ * @returns {string} The day, e.g. `2024-03-01`
+ */
+export function formatIsoDay(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * A whole day as a query value, from local midnight up to the next one
+ */
+export class QueryDay {
+  /**
+   * @param {string} text A date-only ISO string such as `2024-03-01`
+   */
+  constructor(text) {
+    this.text = text;
+    this.start = parseIsoDate(text);
+    this.end = new Date(this.start.getFullYear(), this.start.getMonth(), this.start.getDate() + 1);
+  }
+}
+
+/**
+ * The day a date-only ISO string names
+ * @param {string} text The string
+ * @returns {QueryDay|null} The day, or null if the text isn't a date without a time
+ */
+export function toQueryDay(text) {
+  return isIsoDate(text) && ISO_DAY_PATTERN.test(text) ? new QueryDay(text) : null;
+}
+
+/**
+ * Resolves a relative date expression to a Date
+ * @param {string} expression The relative date, e.g. `startOfMonth-1M`
+ * @param {Date} [now=new Date()] The reference instant
+ * @returns {Date} The resolved date
+ * @throws {SyntaxError} If the expression isn't a relative date
+ */
+export function resolveRelativeDate(expression, now = new Date()) {
+  const match = expression.match(RELATIVE_DATE_PATTERN);
+  if (!match) {
+    throw new SyntaxError(`Invalid relative date '${expression}'`);
+  }
+
+  const date = new Date(now.getTime());
+  const anchor = match[1];
+  if (anchor !== 'now') {
+    date.setHours(0, 0, 0, 0);
+  }
+  if (anchor === 'startOfWeek') {
+    // Weeks start on Monday
+    date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+  } else if (anchor === 'startOfMonth') {
+    date.setDate(1);
+  } else if (anchor === 'startOfYear') {
+    date.setMonth(0, 1);
+  }
+
+  (match[2].match(/[+-]\d+[smhdwMy]/g) || []).forEach(offset => {
+    const unit = offset[offset.length - 1];
+    const amount = parseInt(offset.slice(0, -1), 10) * (unit === 'w' ? 7 : 1);
+    const part = DATE_OFFSET_UNITS[unit];
+    date[`set${part}`](date[`get${part}`]() + amount);
+  });
+
+  return date;
+}
+
+/**
+ * Converts a date literal or ISO string to a Date
+ * @param {object} literal A Literal node with valueType 'date' or 'string'
+ * @param {Date} [now] The reference instant for relative dates
+ * @returns {Date|null} The date, or null if the value isn't a date
+ */
+export function toQueryDate(literal, now) {
+  if (literal.valueType === 'date') {
+    return resolveRelativeDate(literal.value, now);
+  }
+  if (literal.valueType === 'string' && isIsoDate(literal.value)) {
+    return parseIsoDate(literal.value);
+  }
+  return null;
+}
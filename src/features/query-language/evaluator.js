@@ -0,0 +1,181 @@
+import { parseQuery, walkQuery, QuerySyntaxError } from './parser';
+import { findQueryOperator, compareQueryValues, queryValuesEqual } from './operators';
+import { resolveRelativeDate, toQueryDay } from './dates';
+import { readFieldPath, resolveFieldName } from './fields';
+
+// Helper function to check if value is null/undefined/empty
+function isNullishValue(val) {
+  return val === null || val === undefined || val === '';
+}
+
+/**
+ * Applies a single comparison to a record value
+ * @param {*} objValue The value read from the record
+ * @param {string} operator The comparison operator
+ * @param {*} value The literal value (an array for IN, a [lower, upper] pair for BETWEEN)
+ * @returns {boolean} Whether the comparison holds
+ */
+function applyComparison(objValue, operator, value) {
+  switch (operator) {
+    case '=':
+      // Handle NULL comparison specially
+      if (value === null) return isNullishValue(objValue);
+      if (isNullishValue(objValue)) return false;
+      // Array fields match when they contain the value
+      if (Array.isArray(objValue)) return objValue.some(item => queryValuesEqual(item, value));
+      return queryValuesEqual(objValue, value);
+
+    case '!=':
+      if (value === null) return !isNullishValue(objValue);
+      if (isNullishValue(objValue)) return true;
+      if (Array.isArray(objValue)) return !objValue.some(item => queryValuesEqual(item, value));
+      return !queryValuesEqual(objValue, value);
+
+    case 'IN':
+      // Handle NULL in the list specially
+      if (value.includes(null) && isNullishValue(objValue)) return true;
+      if (isNullishValue(objValue)) return false;
+      if (Array.isArray(objValue)) {
+        return objValue.some(item => value.some(v => v !== null && item == v));
+      }
+      return value.some(v => v !== null && objValue == v);
+
+    case 'NOT IN':
+      return !applyComparison(objValue, 'IN', value);
+
+    case 'BETWEEN': {
+      // Both bounds are inclusive, array fields match when any of their items is in range
+      if (Array.isArray(objValue)) return objValue.some(item => applyComparison(item, operator, value));
+      if (isNullishValue(objValue)) return false;
+      const fromLower = compareQueryValues(objValue, value[0]);
+      const toUpper = compareQueryValues(objValue, value[1]);
+      return fromLower !== null && toUpper !== null && fromLower >= 0 && toUpper <= 0;
+    }
+
+    default: {
+      // Ordering and string matching operators come from the shared operator table
+      const definition = findQueryOperator(operator);
+      if (!definition || isNullishValue(objValue) || value === null) return false;
+      if (definition.match) {
+        // Array fields match when any of their items does
+        const items = Array.isArray(objValue) ? objValue : [objValue];
+        return items.some(item => !isNullishValue(item) && definition.match(String(item), value));
+      }
+      if (!definition.test) return false;
+      if (Array.isArray(objValue)) return objValue.some(item => applyComparison(item, operator, value));
+      const order = compareQueryValues(objValue, value);
+      return order !== null && definition.test(order);
+    }
+  }
+}
+
+// Prepared operator values (LIKE patterns, regular expressions, resolved dates) per Comparison node
+const compiledQueryValues = new WeakMap();
+
+// Relative dates resolve to the instant the query is compiled at, date-only ISO strings to their day
+function literalValue(literal) {
+  if (literal.valueType === 'date') return resolveRelativeDate(literal.value);
+  return (literal.valueType === 'string' && toQueryDay(literal.value)) || literal.value;
+}
+
+// The value a comparison is evaluated with, compiled once per node where the operator needs it
+function comparisonValue(node) {
+  if (node.value.type === 'List') {
+    return node.value.items.map(item => item.value);
+  }
+  if (node.value.type === 'Range') {
+    if (!compiledQueryValues.has(node)) {
+      compiledQueryValues.set(node, [literalValue(node.value.lower), literalValue(node.value.upper)]);
+    }
+    return compiledQueryValues.get(node);
+  }
+
+  const definition = findQueryOperator(node.operator);
+  // String matching operators compare text, the others compare dates as well
+  const compile = definition && definition.match ? definition.compile : literalValue;
+  if (!compile || node.value.value === null) {
+    return node.value.value;
+  }
+  if (!compiledQueryValues.has(node)) {
+    compiledQueryValues.set(node, compile(node.value));
+  }
+  return compiledQueryValues.get(node);
+}
+
+// Free-text terms match when any field value contains them (case-insensitive),
+// including the values of nested objects and arrays
+function containsText(value, needle) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    return Object.values(value).some(child => containsText(child, needle));
+  }
+  return String(value).toLowerCase().includes(needle);
+}
+
+function matchesTerm(obj, term) {
+  return containsText(obj, term.toLowerCase());
+}
+
+/**
+ * Evaluates a parsed query against a record
+ * @param {object|null} node The AST produced by parseQuery
+ * @param {object} obj The record to test
+ * @param {object} [options] Evaluation options
+ * @param {object} [options.fieldNames] The field name definitions, field aliases
+ *   read the field they stand for
+ * @returns {boolean} Whether the record matches
+ */
+export function evaluateQuery(node, obj, options = {}) {
+  if (!node) return true;
+
+  switch (node.type) {
+    case 'Logical':
+      return node.operator === 'AND'
+        ? evaluateQuery(node.left, obj, options) && evaluateQuery(node.right, obj, options)
+        : evaluateQuery(node.left, obj, options) || evaluateQuery(node.right, obj, options);
+
+    case 'Not':
+      return !evaluateQuery(node.expression, obj, options);
+
+    case 'Group':
+      return evaluateQuery(node.expression, obj, options);
+
+    case 'Comparison': {
+      // Missing fields are treated as null/undefined, paths into arrays yield all matching values
+      const name = options.fieldNames ? resolveFieldName(options.fieldNames, node.field.name) : node.field.name;
+      const objValue = readFieldPath(obj, name);
+      return applyComparison(objValue, node.operator, comparisonValue(node));
+    }
+
+    case 'Term':
+      return matchesTerm(obj, node.value);
+
+    default:
+      throw new Error(`Cannot evaluate ${node.type} node`);
+  }
+}
+
+/**
+ * Compiles a query string into a predicate over records
+ * @param {string} query The query text
+ * @param {object} [options] Compilation options
+ * @param {object} [options.fieldNames] The field name definitions, used to resolve field aliases
+ * @returns {function(object): boolean} The record predicate
+ * @throws {QuerySyntaxError} If the query is invalid
+ */
+export function compileQuery(query, options = {}) {
+  const { ast } = parseQuery(query);
+
+  // Prepare operator values up front so an invalid pattern fails here, not per record
+  walkQuery(ast, node => {
+    if (node.type === 'Comparison') {
+      try {
+        comparisonValue(node);
+      } catch (error) {
+        throw new QuerySyntaxError(error.message, node.value.start, node.value.end);
+      }
+    }
+  });
+
+  return obj => evaluateQuery(ast, obj, options);
+}
@@ -0,0 +1,100 @@
+/**
+ * Field paths of the query language.
+ *
+ * A field name is a path into the record: `address.city` reads a nested
+ * object and `tags[*]` stands for any element of an array, so
+ * `items[*].price > 10` matches when at least one item costs more than 10.
+ * Arrays met halfway through a path are searched the same way even without
+ * `[*]`.
+ *
+ * A field definition may list `aliases`, other names the field can be queried
+ * by (e.g. `dept` for `department`).
+ */
+
+/**
+ * Splits a field path into its segments
+ * @param {string} path The field path, e.g. `items[*].name`
+ * @returns {object[]} Segments of shape { name, wildcard }
+ */
+export function splitFieldPath(path) {
+  return path.split('.').map(segment => {
+    const wildcard = segment.endsWith('[*]');
+    return { name: wildcard ? segment.slice(0, -3) : segment, wildcard };
+  });
+}
+
+/**
+ * Reads the value of a field path from a record
+ * @param {object} obj The record
+ * @param {string} path The field path
+ * @returns {*} The value, an array of values when the path crosses an array,
+ *   or null when the field is missing
+ */
+export function readFieldPath(obj, path) {
+  // Plain names and keys that literally contain a dot are read directly
+  if (path in obj) {
+    return obj[path];
+  }
+  if (!/[.[]/.test(path)) {
+    return null;
+  }
+
+  const segments = splitFieldPath(path);
+  let values = [obj];
+  let many = false;
+
+  segments.forEach((segment, index) => {
+    const last = index === segments.length - 1;
+    const next = [];
+    values.forEach(value => {
+      if (value === null || typeof value !== 'object' || !(segment.name in value)) return;
+      const child = value[segment.name];
+      if (Array.isArray(child) && (segment.wildcard || !last)) {
+        many = true;
+        next.push(...child);
+      } else {
+        next.push(child);
+      }
+    });
+    values = next;
+  });
+
+  if (many) {
+    return values.length > 0 ? values : null;
+  }
+  return values.length > 0 ? values[0] : null;
+}
+
+// The declared name of a field written as-is, with or without `[*]`, or as one of its aliases
+function findFieldKey(fieldNames, name) {
+  if (Object.prototype.hasOwnProperty.call(fieldNames, name)) {
+    return name;
+  }
+  const canonical = name.replace(/\[\*\]/g, '');
+  const fieldKeys = Object.keys(fieldNames);
+  return fieldKeys.find(fieldName => fieldName.replace(/\[\*\]/g, '') === canonical) ||
+    fieldKeys.find(fieldName => (fieldNames[fieldName].aliases || []).includes(name));
+}
+
+/**
+ * Looks up the definition of a field, `tags[*]` and `tags` name the same field
+ * and aliases name the field they belong to
+ * @param {object} fieldNames The field name definitions
+ * @param {string} name The field path as written in the query
+ * @returns {object|undefined} The field definition
+ */
+export function findFieldDefinition(fieldNames, name) {
+  const key = findFieldKey(fieldNames, name);
+  return key ? fieldNames[key] : undefined;
+}
+
+/**
+ * Resolves an alias to the name of the field it stands for
+ * @param {object} fieldNames The field name definitions
+ * @param {string} name The field path as written in the query
+ * @returns {string} The declared field name for an alias, otherwise `name` unchanged
+ */
+export function resolveFieldName(fieldNames, name) {
+  const key = findFieldKey(fieldNames, name);
+  return key && (fieldNames[key].aliases || []).includes(name) ? key : name;
+}
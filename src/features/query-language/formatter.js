@@ -0,0 +1,99 @@
+/**
+ * Formatter for the query language.
+ *
+ * Prints a query in its canonical form: single spaces around operators,
+ * uppercase keywords, `IN [a, b]` lists and only the parentheses that change
+ * the meaning. Search words joined by an implicit AND stay without one.
+ */
+
+import { parseQuery } from './parser';
+
+// Binding strength of each position, a node needs parentheses inside a stronger one
+const QUERY_PRECEDENCE = { OR: 1, AND: 2, NOT: 3 };
+
+/**
+ * Formats a query into its canonical form
+ * @param {string} query The query text
+ * @returns {string} The formatted query, empty for an empty query
+ * @throws {QuerySyntaxError} If the query is invalid; keywords in the wrong case
+ *   are not an error here, formatting fixes them
+ */
+export function formatQuery(query) {
+  const { ast, errors } = parseQuery(query, { recover: true });
+  const error = errors.find(e => !/must be uppercase/.test(e.message));
+  if (error) {
+    throw error;
+  }
+  return ast ? formatQueryNode(ast, query, 0) : '';
+}
+
+function formatQueryNode(node, source, parentPrecedence) {
+  switch (node.type) {
+    case 'Logical': {
+      const precedence = QUERY_PRECEDENCE[node.operator];
+      const left = formatQueryNode(node.left, source, precedence);
+      const right = formatQueryNode(node.right, source, precedence);
+      // Nothing but whitespace between the operands: an implicit AND between search words
+      const implicit = source.slice(node.left.end, node.right.start).trim() === '';
+      const text = implicit ? `${left} ${right}` : `${left} ${node.operator} ${right}`;
+      return precedence < parentPrecedence ? `(${text})` : text;
+    }
+    case 'Not':
+      return `NOT ${formatQueryNode(node.expression, source, QUERY_PRECEDENCE.NOT)}`;
+    case 'Group':
+      // Parentheses are added back by the enclosing node where they are needed
+      return formatQueryNode(node.expression, source, parentPrecedence);
+    case 'Comparison':
+      return `${node.field.name} ${node.operator} ${formatQueryValue(node.value, source)}`;
+    default:
+      // Search words are kept as written
+      return source.slice(node.start, node.end);
+  }
+}
+
+function formatQueryValue(node, source) {
+  switch (node.type) {
+    case 'List':
+      return `[${node.items.map(item => formatQueryValue(item, source)).join(', ')}]`;
+    case 'Range':
+      return `${formatQueryValue(node.lower, source)} AND ${formatQueryValue(node.upper, source)}`;
+    default:
+      return formatQueryLiteral(node);
+  }
+}
+
+function formatQueryLiteral(literal) {
+  if (literal.valueType === 'boolean') {
+    return String(literal.value);
+  }
+  if (literal.valueType === 'null') {
+    return 'NULL';
+  }
+  return literal.raw;
+}
+
+/**
+ * Sets up the document formatting provider
+ * @param {object} monaco The Monaco editor instance
+ * @param {object} options Configuration options
+ * @param {string} options.languageId The language ID
+ * @returns {object} The disposable provider
+ */
+export function setupFormattingProvider(monaco, { languageId }) {
+  return monaco.languages.registerDocumentFormattingEditProvider(languageId, {
+    provideDocumentFormattingEdits: (model) => {
+      const text = model.getValue();
+      let formatted;
+      try {
+        formatted = formatQuery(text);
+      } catch (error) {
+        // Invalid queries are left alone, validation already marks the problem
+        return [];
+      }
+      if (formatted === text) {
+        return [];
+      }
+      return [{ range: model.getFullModelRange(), text: formatted }];
+    }
+  });
+}
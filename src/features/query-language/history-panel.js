@@ -0,0 +1,344 @@
+/**
+ * Saved queries panel.
+ *
+ * A button that opens a dropdown over a query history: the saved queries,
+ * pinned ones first, with buttons to pin, rename and delete them, a form that
+ * saves the current query under a name, and the recent queries. Clicking an
+ * entry hands its query to the host, which puts it into its editor. Colours
+ * come from CSS custom properties (`--query-history-background`,
+ * `--query-history-color`, `--query-history-border`, `--query-history-muted`,
+ * `--query-history-hover`) so pages can match their theme.
+ */
+
+// Recent queries listed in the panel, the history may keep more
+const QUERY_HISTORY_PANEL_RECENT = 10;
+
+function historyPanelElement(tag, className, text) {
+  const element = document.createElement(tag);
+  element.className = className;
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+function historyPanelButton(className, text, title, onClick) {
+  const button = historyPanelElement('button', className, text);
+  button.type = 'button';
+  button.title = title;
+  button.style.cssText = `
+    border: none;
+    background: transparent;
+    color: inherit;
+    font: inherit;
+    cursor: pointer;
+    padding: 2px 4px;
+    border-radius: 3px;
+  `;
+  button.addEventListener('click', (e) => {
+    e.preventDefault();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Creates the saved queries panel for a history
+ * @param {object} history A history created by createQueryHistory
+ * @param {object} options Panel options
+ * @param {function(): string} options.getQuery Returns the query the save form stores
+ * @param {function(string): void} options.onSelect Called with the query of a clicked entry
+ * @param {string} [options.label='Queries'] Text of the button that opens the panel
+ * @returns {object} `{ element, open, close, dispose }`, the element holds the button and the panel
+ */
+export function createQueryHistoryPanel(history, { getQuery, onSelect, label = 'Queries' }) {
+  const element = historyPanelElement('div', 'query-history');
+  element.style.cssText = `
+    position: relative;
+    display: inline-block;
+    font-size: 13px;
+  `;
+
+  const toggle = historyPanelButton('query-history-toggle', `${label} ▾`, 'Saved and recent queries', () => {
+    if (panel.hidden) {
+      open();
+    } else {
+      close();
+    }
+  });
+  toggle.setAttribute('aria-haspopup', 'true');
+  toggle.setAttribute('aria-expanded', 'false');
+  toggle.style.border = '1px solid var(--query-history-border, #d1d5db)';
+  toggle.style.padding = '4px 8px';
+
+  const panel = historyPanelElement('div', 'query-history-panel');
+  panel.hidden = true;
+  panel.style.cssText = `
+    position: absolute;
+    top: calc(100% + 4px);
+    right: 0;
+    z-index: 1000;
+    min-width: 280px;
+    max-width: 420px;
+    max-height: 360px;
+    overflow: auto;
+    padding: 8px;
+    background: var(--query-history-background, #ffffff);
+    color: var(--query-history-color, #1f2937);
+    border: 1px solid var(--query-history-border, #d1d5db);
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    text-align: left;
+  `;
+
+  element.appendChild(toggle);
+  element.appendChild(panel);
+
+  // Name of the saved query being renamed, the names typed so far and an error to show
+  // next to a name field, kept across renders
+  let renaming = null;
+  let saveDraft = '';
+  let renameDraft = '';
+  let error = null;
+  let errorField = null;
+
+  function nameInput(field, value, placeholder, onCommit) {
+    const fieldError = errorField === field ? error : null;
+    const input = historyPanelElement('input', 'query-history-name');
+    input.type = 'text';
+    input.value = value;
+    input.placeholder = placeholder;
+    input.style.cssText = `
+      flex: 1;
+      min-width: 0;
+      font: inherit;
+      padding: 2px 6px;
+      color: inherit;
+      background: transparent;
+      border: 1px solid ${fieldError ? '#dc2626' : 'var(--query-history-border, #d1d5db)'};
+      border-radius: 3px;
+    `;
+    if (fieldError) {
+      input.title = fieldError;
+    }
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        onCommit(input.value);
+      }
+    });
+    return input;
+  }
+
+  // Runs a history change, keeping the panel open with the message of a rejected one
+  function attempt(field, change) {
+    try {
+      change();
+      error = null;
+      return true;
+    } catch (e) {
+      error = e.message;
+      errorField = field;
+      render();
+      return false;
+    }
+  }
+
+  function select(query) {
+    close();
+    onSelect(query);
+  }
+
+  function sectionTitle(text, action) {
+    const title = historyPanelElement('div', 'query-history-section');
+    title.style.cssText = `
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      margin: 8px 0 4px;
+      font-size: 11px;
+      text-transform: uppercase;
+      color: var(--query-history-muted, #6b7280);
+    `;
+    title.appendChild(historyPanelElement('span', '', text));
+    if (action) {
+      title.appendChild(action);
+    }
+    return title;
+  }
+
+  function row(className) {
+    const item = historyPanelElement('li', className);
+    item.style.cssText = `
+      display: flex;
+      align-items: center;
+      gap: 2px;
+      border-radius: 3px;
+    `;
+    item.addEventListener('mouseenter', () => {
+      item.style.background = 'var(--query-history-hover, #f3f4f6)';
+    });
+    item.addEventListener('mouseleave', () => {
+      item.style.background = '';
+    });
+    return item;
+  }
+
+  function entryButton(className, text, query) {
+    const button = historyPanelButton(className, text, query, () => select(query));
+    button.style.flex = '1';
+    button.style.minWidth = '0';
+    button.style.textAlign = 'left';
+    button.style.overflow = 'hidden';
+    button.style.textOverflow = 'ellipsis';
+    button.style.whiteSpace = 'nowrap';
+    return button;
+  }
+
+  function list(className) {
+    const items = historyPanelElement('ul', className);
+    items.style.cssText = 'list-style: none; margin: 0; padding: 0;';
+    return items;
+  }
+
+  function empty(text) {
+    const message = historyPanelElement('div', 'query-history-empty', text);
+    message.style.cssText = 'padding: 2px 4px; color: var(--query-history-muted, #6b7280);';
+    return message;
+  }
+
+  function render() {
+    panel.textContent = '';
+
+    // Save the current query under a name
+    const form = historyPanelElement('div', 'query-history-save');
+    form.style.cssText = 'display: flex; gap: 4px;';
+    const save = name => {
+      saveDraft = name;
+      const query = getQuery();
+      if (attempt('save', () => {
+        if (!query.trim()) {
+          throw new Error('Write a query to save first');
+        }
+        history.save(name, query);
+      })) {
+        saveDraft = '';
+        render();
+      }
+    };
+    const input = nameInput('save', saveDraft, 'Name the current query', save);
+    form.appendChild(input);
+    form.appendChild(historyPanelButton('query-history-save-button', 'Save', 'Save the current query', () => save(input.value)));
+    panel.appendChild(form);
+
+    const saved = history.getSaved();
+    panel.appendChild(sectionTitle('Saved'));
+    if (saved.length === 0) {
+      panel.appendChild(empty('No saved queries'));
+    } else {
+      const items = list('query-history-saved');
+      saved.forEach(entry => {
+        const item = row('query-history-entry');
+        item.appendChild(historyPanelButton(
+          'query-history-pin',
+          entry.pinned ? '★' : '☆',
+          entry.pinned ? 'Unpin' : 'Pin to the top',
+          () => history.pin(entry.name, !entry.pinned)
+        ));
+        if (renaming === entry.name) {
+          const rename = nameInput('rename', renameDraft, 'New name', name => {
+            renameDraft = name;
+            if (attempt('rename', () => history.rename(entry.name, name))) {
+              renaming = null;
+              render();
+            }
+          });
+          rename.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+              e.stopPropagation();
+              renaming = null;
+              error = null;
+              render();
+            }
+          });
+          item.appendChild(rename);
+          setTimeout(() => rename.focus(), 0);
+        } else {
+          item.appendChild(entryButton('query-history-query', entry.name, entry.query));
+          item.appendChild(historyPanelButton('query-history-rename', '✎', 'Rename', () => {
+            renaming = entry.name;
+            renameDraft = entry.name;
+            error = null;
+            render();
+          }));
+        }
+        item.appendChild(historyPanelButton('query-history-delete', '×', 'Delete', () => history.remove(entry.name)));
+        items.appendChild(item);
+      });
+      panel.appendChild(items);
+    }
+
+    const recent = history.getRecent().slice(0, QUERY_HISTORY_PANEL_RECENT);
+    panel.appendChild(sectionTitle('Recent', recent.length > 0
+      ? historyPanelButton('query-history-clear', 'Clear', 'Forget the recent queries', () => history.clearRecent())
+      : null));
+    if (recent.length === 0) {
+      panel.appendChild(empty('No recent queries'));
+    } else {
+      const items = list('query-history-recent');
+      recent.forEach(query => {
+        const item = row('query-history-entry');
+        item.appendChild(entryButton('query-history-query', query, query));
+        items.appendChild(item);
+      });
+      panel.appendChild(items);
+    }
+  }
+
+  function open() {
+    renaming = null;
+    saveDraft = '';
+    error = null;
+    render();
+    panel.hidden = false;
+    toggle.setAttribute('aria-expanded', 'true');
+  }
+
+  function close() {
+    panel.hidden = true;
+    toggle.setAttribute('aria-expanded', 'false');
+  }
+
+  // Clicks elsewhere and Escape close the panel
+  const onDocumentMouseDown = (e) => {
+    if (!panel.hidden && !element.contains(e.target)) {
+      close();
+    }
+  };
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape' && !panel.hidden) {
+      close();
+      toggle.focus();
+    }
+  };
+  document.addEventListener('mousedown', onDocumentMouseDown);
+  element.addEventListener('keydown', onKeyDown);
+
+  const changeDisposable = history.onDidChange(() => {
+    if (!panel.hidden) {
+      render();
+    }
+  });
+
+  return {
+    element,
+    open,
+    close,
+    dispose: () => {
+      changeDisposable.dispose();
+      document.removeEventListener('mousedown', onDocumentMouseDown);
+      element.removeEventListener('keydown', onKeyDown);
+      element.remove();
+    }
+  };
+}
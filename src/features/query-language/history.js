@@ -0,0 +1,206 @@
+/**
+ * Query history and saved queries.
+ *
+ * A history remembers the queries recently applied and the queries saved
+ * under a name, optionally pinned to the top. Query editors given a history
+ * step through it with Up/Down and offer its entries as completions while
+ * empty, and createQueryHistoryPanel lists it for saving, pinning and
+ * renaming. Everything is persisted through a storage adapter with the
+ * `getItem`/`setItem` interface of `localStorage`, which is the default.
+ */
+
+// History of each editor model
+const queryHistories = new WeakMap();
+
+/**
+ * Creates a storage adapter that keeps everything in memory, e.g. for tests
+ * @returns {object} A storage with `getItem` and `setItem`
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    }
+  };
+}
+
+// localStorage where there is one (it throws when disabled), memory otherwise
+function defaultQueryStorage() {
+  try {
+    if (typeof localStorage !== 'undefined' && localStorage) {
+      return localStorage;
+    }
+  } catch (error) {
+    // Fall through to memory
+  }
+  return createMemoryStorage();
+}
+
+/**
+ * Creates a query history
+ * @param {object} [options] History options
+ * @param {object} [options.storage] Storage adapter with `getItem(key)` and
+ *   `setItem(key, value)`, `localStorage` by default
+ * @param {string} [options.key='query-history'] Storage key, histories with
+ *   different keys are independent
+ * @param {number} [options.limit=50] Number of recent queries kept
+ * @returns {object} The history
+ */
+export function createQueryHistory({ storage = defaultQueryStorage(), key = 'query-history', limit = 50 } = {}) {
+  let state = { recent: [], saved: [] };
+  try {
+    const stored = JSON.parse(storage.getItem(key));
+    if (stored && Array.isArray(stored.recent) && Array.isArray(stored.saved)) {
+      state = stored;
+    }
+  } catch (error) {
+    // Unreadable history starts over
+  }
+
+  const listeners = new Set();
+
+  function persist() {
+    try {
+      storage.setItem(key, JSON.stringify(state));
+    } catch (error) {
+      // A full or unavailable storage keeps the history for this session only
+    }
+    listeners.forEach(listener => listener());
+  }
+
+  function findSaved(name) {
+    const entry = state.saved.find(saved => saved.name === name);
+    if (!entry) {
+      throw new Error(`No saved query named '${name}'`);
+    }
+    return entry;
+  }
+
+  return {
+    /**
+     * Records a query that was applied, most recent first and without duplicates
+     * @param {string} query The query text
+     */
+    record(query) {
+      const text = query.trim();
+      if (!text) return;
+      state.recent = [text, ...state.recent.filter(recent => recent !== text)].slice(0, limit);
+      persist();
+    },
+
+    /**
+     * The recently applied queries, most recent first
+     * @returns {string[]} The queries
+     */
+    getRecent() {
+      return [...state.recent];
+    },
+
+    /**
+     * Forgets the recently applied queries, saved queries are kept
+     */
+    clearRecent() {
+      state.recent = [];
+      persist();
+    },
+
+    /**
+     * Saves a query under a name, replacing a saved query of the same name
+     * @param {string} name The name
+     * @param {string} query The query text
+     * @param {object} [options] Save options
+     * @param {boolean} [options.pinned=false] Whether it is listed first
+     */
+    save(name, query, { pinned = false } = {}) {
+      const title = name.trim();
+      if (!title) {
+        throw new Error('A saved query needs a name');
+      }
+      state.saved = [
+        ...state.saved.filter(saved => saved.name !== title),
+        { name: title, query: query.trim(), pinned }
+      ];
+      persist();
+    },
+
+    /**
+     * The saved queries, pinned ones first, then by name
+     * @returns {Array<{name: string, query: string, pinned: boolean}>} The saved queries
+     */
+    getSaved() {
+      return state.saved
+        .map(saved => ({ ...saved }))
+        .sort((a, b) => (b.pinned - a.pinned) || a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Renames a saved query
+     * @param {string} name The current name
+     * @param {string} newName The new name
+     * @throws {Error} If there is no saved query of that name, or the new name is taken
+     */
+    rename(name, newName) {
+      const entry = findSaved(name);
+      const title = newName.trim();
+      if (!title) {
+        throw new Error('A saved query needs a name');
+      }
+      if (title !== name && state.saved.some(saved => saved.name === title)) {
+        throw new Error(`A saved query named '${title}' already exists`);
+      }
+      entry.name = title;
+      persist();
+    },
+
+    /**
+     * Pins a saved query to the top, or unpins it
+     * @param {string} name The name
+     * @param {boolean} [pinned=true] Whether to pin it
+     * @throws {Error} If there is no saved query of that name
+     */
+    pin(name, pinned = true) {
+      findSaved(name).pinned = pinned;
+      persist();
+    },
+
+    /**
+     * Deletes a saved query
+     * @param {string} name The name
+     */
+    remove(name) {
+      state.saved = state.saved.filter(saved => saved.name !== name);
+      persist();
+    },
+
+    /**
+     * Calls a listener whenever the history changes, e.g. to re-render a panel
+     * @param {function(): void} listener The listener
+     * @returns {object} Disposable that removes the listener
+     */
+    onDidChange(listener) {
+      listeners.add(listener);
+      return { dispose: () => listeners.delete(listener) };
+    }
+  };
+}
+
+/**
+ * Connects an editor model to a history, the completion provider then offers
+ * its entries while the query is empty
+ * @param {object} model The editor model
+ * @param {object} history A history created by createQueryHistory
+ */
+export function setQueryHistory(model, history) {
+  queryHistories.set(model, history);
+}
+
+/**
+ * The history connected to an editor model
+ * @param {object} model The editor model
+ * @returns {object|undefined} The history
+ */
+export function getQueryHistory(model) {
+  return queryHistories.get(model);
+}
@@ -0,0 +1,199 @@
+/**
+ * Hover provider for the query language.
+ *
+ * Hovering a field shows its definition (label, type, description, aliases,
+ * allowed values and range) and, when the editor knows the records it filters,
+ * statistics over them. Hovering an allowed value shows its description.
+ * Operators, logical keywords and relative dates explain themselves.
+ */
+
+import { parseQuery, walkQuery } from './parser';
+import { findQueryOperator } from './operators';
+import { resolveRelativeDate } from './dates';
+import { findFieldDefinition, readFieldPath, resolveFieldName } from './fields';
+
+// Records filtered by each editor model, as functions returning the current records
+const queryDataSources = new WeakMap();
+
+const QUERY_KEYWORD_DOCS = {
+  AND: 'Matches when both conditions match. `AND` binds tighter than `OR`.',
+  OR: 'Matches when either condition matches.',
+  NOT: 'Matches when the following condition does not.'
+};
+
+/**
+ * Connects an editor model to the records its query filters, field hovers then
+ * include statistics over them
+ * @param {object} model The editor model
+ * @param {function(): object[]} getData Returns the current records
+ */
+export function setQueryDataSource(model, getData) {
+  queryDataSources.set(model, getData);
+}
+
+// Distinct and empty counts (and the bounds of number and date fields) over the records
+function fieldStatistics(records, name, type) {
+  const distinct = new Set();
+  let empty = 0;
+  let min = null;
+  let max = null;
+
+  records.forEach(record => {
+    const value = readFieldPath(record, name);
+    const values = (Array.isArray(value) ? value : [value])
+      .filter(item => item !== null && item !== undefined && item !== '');
+    if (values.length === 0) {
+      empty++;
+      return;
+    }
+    values.forEach(item => {
+      const comparable = type === 'date' ? new Date(item).getTime() : item;
+      distinct.add(item instanceof Date ? item.getTime() : item);
+      if ((type === 'number' || type === 'date') && !Number.isNaN(comparable)) {
+        if (min === null || comparable < min) min = comparable;
+        if (max === null || comparable > max) max = comparable;
+      }
+    });
+  });
+
+  const stats = { total: records.length, distinct: distinct.size, empty, min, max };
+  if (type === 'date' && min !== null) {
+    stats.min = new Date(min).toISOString();
+    stats.max = new Date(max).toISOString();
+  }
+  return stats;
+}
+
+function fieldHover(name, field, getData) {
+  const title = field.label ? `**${field.label}** (\`${name}\`)` : `**${name}**`;
+  const contents = [{ value: `${title} \`${field.type}\`` }];
+  if (field.deprecated) {
+    contents.push({ value: typeof field.deprecated === 'string' ? `*Deprecated:* ${field.deprecated}` : '*Deprecated*' });
+  }
+  if (field.description) {
+    contents.push({ value: field.description });
+  }
+  if (field.aliases && field.aliases.length > 0) {
+    contents.push({ value: `Also written as ${field.aliases.map(alias => `\`${alias}\``).join(', ')}` });
+  }
+
+  const details = [];
+  if (field.values && field.values.length > 0) {
+    details.push(`Allowed values: ${field.values.length}`);
+  }
+  if (field.range && (field.range.min !== undefined || field.range.max !== undefined)) {
+    const min = field.range.min !== undefined ? field.range.min : '…';
+    const max = field.range.max !== undefined ? field.range.max : '…';
+    details.push(`Range: ${min} to ${max}`);
+  }
+  if (details.length > 0) {
+    contents.push({ value: details.join(' · ') });
+  }
+
+  const records = getData ? getData() : null;
+  if (Array.isArray(records) && records.length > 0) {
+    const stats = fieldStatistics(records, name, field.type);
+    const line = [`Records: ${stats.total}`, `Distinct: ${stats.distinct}`, `Empty: ${stats.empty}`];
+    if (stats.min !== null) {
+      line.push(`Min: ${stats.min}`, `Max: ${stats.max}`);
+    }
+    contents.push({ value: line.join(' · ') });
+  }
+  return contents;
+}
+
+function operatorHover(operator) {
+  const definition = findQueryOperator(operator);
+  const contents = [{ value: `**${operator}** operator` }];
+  if (definition) {
+    contents.push({ value: definition.description });
+    if (definition.fieldTypes) {
+      contents.push({ value: `Applies to ${definition.fieldTypes.join(' and ')} fields` });
+    }
+  }
+  return contents;
+}
+
+function relativeDateHover(expression) {
+  let resolved;
+  try {
+    resolved = resolveRelativeDate(expression);
+  } catch (error) {
+    return null;
+  }
+  return [
+    { value: `**${expression}** relative date` },
+    { value: `Currently ${resolved.toLocaleString()}, resolved each time the query is applied` }
+  ];
+}
+
+/**
+ * Sets up the hover provider
+ * @param {object} monaco The Monaco editor instance
+ * @param {object} options Configuration options
+ * @param {object} options.fieldNames The field name definitions
+ * @param {string} options.languageId The language ID
+ * @returns {object} The disposable provider
+ */
+export function setupHoverProvider(monaco, { fieldNames, languageId }) {
+  return monaco.languages.registerHoverProvider(languageId, {
+    provideHover: (model, position) => {
+      const text = model.getValue();
+      const offset = model.getOffsetAt(position);
+      const { ast, tokens } = parseQuery(text, { recover: true });
+      const contains = range => !!range && range.start <= offset && offset < range.end;
+
+      // The innermost part of the query under the cursor
+      let hover = null;
+      let inRange = false;
+      let valueField = null;
+      walkQuery(ast, node => {
+        if (node.type === 'Comparison') {
+          const field = findFieldDefinition(fieldNames, node.field.name);
+          if (contains(node.field)) {
+            if (field) {
+              // Aliases are described as the field they stand for
+              const name = resolveFieldName(fieldNames, node.field.name);
+              hover = { range: node.field, contents: fieldHover(name, field, queryDataSources.get(model)) };
+            }
+          } else if (contains(node.operatorRange)) {
+            hover = { range: node.operatorRange, contents: operatorHover(node.operator) };
+          }
+          valueField = field;
+        } else if (node.type === 'Literal' && node.valueType === 'string' && contains(node)) {
+          const description = valueField && valueField.valueDescriptions && valueField.valueDescriptions[node.value];
+          if (description) {
+            hover = { range: node, contents: [{ value: `**"${node.value}"**` }, { value: description }] };
+          }
+        } else if (node.type === 'Literal' && node.valueType === 'date' && contains(node)) {
+          const contents = relativeDateHover(node.value);
+          if (contents) {
+            hover = { range: node, contents };
+          }
+        } else if (node.type === 'Range' && node.upper && node.lower.end <= offset && offset < node.upper.start) {
+          inRange = true;
+        }
+      });
+
+      if (!hover) {
+        const keyword = tokens.find(token => token.type === 'keyword' && QUERY_KEYWORD_DOCS[token.value] && contains(token));
+        if (keyword) {
+          // The AND of BETWEEN doesn't join conditions
+          const description = inRange ? 'Separates the lower and upper bound of `BETWEEN`.' : QUERY_KEYWORD_DOCS[keyword.value];
+          hover = { range: keyword, contents: [{ value: `**${keyword.value}**` }, { value: description }] };
+        }
+      }
+
+      if (!hover) {
+        return null;
+      }
+
+      const start = model.getPositionAt(hover.range.start);
+      const end = model.getPositionAt(hover.range.end);
+      return {
+        range: new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+        contents: hover.contents
+      };
+    }
+  });
+}
@@ -1,8 +1,21 @@
 import { setupLanguageConfiguration } from './language-config';
 import { setupCompletionProvider } from './completion';
-import { setupTokenProvider } from './tokens';
+import { setupTokenProvider, setupSemanticTokensProvider } from './tokens';
 import { setupValidation } from './validation';
-import { setupEditorTheme } from './theme';
+import { setupFormattingProvider } from './formatter';
+import { setupHoverProvider, setQueryDataSource } from './hover';
+import { setupEditorTheme, resolveQueryThemeVariant, queryThemeName, onQueryThemeVariantChange, queryClearButtonColors } from './theme';
+import { setQueryHistory } from './history';
+import { parseQuery } from './parser';
+
+export { parseQuery, tokenizeQuery, walkQuery, QuerySyntaxError } from './parser';
+export { evaluateQuery, compileQuery } from './evaluator';
+export { formatQuery } from './formatter';
+export { toSqlWhere, toMongoFilter, toODataFilter, toElasticsearchQuery, QueryTranslationError } from './translators';
+export { isIsoDate, isRelativeDate, resolveRelativeDate } from './dates';
+export { readFieldPath, splitFieldPath, findFieldDefinition, resolveFieldName } from './fields';
+export { createQueryHistory, createMemoryStorage } from './history';
+export { createQueryHistoryPanel } from './history-panel';
 
 /**
  * Sets up query language support for a Monaco editor instance
@@ -14,15 +27,39 @@ import { setupEditorTheme } from './theme';
 // Track registered languages and their field schemas
 const registeredLanguages = new Map();
 
+// Numbers standing for the functions in field definitions (values providers),
+// which JSON would leave out
+const definitionFunctionIds = new WeakMap();
+let nextDefinitionFunctionId = 0;
+
+// Short hash of the full field definitions, schemas that differ only in labels,
+// descriptions, aliases, values or values providers must not share a language
+function hashFieldDefinitions(entries) {
+  const text = JSON.stringify(entries, (key, value) => {
+    if (typeof value !== 'function') {
+      return value;
+    }
+    if (!definitionFunctionIds.has(value)) {
+      definitionFunctionIds.set(value, nextDefinitionFunctionId++);
+    }
+    return `function#${definitionFunctionIds.get(value)}`;
+  });
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
 // Generate a consistent ID for a given field schema
 function generateLanguageId(fieldNames) {
   // Sort field names to ensure consistent order
-  const sortedFields = Object.entries(fieldNames)
-    .sort(([a], [b]) => a.localeCompare(b))
+  const entries = Object.entries(fieldNames).sort(([a], [b]) => a.localeCompare(b));
+  const sortedFields = entries
     .map(([name, def]) => `${name}:${def.type}`)
     .join(',');
   
-  return `querylang-${sortedFields}`;
+  return `querylang-${sortedFields}-${hashFieldDefinitions(entries)}`;
 }
 
 export function setupQueryLanguage(monaco, { fieldNames = {} } = {}) {
@@ -40,7 +77,10 @@ export function setupQueryLanguage(monaco, { fieldNames = {} } = {}) {
       setupLanguageConfiguration(monaco, languageId),
       setupTokenProvider(monaco, { fieldNames, languageId }),
       completionSetup.provider,
-      setupValidation(monaco, { fieldNames, languageId })
+      setupValidation(monaco, { fieldNames, languageId }),
+      setupFormattingProvider(monaco, { languageId }),
+      setupHoverProvider(monaco, { fieldNames, languageId }),
+      setupSemanticTokensProvider(monaco, { fieldNames, languageId })
     ];
     
     // Set up theme (shared across all instances)
@@ -68,14 +108,31 @@ export function setupQueryLanguage(monaco, { fieldNames = {} } = {}) {
  * @param {string} [options.initialValue=''] Initial editor content
  * @param {string} [options.placeholder=''] Placeholder text when editor is empty
  * @param {boolean} [options.showClearButton=true] Whether to show the clear button
+ * @param {function(): object[]} [options.getData] Returns the records the query filters, field hovers show statistics over them
+ * @param {boolean} [options.multiline=false] Keep line breaks in the query, `Shift+Enter` inserts one
+ * @param {boolean} [options.lineNumbers=false] Show line numbers (multi-line mode only)
+ * @param {function(string): void} [options.onSubmit] Called with the query on `Ctrl+Enter` (`Cmd+Enter` on macOS)
+ * @param {object} [options.history] A history created by createQueryHistory: queries without syntax errors are
+ *   recorded on `Ctrl+Enter`, Up/Down step through them and an empty query completes to saved and recent ones
+ * @param {string} [options.theme='light'] `light`, `dark`, `hc` (high contrast) or `auto` to follow the
+ *   page's `prefers-color-scheme`; Monaco applies one theme to all editors on the page
+ * @param {object} [options.tokenColors] Token colour overrides such as `{ keyword: '#ff0000' }` or
+ *   `{ field: { foreground, fontStyle } }`, optionally per variant as `{ dark: {...} }`
  * @returns {object} The created editor instance and its model
  */
-export function createQueryEditor(monaco, container, { fieldNames = {}, initialValue = '', placeholder = '', showClearButton = true } = {}) {
+export function createQueryEditor(monaco, container, { fieldNames = {}, initialValue = '', placeholder = '', showClearButton = true, getData = null, multiline = false, lineNumbers = false, onSubmit = null, history = null, theme = 'light', tokenColors = null } = {}) {
   // Set up language features for this editor instance
   const { languageId, setupAutoInsertBrackets } = setupQueryLanguage(monaco, { fieldNames });
+  let themeVariant = resolveQueryThemeVariant(theme);
 
   // Create editor model with initial value
   const model = monaco.editor.createModel(initialValue, languageId);
+  if (getData) {
+    setQueryDataSource(model, getData);
+  }
+  if (history) {
+    setQueryHistory(model, history);
+  }
 
   // Create wrapper div for proper sizing with clear button container
   const wrapper = document.createElement('div');
@@ -85,7 +142,7 @@ export function createQueryEditor(monaco, container, { fieldNames = {}, initialV
     width: 100%;
     height: 100%;
     display: flex;
-    align-items: center;
+    align-items: ${multiline ? 'stretch' : 'center'};
   `;
   container.appendChild(wrapper);
 
@@ -110,13 +167,11 @@ export function createQueryEditor(monaco, container, { fieldNames = {}, initialV
     clearButton.style.cssText = `
       position: absolute;
       right: 5px;
-      top: 40%;
+      top: ${multiline ? '12px' : '40%'};
       transform: translateY(-50%);
       width: 20px;
       height: 20px;
-      border: 1px solid #d1d5db;
-      background: #f9fafb;
-      color: #6b7280;
+      border: 1px solid;
       border-radius: 4px;
       cursor: pointer;
       font-size: 12px;
@@ -130,18 +185,16 @@ export function createQueryEditor(monaco, container, { fieldNames = {}, initialV
       font-family: monospace;
     `;
 
+    Object.assign(clearButton.style, queryClearButtonColors(themeVariant).normal);
+
     // Add hover and focus effects
     clearButton.addEventListener('mouseenter', () => {
-      clearButton.style.background = '#fef2f2';
-      clearButton.style.color = '#dc2626';
-      clearButton.style.borderColor = '#fca5a5';
+      Object.assign(clearButton.style, queryClearButtonColors(themeVariant).hover);
       clearButton.style.transform = 'translateY(-50%) scale(1.05)';
     });
 
     clearButton.addEventListener('mouseleave', () => {
-      clearButton.style.background = '#f9fafb';
-      clearButton.style.color = '#6b7280';
-      clearButton.style.borderColor = '#d1d5db';
+      Object.assign(clearButton.style, queryClearButtonColors(themeVariant).normal);
       clearButton.style.transform = 'translateY(-50%) scale(1)';
     });
 
@@ -165,21 +218,27 @@ export function createQueryEditor(monaco, container, { fieldNames = {}, initialV
     };
   }
 
+  // Line numbers only make sense with more than one line
+  const showLineNumbers = multiline && lineNumbers;
+
   // Create editor with standard configuration
   const editor = monaco.editor.create(editorContainer, {
     model,
-    theme: 'queryTheme',
-    lineNumbers: 'off',
+    theme: queryThemeName(monaco, themeVariant, tokenColors),
+    // Standalone themes leave semantic highlighting off
+    'semanticHighlighting.enabled': true,
+    lineNumbers: showLineNumbers ? 'on' : 'off',
     minimap: { enabled: false },
     scrollbar: { 
-      vertical: 'hidden', 
+      vertical: multiline ? 'auto' : 'hidden', 
       horizontal: 'auto',
+      verticalScrollbarSize: 6,
       horizontalScrollbarSize: 3,
       alwaysConsumeMouseWheel: false
     },
     overviewRulerLanes: 0,
-    lineDecorationsWidth: 0,
-    lineNumbersMinChars: 0,
+    lineDecorationsWidth: showLineNumbers ? 6 : 0,
+    lineNumbersMinChars: showLineNumbers ? 2 : 0,
     folding: false,
     scrollBeyondLastLine: false,
     wordWrap: 'off',
@@ -209,6 +268,15 @@ export function createQueryEditor(monaco, container, { fieldNames = {}, initialV
   // Set up auto-insert brackets functionality
   const autoInsertDisposable = setupAutoInsertBrackets(editor);
 
+  // Follow the page into and out of dark and high-contrast mode
+  const themeChangeDisposable = theme === 'auto' && onQueryThemeVariantChange(() => {
+    themeVariant = resolveQueryThemeVariant(theme);
+    monaco.editor.setTheme(queryThemeName(monaco, themeVariant, tokenColors));
+    if (clearButton) {
+      Object.assign(clearButton.style, queryClearButtonColors(themeVariant).normal);
+    }
+  });
+
   let contentChangeDisposable = null;
 
   // Listen for content changes to show/hide clear button
@@ -221,46 +289,118 @@ export function createQueryEditor(monaco, container, { fieldNames = {}, initialV
     updateClearButtonVisibility();
   }
 
+  // Check if the suggestion widget is visible using the correct Monaco API
+  function isSuggestWidgetVisible() {
+    const suggestController = editor.getContribution('editor.contrib.suggestController');
+    return !!(suggestController && suggestController.model && suggestController.model.state !== 0);
+  }
+
+  // Position in the recent queries while stepping through them (-1 is the query being
+  // written, kept as the draft)
+  let historyIndex = -1;
+  let historyDraft = '';
+  let showingHistory = false;
+  const historyChangeDisposable = history && model.onDidChangeContent(() => {
+    // Editing a recalled query makes it the new draft
+    if (!showingHistory) {
+      historyIndex = -1;
+    }
+  });
+
+  // Replaces the query with a recent one, or with the draft again for -1
+  function showHistoryEntry(index) {
+    const recent = history.getRecent();
+    if (index < -1 || index >= recent.length) {
+      return false;
+    }
+    if (historyIndex === -1) {
+      historyDraft = model.getValue();
+    }
+    historyIndex = index;
+    showingHistory = true;
+    model.setValue(index === -1 ? historyDraft : recent[index]);
+    showingHistory = false;
+    const end = model.getPositionAt(model.getValue().length);
+    editor.setPosition(end);
+    return true;
+  }
+
+  // Records the query, only queries without errors are worth coming back to. The query is
+  // parsed here since validation markers lag behind typing
+  function recordQuery() {
+    const query = model.getValue();
+    if (history && parseQuery(query, { recover: true }).errors.length === 0) {
+      history.record(query);
+    }
+  }
+
+  editor.onKeyDown((e) => {
+    // Up/Down step through the history from the first and last line
+    if (history && (e.code === 'ArrowUp' || e.code === 'ArrowDown') && !isSuggestWidgetVisible()) {
+      const up = e.code === 'ArrowUp';
+      const { lineNumber } = editor.getPosition();
+      const atEdge = up ? lineNumber === 1 : lineNumber === model.getLineCount();
+      if (atEdge && showHistoryEntry(historyIndex + (up ? 1 : -1))) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+    }
+  });
+
   // Prevent Enter key from adding newlines, but allow it for accepting suggestions
   editor.onKeyDown((e) => {
     if (e.code === 'Enter' || e.code === 'NumpadEnter') {
-      // Check if the suggestion widget is visible using the correct Monaco API
-      const suggestController = editor.getContribution('editor.contrib.suggestController');
-      const isSuggestWidgetVisible = suggestController && suggestController.model && suggestController.model.state !== 0;
-      
+      // Ctrl+Enter (Cmd+Enter on macOS) submits the query
+      if (e.ctrlKey || e.metaKey) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (onSubmit) {
+          onSubmit(model.getValue());
+        }
+        recordQuery();
+        return;
+      }
+
       // If suggestions are visible, allow Enter to accept them
-      if (isSuggestWidgetVisible) {
+      if (isSuggestWidgetVisible()) {
         return; // Let Monaco handle the suggestion acceptance
       }
       
       // Otherwise, prevent Enter from adding newlines
       e.preventDefault();
       e.stopPropagation();
-    }
-  });
 
-  // Also prevent paste operations that contain newlines
-  editor.onDidPaste((e) => {
-    const currentValue = model.getValue();
-    // Remove any carriage return or line feed characters
-    const cleanValue = currentValue.replace(/[\r\n]/g, ' ');
-    if (cleanValue !== currentValue) {
-      model.setValue(cleanValue);
+      // In multi-line mode Shift+Enter starts a new line
+      if (multiline && e.shiftKey) {
+        editor.trigger('keyboard', 'type', { text: '\n' });
+      }
     }
   });
 
-  // Prevent newlines from any other source (like programmatic insertion)
-  model.onDidChangeContent((e) => {
-    const currentValue = model.getValue();
-    if (/[\r\n]/.test(currentValue)) {
+  if (!multiline) {
+    // Also prevent paste operations that contain newlines
+    editor.onDidPaste((e) => {
+      const currentValue = model.getValue();
+      // Remove any carriage return or line feed characters
       const cleanValue = currentValue.replace(/[\r\n]/g, ' ');
-      // Use pushEditOperations to maintain undo history
-      model.pushEditOperations([], [{
-        range: model.getFullModelRange(),
-        text: cleanValue
-      }], () => null);
-    }
-  });
+      if (cleanValue !== currentValue) {
+        model.setValue(cleanValue);
+      }
+    });
+
+    // Prevent newlines from any other source (like programmatic insertion)
+    model.onDidChangeContent((e) => {
+      const currentValue = model.getValue();
+      if (/[\r\n]/.test(currentValue)) {
+        const cleanValue = currentValue.replace(/[\r\n]/g, ' ');
+        // Use pushEditOperations to maintain undo history
+        model.pushEditOperations([], [{
+          range: model.getFullModelRange(),
+          text: cleanValue
+        }], () => null);
+      }
+    });
+  }
 
   // Add cleanup method to the editor
   const originalDispose = editor.dispose.bind(editor);
@@ -269,6 +409,12 @@ export function createQueryEditor(monaco, container, { fieldNames = {}, initialV
     if (contentChangeDisposable) {
       contentChangeDisposable.dispose();
     }
+    if (historyChangeDisposable) {
+      historyChangeDisposable.dispose();
+    }
+    if (themeChangeDisposable) {
+      themeChangeDisposable.dispose();
+    }
     originalDispose();
   };
 
@@ -0,0 +1,199 @@
+import { QueryDay, parseIsoDate } from './dates';
+
+/**
+ * Comparison operators of the query language.
+ *
+ * This table is the single source of truth for which operators exist, which
+ * field types they apply to and how they order values. The completion
+ * provider builds its suggestions from it, the validator checks operator/type
+ * compatibility against it and the evaluator uses it to apply comparisons.
+ *
+ * Ordering operators provide `test(order)`, string matching operators provide
+ * `match(text, value)` plus an optional `compile(literal)` that prepares the
+ * query value once per query (e.g. into a RegExp). `list` operators take a
+ * bracketed list and `range` operators a `lower AND upper` pair.
+ */
+export const QUERY_OPERATORS = [
+  { operator: '=', description: 'Equals operator' },
+  { operator: '!=', description: 'Not equals operator' },
+  { operator: '>', description: 'Greater than operator', fieldTypes: ['number', 'string', 'date'], test: order => order > 0 },
+  { operator: '<', description: 'Less than operator', fieldTypes: ['number', 'string', 'date'], test: order => order < 0 },
+  { operator: '>=', description: 'Greater than or equal operator', fieldTypes: ['number', 'string', 'date'], test: order => order >= 0 },
+  { operator: '<=', description: 'Less than or equal operator', fieldTypes: ['number', 'string', 'date'], test: order => order <= 0 },
+  {
+    operator: 'BETWEEN',
+    description: 'Check if a value lies within a range, bounds included, e.g. `age BETWEEN 20 AND 40`',
+    fieldTypes: ['number', 'string', 'date'],
+    range: true
+  },
+  { operator: 'IN', description: 'Check if a value is in a list', fieldTypes: ['string', 'number'], list: true },
+  { operator: 'NOT IN', description: 'Check if a value is not in a list', fieldTypes: ['string', 'number'], list: true },
+  {
+    operator: 'CONTAINS',
+    description: 'Check if the value contains a text (case-insensitive)',
+    fieldTypes: ['string'],
+    match: (text, value) => text.toLowerCase().includes(String(value).toLowerCase())
+  },
+  {
+    operator: 'STARTS WITH',
+    description: 'Check if the value starts with a text (case-insensitive)',
+    fieldTypes: ['string'],
+    match: (text, value) => text.toLowerCase().startsWith(String(value).toLowerCase())
+  },
+  {
+    operator: 'ENDS WITH',
+    description: 'Check if the value ends with a text (case-insensitive)',
+    fieldTypes: ['string'],
+    match: (text, value) => text.toLowerCase().endsWith(String(value).toLowerCase())
+  },
+  {
+    operator: 'LIKE',
+    description: 'Match a pattern where `%` stands for any text and `_` for a single character (case-insensitive)',
+    fieldTypes: ['string'],
+    compile: literal => likePatternToRegExp(String(literal.value)),
+    match: (text, regex) => regex.test(text)
+  },
+  {
+    operator: 'MATCHES',
+    description: 'Match a regular expression, e.g. `/^a.*z$/i`',
+    fieldTypes: ['string'],
+    valueTypes: ['regex', 'string'],
+    compile: literal => createQueryRegExp(literal),
+    match: (text, regex) => regex.test(text)
+  }
+];
+
+/**
+ * Converts a LIKE pattern into an anchored, case-insensitive regular expression
+ * @param {string} pattern The LIKE pattern (`%` any text, `_` any character)
+ * @returns {RegExp} The equivalent regular expression
+ */
+export function likePatternToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(ch => {
+      if (ch === '%') return '.*';
+      if (ch === '_') return '.';
+      return ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'is');
+}
+
+/**
+ * Creates the RegExp for a MATCHES value (a regex literal or a quoted pattern)
+ * @param {object} literal The Literal node
+ * @returns {RegExp} The regular expression
+ * @throws {SyntaxError} If the pattern or flags are invalid
+ */
+export function createQueryRegExp(literal) {
+  // Global and sticky flags would make test() stateful across records
+  const flags = (literal.flags || '').replace(/[gy]/g, '');
+  return new RegExp(String(literal.value), flags);
+}
+
+/**
+ * Looks up an operator definition
+ * @param {string} operator The operator as written in the query
+ * @returns {object|undefined} The operator definition
+ */
+export function findQueryOperator(operator) {
+  return QUERY_OPERATORS.find(definition => definition.operator === operator);
+}
+
+/**
+ * Checks whether an operator can be used with a field
+ * @param {object} definition The operator definition
+ * @param {object} field The field definition
+ * @returns {boolean} True if the operator applies to the field
+ */
+export function operatorAppliesTo(definition, field) {
+  // List operators also work on any field with a fixed set of values
+  if (definition.list && field.values) return true;
+  return !definition.fieldTypes || definition.fieldTypes.includes(field.type);
+}
+
+/**
+ * Lists the operators that can be used with a field, in suggestion order
+ * @param {object} field The field definition
+ * @returns {object[]} The applicable operator definitions
+ */
+export function getFieldOperators(field) {
+  return QUERY_OPERATORS.filter(definition => operatorAppliesTo(definition, field));
+}
+
+// Numbers and numeric strings compare numerically
+function toComparableNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && /^\s*-?\d*\.?\d+\s*$/.test(value)) return parseFloat(value);
+  return null;
+}
+
+// Date objects and ISO date strings compare by time, dates without a time are local midnight
+function toComparableTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const date = parseIsoDate(value);
+    const time = date ? date.getTime() : Date.parse(value);
+    return isNaN(time) ? null : time;
+  }
+  return null;
+}
+
+// An instant is within a day, or before or after it
+function compareTimeToDay(time, day) {
+  if (time < day.start.getTime()) return time - day.start.getTime();
+  if (time >= day.end.getTime()) return time - day.end.getTime() + 1;
+  return 0;
+}
+
+/**
+ * Checks a record value and a query value for equality, dates are equal when
+ * they denote the same instant and a QueryDay equals every instant within it
+ * @param {*} left The record value
+ * @param {*} right The query value
+ * @returns {boolean} True if the values are equal
+ */
+export function queryValuesEqual(left, right) {
+  if (right instanceof QueryDay) {
+    return compareQueryValues(left, right) === 0;
+  }
+  const leftTime = toComparableTime(left);
+  const rightTime = toComparableTime(right);
+  if (leftTime !== null && rightTime !== null) {
+    return leftTime === rightTime;
+  }
+  return left == right;
+}
+
+/**
+ * Orders a record value against a query value, taking their types into account
+ * @param {*} left The record value
+ * @param {*} right The query value, a QueryDay orders after the instants before it
+ *   and before the instants after it
+ * @returns {number|null} Negative, zero or positive like a sort comparator,
+ *   or null if the values can't be ordered against each other
+ */
+export function compareQueryValues(left, right) {
+  const leftNumber = toComparableNumber(left);
+  const rightNumber = toComparableNumber(right);
+  if (leftNumber !== null && rightNumber !== null) {
+    return leftNumber - rightNumber;
+  }
+
+  const leftTime = toComparableTime(left);
+  if (right instanceof QueryDay) {
+    return leftTime !== null ? compareTimeToDay(leftTime, right) : null;
+  }
+  const rightTime = toComparableTime(right);
+  if (leftTime !== null && rightTime !== null) {
+    return leftTime - rightTime;
+  }
+
+  // Other strings in the locale's alphabetical order
+  if (typeof left === 'string' && typeof right === 'string') {
+    return left.localeCompare(right);
+  }
+
+  return null;
+}
@@ -0,0 +1,886 @@
+/**
+ * Recursive-descent parser for the query language.
+ *
+ * Every AST node carries `start`/`end` offsets (end exclusive) into the source
+ * string so that validation, completion and evaluation all work from the same
+ * structure. Node types:
+ *
+ * - Logical:    { operator: 'AND' | 'OR', left, right }
+ * - Not:        { expression } (unary `NOT` prefix)
+ * - Group:      { expression }
+ * - Comparison: { field, operator, operatorRange, value } (`IN`/`NOT IN` carry a List value,
+ *               `BETWEEN` a Range value)
+ * - Field:      { name } (a path such as `address.city` or `tags[*]`, see fields.js)
+ * - Literal:    { valueType: 'string' | 'number' | 'boolean' | 'null' | 'regex' | 'date', value, raw }
+ *               (regex literals keep the pattern in `value` and add `flags`, date literals
+ *               keep the relative expression such as `now-7d`)
+ * - List:       { items }
+ * - Range:      { lower, upper } (the two Literal bounds of `BETWEEN`)
+ * - Term:       { value, quoted } (free-text search word or quoted phrase, matched
+ *               against all fields; adjacent terms are joined with an implicit AND)
+ * - Error:      placeholder produced only in recovering mode
+ */
+
+import { QUERY_OPERATORS, findQueryOperator } from './operators';
+import { isRelativeDate } from './dates';
+
+/**
+ * Error thrown for invalid queries when the parser is not in recovering mode.
+ * Its `fixes` are the quick fixes for the error, each { title, edits } where an
+ * edit replaces the text from `start` to `end` with `text`.
+ */
+export class QuerySyntaxError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.start = start;
+    this.end = end;
+  }
+}
+
+const QUERY_LITERAL_TYPES = ['string', 'unclosed-string', 'number', 'boolean', 'null', 'regex', 'unclosed-regex'];
+
+// Operators spelled as words (CONTAINS, STARTS WITH, ...), list operators are parsed separately
+const QUERY_WORD_OPERATORS = QUERY_OPERATORS
+  .filter(definition => !definition.list && /^[A-Z]/.test(definition.operator))
+  .map(definition => definition.operator);
+
+// Matches a word operator at the start of the text, returns its canonical form and source length
+function matchWordOperator(text, caseSensitive) {
+  for (const operator of QUERY_WORD_OPERATORS) {
+    const match = text.match(new RegExp(`^${operator.replace(' ', '\\s+')}\\b`, caseSensitive ? '' : 'i'));
+    if (match) {
+      return { operator, length: match[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates a quick fix replacing the text between two offsets
+ * @param {string} title The title shown for the fix
+ * @param {number} start Start offset of the replaced text
+ * @param {number} end End offset of the replaced text (exclusive)
+ * @param {string} text The replacement
+ * @returns {object} The fix { title, edits }
+ */
+export function queryFix(title, start, end, text) {
+  return { title, edits: [{ start, end, text }] };
+}
+
+// Fix for a keyword or operator written in the wrong case
+function uppercaseFix(start, end, text) {
+  return [queryFix(`Change to '${text}'`, start, end, text)];
+}
+
+// Fixes for two conditions without a logical operator between them
+function missingLogicalFixes(position) {
+  return [
+    queryFix('Insert AND', position, position, 'AND '),
+    queryFix('Insert OR', position, position, 'OR ')
+  ];
+}
+
+// Field names and paths into nested records: `name`, `address.city`, `items[*].price`.
+// A trailing dot is kept so that a path being typed stays a single token.
+const FIELD_PATH_PATTERN = /^[a-zA-Z_]\w*(?:\[\*\])*(?:\.[a-zA-Z_]\w*(?:\[\*\])*)*\.?/;
+
+// Free text that isn't otherwise a token, e.g. `john@example.com` or `10kg`
+const FREE_TEXT_PATTERN = /^[^\s()\[\],"=<>!\/]+/;
+
+// Length of a /regex/flags literal starting at `position`, and whether it is closed
+function scanRegexLiteral(str, position) {
+  let end = position + 1;
+  let inClass = false;
+  while (end < str.length && str[end] !== '\n') {
+    const ch = str[end];
+    if (ch === '\\') {
+      end += 2;
+      continue;
+    }
+    if (ch === '[') inClass = true;
+    if (ch === ']') inClass = false;
+    if (ch === '/' && !inClass) {
+      end++;
+      // Flags directly follow the closing slash
+      while (end < str.length && /[a-z]/i.test(str[end])) end++;
+      return { length: end - position, closed: true };
+    }
+    end++;
+  }
+  return { length: Math.min(end, str.length) - position, closed: false };
+}
+
+/**
+ * Splits a query into tokens with source offsets
+ * @param {string} str The query text
+ * @returns {object[]} Tokens of shape { value, type, start, end }
+ */
+export function tokenizeQuery(str) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < str.length) {
+    // Skip whitespace
+    if (/\s/.test(str[position])) {
+      position++;
+      continue;
+    }
+
+    const tokenStart = position;
+    const rest = str.substring(position);
+    let value = '';
+    let type = '';
+    let length = 0;
+
+    // Multi-character operators first, then single character ones
+    if (/^(!=|>=|<=)/.test(rest)) {
+      value = rest.substring(0, 2);
+      type = 'operator';
+    } else if (/[=<>]/.test(str[position])) {
+      value = str[position];
+      type = 'operator';
+    } else if (/[(),\[\]]/.test(str[position])) {
+      value = str[position];
+      type = 'punctuation';
+    } else if (str[position] === '"') {
+      // Quoted strings (including unclosed ones), honouring escaped quotes
+      let stringEnd = position + 1;
+      let endQuoteFound = false;
+      while (stringEnd < str.length) {
+        if (str[stringEnd] === '\\') {
+          stringEnd += 2;
+          continue;
+        }
+        if (str[stringEnd] === '"') {
+          endQuoteFound = true;
+          stringEnd++;
+          break;
+        }
+        stringEnd++;
+      }
+      stringEnd = Math.min(stringEnd, str.length);
+      value = str.substring(position, stringEnd);
+      type = endQuoteFound ? 'string' : 'unclosed-string';
+    } else if (str[position] === '/') {
+      // Regular expression literals, e.g. /^abc/i
+      const regex = scanRegexLiteral(str, position);
+      value = str.substr(position, regex.length);
+      type = regex.closed ? 'regex' : 'unclosed-regex';
+    } else if (/^-?\d*\.?\d+/.test(rest) && /[\d.-]/.test(str[position])) {
+      value = rest.match(/^-?\d*\.?\d+/)[0];
+      type = 'number';
+    } else if (/[a-zA-Z_]/.test(str[position])) {
+      const wordOperator = matchWordOperator(rest, true);
+      value = rest.match(FIELD_PATH_PATTERN)[0];
+      // Logical and word operators are case-sensitive, literals are not
+      if (wordOperator) {
+        // Keep the canonical spelling even if the words are separated by several spaces
+        value = wordOperator.operator;
+        length = wordOperator.length;
+        type = 'operator';
+      } else if (['AND', 'OR', 'NOT', 'IN'].includes(value)) {
+        type = 'keyword';
+      } else if (/^(true|false)$/i.test(value)) {
+        type = 'boolean';
+      } else if (/^null$/i.test(value)) {
+        type = 'null';
+      } else {
+        type = 'identifier';
+      }
+    } else {
+      value = str[position];
+      type = 'invalid';
+    }
+
+    // A run of free text stays a single search word instead of being split up
+    const word = rest.match(FREE_TEXT_PATTERN);
+    if (['identifier', 'number', 'boolean', 'null', 'invalid'].includes(type) && word && word[0].length > value.length) {
+      value = word[0];
+      type = 'word';
+    }
+
+    position += length || value.length;
+    tokens.push({ value, type, start: tokenStart, end: position });
+  }
+
+  return tokens;
+}
+
+/**
+ * Resolves the escape sequences of a quoted string token
+ * @param {string} raw The token text including quotes
+ * @returns {string} The unquoted string value
+ */
+export function unquoteQueryString(raw) {
+  const body = raw.endsWith('"') && raw.length > 1 ? raw.slice(1, -1) : raw.slice(1);
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  return body.replace(/\\(.)/g, (match, ch) => escapes[ch] || ch);
+}
+
+class QueryParser {
+  constructor(input, { recover = false } = {}) {
+    this.input = input;
+    this.tokens = tokenizeQuery(input);
+    this.pos = 0;
+    this.recover = recover;
+    this.errors = [];
+    this.expected = null;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos] || null;
+  }
+
+  next() {
+    return this.tokens[this.pos++] || null;
+  }
+
+  isKeyword(token, keyword) {
+    return !!token && token.type === 'keyword' && token.value === keyword;
+  }
+
+  isPunctuation(token, value) {
+    return !!token && token.type === 'punctuation' && token.value === value;
+  }
+
+  // `fixes` are quick fixes offered for the error, see queryFix
+  error(message, start, end, fixes = []) {
+    const error = new QuerySyntaxError(message, start, end);
+    error.fixes = fixes;
+    if (!this.recover) {
+      throw error;
+    }
+    this.errors.push(error);
+  }
+
+  // Records what the parser was looking for when it ran out of input. The
+  // innermost expectation wins, which is what completion needs.
+  expectAtEnd(kind, details = {}) {
+    if (!this.expected) {
+      this.expected = { kind, depth: this.depth, ...details };
+    }
+  }
+
+  incompleteAtEnd(token) {
+    const last = token || this.tokens[this.tokens.length - 1];
+    this.error('Incomplete expression at end of query', last.start, last.end);
+  }
+
+  parse() {
+    if (this.tokens.length === 0) {
+      this.expectAtEnd('field');
+      return null;
+    }
+
+    let ast = this.parseOr();
+    while (this.pos < this.tokens.length) {
+      // parseOr only stops early on a closing parenthesis without a partner
+      const token = this.next();
+      this.error('Unmatched closing parenthesis', token.start, token.end);
+      if (this.pos < this.tokens.length) {
+        ast = this.logical('AND', ast, this.parseOr());
+      }
+    }
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.isKeyword(this.peek(), 'OR')) {
+      this.next();
+      left = this.logical('OR', left, this.parseAnd());
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      if (!token) {
+        // After a search word the query may also continue with another word
+        const last = this.rightmost(left);
+        if (last && last.type === 'Term') {
+          // A bare word might also be a field name the user is about to compare
+          const isName = !last.quoted && !last.value.endsWith('.') && (last.value.match(FIELD_PATH_PATTERN) || [])[0] === last.value;
+          this.expectAtEnd('term', { field: isName ? last.value : null });
+        } else {
+          this.expectAtEnd('logical');
+        }
+        break;
+      }
+      if (this.isKeyword(token, 'OR') || this.isPunctuation(token, ')')) {
+        break;
+      }
+      if (this.isKeyword(token, 'AND')) {
+        this.next();
+        left = this.logical('AND', left, this.parseUnary());
+        continue;
+      }
+
+      if (token.type === 'identifier' && /^(and|or)$/i.test(token.value)) {
+        const operator = token.value.toUpperCase();
+        this.error(`Logical operator must be uppercase. Use '${operator}' instead of '${token.value}'.`, token.start, token.end,
+          uppercaseFix(token.start, token.end, operator));
+        this.next();
+        left = this.logical(operator, left, this.parseUnary());
+        continue;
+      }
+
+      // Search words join the expressions around them with an implicit AND
+      if (this.canStartPrimary(token)) {
+        const right = this.parseUnary();
+        if (!this.isTerm(this.rightmost(left)) && !this.isTerm(this.leftmost(right)) && this.isComplete(left)) {
+          this.error(`Expected logical operator (AND/OR) after complete expression, but found '${token.value}'.`, token.start, token.end,
+            missingLogicalFixes(token.start));
+        }
+        left = this.logical('AND', left, right);
+        continue;
+      }
+
+      // An incomplete condition has already been reported, don't pile on
+      if (this.isComplete(left)) {
+        this.error(`Expected logical operator (AND/OR) after complete expression, but found '${token.value}'.`, token.start, token.end,
+          missingLogicalFixes(token.start));
+      }
+      this.synchronize();
+    }
+
+    return left;
+  }
+
+  // Whether a token can begin a condition, group or search word
+  canStartPrimary(token) {
+    return token.type === 'identifier' ||
+      token.type === 'word' ||
+      (QUERY_LITERAL_TYPES.includes(token.type) && token.type !== 'regex' && token.type !== 'unclosed-regex') ||
+      this.isKeyword(token, 'NOT') ||
+      this.isPunctuation(token, '(');
+  }
+
+  isTerm(node) {
+    return !!node && node.type === 'Term';
+  }
+
+  // The innermost node at the right/left edge of an expression
+  rightmost(node) {
+    if (node && node.type === 'Logical') return this.rightmost(node.right);
+    if (node && node.type === 'Not') return this.rightmost(node.expression);
+    return node;
+  }
+
+  leftmost(node) {
+    if (node && node.type === 'Logical') return this.leftmost(node.left);
+    return node;
+  }
+
+  // Skips tokens until something that can continue an expression
+  synchronize() {
+    while (this.pos < this.tokens.length) {
+      const token = this.peek();
+      if (this.canStartPrimary(token) || (token.type === 'keyword' && token.value !== 'IN') ||
+          this.isPunctuation(token, ')')) {
+        return;
+      }
+      this.pos++;
+    }
+  }
+
+  isComplete(node) {
+    if (!node || node.type === 'Error') return false;
+    if (node.type === 'Logical') return this.isComplete(node.right);
+    if (node.type === 'Not') return this.isComplete(node.expression);
+    if (node.type === 'Comparison') return !!node.operator && !!node.value;
+    return true;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (this.isKeyword(token, 'NOT') || this.isLowercaseNot(token)) {
+      if (token.value !== 'NOT') {
+        this.error(`NOT operator must be uppercase. Use 'NOT' instead of '${token.value}'.`, token.start, token.end,
+          uppercaseFix(token.start, token.end, 'NOT'));
+      }
+      this.next();
+
+      // Completion shouldn't offer a second NOT right after this one
+      if (!this.peek()) {
+        this.expectAtEnd('field', { negated: true });
+      }
+
+      const expression = this.parseUnary();
+      return {
+        type: 'Not',
+        expression,
+        start: token.start,
+        end: expression ? expression.end : token.end
+      };
+    }
+
+    return this.parsePrimary();
+  }
+
+  // A lowercase `not` is only treated as NOT when it is followed by a condition
+  isLowercaseNot(token) {
+    const following = this.tokens[this.pos + 1];
+    return !!token && token.type === 'identifier' && token.value.toLowerCase() === 'not' &&
+      !!following && (following.type === 'identifier' || this.isKeyword(following, 'NOT') || this.isPunctuation(following, '('));
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (!token) {
+      this.expectAtEnd('field');
+      this.incompleteAtEnd();
+      return null;
+    }
+
+    if (this.isPunctuation(token, '(')) {
+      return this.parseGroup();
+    }
+
+    if (token.type === 'identifier' && this.startsComparison()) {
+      return this.parseComparison();
+    }
+
+    if (token.type === 'identifier' || token.type === 'word' ||
+        (QUERY_LITERAL_TYPES.includes(token.type) && token.type !== 'regex' && token.type !== 'unclosed-regex')) {
+      return this.parseTerm();
+    }
+
+    if (this.isKeyword(token, 'AND') || this.isKeyword(token, 'OR')) {
+      // Leave the operator for the caller so parsing can continue after it
+      this.error('Incomplete expression before logical operator', token.start, token.end);
+      return this.errorNode(token);
+    }
+
+    if (this.isPunctuation(token, ')')) {
+      if (this.depth > 0) {
+        this.error('Incomplete expression before closing parenthesis', token.start, token.end);
+      }
+      return this.errorNode(token);
+    }
+
+    this.next();
+    if (this.isKeyword(token, 'IN')) {
+      this.error('IN operator without a preceding field name', token.start, token.end);
+      this.parseList(null, token);
+    } else if (token.type === 'operator') {
+      this.error('Operator without a preceding field name', token.start, token.end);
+      if (this.peek() && QUERY_LITERAL_TYPES.includes(this.peek().type)) {
+        this.next();
+      }
+    } else if (QUERY_LITERAL_TYPES.includes(token.type)) {
+      this.error(`Expected a field name or search text but found ${token.value}`, token.start, token.end);
+    } else if (token.type === 'invalid') {
+      this.error(`Unexpected character '${token.value}'`, token.start, token.end);
+    } else {
+      this.error(`Unexpected '${token.value}'`, token.start, token.end);
+    }
+    return this.errorNode(token);
+  }
+
+  parseGroup() {
+    const open = this.next();
+    this.depth++;
+    const expression = this.parseOr();
+    this.depth--;
+
+    const close = this.peek();
+    let end;
+    if (this.isPunctuation(close, ')')) {
+      this.next();
+      end = close.end;
+    } else {
+      this.error('Unclosed parentheses in expression', open.start, this.input.length);
+      end = expression ? expression.end : open.end;
+    }
+
+    return { type: 'Group', expression, start: open.start, end };
+  }
+
+  // Looks ahead from an identifier to tell a field comparison from a search word
+  startsComparison() {
+    const next = this.tokens[this.pos + 1];
+    if (!next) return false;
+    const afterNext = this.tokens[this.pos + 2];
+
+    if (next.type === 'operator' || this.isKeyword(next, 'IN')) {
+      return true;
+    }
+    // Lowercase `in` only counts when a list follows (`made in china` is text)
+    if (next.type === 'identifier' && next.value.toLowerCase() === 'in') {
+      return this.isPunctuation(afterNext, '[');
+    }
+    // `field NOT IN [...]`, while `urgent NOT spam` is two search words
+    if (this.isKeyword(next, 'NOT') || (next.type === 'identifier' && next.value.toLowerCase() === 'not')) {
+      return !afterNext || this.isKeyword(afterNext, 'IN') ||
+        (afterNext.type === 'identifier' && afterNext.value.toLowerCase() === 'in');
+    }
+    // A lowercase word operator only counts when a value follows (`name contains "x"`)
+    if (next.type === 'identifier') {
+      const wordOperator = matchWordOperator(this.input.slice(next.start), false);
+      if (wordOperator) {
+        const value = this.tokens.find(token => token.start >= next.start + wordOperator.length);
+        return !!value && QUERY_LITERAL_TYPES.includes(value.type);
+      }
+    }
+    return false;
+  }
+
+  parseTerm() {
+    const token = this.next();
+    if (token.type === 'unclosed-string') {
+      this.error('Unclosed string literal. Did you forget a closing quote?', token.start, token.end,
+        [queryFix('Add closing quote', token.end, token.end, '"')]);
+    }
+    const quoted = token.type === 'string' || token.type === 'unclosed-string';
+    return {
+      type: 'Term',
+      value: quoted ? unquoteQueryString(token.value) : token.value,
+      quoted,
+      start: token.start,
+      end: token.end
+    };
+  }
+
+  parseComparison() {
+    const fieldToken = this.next();
+    const field = { type: 'Field', name: fieldToken.value, start: fieldToken.start, end: fieldToken.end };
+    const node = {
+      type: 'Comparison',
+      field,
+      operator: null,
+      operatorRange: null,
+      value: null,
+      start: field.start,
+      end: field.end
+    };
+    const token = this.peek();
+
+    if (token.type === 'operator') {
+      this.next();
+      node.operator = token.value;
+      node.operatorRange = { start: token.start, end: token.end };
+      node.end = token.end;
+      node.value = this.parseOperand(field, token);
+    } else if (this.isKeyword(token, 'IN') || (token.type === 'identifier' && token.value.toLowerCase() === 'in')) {
+      if (token.value !== 'IN') {
+        this.error(`IN operator must be uppercase. Use 'IN' instead of '${token.value}'.`, token.start, token.end,
+          uppercaseFix(token.start, token.end, 'IN'));
+      }
+      this.next();
+      node.operator = 'IN';
+      node.operatorRange = { start: token.start, end: token.end };
+      node.end = token.end;
+      node.value = this.parseList(field, token);
+    } else if (this.isKeyword(token, 'NOT') || (token.type === 'identifier' && token.value.toLowerCase() === 'not')) {
+      this.parseNotIn(node, token);
+    } else {
+      // A lowercase word operator, startsComparison() has made sure there is one
+      const { operator, length } = matchWordOperator(this.input.slice(token.start), false);
+      const end = token.start + length;
+      this.error(`Operator must be uppercase. Use '${operator}' instead of '${this.input.slice(token.start, end)}'.`, token.start, end,
+        uppercaseFix(token.start, end, operator));
+      // The operator may span several tokens (e.g. `starts with`)
+      while (this.peek() && this.peek().end <= end) {
+        this.next();
+      }
+      node.operator = operator;
+      node.operatorRange = { start: token.start, end };
+      node.end = end;
+      node.value = this.parseOperand(field, { value: operator, start: token.start, end });
+    }
+
+    if (node.value) {
+      node.end = node.value.end;
+    }
+    return node;
+  }
+
+  // `field NOT IN [...]`, the only place NOT may follow a field name
+  parseNotIn(node, notToken) {
+    if (notToken.value !== 'NOT') {
+      this.error(`NOT operator must be uppercase. Use 'NOT' instead of '${notToken.value}'.`, notToken.start, notToken.end,
+        uppercaseFix(notToken.start, notToken.end, 'NOT'));
+    }
+    this.next();
+
+    const token = this.peek();
+    if (!token) {
+      this.expectAtEnd('operator', { field: node.field.name, negated: true });
+      this.incompleteAtEnd(notToken);
+      return;
+    }
+    if (token.value !== 'IN') {
+      this.error(`IN operator must be uppercase. Use 'IN' instead of '${token.value}'.`, token.start, token.end,
+        uppercaseFix(token.start, token.end, 'IN'));
+    }
+    this.next();
+
+    node.operator = 'NOT IN';
+    node.operatorRange = { start: notToken.start, end: token.end };
+    node.end = token.end;
+    node.value = this.parseList(node.field, token);
+  }
+
+  // The right-hand side of a comparison operator, a pair of bounds for range operators
+  parseOperand(field, operatorToken) {
+    const definition = findQueryOperator(operatorToken.value);
+    return definition && definition.range
+      ? this.parseRange(field, operatorToken)
+      : this.parseValue(field, operatorToken);
+  }
+
+  // `field BETWEEN lower AND upper`, the AND belongs to the operator rather than joining conditions
+  parseRange(field, operatorToken) {
+    const lower = this.parseValue(field, operatorToken);
+    if (!lower) {
+      return null;
+    }
+
+    let separator = this.peek();
+    if (!separator) {
+      this.expectAtEnd('range-separator', { field: field.name, operator: operatorToken.value });
+      this.incompleteAtEnd(lower);
+      return null;
+    }
+    if (this.isKeyword(separator, 'AND') || (separator.type === 'identifier' && separator.value.toLowerCase() === 'and')) {
+      if (separator.value !== 'AND') {
+        this.error(`Logical operator must be uppercase. Use 'AND' instead of '${separator.value}'.`, separator.start, separator.end,
+          uppercaseFix(separator.start, separator.end, 'AND'));
+      }
+      this.next();
+    } else if (QUERY_LITERAL_TYPES.includes(separator.type)) {
+      // Keep going with the upper bound so it isn't reported a second time
+      this.error(`Expected AND between the bounds of ${operatorToken.value}`, separator.start, separator.end,
+        [queryFix('Insert AND', separator.start, separator.start, 'AND ')]);
+      separator = { value: operatorToken.value, start: lower.start, end: lower.end };
+    } else {
+      this.error(`Expected AND and an upper bound after '${lower.raw}'`, lower.start, lower.end);
+      return null;
+    }
+
+    const upper = this.parseValue(field, separator, { operator: operatorToken.value, lower: lower.value });
+    if (!upper) {
+      return null;
+    }
+    return { type: 'Range', lower, upper, start: lower.start, end: upper.end };
+  }
+
+  parseValue(field, operatorToken, expected = {}) {
+    const token = this.peek();
+
+    if (!token) {
+      this.expectAtEnd('value', { field: field.name, operator: operatorToken.value, ...expected });
+      this.incompleteAtEnd(operatorToken);
+      return null;
+    }
+
+    if (QUERY_LITERAL_TYPES.includes(token.type) || this.isRelativeDateToken(token)) {
+      this.next();
+      return this.literal(token);
+    }
+
+    if (this.isKeyword(token, 'AND') || this.isKeyword(token, 'OR')) {
+      this.error('Incomplete expression before logical operator', token.start, token.end);
+    } else if (token.type === 'identifier') {
+      this.next();
+      this.error(`Expected a value after '${operatorToken.value}' but found '${token.value}'. String values must be quoted.`, token.start, token.end);
+    } else {
+      this.error(`Missing value after operator '${operatorToken.value}'`, operatorToken.start, operatorToken.end);
+    }
+    return null;
+  }
+
+  // Relative dates are unquoted words, they only count as values after an operator
+  isRelativeDateToken(token) {
+    return (token.type === 'identifier' || token.type === 'word') && isRelativeDate(token.value);
+  }
+
+  parseList(field, inToken) {
+    const fieldName = field ? field.name : null;
+    const open = this.peek();
+
+    if (!open) {
+      this.expectAtEnd('value', { field: fieldName, operator: 'IN' });
+      this.incompleteAtEnd(inToken);
+      return null;
+    }
+    if (!this.isPunctuation(open, '[')) {
+      this.error('Expected a list in square brackets after IN', inToken.start, inToken.end);
+      return null;
+    }
+    this.next();
+
+    const list = { type: 'List', items: [], start: open.start, end: open.end };
+    let expectingValue = true;
+
+    for (;;) {
+      const token = this.peek();
+
+      if (!token) {
+        this.expectAtEnd(expectingValue ? 'list-value' : 'list-separator', {
+          field: fieldName,
+          values: list.items.map(item => item.value)
+        });
+        this.error('Unclosed IN list. Did you forget a closing bracket?', open.start, this.input.length);
+        break;
+      }
+
+      if (this.isPunctuation(token, ']')) {
+        this.next();
+        if (expectingValue && list.items.length > 0) {
+          this.error('Trailing comma in IN list', token.start, token.end);
+        }
+        list.end = token.end;
+        return list;
+      }
+
+      if (this.isPunctuation(token, '[')) {
+        this.next();
+        this.error('Unexpected opening bracket inside IN list', token.start, token.end);
+      } else if (QUERY_LITERAL_TYPES.includes(token.type)) {
+        this.next();
+        if (!expectingValue) {
+          const previous = list.items[list.items.length - 1];
+          this.error('Missing comma between list values', token.start, token.end,
+            previous ? [queryFix('Insert comma', previous.end, previous.end, ',')] : []);
+        }
+        list.items.push(this.literal(token));
+        expectingValue = false;
+      } else if (this.isPunctuation(token, ',')) {
+        this.next();
+        if (expectingValue) {
+          this.error('Missing value before comma in IN list', token.start, token.end);
+        }
+        expectingValue = true;
+      } else if (token.type === 'identifier') {
+        this.next();
+        this.error(`Expected a value in IN list but found '${token.value}'. String values must be quoted.`, token.start, token.end);
+        expectingValue = false;
+      } else {
+        this.error('Unclosed IN list. Did you forget a closing bracket?', open.start, token.start);
+        break;
+      }
+
+      list.end = token.end;
+    }
+
+    return list;
+  }
+
+  literal(token) {
+    let value;
+    let valueType = token.type;
+
+    let flags;
+
+    if (token.type === 'string' || token.type === 'unclosed-string') {
+      if (token.type === 'unclosed-string') {
+        this.error('Unclosed string literal. Did you forget a closing quote?', token.start, token.end,
+          [queryFix('Add closing quote', token.end, token.end, '"')]);
+      }
+      valueType = 'string';
+      value = unquoteQueryString(token.value);
+    } else if (token.type === 'regex' || token.type === 'unclosed-regex') {
+      if (token.type === 'unclosed-regex') {
+        this.error('Unclosed regular expression. Did you forget a closing slash?', token.start, token.end,
+          [queryFix('Add closing slash', token.end, token.end, '/')]);
+      }
+      const closingSlash = token.type === 'regex' ? token.value.lastIndexOf('/') : token.value.length;
+      valueType = 'regex';
+      value = token.value.slice(1, closingSlash);
+      flags = token.value.slice(closingSlash + 1);
+    } else if (this.isRelativeDateToken(token)) {
+      valueType = 'date';
+      value = token.value;
+    } else if (token.type === 'number') {
+      value = parseFloat(token.value);
+    } else if (token.type === 'boolean') {
+      value = token.value.toLowerCase() === 'true';
+    } else {
+      value = null;
+    }
+
+    const literal = {
+      type: 'Literal',
+      valueType,
+      value,
+      raw: token.value,
+      unclosed: token.type === 'unclosed-string' || token.type === 'unclosed-regex',
+      start: token.start,
+      end: token.end
+    };
+    if (flags !== undefined) {
+      literal.flags = flags;
+    }
+    return literal;
+  }
+
+  logical(operator, left, right) {
+    if (!left) return right;
+    if (!right) return left;
+    return { type: 'Logical', operator, left, right, start: left.start, end: right.end };
+  }
+
+  errorNode(token) {
+    return { type: 'Error', start: token.start, end: token.end };
+  }
+}
+
+/**
+ * Parses a query into an AST
+ * @param {string} input The query text
+ * @param {object} [options] Parser options
+ * @param {boolean} [options.recover=false] Collect errors and keep parsing instead of throwing
+ * @returns {object} { ast, tokens, errors, expected } where `expected` describes what
+ *   the parser was looking for when the input ended (used for completion)
+ * @throws {QuerySyntaxError} On the first error when not recovering
+ */
+export function parseQuery(input, { recover = false } = {}) {
+  const parser = new QueryParser(input || '', { recover });
+  const ast = parser.parse();
+  return {
+    ast,
+    tokens: parser.tokens,
+    errors: parser.errors,
+    expected: parser.expected
+  };
+}
+
+/**
+ * Calls `visit` for every node of the AST in source order
+ * @param {object} node The AST root
+ * @param {function} visit Callback receiving (node, parent)
+ */
+export function walkQuery(node, visit, parent = null) {
+  if (!node) return;
+  visit(node, parent);
+  switch (node.type) {
+    case 'Logical':
+      walkQuery(node.left, visit, node);
+      walkQuery(node.right, visit, node);
+      break;
+    case 'Not':
+    case 'Group':
+      walkQuery(node.expression, visit, node);
+      break;
+    case 'Comparison':
+      walkQuery(node.field, visit, node);
+      walkQuery(node.value, visit, node);
+      break;
+    case 'List':
+      node.items.forEach(item => walkQuery(item, visit, node));
+      break;
+    case 'Range':
+      walkQuery(node.lower, visit, node);
+      walkQuery(node.upper, visit, node);
+      break;
+  }
+}
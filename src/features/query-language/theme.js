@@ -1,24 +1,216 @@
 /**
- * Sets up the editor theme for the query language
+ * Editor themes for the query language.
+ *
+ * `queryTheme` (light), `queryTheme-dark` and `queryTheme-hc` (high contrast)
+ * share the same token names, so the grammar and the semantic tokens are
+ * coloured alike in all of them. `auto` picks one from the host page's
+ * `prefers-color-scheme` and `forced-colors` media features. Token colour
+ * overrides define a derived theme on top of the chosen one.
+ */
+
+// Theme name and Monaco base theme of each variant
+const QUERY_THEME_VARIANTS = {
+  light: { name: 'queryTheme', base: 'vs' },
+  dark: { name: 'queryTheme-dark', base: 'vs-dark' },
+  hc: { name: 'queryTheme-hc', base: 'hc-black' }
+};
+
+// Token colours of each variant, by token name: [foreground, fontStyle, background]
+const QUERY_THEME_TOKENS = {
+  light: {
+    identifier: ['795E26', 'italic', 'FFF3D0'],
+    operator: ['af00db'],
+    boolean: ['5f5757', 'bold'],
+    number: ['5f5757', 'bold'],
+    string: ['5f5757', 'bold'],
+    'string.search': ['5f5757', 'bold'],
+    date: ['0b7a75', 'bold'],
+    regexp: ['811f3f', 'bold'],
+    keyword: ['007acc', 'bold'],
+    'keyword.null': ['5f5757', 'bold'],
+    // Semantic tokens, from the parsed query and the field definitions
+    field: ['795E26', 'italic'],
+    'field.deprecated': ['795E26', 'italic strikethrough'],
+    unknownField: ['cd3131', 'italic underline'],
+    invalidValue: ['cd3131', 'bold'],
+    enumValue: ['0451a5', 'bold'],
+    searchTerm: ['5f5757', 'bold']
+  },
+  dark: {
+    identifier: ['DCDCAA', 'italic', '3A3826'],
+    operator: ['C586C0'],
+    boolean: ['D4D4D4', 'bold'],
+    number: ['D4D4D4', 'bold'],
+    string: ['D4D4D4', 'bold'],
+    'string.search': ['D4D4D4', 'bold'],
+    date: ['4EC9B0', 'bold'],
+    regexp: ['D16969', 'bold'],
+    keyword: ['569CD6', 'bold'],
+    'keyword.null': ['D4D4D4', 'bold'],
+    field: ['DCDCAA', 'italic'],
+    'field.deprecated': ['DCDCAA', 'italic strikethrough'],
+    unknownField: ['F44747', 'italic underline'],
+    invalidValue: ['F44747', 'bold'],
+    enumValue: ['9CDCFE', 'bold'],
+    searchTerm: ['D4D4D4', 'bold']
+  },
+  hc: {
+    identifier: ['FFD700', 'italic'],
+    operator: ['FF9EFF'],
+    boolean: ['FFFFFF', 'bold'],
+    number: ['FFFFFF', 'bold'],
+    string: ['FFFFFF', 'bold'],
+    'string.search': ['FFFFFF', 'bold'],
+    date: ['6FFFE9', 'bold'],
+    regexp: ['FF9E9E', 'bold'],
+    keyword: ['75BEFF', 'bold'],
+    'keyword.null': ['FFFFFF', 'bold'],
+    field: ['FFD700', 'italic'],
+    'field.deprecated': ['FFD700', 'italic strikethrough'],
+    unknownField: ['FF6B6B', 'italic underline'],
+    invalidValue: ['FF6B6B', 'bold underline'],
+    enumValue: ['9CDCFE', 'bold'],
+    searchTerm: ['FFFFFF', 'bold']
+  }
+};
+
+const QUERY_THEME_COLORS = {
+  light: { 'editor.foreground': '#5f5757', 'editor.background': '#ffffff' },
+  dark: { 'editor.foreground': '#d4d4d4', 'editor.background': '#1e1e1e' },
+  hc: { 'editor.foreground': '#ffffff', 'editor.background': '#000000' }
+};
+
+// Colours of the query editor's clear button, at rest and hovered
+const QUERY_CLEAR_BUTTON_COLORS = {
+  light: {
+    normal: { background: '#f9fafb', color: '#6b7280', borderColor: '#d1d5db' },
+    hover: { background: '#fef2f2', color: '#dc2626', borderColor: '#fca5a5' }
+  },
+  dark: {
+    normal: { background: '#1f2937', color: '#9ca3af', borderColor: '#4b5563' },
+    hover: { background: '#450a0a', color: '#f87171', borderColor: '#7f1d1d' }
+  },
+  hc: {
+    normal: { background: '#000000', color: '#ffffff', borderColor: '#ffffff' },
+    hover: { background: '#000000', color: '#ff6b6b', borderColor: '#ff6b6b' }
+  }
+};
+
+// Themes defined for token colour overrides, by variant and overrides
+const customQueryThemes = new Map();
+
+function queryThemeRules(tokens) {
+  return Object.entries(tokens).map(([token, [foreground, fontStyle, background]]) => {
+    const rule = { token, foreground };
+    if (fontStyle) rule.fontStyle = fontStyle;
+    if (background) rule.background = background;
+    return rule;
+  });
+}
+
+// Overrides are { token: 'ff0000' } or { token: { foreground, fontStyle, background } },
+// optionally per variant as { light: {...}, dark: {...}, hc: {...} }
+function queryTokenOverrides(tokenColors, variant) {
+  const perVariant = ['light', 'dark', 'hc'].some(name => tokenColors[name] && typeof tokenColors[name] === 'object');
+  const overrides = perVariant ? tokenColors[variant] || {} : tokenColors;
+  const tokens = {};
+  Object.entries(overrides).forEach(([token, style]) => {
+    const { foreground, fontStyle, background } = typeof style === 'string' ? { foreground: style } : style;
+    tokens[token] = [foreground && foreground.replace(/^#/, ''), fontStyle, background && background.replace(/^#/, '')];
+  });
+  return tokens;
+}
+
+/**
+ * Sets up the editor themes for the query language
  * @param {object} monaco The Monaco editor instance
  */
 export function setupEditorTheme(monaco) {
-  monaco.editor.defineTheme("queryTheme", {
-    base: "vs",
-    inherit: true,
-    rules: [
-      { token: 'identifier', foreground: '795E26', background: 'FFF3D0', fontStyle: 'italic' },
-      { token: 'operator', foreground: 'af00db' },
-      { token: 'boolean', foreground: '5f5757', fontStyle: 'bold' },
-      { token: 'number', foreground: '5f5757', fontStyle: 'bold' },
-      { token: 'string', foreground: '5f5757', fontStyle: 'bold' },
-      { token: 'string.search', foreground: '5f5757', fontStyle: 'bold' },
-      { token: 'keyword', foreground: '007acc', fontStyle: 'bold' },
-      { token: 'keyword.null', foreground: '5f5757', fontStyle: 'bold' }
-    ],
-    colors: {
-      'editor.foreground': '#5f5757',
-      'editor.background': '#ffffff'
-    }
+  Object.entries(QUERY_THEME_VARIANTS).forEach(([variant, { name, base }]) => {
+    monaco.editor.defineTheme(name, {
+      base,
+      inherit: true,
+      rules: queryThemeRules(QUERY_THEME_TOKENS[variant]),
+      colors: QUERY_THEME_COLORS[variant]
+    });
   });
 }
+
+/**
+ * Resolves a theme option to a variant, following the host page for `auto`
+ * @param {string} theme `light`, `dark`, `hc` or `auto`
+ * @returns {string} `light`, `dark` or `hc`
+ */
+export function resolveQueryThemeVariant(theme) {
+  if (QUERY_THEME_VARIANTS[theme]) {
+    return theme;
+  }
+  if (theme !== 'auto' || typeof window === 'undefined' || !window.matchMedia) {
+    return 'light';
+  }
+  if (window.matchMedia('(forced-colors: active)').matches || window.matchMedia('(prefers-contrast: more)').matches) {
+    return 'hc';
+  }
+  return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+}
+
+/**
+ * The name of the theme for a variant, defining a derived theme when token
+ * colours are overridden
+ * @param {object} monaco The Monaco editor instance
+ * @param {string} variant `light`, `dark` or `hc`
+ * @param {object} [tokenColors] Token colour overrides
+ * @returns {string} The theme name
+ */
+export function queryThemeName(monaco, variant, tokenColors = null) {
+  const { name, base } = QUERY_THEME_VARIANTS[variant];
+  const overrides = tokenColors ? queryTokenOverrides(tokenColors, variant) : {};
+  if (Object.keys(overrides).length === 0) {
+    return name;
+  }
+
+  const key = `${variant}:${JSON.stringify(overrides)}`;
+  if (!customQueryThemes.has(key)) {
+    const customName = `${name}-custom-${customQueryThemes.size + 1}`;
+    const tokens = { ...QUERY_THEME_TOKENS[variant] };
+    Object.entries(overrides).forEach(([token, [foreground, fontStyle, background]]) => {
+      const [baseForeground, baseFontStyle, baseBackground] = tokens[token] || [];
+      tokens[token] = [foreground || baseForeground, fontStyle !== undefined ? fontStyle : baseFontStyle, background || baseBackground];
+    });
+    monaco.editor.defineTheme(customName, {
+      base,
+      inherit: true,
+      rules: queryThemeRules(tokens),
+      colors: QUERY_THEME_COLORS[variant]
+    });
+    customQueryThemes.set(key, customName);
+  }
+  return customQueryThemes.get(key);
+}
+
+/**
+ * Calls a listener whenever the host page switches between light, dark and
+ * high-contrast mode
+ * @param {function(): void} listener The listener
+ * @returns {object} Disposable that stops listening
+ */
+export function onQueryThemeVariantChange(listener) {
+  if (typeof window === 'undefined' || !window.matchMedia) {
+    return { dispose: () => {} };
+  }
+  const queries = ['(prefers-color-scheme: dark)', '(forced-colors: active)', '(prefers-contrast: more)']
+    .map(media => window.matchMedia(media));
+  queries.forEach(query => query.addEventListener && query.addEventListener('change', listener));
+  return {
+    dispose: () => queries.forEach(query => query.removeEventListener && query.removeEventListener('change', listener))
+  };
+}
+
+/**
+ * The colours of the clear button for a variant
+ * @param {string} variant `light`, `dark` or `hc`
+ * @returns {object} `{ normal, hover }`, each with `background`, `color` and `borderColor`
+ */
+export function queryClearButtonColors(variant) {
+  return QUERY_CLEAR_BUTTON_COLORS[variant] || QUERY_CLEAR_BUTTON_COLORS.light;
+}
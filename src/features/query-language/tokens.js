@@ -1,3 +1,11 @@
+import { parseQuery, walkQuery } from './parser';
+import { findQueryOperator } from './operators';
+import { findFieldDefinition } from './fields';
+
+// Semantic token types in legend order, queryTheme has a rule of the same name for each
+const QUERY_SEMANTIC_TOKEN_TYPES = ['field', 'unknownField', 'invalidValue', 'enumValue', 'keyword', 'searchTerm'];
+const QUERY_SEMANTIC_TOKEN_MODIFIERS = ['deprecated'];
+
 /**
  * Sets up the token provider for syntax highlighting
  * @param {object} monaco The Monaco editor instance
@@ -5,8 +13,18 @@
  * @param {object} options.fieldNames The field name definitions
  */
 export function setupTokenProvider(monaco, { fieldNames, languageId }) {
-  // Create pattern for field names - add word boundary only at end to allow partial matches
-  const fieldPattern = `\\b(${Object.keys(fieldNames).join('|')})\\b`;
+  // Create pattern for field names and their aliases, longest first so `address.city` wins over `address`.
+  // Every path segment may carry `[*]`, as in `tags[*]` or `items[*].price`.
+  const fieldPaths = Object.keys(fieldNames)
+    .concat(...Object.values(fieldNames).map(field => field.aliases || []))
+    .sort((a, b) => b.length - a.length)
+    .map(name => name
+      .replace(/\[\*\]/g, '')
+      .split('.')
+      .map(segment => `${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:\\[\\*\\])?`)
+      .join('\\.'));
+  // Without fields the pattern must not match at all (an empty match stalls the tokenizer)
+  const fieldPattern = fieldPaths.length > 0 ? `\\b(${fieldPaths.join('|')})(?![\\w.])` : '(?!)';
   
   monaco.languages.setMonarchTokensProvider(languageId, {
     // Define the states
@@ -19,18 +37,19 @@ export function setupTokenProvider(monaco, { fieldNames, languageId }) {
       { open: '(', close: ')', token: 'delimiter.parenthesis' }
     ],
 
-    keywords: ['AND', 'OR', 'IN'],
-    operators: ['=', '!=', '>=', '<=', '>', '<'],
+    keywords: ['AND', 'OR', 'NOT', 'IN'],
+    operators: ['=', '!=', '>=', '<=', '>', '<', 'BETWEEN', 'CONTAINS', 'STARTS WITH', 'ENDS WITH', 'LIKE', 'MATCHES'],
     
     tokenizer: {
       root: [
         // Keywords and operators (most specific word-based matches first)
-        [/\b(AND|OR)\b/, 'keyword'],
+        [/\b(AND|OR|NOT)\b/, 'keyword'],
         [/\b(IN)\b/, { token: 'operator', next: '@inArray' }],
         [/\b(true|false)\b/, 'boolean'],
         [/\b(NULL)\b/, 'keyword.null'],
         
         // Operators and delimiters
+        [/\b(BETWEEN|CONTAINS|STARTS\s+WITH|ENDS\s+WITH|LIKE|MATCHES)\b/, 'operator'],
         [/(=|!=|>=|<=|>|<)/, 'operator'],
         [/\(|\)/, 'delimiter.parenthesis'],
         [/\[/, { token: 'delimiter.square', next: '@inArray' }],
@@ -41,10 +60,12 @@ export function setupTokenProvider(monaco, { fieldNames, languageId }) {
         
         // Literals (after operators to avoid partial matches)
         [/"(?:[^"\\]|\\.)*"/, 'string'],
+        [/\/(?:[^\/\\\[]|\\.|\[(?:[^\]\\]|\\.)*\])*\/[a-zA-Z]*/, 'regexp'],
+        [/\b(?:now|today|startOf(?:Day|Week|Month|Year))(?:[+-]\d+[smhdwMy])*(?![\w-])/, 'date'],
         [/-?\d+(?:\.\d+)?/, 'number'],
         
         // Free text/search terms (words that don't match above patterns)
-        [/[a-zA-Z0-9_]+/, 'string.search'],
+        [/[^\s()\[\],"=<>!\/]+/, 'string.search'],
         
         // Whitespace
         [/\s+/, 'white']
@@ -60,3 +81,104 @@ export function setupTokenProvider(monaco, { fieldNames, languageId }) {
     }
   });
 }
+
+// Whether a literal has one of the accepted types, the way validation decides it
+function literalHasValueType(literal, valueTypes) {
+  return literal.valueType === 'null' ||
+    valueTypes.includes(literal.valueType) ||
+    // Quoted ISO strings are dates too
+    (valueTypes.includes('date') && literal.valueType === 'string');
+}
+
+// The parts of a query that need the field definitions to be told apart, as
+// { start, end, type, modifiers } with a type of QUERY_SEMANTIC_TOKEN_TYPES
+function classifyQueryTokens(text, fieldNames) {
+  const { ast, tokens } = parseQuery(text, { recover: true });
+  const classified = [];
+  const add = (range, type, modifiers = 0) => classified.push({ start: range.start, end: range.end, type, modifiers });
+
+  const addValue = (literal, field, valueTypes) => {
+    if (!literal || literal.type !== 'Literal' || literal.unclosed) return;
+    if (!literalHasValueType(literal, valueTypes)) {
+      add(literal, 'invalidValue');
+    } else if (field.type === 'string' && field.values && literal.valueType === 'string' && field.values.includes(literal.value)) {
+      add(literal, 'enumValue');
+    }
+  };
+
+  walkQuery(ast, node => {
+    if (node.type === 'Term') {
+      add(node, 'searchTerm');
+    }
+    if (node.type !== 'Comparison') return;
+
+    const field = findFieldDefinition(fieldNames, node.field.name);
+    if (!field) {
+      add(node.field, 'unknownField');
+      return;
+    }
+    add(node.field, 'field', field.deprecated ? 1 : 0);
+
+    const value = node.value;
+    if (!value) return;
+    if (value.type === 'List') {
+      value.items.forEach(item => addValue(item, field, [field.type]));
+    } else if (value.type === 'Range') {
+      addValue(value.lower, field, [field.type]);
+      addValue(value.upper, field, [field.type]);
+    } else {
+      const operator = findQueryOperator(node.operator);
+      addValue(value, field, operator && operator.valueTypes ? operator.valueTypes : [field.type]);
+    }
+  });
+
+  tokens
+    .filter(token => token.type === 'keyword' && ['AND', 'OR', 'NOT'].includes(token.value))
+    .forEach(token => add(token, 'keyword'));
+
+  return classified.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Sets up the semantic tokens provider. Unlike the Monarch grammar it works
+ * from the parsed query, so unknown fields and values of the wrong type stand
+ * out as soon as they are typed, before validation marks them.
+ * @param {object} monaco The Monaco editor instance
+ * @param {object} options Configuration options
+ * @param {object} options.fieldNames The field name definitions
+ * @param {string} options.languageId The language ID
+ * @returns {object} The disposable provider
+ */
+export function setupSemanticTokensProvider(monaco, { fieldNames, languageId }) {
+  const legend = { tokenTypes: QUERY_SEMANTIC_TOKEN_TYPES, tokenModifiers: QUERY_SEMANTIC_TOKEN_MODIFIERS };
+
+  return monaco.languages.registerDocumentSemanticTokensProvider(languageId, {
+    getLegend: () => legend,
+    provideDocumentSemanticTokens: (model) => {
+      // Each token is encoded relative to the previous one: line delta, column delta
+      // (from the line start on a new line), length, type and modifier bits
+      const data = [];
+      let previousLine = 1;
+      let previousColumn = 1;
+      classifyQueryTokens(model.getValue(), fieldNames).forEach(token => {
+        const start = model.getPositionAt(token.start);
+        const end = model.getPositionAt(token.end);
+        // Semantic tokens cannot span lines, a multi-line string is cut at its first line end
+        const endColumn = end.lineNumber === start.lineNumber ? end.column : model.getLineMaxColumn(start.lineNumber);
+        if (endColumn <= start.column) return;
+
+        data.push(
+          start.lineNumber - previousLine,
+          start.lineNumber === previousLine ? start.column - previousColumn : start.column - 1,
+          endColumn - start.column,
+          QUERY_SEMANTIC_TOKEN_TYPES.indexOf(token.type),
+          token.modifiers
+        );
+        previousLine = start.lineNumber;
+        previousColumn = start.column;
+      });
+      return { data: new Uint32Array(data) };
+    },
+    releaseDocumentSemanticTokens: () => {}
+  });
+}
@@ -0,0 +1,595 @@
+/**
+ * Translators from the query language to backend filters.
+ *
+ * Each translator takes a query string or an AST produced by parseQuery and
+ * emits the same filter for a backend, so a server can apply what the user
+ * typed: a parameterized SQL WHERE clause, a MongoDB filter document, an OData
+ * `$filter` expression or an Elasticsearch query.
+ *
+ * All translators accept these options:
+ * - `fieldMap`: maps query field names to backend names, either an object
+ *   (`{ 'address.city': 'city' }`) or a function `name => backendName`;
+ *   unmapped fields keep their query name
+ * - `searchFields`: the query fields that free-text search terms are matched against
+ * - `fieldNames`: the field name definitions, field aliases are translated as
+ *   the field they stand for before `fieldMap` applies, and ISO strings
+ *   compared with `date` fields are sent as dates
+ * - `now`: the instant relative dates such as `now-7d` are resolved against,
+ *   the time of the call by default
+ *
+ * Relative dates are resolved once per translation, so all of them in a query
+ * agree on `now`. A date without a time
+ * stands for the whole local day, as in the evaluator, so comparisons with it
+ * become comparisons with the day's bounds.
+ */
+
+import { parseQuery } from './parser';
+import { likePatternToRegExp } from './operators';
+import { resolveRelativeDate, isIsoDate, parseIsoDate, toQueryDay } from './dates';
+import { findFieldDefinition, resolveFieldName, splitFieldPath } from './fields';
+
+/**
+ * Error thrown when a query uses something a backend has no equivalent for
+ */
+export class QueryTranslationError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = 'QueryTranslationError';
+    this.start = start;
+    this.end = end;
+  }
+}
+
+// The AST of a query given either as text or already parsed
+function translationAst(query) {
+  return typeof query === 'string' ? parseQuery(query).ast : query;
+}
+
+// Backend name of a query field
+function mappedFieldName(queryName, { fieldMap, fieldNames } = {}) {
+  const name = fieldNames ? resolveFieldName(fieldNames, queryName) : queryName;
+  const mapped = typeof fieldMap === 'function'
+    ? fieldMap(name)
+    : fieldMap && findFieldDefinition(fieldMap, name);
+  return mapped || name;
+}
+
+// The options of one translation, with the instant its relative dates resolve against
+function translationOptions(options) {
+  return { ...options, now: options.now || new Date() };
+}
+
+// The value of a literal as sent to a backend, relative dates become Date objects
+function translatedValue(literal, now) {
+  if (literal.valueType !== 'date') return literal.value;
+  return literal.value instanceof Date ? literal.value : resolveRelativeDate(literal.value, now);
+}
+
+// Whether a query field is declared with type 'date'
+function isDateField(fieldNode, { fieldNames } = {}) {
+  const definition = fieldNames && findFieldDefinition(fieldNames, resolveFieldName(fieldNames, fieldNode.name));
+  return !!definition && definition.type === 'date';
+}
+
+// Rewrites a comparison of a date field with ISO strings into comparisons with dates,
+// a date without a time into comparisons with the bounds of its day
+function resolveDateComparison(node, options) {
+  const ordered = ['=', '!=', '>', '<', '>=', '<=', 'BETWEEN'];
+  if (!ordered.includes(node.operator) || !isDateField(node.field, options)) {
+    return node;
+  }
+
+  const isoString = literal => literal.valueType === 'string' && isIsoDate(literal.value);
+  const compare = (operator, literal, date) => ({ ...node, operator, value: { ...literal, valueType: 'date', value: date } });
+  const and = (left, right) => ({ type: 'Logical', operator: 'AND', left, right, start: node.start, end: node.end });
+  const both = (left, right) => ({ type: 'Group', start: node.start, end: node.end, expression: and(left, right) });
+
+  if (node.value.type === 'Range') {
+    const { lower, upper } = node.value;
+    if (!isoString(lower) && !isoString(upper)) return node;
+    const lowerDate = isoString(lower) ? parseIsoDate(lower.value) : translatedValue(lower, options.now);
+    const upperDay = isoString(upper) && toQueryDay(upper.value);
+    return both(
+      compare('>=', lower, lowerDate),
+      upperDay ? compare('<', upper, upperDay.end) : compare('<=', upper, isoString(upper) ? parseIsoDate(upper.value) : translatedValue(upper, options.now))
+    );
+  }
+
+  const literal = node.value;
+  if (literal.type !== 'Literal' || !isoString(literal)) return node;
+  const day = toQueryDay(literal.value);
+  if (!day) return compare(node.operator, literal, parseIsoDate(literal.value));
+  switch (node.operator) {
+    case '=':
+      return both(compare('>=', literal, day.start), compare('<', literal, day.end));
+    case '!=':
+      return { type: 'Not', start: node.start, end: node.end, expression: and(compare('>=', literal, day.start), compare('<', literal, day.end)) };
+    case '>':
+      return compare('>=', literal, day.end);
+    case '>=':
+      return compare('>=', literal, day.start);
+    case '<':
+      return compare('<', literal, day.start);
+    default:
+      return compare('<', literal, day.end);
+  }
+}
+
+// Escapes text for use inside a regular expression
+function escapeRegExpText(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Fields searched by free-text terms, a backend without a catch-all search needs them
+function requireSearchFields(node, options, backend) {
+  const fields = options.searchFields || [];
+  if (fields.length === 0) {
+    throw new QueryTranslationError(`Free-text search needs the searchFields option to translate to ${backend}`, node.start, node.end);
+  }
+  return fields;
+}
+
+function unsupportedOperator(node, backend) {
+  return new QueryTranslationError(`Operator ${node.operator} cannot be translated to ${backend}`, node.operatorRange.start, node.operatorRange.end);
+}
+
+// Walks the logical structure of a query, leaving comparisons and search terms to the backend.
+// Backends learn whether a comparison is under an odd number of NOTs.
+function translateLogical(node, backend, options, negated = false) {
+  switch (node.type) {
+    case 'Logical':
+      return backend.logical(
+        node.operator,
+        translateLogical(node.left, backend, options, negated),
+        translateLogical(node.right, backend, options, negated),
+        node
+      );
+    case 'Not':
+      return backend.not(translateLogical(node.expression, backend, options, !negated));
+    case 'Group':
+      return backend.group(translateLogical(node.expression, backend, options, negated));
+    case 'Comparison': {
+      const resolved = resolveDateComparison(node, options);
+      return resolved === node ? backend.comparison(node, negated) : translateLogical(resolved, backend, options, negated);
+    }
+    case 'Term':
+      return backend.term(node, negated);
+    default:
+      throw new QueryTranslationError(`Cannot translate ${node.type} node`, node.start, node.end);
+  }
+}
+
+/**
+ * Translates a query into a parameterized SQL WHERE clause
+ * @param {string|object} query The query text or its AST
+ * @param {object} [options] Translation options (see the module comment)
+ * @param {function(number): string} [options.placeholder] Placeholder for the nth parameter,
+ *   `?` by default (use `n => '$' + n` for PostgreSQL)
+ * @param {function(string): string} [options.quoteIdentifier] Quotes one part of a column name,
+ *   ANSI double quotes by default
+ * @param {function(string, string, string): string} [options.regex] Builds a regular expression
+ *   match from (column, placeholder, flags), required for MATCHES since SQL has no standard syntax
+ * @returns {object} { sql, params }, `sql` is empty for an empty query
+ * @throws {QuerySyntaxError|QueryTranslationError} If the query is invalid or can't be translated
+ */
+export function toSqlWhere(query, options = {}) {
+  options = translationOptions(options);
+  const {
+    placeholder = () => '?',
+    quoteIdentifier = name => `"${name.replace(/"/g, '""')}"`,
+    regex
+  } = options;
+  const params = [];
+
+  function param(value) {
+    params.push(value);
+    return placeholder(params.length);
+  }
+
+  function column(field) {
+    const name = mappedFieldName(field.name, options);
+    if (name.includes('[*]')) {
+      throw new QueryTranslationError(`Field '${field.name}' reads an array, map it to a column with fieldMap`, field.start, field.end);
+    }
+    return name.split('.').map(quoteIdentifier).join('.');
+  }
+
+  // A condition on a column that is false rather than NULL for missing values, so that
+  // NOT keeps records without a value as the evaluator does
+  function known(col, sql, negated) {
+    return negated ? `(${sql} AND ${col} IS NOT NULL)` : sql;
+  }
+
+  // Case-insensitive LIKE, `!` escapes the wildcards of literal text
+  function like(col, pattern) {
+    return `LOWER(${col}) LIKE ${param(pattern.toLowerCase())} ESCAPE '!'`;
+  }
+
+  function likeText(value) {
+    return String(value).replace(/[!%_]/g, '!$&');
+  }
+
+  function list(node, col, negated) {
+    const values = node.value.items.map(item => translatedValue(item, options.now));
+    const present = values.filter(value => value !== null);
+    const hasNull = present.length < values.length;
+    const placeholders = present.map(value => param(value)).join(', ');
+
+    if (node.operator === 'IN') {
+      if (present.length === 0) return hasNull ? `${col} IS NULL` : '1 = 0';
+      return hasNull ? `(${col} IN (${placeholders}) OR ${col} IS NULL)` : known(col, `${col} IN (${placeholders})`, negated);
+    }
+    // NOT IN keeps missing values unless NULL is listed
+    if (present.length === 0) return hasNull ? `${col} IS NOT NULL` : '1 = 1';
+    return hasNull ? known(col, `${col} NOT IN (${placeholders})`, negated) : `(${col} NOT IN (${placeholders}) OR ${col} IS NULL)`;
+  }
+
+  const backend = {
+    logical(operator, left, right, node) {
+      const wrap = (sql, child) => (child.type === 'Logical' && child.operator !== operator ? `(${sql})` : sql);
+      return `${wrap(left, node.left)} ${operator} ${wrap(right, node.right)}`;
+    },
+    not: sql => `NOT (${sql})`,
+    group: sql => `(${sql})`,
+    comparison(node, negated) {
+      const col = column(node.field);
+      const value = node.value.type === 'Literal' ? translatedValue(node.value, options.now) : null;
+      switch (node.operator) {
+        case '=':
+          return value === null ? `${col} IS NULL` : known(col, `${col} = ${param(value)}`, negated);
+        case '!=':
+          // Records without a value are "not equal" as well
+          return value === null ? `${col} IS NOT NULL` : `(${col} <> ${param(value)} OR ${col} IS NULL)`;
+        case '>':
+        case '<':
+        case '>=':
+        case '<=':
+          return known(col, `${col} ${node.operator} ${param(value)}`, negated);
+        case 'BETWEEN':
+          return known(col, `${col} BETWEEN ${param(translatedValue(node.value.lower, options.now))} AND ${param(translatedValue(node.value.upper, options.now))}`, negated);
+        case 'IN':
+        case 'NOT IN':
+          return list(node, col, negated);
+        case 'CONTAINS':
+          return known(col, like(col, `%${likeText(value)}%`), negated);
+        case 'STARTS WITH':
+          return known(col, like(col, `${likeText(value)}%`), negated);
+        case 'ENDS WITH':
+          return known(col, like(col, `%${likeText(value)}`), negated);
+        case 'LIKE':
+          return known(col, like(col, String(value).replace(/!/g, '!!')), negated);
+        case 'MATCHES':
+          if (!regex) throw unsupportedOperator(node, 'SQL without the regex option');
+          return known(col, regex(col, param(value), (node.value.flags || '').replace(/[gy]/g, '')), negated);
+        default:
+          throw unsupportedOperator(node, 'SQL');
+      }
+    },
+    term(node, negated) {
+      const fields = requireSearchFields(node, options, 'SQL');
+      const matches = fields.map(name => {
+        const col = column({ name, start: node.start, end: node.end });
+        return known(col, like(col, `%${likeText(node.value)}%`), negated);
+      });
+      return matches.length > 1 ? `(${matches.join(' OR ')})` : matches[0];
+    }
+  };
+
+  const ast = translationAst(query);
+  return { sql: ast ? translateLogical(ast, backend, options) : '', params };
+}
+
+/**
+ * Translates a query into a MongoDB filter document
+ * @param {string|object} query The query text or its AST
+ * @param {object} [options] Translation options (see the module comment). Without
+ *   `searchFields`, free-text terms use a `$text` search.
+ * @returns {object} The filter, `{}` for an empty query
+ * @throws {QuerySyntaxError|QueryTranslationError} If the query is invalid or can't be translated
+ */
+export function toMongoFilter(query, options = {}) {
+  options = translationOptions(options);
+  // MongoDB matches array elements implicitly, so `[*]` can simply be dropped
+  function field(fieldNode) {
+    return mappedFieldName(fieldNode.name, options).replace(/\[\*\]/g, '');
+  }
+
+  const rangeOperators = { '>': '$gt', '<': '$lt', '>=': '$gte', '<=': '$lte' };
+
+  const backend = {
+    logical(operator, left, right) {
+      const key = operator === 'AND' ? '$and' : '$or';
+      // a AND b AND c becomes one $and instead of nested ones
+      const parts = [left, right].flatMap(part =>
+        Object.keys(part).length === 1 && part[key] ? part[key] : [part]
+      );
+      return { [key]: parts };
+    },
+    not: filter => ({ $nor: [filter] }),
+    group: filter => filter,
+    comparison(node) {
+      const name = field(node.field);
+      const value = node.value.type === 'Literal' ? translatedValue(node.value, options.now) : null;
+      switch (node.operator) {
+        case '=':
+          return { [name]: { $eq: value } };
+        case '!=':
+          return { [name]: { $ne: value } };
+        case '>':
+        case '<':
+        case '>=':
+        case '<=':
+          return { [name]: { [rangeOperators[node.operator]]: value } };
+        case 'BETWEEN':
+          return { [name]: { $gte: translatedValue(node.value.lower, options.now), $lte: translatedValue(node.value.upper, options.now) } };
+        case 'IN':
+          return { [name]: { $in: node.value.items.map(item => translatedValue(item, options.now)) } };
+        case 'NOT IN':
+          return { [name]: { $nin: node.value.items.map(item => translatedValue(item, options.now)) } };
+        case 'CONTAINS':
+          return { [name]: { $regex: escapeRegExpText(value), $options: 'i' } };
+        case 'STARTS WITH':
+          return { [name]: { $regex: `^${escapeRegExpText(value)}`, $options: 'i' } };
+        case 'ENDS WITH':
+          return { [name]: { $regex: `${escapeRegExpText(value)}$`, $options: 'i' } };
+        case 'LIKE':
+          return { [name]: { $regex: likePatternToRegExp(String(value)).source, $options: 'is' } };
+        case 'MATCHES':
+          // MongoDB knows the i, m, s and x options
+          return { [name]: { $regex: String(value), $options: (node.value.flags || '').replace(/[^imsx]/g, '') } };
+        default:
+          throw unsupportedOperator(node, 'MongoDB');
+      }
+    },
+    term(node) {
+      const fields = options.searchFields || [];
+      if (fields.length === 0) {
+        return { $text: { $search: `"${node.value.replace(/"/g, '')}"` } };
+      }
+      const matches = fields.map(name => ({
+        [field({ name })]: { $regex: escapeRegExpText(node.value), $options: 'i' }
+      }));
+      return matches.length > 1 ? { $or: matches } : matches[0];
+    }
+  };
+
+  const ast = translationAst(query);
+  return ast ? translateLogical(ast, backend, options) : {};
+}
+
+/**
+ * Translates a query into an OData `$filter` expression
+ * @param {string|object} query The query text or its AST
+ * @param {object} [options] Translation options (see the module comment)
+ * @returns {string} The filter expression, empty for an empty query
+ * @throws {QuerySyntaxError|QueryTranslationError} If the query is invalid or can't be translated
+ */
+export function toODataFilter(query, options = {}) {
+  options = translationOptions(options);
+  function literal(value) {
+    if (value === null) return 'null';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'string') return `'${value.replace(/'/g, "''")}'`;
+    return String(value);
+  }
+
+  // Builds a predicate on a field path, `[*]` segments become any() lambdas
+  function onPath(fieldNode, predicate) {
+    function nest(segments, prefix, depth) {
+      const index = segments.findIndex(segment => segment.wildcard);
+      const names = segments.map(segment => segment.name);
+      if (index === -1) {
+        return predicate([prefix, ...names].filter(Boolean).join('/'));
+      }
+      const collection = [prefix, ...names.slice(0, index + 1)].filter(Boolean).join('/');
+      const variable = `x${depth}`;
+      return `${collection}/any(${variable}: ${nest(segments.slice(index + 1), variable, depth + 1)})`;
+    }
+    return nest(splitFieldPath(mappedFieldName(fieldNode.name, options)), '', 0);
+  }
+
+  // Text functions compare lowercase on both sides to stay case-insensitive
+  function textFunction(name, fieldNode, text) {
+    return onPath(fieldNode, path => `${name}(tolower(${path}), ${literal(String(text).toLowerCase())})`);
+  }
+
+  // LIKE patterns with wildcards only at the ends map to the text functions
+  function likePattern(fieldNode, pattern) {
+    const match = pattern.match(/^(%?)([^%_]*)(%?)$/);
+    if (!match) {
+      const source = likePatternToRegExp(pattern.toLowerCase()).source;
+      return onPath(fieldNode, path => `matchesPattern(tolower(${path}), ${literal(source)})`);
+    }
+    const [, leading, text, trailing] = match;
+    if (leading && trailing) return textFunction('contains', fieldNode, text);
+    if (trailing) return textFunction('startswith', fieldNode, text);
+    if (leading) return textFunction('endswith', fieldNode, text);
+    return onPath(fieldNode, path => `tolower(${path}) eq ${literal(text.toLowerCase())}`);
+  }
+
+  const comparisonOperators = { '=': 'eq', '!=': 'ne', '>': 'gt', '<': 'lt', '>=': 'ge', '<=': 'le' };
+
+  const backend = {
+    logical(operator, left, right, node) {
+      const keyword = operator.toLowerCase();
+      const wrap = (filter, child) => (child.type === 'Logical' && child.operator !== operator ? `(${filter})` : filter);
+      return `${wrap(left, node.left)} ${keyword} ${wrap(right, node.right)}`;
+    },
+    not: filter => `not (${filter})`,
+    group: filter => `(${filter})`,
+    comparison(node) {
+      const value = node.value.type === 'Literal' ? translatedValue(node.value, options.now) : null;
+      const wildcard = node.field.name.includes('[*]');
+      switch (node.operator) {
+        case '!=':
+          // An array is unequal when none of its items is equal
+          if (wildcard) return `not (${onPath(node.field, path => `${path} eq ${literal(value)}`)})`;
+          return onPath(node.field, path => `${path} ne ${literal(value)}`);
+        case '=':
+        case '>':
+        case '<':
+        case '>=':
+        case '<=':
+          return onPath(node.field, path => `${path} ${comparisonOperators[node.operator]} ${literal(value)}`);
+        case 'BETWEEN':
+          return onPath(node.field, path =>
+            `${path} ge ${literal(translatedValue(node.value.lower, options.now))} and ${path} le ${literal(translatedValue(node.value.upper, options.now))}`
+          );
+        case 'IN':
+        case 'NOT IN': {
+          const values = node.value.items.map(item => translatedValue(item, options.now));
+          const inList = onPath(node.field, path =>
+            (values.length > 0 ? `(${values.map(item => `${path} eq ${literal(item)}`).join(' or ')})` : 'false')
+          );
+          return node.operator === 'IN' ? inList : `not ${inList}`;
+        }
+        case 'CONTAINS':
+          return textFunction('contains', node.field, value);
+        case 'STARTS WITH':
+          return textFunction('startswith', node.field, value);
+        case 'ENDS WITH':
+          return textFunction('endswith', node.field, value);
+        case 'LIKE':
+          return likePattern(node.field, String(value));
+        case 'MATCHES':
+          if ((node.value.flags || '').replace(/[gy]/g, '')) {
+            throw new QueryTranslationError('Regular expression flags cannot be translated to OData', node.value.start, node.value.end);
+          }
+          return onPath(node.field, path => `matchesPattern(${path}, ${literal(String(value))})`);
+        default:
+          throw unsupportedOperator(node, 'OData');
+      }
+    },
+    term(node) {
+      const fields = requireSearchFields(node, options, 'OData');
+      const matches = fields.map(name => textFunction('contains', { name }, node.value));
+      return matches.length > 1 ? `(${matches.join(' or ')})` : matches[0];
+    }
+  };
+
+  const ast = translationAst(query);
+  return ast ? translateLogical(ast, backend, options) : '';
+}
+
+/**
+ * Translates a query into an Elasticsearch query
+ * @param {string|object} query The query text or its AST
+ * @param {object} [options] Translation options (see the module comment). Without
+ *   `searchFields`, free-text terms search the index's default fields.
+ * @returns {object} The query (the value of the request body's `query` key),
+ *   `match_all` for an empty query
+ * @throws {QuerySyntaxError|QueryTranslationError} If the query is invalid or can't be translated
+ */
+export function toElasticsearchQuery(query, options = {}) {
+  options = translationOptions(options);
+  // Object arrays are flattened by Elasticsearch unless mapped as nested, so `[*]` is dropped
+  function field(fieldNode) {
+    return mappedFieldName(fieldNode.name, options).replace(/\[\*\]/g, '');
+  }
+
+  function value(item) {
+    return item instanceof Date ? item.toISOString() : item;
+  }
+
+  // Escapes text for wildcard queries
+  function wildcardText(text) {
+    return String(text).replace(/[*?\\]/g, '\\$&');
+  }
+
+  function wildcard(name, pattern) {
+    return { wildcard: { [name]: { value: pattern, case_insensitive: true } } };
+  }
+
+  function missing(name) {
+    return { bool: { must_not: [{ exists: { field: name } }] } };
+  }
+
+  // Lucene regular expressions always match the whole value and know no anchors
+  function regexpPattern(pattern) {
+    const anchoredStart = pattern.startsWith('^');
+    const anchoredEnd = /(^|[^\\])\$$/.test(pattern);
+    const body = pattern.slice(anchoredStart ? 1 : 0, anchoredEnd ? -1 : undefined);
+    return `${anchoredStart ? '' : '.*'}${body}${anchoredEnd ? '' : '.*'}`;
+  }
+
+  function inList(name, items) {
+    const values = items.map(item => value(translatedValue(item, options.now)));
+    const present = values.filter(item => item !== null);
+    const clauses = [];
+    if (present.length > 0) clauses.push({ terms: { [name]: present } });
+    if (present.length < values.length) clauses.push(missing(name));
+    if (clauses.length === 1) return clauses[0];
+    return { bool: { should: clauses, minimum_should_match: 1 } };
+  }
+
+  const rangeOperators = { '>': 'gt', '<': 'lt', '>=': 'gte', '<=': 'lte' };
+
+  const backend = {
+    logical(operator, left, right) {
+      const key = operator === 'AND' ? 'filter' : 'should';
+      // a AND b AND c becomes one bool query instead of nested ones
+      const parts = [left, right].flatMap(part => {
+        const bool = part.bool;
+        const keys = bool ? Object.keys(bool).filter(k => k !== 'minimum_should_match') : [];
+        return keys.length === 1 && keys[0] === key ? bool[key] : [part];
+      });
+      return { bool: operator === 'AND' ? { filter: parts } : { should: parts, minimum_should_match: 1 } };
+    },
+    not: clause => ({ bool: { must_not: [clause] } }),
+    group: clause => clause,
+    comparison(node) {
+      const name = field(node.field);
+      const literal = node.value.type === 'Literal' ? value(translatedValue(node.value, options.now)) : null;
+      switch (node.operator) {
+        case '=':
+          return literal === null ? missing(name) : { term: { [name]: literal } };
+        case '!=':
+          return literal === null ? { exists: { field: name } } : { bool: { must_not: [{ term: { [name]: literal } }] } };
+        case '>':
+        case '<':
+        case '>=':
+        case '<=':
+          return { range: { [name]: { [rangeOperators[node.operator]]: literal } } };
+        case 'BETWEEN':
+          return {
+            range: {
+              [name]: { gte: value(translatedValue(node.value.lower, options.now)), lte: value(translatedValue(node.value.upper, options.now)) }
+            }
+          };
+        case 'IN':
+          return inList(name, node.value.items);
+        case 'NOT IN':
+          return { bool: { must_not: [inList(name, node.value.items)] } };
+        case 'CONTAINS':
+          return wildcard(name, `*${wildcardText(literal)}*`);
+        case 'STARTS WITH':
+          return { prefix: { [name]: { value: String(literal), case_insensitive: true } } };
+        case 'ENDS WITH':
+          return wildcard(name, `*${wildcardText(literal)}`);
+        case 'LIKE':
+          return wildcard(name, String(literal)
+            .split('')
+            .map(ch => (ch === '%' ? '*' : ch === '_' ? '?' : wildcardText(ch)))
+            .join(''));
+        case 'MATCHES':
+          return {
+            regexp: {
+              [name]: { value: regexpPattern(String(literal)), case_insensitive: (node.value.flags || '').includes('i') }
+            }
+          };
+        default:
+          throw unsupportedOperator(node, 'Elasticsearch');
+      }
+    },
+    term(node) {
+      const match = { query: node.value, type: 'phrase' };
+      if (options.searchFields && options.searchFields.length > 0) {
+        match.fields = options.searchFields.map(name => field({ name }));
+      }
+      return { multi_match: match };
+    }
+  };
+
+  const ast = translationAst(query);
+  return ast ? translateLogical(ast, backend, options) : { match_all: {} };
+}
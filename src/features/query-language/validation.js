@@ -1,5 +1,11 @@
+import { parseQuery, walkQuery, queryFix } from './parser';
+import { findQueryOperator, operatorAppliesTo, compareQueryValues } from './operators';
+import { isRelativeDate, resolveRelativeDate, parseIsoDate, toQueryDate } from './dates';
+import { findFieldDefinition } from './fields';
+import { hasValuesProvider, requestFieldValues } from './values';
+
 /**
- * Sets up validation for the query language
+ * Sets up validation for the query language, with quick fixes for the markers that have one
  * @param {object} monaco The Monaco editor instance
  * @param {object} options Configuration options
  * @param {object} options.fieldNames The field name definitions
@@ -14,220 +20,64 @@ export function setupValidation(monaco, { fieldNames, languageId }) {
     monaco._validationSetup = {};
   }
 
-  // Cache for tokenization and validation results
-  const tokenCache = new Map();
+  // Cache for parse and validation results
+  const parseCache = new Map();
   const validationCache = new Map();
 
-  // Enhanced tokenizer
-  function tokenize(str) {
+  // Parse in recovering mode so every syntax error becomes a marker
+  function parse(str) {
     // Check cache first
-    const cached = tokenCache.get(str);
+    const cached = parseCache.get(str);
     if (cached) {
       return cached;
     }
 
-    const tokens = [];
-    let position = 0;
-    
-    while (position < str.length) {
-      // Skip whitespace
-      if (/\s/.test(str[position])) {
-        position++;
-        continue;
-      }
-      
-      let match = null;
-      let value = '';
-      let type = '';
-      let tokenStart = position;
-      
-      // Check for specific patterns in order of priority
-      
-      // 1. Operators (multi-character first)
-      if (str.substring(position).match(/^(!=|>=|<=)/)) {
-        const op = str.substring(position).match(/^(!=|>=|<=)/)[0];
-        value = op;
-        type = 'operator';
-        position += op.length;
-      }
-      // 2. Single character operators
-      else if (/[=<>]/.test(str[position])) {
-        value = str[position];
-        type = 'operator';
-        position++;
-      }
-      // 3. Punctuation
-      else if (/[(),\[\]]/.test(str[position])) {
-        value = str[position];
-        type = 'punctuation';
-        position++;
-      }
-      // 4. Comma
-      else if (str[position] === ',') {
-        value = ',';
-        type = 'punctuation';
-        position++;
-      }
-      // 5. Quoted strings (including unclosed ones)
-      else if (str[position] === '"') {
-        let endQuoteFound = false;
-        let stringEnd = position + 1;
-        
-        // Look for closing quote, handling escaped quotes
-        while (stringEnd < str.length) {
-          if (str[stringEnd] === '"' && str[stringEnd - 1] !== '\\') {
-            endQuoteFound = true;
-            stringEnd++;
-            break;
-          }
-          stringEnd++;
-        }
-        
-        value = str.substring(position, stringEnd);
-        type = endQuoteFound ? 'string' : 'unclosed-string';
-        position = stringEnd;
-      }
-      // 6. Numbers
-      else if (/\d/.test(str[position]) || (str[position] === '-' && /\d/.test(str[position + 1]))) {
-        const numberMatch = str.substring(position).match(/^-?\d*\.?\d+/);
-        if (numberMatch) {
-          value = numberMatch[0];
-          type = 'number';
-          position += value.length;
-        } else {
-          // Fallback - treat as identifier
-          const identifierMatch = str.substring(position).match(/^\w+/);
-          value = identifierMatch ? identifierMatch[0] : str[position];
-          type = 'identifier';
-          position += value.length;
-        }
-      }
-      // 7. Keywords and identifiers
-      else if (/[a-zA-Z_]/.test(str[position])) {
-        const wordMatch = str.substring(position).match(/^[a-zA-Z_]\w*/);
-        if (wordMatch) {
-          value = wordMatch[0];
-          
-          // Check for keywords (case-sensitive for logical operators)
-          if (['AND', 'OR'].includes(value)) { // Case-sensitive check
-            type = 'keyword';
-          } else if (value === 'IN') { // Case-sensitive
-            type = 'keyword';
-          } else if (['true', 'false'].includes(value.toLowerCase())) {
-            type = 'boolean';
-          } else if (value.toLowerCase() === 'null') {
-            type = 'null';
-          } else {
-            type = 'identifier';
-          }
-          
-          position += value.length;
-        } else {
-          // Single character fallback
-          value = str[position];
-          type = 'identifier';
-          position++;
-        }
-      }
-      // 8. Fallback for any other character
-      else {
-        value = str[position];
-        type = 'identifier';
-        position++;
-      }
-      
-      if (value) {
-        tokens.push({
-          value,
-          type,
-          start: tokenStart,
-          end: position
-        });
-      }
-    }
+    const result = parseQuery(str, { recover: true });
 
     // Cache the result if it's not too large (prevent memory issues)
     if (str.length < 10000) {
-      tokenCache.set(str, tokens);
+      parseCache.set(str, result);
     }
 
-    return tokens;
+    return result;
   }
 
-  // Helper to get token type with enhanced pattern recognition
-  function getTokenType(value) {
-    if (/^-?\d*\.?\d+$/.test(value)) return 'number';
-    if (/^".*"$/.test(value)) return 'string';
-    if (/^"/.test(value) && !value.endsWith('"')) return 'unclosed-string';
-    if (/^(true|false)$/i.test(value)) return 'boolean';
-    if (/^(null)$/i.test(value)) return 'null';
-    if (/^(AND|OR)$/.test(value)) return 'keyword'; // Case-sensitive check for logical operators
-    if (value === 'IN') return 'keyword'; // Case-sensitive check for IN operator
-    if (/^[=!<>]=?$/.test(value)) return 'operator';
-    if (/^[\[\](),]$/.test(value)) return 'punctuation';
-    return 'identifier';
+  // Helper to create a marker for a source range, `fixes` are offered as quick fixes.
+  // Lines and columns are filled in from the offsets when the markers are set.
+  function createMarker(severity, message, start, end, fixes = []) {
+    return {
+      severity,
+      message,
+      start,
+      end,
+      fixes
+    };
   }
 
-  // Helper function to find the field name before an IN operator
-  function findFieldBeforeIN(tokens, inStartIndex) {
-    // Walk backwards from the IN token to find the field name
-    for (let i = inStartIndex - 1; i >= 0; i--) {
-      const token = tokens[i];
-      // Check if it's a valid field name (identifier that matches our field names)
-      if (token.type === 'identifier' && fieldNames[token.value]) {
-        return token.value;
-      }
-      // Stop if we hit another operator or the start
-      if (token.type === 'operator' || i === 0) {
-        break;
-      }
+  // Helper to describe the allowed values of a field in a warning
+  function allowedValuesMessage(stringValue, values) {
+    if (values.length <= 5) {
+      return `Value "${stringValue}" is not one of the allowed values: [${values.join(', ')}]`;
     }
-    return null;
+    // Show first few values and indicate there are more
+    const preview = values.slice(0, 5).join(', ');
+    return `Value "${stringValue}" is not one of the allowed values. Expected one of: ${preview}... (${values.length} total values)`;
   }
 
   // Validate string values
-  function validateStringValue(value, token, markers) {
-    // Check for unclosed quotes
-    if (token.type === 'unclosed-string') {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: 'Unclosed string literal. Did you forget a closing quote?',
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
-      return false;
-    }
-    
-    // Check for properly escaped quotes
-    const unescapedQuotes = value.slice(1, -1).match(/(?<!\\)"/g);
-    if (unescapedQuotes) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: 'Unescaped quote in string literal. Use \\" for quotes inside strings.',
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
-      return false;
-    }
-
+  function validateStringValue(literal, markers) {
     // Check for invalid escape sequences
-    const invalidEscapes = value.slice(1, -1).match(/\\(?!["\\/bfnrt])/g);
+    const invalidEscapes = literal.raw.slice(1, literal.unclosed ? undefined : -1).match(/\\(?!["\\/bfnrt])/g);
     if (invalidEscapes) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: 'Invalid escape sequence. Valid escapes are: \\", \\\\, \\/, \\b, \\f, \\n, \\r, \\t',
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
+      markers.push(createMarker(
+        monaco.MarkerSeverity.Error,
+        'Invalid escape sequence. Valid escapes are: \\", \\\\, \\/, \\b, \\f, \\n, \\r, \\t',
+        literal.start,
+        literal.end
+      ));
       return false;
     }
-    
+
     return true;
   }
 
@@ -235,40 +85,19 @@ export function setupValidation(monaco, { fieldNames, languageId }) {
   function validateNumberValue(value, field, token, markers) {
     // Check if it's a valid number
     if (!/^-?\d*\.?\d+$/.test(value)) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: `Invalid number format: ${value}`,
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
+      markers.push(createMarker(monaco.MarkerSeverity.Error, `Invalid number format: ${value}`, token.start, token.end));
       return false;
     }
 
-    // If field has range validation
+    // Values outside of the field range are allowed but won't match any record
     if (field.range) {
       const num = parseFloat(value);
       if (field.range.min !== undefined && num < field.range.min) {
-        markers.push({
-          severity: monaco.MarkerSeverity.Error,
-          message: `Value must be greater than or equal to ${field.range.min}`,
-          startLineNumber: 1,
-          startColumn: token.start + 1,
-          endLineNumber: 1,
-          endColumn: token.end + 1
-        });
+        markers.push(createMarker(monaco.MarkerSeverity.Warning, `Value must be greater than or equal to ${field.range.min}`, token.start, token.end));
         return false;
       }
       if (field.range.max !== undefined && num > field.range.max) {
-        markers.push({
-          severity: monaco.MarkerSeverity.Error,
-          message: `Value must be less than or equal to ${field.range.max}`,
-          startLineNumber: 1,
-          startColumn: token.start + 1,
-          endLineNumber: 1,
-          endColumn: token.end + 1
-        });
+        markers.push(createMarker(monaco.MarkerSeverity.Warning, `Value must be less than or equal to ${field.range.max}`, token.start, token.end));
         return false;
       }
     }
@@ -276,555 +105,489 @@ export function setupValidation(monaco, { fieldNames, languageId }) {
     return true;
   }
 
-  // Helper to validate IN list structure and values
-  function validateInList(tokens, startIndex, markers) {
-    let inList = false;
-    let valueCount = 0;
-    let hasTrailingComma = false;
-    let bracketBalance = 0;
-    let arrayStart = -1;
-
-    // Store values and their positions
-    let values = [];
-
-    // Find the field name associated with this IN list
-    const currentListField = findFieldBeforeIN(tokens, startIndex);
-    const fieldDef = currentListField ? fieldNames[currentListField] : null;
-    let hasErrors = false;
-
-    // Function to check for duplicates in the collected values
-    function checkForDuplicates() {
-      for (let i = 0; i < values.length; i++) {
-        for (let j = i + 1; j < values.length; j++) {
-          const a = values[i];
-          const b = values[j];
-          
-          let isDuplicate = false;
-          if (a.type === 'number' && b.type === 'number') {
-            // Compare numbers with fixed precision
-            isDuplicate = Number(a.value).toFixed(10) === Number(b.value).toFixed(10);
-          } else {
-            // Direct comparison for strings and booleans
-            isDuplicate = a.value === b.value;
-          }
-
-          if (isDuplicate) {
-            // Mark the first occurrence
-            markers.push({
-              severity: monaco.MarkerSeverity.Error,
-              message: 'This value is duplicated later in the list',
-              startLineNumber: 1,
-              startColumn: a.token.start + 1,
-              endLineNumber: 1,
-              endColumn: a.token.end + 1
-            });
-
-            // Mark the duplicate
-            markers.push({
-              severity: monaco.MarkerSeverity.Error,
-              message: `Duplicate value ${b.value} in IN list`,
-              startLineNumber: 1,
-              startColumn: b.token.start + 1,
-              endLineNumber: 1,
-              endColumn: b.token.end + 1
-            });
-
-            hasErrors = true;
-          }
-        }
-      }
+  // Resolve a date range bound given as a Date, an ISO string or a relative date
+  function rangeDate(bound) {
+    if (bound instanceof Date) return bound;
+    if (isRelativeDate(bound)) return resolveRelativeDate(bound);
+    return parseIsoDate(bound);
+  }
+
+  // Validate a date value (ISO string or relative date) and check it against the field range
+  function validateDateValue(literal, field, markers) {
+    if (literal.unclosed) {
+      return true;
     }
 
-    for (let i = startIndex; i < tokens.length; i++) {
-      const token = tokens[i];
-      const value = token.value;
+    const date = toQueryDate(literal);
+    if (!date) {
+      markers.push(createMarker(
+        monaco.MarkerSeverity.Error,
+        `Invalid date "${literal.value}". Use an ISO date like "2024-01-31" or "2024-01-31T09:30:00Z", or a relative date like now-7d.`,
+        literal.start,
+        literal.end
+      ));
+      return false;
+    }
 
-      if (value === '[') {
-        if (inList) {
-          markers.push({
-            severity: monaco.MarkerSeverity.Error,
-            message: 'Unexpected opening bracket inside IN list',
-            startLineNumber: 1,
-            startColumn: token.start + 1,
-            endLineNumber: 1,
-            endColumn: token.end + 1
-          });
-          hasErrors = true;
-        }
-        inList = true;
-        bracketBalance++;
-        arrayStart = token.start;
-        continue;
+    if (field.range) {
+      const min = field.range.min !== undefined ? rangeDate(field.range.min) : null;
+      const max = field.range.max !== undefined ? rangeDate(field.range.max) : null;
+      if (min && date < min) {
+        markers.push(createMarker(monaco.MarkerSeverity.Warning, `Date must be on or after ${field.range.min}`, literal.start, literal.end));
+        return false;
+      }
+      if (max && date > max) {
+        markers.push(createMarker(monaco.MarkerSeverity.Warning, `Date must be on or before ${field.range.max}`, literal.start, literal.end));
+        return false;
       }
+    }
 
-      if (!inList) continue;
+    return true;
+  }
 
-      if (value === ']') {
-        bracketBalance--;
-        // Check for duplicate values before exiting
-        checkForDuplicates();
-        break;
-      }
+  // Check a BETWEEN bound the way a single comparison value is checked
+  function validateRangeBound(literal, field, fieldName, markers) {
+    if (literal.valueType === 'null') {
+      markers.push(createMarker(monaco.MarkerSeverity.Error, 'NULL cannot be used as a BETWEEN bound', literal.start, literal.end));
+      return;
+    }
+    if (!validateValueType(literal, field, fieldName, markers)) {
+      return;
+    }
+    if (field.type === 'date') {
+      validateDateValue(literal, field, markers);
+    } else if (literal.valueType === 'number') {
+      validateNumberValue(literal.raw, field, literal, markers);
+    }
+  }
 
-      if (value === ',') {
-        hasTrailingComma = true;
-        continue;
-      }
+  // The comparable value of a BETWEEN bound, or null if it has none
+  function rangeBoundValue(literal, field) {
+    if (field.type === 'date') {
+      return toQueryDate(literal);
+    }
+    return literal.valueType === 'number' || literal.valueType === 'string' ? literal.value : null;
+  }
 
-      hasTrailingComma = false;
-      if (['string', 'number', 'boolean'].includes(token.type)) {
-        valueCount++;
-        
-        // Check for allowed values if field has specific values defined
-        if (fieldDef && fieldDef.values && fieldDef.type === 'string' && token.type === 'string') {
-          // Remove quotes from string value to compare with allowed values
-          const stringValue = token.value.slice(1, -1);
-          if (!fieldDef.values.includes(stringValue)) {
-            let message;
-            if (fieldDef.values.length <= 3) {
-              // Show all values if there are 10 or fewer
-              message = `Value "${stringValue}" is not one of the allowed values: [${fieldDef.values.join(', ')}]`;
-            } else {
-              // Show first few values and indicate there are more
-              const preview = fieldDef.values.slice(0, 3).join(', ');
-              message = `Value "${stringValue}" is not one of the allowed values. Expected one of: ${preview}... (${fieldDef.values.length} total values)`;
-            }
-            markers.push({
-              severity: monaco.MarkerSeverity.Warning,
-              message: message,
-              startLineNumber: 1,
-              startColumn: token.start + 1,
-              endLineNumber: 1,
-              endColumn: token.end + 1
-            });
-          }
+  // Validate both bounds of a BETWEEN range and their order
+  function validateRange(range, field, fieldName, markers) {
+    validateRangeBound(range.lower, field, fieldName, markers);
+    validateRangeBound(range.upper, field, fieldName, markers);
+
+    const lower = rangeBoundValue(range.lower, field);
+    const upper = rangeBoundValue(range.upper, field);
+    if (lower !== null && upper !== null && compareQueryValues(lower, upper) > 0) {
+      markers.push(createMarker(
+        monaco.MarkerSeverity.Error,
+        `Lower bound ${range.lower.raw} is greater than upper bound ${range.upper.raw}`,
+        range.start,
+        range.end
+      ));
+    }
+  }
+
+  // Helper to validate IN list values
+  function validateInList(list, fieldDef, operator, markers) {
+    const values = [];
+
+    list.items.forEach(item => {
+      // Check for allowed values if field has specific values defined
+      if (fieldDef && fieldDef.values && fieldDef.type === 'string' && item.valueType === 'string' && !item.unclosed) {
+        if (!fieldDef.values.includes(item.value)) {
+          markers.push(createMarker(monaco.MarkerSeverity.Warning, allowedValuesMessage(item.value, fieldDef.values), item.start, item.end));
         }
-        
-        values.push({
-          value: token.value,
-          token: token,
-          type: token.type
-        });
       }
-    }
+      values.push(item);
+    });
 
-    return !hasErrors;
-  }
+    // Check for duplicates in the collected values
+    for (let i = 0; i < values.length; i++) {
+      for (let j = i + 1; j < values.length; j++) {
+        const a = values[i];
+        const b = values[j];
 
-  // Track the last validation state
-  let lastValidationState = {
-    content: '',
-    tokens: [],
-    markers: [],
-    hasErrors: false
-  };
+        let isDuplicate = false;
+        if (a.valueType === 'number' && b.valueType === 'number') {
+          // Compare numbers with fixed precision
+          isDuplicate = a.value.toFixed(10) === b.value.toFixed(10);
+        } else {
+          // Direct comparison for strings and booleans
+          isDuplicate = a.valueType === b.valueType && a.value === b.value;
+        }
 
-  // Helper to calculate validation state hash
-  function getValidationHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
+        if (isDuplicate) {
+          // Removing the duplicate takes the comma before it along
+          const fixes = [queryFix(`Remove duplicate ${b.raw}`, values[j - 1].end, b.end, '')];
+          // Mark the first occurrence
+          markers.push(createMarker(monaco.MarkerSeverity.Error, 'This value is duplicated later in the list', a.start, a.end, fixes));
+          // Mark the duplicate
+          markers.push(createMarker(monaco.MarkerSeverity.Error, `Duplicate value ${b.raw} in ${operator} list`, b.start, b.end, fixes));
+        }
+      }
     }
-    return hash;
   }
 
-  // Helper to check if position is in the middle of complete content
-  function isPositionInMiddle(model, position) {
-    const lineCount = model.getLineCount();
-    const lastLineLength = model.getLineLength(lineCount);
-    
-    return position.lineNumber < lineCount || 
-           (position.lineNumber === lineCount && position.column < lastLineLength);
+  // The known field name closest to an unknown one
+  function closestFieldName(name) {
+    return Object.keys(fieldNames).find(f =>
+      f.toLowerCase().includes(name.toLowerCase()) ||
+      name.toLowerCase().includes(f.toLowerCase())
+    );
   }
 
-  // Helper to get tokens up to position
-  function getTokensUpToPosition(tokens, position, model) {
-    if (!position) return tokens;
-    
-    const offset = model.getOffsetAt(position);
-    return tokens.filter(token => token.end <= offset);
+  // Suggest the closest field name for an unknown one
+  function unknownFieldMessage(name) {
+    const availableFields = Object.keys(fieldNames);
+    let suggestion = '';
+    if (availableFields.length > 0) {
+      const closest = closestFieldName(name);
+      if (closest) {
+        suggestion = ` Did you mean '${closest}'?`;
+      } else {
+        const fieldList = availableFields.length <= 5
+          ? availableFields.join(', ')
+          : availableFields.slice(0, 5).join(', ') + '...';
+        suggestion = ` Available fields: ${fieldList}`;
+      }
+    }
+    return `Unknown field name '${name}'.${suggestion}`;
   }
 
-  // Main validation function with incremental updates
-  function validateQuery(model, position) {
-    const value = model.getValue();
-    
-    // Quick check if content hasn't changed
-    if (value === lastValidationState.content) {
-      monaco.editor.setModelMarkers(model, languageId, lastValidationState.markers);
+  // Check a single comparison against the field definitions
+  function validateComparison(node, markers) {
+    const fieldName = node.field.name;
+    const field = findFieldDefinition(fieldNames, fieldName);
+
+    if (!field) {
+      const closest = closestFieldName(fieldName);
+      const fixes = closest ? [queryFix(`Change to '${closest}'`, node.field.start, node.field.end, closest)] : [];
+      markers.push(createMarker(monaco.MarkerSeverity.Error, unknownFieldMessage(fieldName), node.field.start, node.field.end, fixes));
       return;
     }
 
-    // Check cache for identical content
-    const validationHash = getValidationHash(value);
-    const cached = validationCache.get(validationHash);
-    if (cached && !position) {  // Only use cache if we don't need position-aware validation
-      monaco.editor.setModelMarkers(model, languageId, cached);
-      lastValidationState = {
-        content: value,
-        tokens: tokenCache.get(value) || [],
-        markers: cached,
-        hasErrors: cached.length > 0
-      };
+    // Deprecated fields still filter, a string `deprecated` says what to use instead
+    if (field.deprecated) {
+      const marker = createMarker(
+        monaco.MarkerSeverity.Warning,
+        typeof field.deprecated === 'string' ? `Field '${fieldName}' is deprecated. ${field.deprecated}` : `Field '${fieldName}' is deprecated`,
+        node.field.start,
+        node.field.end
+      );
+      if (monaco.MarkerTag) {
+        marker.tags = [monaco.MarkerTag.Deprecated];
+      }
+      markers.push(marker);
+    }
+
+    // Validate operator compatibility with field type
+    const operator = node.operator && findQueryOperator(node.operator);
+    if (operator && !operatorAppliesTo(operator, field)) {
+      markers.push(createMarker(
+        monaco.MarkerSeverity.Error,
+        `Operator ${node.operator} can only be used with ${operator.fieldTypes.join(', ').replace(/, ([^,]*)$/, ' or $1')} fields`,
+        node.operatorRange.start,
+        node.operatorRange.end
+      ));
+    }
+
+    if (!node.value) {
       return;
     }
 
-    const markers = [];
-    const tokens = tokenize(value);
+    if (node.value.type === 'List') {
+      node.value.items.forEach(item => validateValueType(item, field, fieldName, markers));
+      validateInList(node.value, field, node.operator, markers);
+      return;
+    }
 
-    // Detect if this is search mode or structured query mode
-    const hasOperators = tokens.some(token => 
-      ['=', '!=', '>', '<', '>=', '<=', 'IN', 'AND', 'OR', '(', ')'].includes(token.value)
-    );
-    
-    // If no operators found, treat as search mode (no validation needed)
-    if (!hasOperators && tokens.length > 0) {
-      // Search mode - just check for unclosed strings
-      tokens.forEach(token => {
-        if (token.type === 'unclosed-string') {
-          addError(token, 'Unclosed string literal');
-        }
-      });
-      
-      // Cache and store validation result
-      validationCache.set(validationHash, markers);
-      lastValidationState = {
-        content: value,
-        tokens,
-        markers,
-        hasErrors: markers.length > 0
-      };
-      monaco.editor.setModelMarkers(model, languageId, markers);
+    if (node.value.type === 'Range') {
+      validateRange(node.value, field, fieldName, markers);
       return;
     }
 
-    // Helper to add error marker
-    function addError(token, message) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message,
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
+    const literal = node.value;
+    if (!validateValueType(literal, field, fieldName, markers, operator ? operator.valueTypes : undefined)) {
+      return;
     }
 
-    // Helper to add warning marker
-    function addWarning(token, message) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Warning,
-        message,
-        startLineNumber: 1,
-        startColumn: token.start + 1,
-        endLineNumber: 1,
-        endColumn: token.end + 1
-      });
+    if (field.type === 'date' && literal.valueType !== 'null') {
+      validateDateValue(literal, field, markers);
+      return;
+    }
+    if (field.type === 'number' && literal.valueType === 'number') {
+      validateNumberValue(literal.raw, field, literal, markers);
     }
 
-    // State tracking
-    let expressionState = {
-      hasField: false,
-      hasOperator: false,
-      hasValue: false,
-      currentField: null,
-      lastValueToken: null,
-      inParentheses: false,
-      parenthesesBalance: 0,
-      reset() {
-        this.hasField = false;
-        this.hasOperator = false;
-        this.hasValue = false;
-        this.currentField = null;
-        this.lastValueToken = null;
+    // Patterns are compiled the same way the evaluator does, so broken ones are caught here
+    if (operator && operator.compile && !literal.unclosed && literal.valueType !== 'null') {
+      try {
+        operator.compile(literal);
+      } catch (error) {
+        markers.push(createMarker(monaco.MarkerSeverity.Error, error.message, literal.start, literal.end));
       }
-    };
+    }
 
-    // Optimize token validation by caching field lookups
-    const fieldCache = new Map();
-    function isValidField(token) {
-      if (fieldCache.has(token)) {
-        return fieldCache.get(token);
-      }
-      // Only allow defined field names - remove the fallback regex
-      const isValid = fieldNames[token] !== undefined;
-      fieldCache.set(token, isValid);
-      return isValid;
-    }
-
-    // Track parentheses for complex expressions
-    let parenthesesStack = [];
-
-    // Validate each token with enhanced state tracking
-    tokens.forEach((token, index) => {
-      const current = token.value.toUpperCase();
-      const prev = index > 0 ? tokens[index - 1].value : '';
-      const next = index < tokens.length - 1 ? tokens[index + 1].value : '';
-
-      // Track parentheses state
-      if (current === '(') {
-        expressionState.inParentheses = true;
-        expressionState.parenthesesBalance++;
-        parenthesesStack.push(expressionState.parenthesesBalance);
-      } else if (current === ')') {
-        expressionState.parenthesesBalance--;
-        parenthesesStack.pop();
-        if (expressionState.parenthesesBalance < 0) {
-          addError(token, 'Unmatched closing parenthesis');
-          return;
-        }
-        expressionState.inParentheses = expressionState.parenthesesBalance > 0;
-      }
+    // Check for allowed values if field has specific values defined (string matching
+    // operators only compare against part of a value, so they are exempt)
+    const matchesPartially = operator && operator.match;
+    if (!matchesPartially && field.values && field.type === 'string' && literal.valueType === 'string' &&
+        !literal.unclosed && !field.values.includes(literal.value)) {
+      markers.push(createMarker(monaco.MarkerSeverity.Warning, allowedValuesMessage(literal.value, field.values), literal.start, literal.end));
+    }
+  }
 
-      // Reset expression state after logical operators (only uppercase ones are valid)
-      if (['AND', 'OR'].includes(token.value)) {
-        // Check if we have a complete expression before the logical operator
-        const hasCompleteExpression = expressionState.hasValue || 
-                                    (prev === ']' && tokens.slice(0, index).some(t => t.value.toUpperCase() === 'IN'));
-        if (!hasCompleteExpression && !expressionState.inParentheses) {
-          addError(token, 'Incomplete expression before logical operator');
-        }
-        expressionState.reset();
-        return;
-      }
+  // Value type checking, returns false when a marker was added
+  function validateValueType(literal, field, fieldName, markers, valueTypes = [field.type]) {
+    // NULL is allowed for any field type (represents absence of value)
+    if (literal.valueType === 'null' || valueTypes.includes(literal.valueType)) {
+      return true;
+    }
+    // Quoted ISO strings are dates too, validateDateValue checks their format
+    if (valueTypes.includes('date') && literal.valueType === 'string') {
+      return true;
+    }
+    markers.push(createMarker(
+      monaco.MarkerSeverity.Error,
+      `Value must be a ${valueTypes.join(' or ')} for field '${fieldName}'`,
+      literal.start,
+      literal.end
+    ));
+    return false;
+  }
 
-      // Check if we're expecting a logical operator after a complete expression
-      if (token.type === 'identifier' && expressionState.hasValue) {
-        // We just completed an expression (field = value), so we expect a logical operator
-        if (['and', 'or'].includes(token.value.toLowerCase())) {
-          // This is a logical operator but in wrong case
-          addError(token, `Logical operator must be uppercase. Use '${token.value.toUpperCase()}' instead of '${token.value}'.`);
-          return;
-        } else if (!['AND', 'OR'].includes(token.value.toUpperCase())) {
-          // This is not a logical operator at all, but we expected one
-          addError(token, `Expected logical operator (AND/OR) after complete expression, but found '${token.value}'.`);
-          return;
-        }
-      }
+  // The markers last set on each model along with the model version they belong to
+  const modelMarkers = new WeakMap();
+
+  function setMarkers(model, markers) {
+    // Offsets count line breaks, so multi-line queries get their markers on the right line
+    const positioned = markers.map(marker => {
+      const start = model.getPositionAt(marker.start);
+      const end = model.getPositionAt(marker.end);
+      return {
+        ...marker,
+        startLineNumber: start.lineNumber,
+        startColumn: start.column,
+        endLineNumber: end.lineNumber,
+        endColumn: end.column
+      };
+    });
+    modelMarkers.set(model, { markers: positioned, versionId: model.getVersionId() });
+    monaco.editor.setModelMarkers(model, languageId, positioned);
+  }
 
-      // Enhanced field name validation      
-      if (token.type === 'identifier' && !['AND', 'OR', 'IN', 'TRUE', 'FALSE', 'NULL'].includes(token.value)) {
-        // Check for lowercase logical operators first
-        if (['and', 'or'].includes(token.value.toLowerCase()) && token.value !== token.value.toUpperCase()) {
-          addError(token, `Logical operator must be uppercase. Use '${token.value.toUpperCase()}' instead of '${token.value}'.`);
-          return;
-        }
-        
-        // Check if this is a valid field name
-        if (!isValidField(token.value)) {
-          // Check if we're in a position where a field name is expected
-          const expectingField = !expressionState.hasField || 
-                               (index > 0 && ['AND', 'OR'].includes(tokens[index - 1].value.toUpperCase()));
-          
-          if (expectingField) {
-            const availableFields = Object.keys(fieldNames);
-            let suggestion = '';
-            if (availableFields.length > 0) {
-              // Find the closest matching field name
-              const closest = availableFields.find(f => 
-                f.toLowerCase().includes(token.value.toLowerCase()) ||
-                token.value.toLowerCase().includes(f.toLowerCase())
-              );
-              if (closest) {
-                suggestion = ` Did you mean '${closest}'?`;
-              } else {
-                const fieldList = availableFields.length <= 5 
-                  ? availableFields.join(', ')
-                  : availableFields.slice(0, 5).join(', ') + '...';
-                suggestion = ` Available fields: ${fieldList}`;
-              }
+  // Values of fields with a values provider are checked once the provider answers,
+  // their warnings are added to the markers already set
+  function validateProvidedValues(model, ast, markers) {
+    const checks = [];
+    walkQuery(ast, node => {
+      if (node.type !== 'Comparison' || !node.value) return;
+      const field = findFieldDefinition(fieldNames, node.field.name);
+      const operator = findQueryOperator(node.operator);
+      // Static values are checked with the rest, string matching operators only compare part of a value
+      if (!hasValuesProvider(field) || field.values || (operator && operator.match)) return;
+
+      const literals = node.value.type === 'List' ? node.value.items : [node.value];
+      literals
+        .filter(literal => literal.type === 'Literal' && literal.valueType === 'string' && !literal.unclosed)
+        .forEach(literal => {
+          checks.push(requestFieldValues(field, literal.value, { field: node.field.name }).then(values => {
+            if (!values || values.includes(literal.value)) {
+              return null;
             }
-            addError(token, `Unknown field name '${token.value}'.${suggestion}`);
-          }
-        } else {
-          // Valid field name
-          if (expressionState.hasField && !expressionState.hasValue && !['AND', 'OR'].includes(prev)) {
-            addError(token, 'Unexpected field name. Did you forget an operator or AND/OR?');
-          }
-          expressionState.hasField = true;
-          expressionState.currentField = token.value;
-        }
-      }
+            const similar = values.length > 0 ? ` Did you mean ${values.slice(0, 5).map(v => `"${v}"`).join(', ')}?` : '';
+            return createMarker(
+              monaco.MarkerSeverity.Warning,
+              `Value "${literal.value}" is not one of the allowed values.${similar}`,
+              literal.start,
+              literal.end
+            );
+          }));
+        });
+    });
+    if (checks.length === 0) {
+      return;
+    }
 
-      // Enhanced operator validation
-      if (['=', '!=', '>', '<', '>=', '<='].includes(current)) {
-        if (!expressionState.hasField) {
-          addError(token, 'Operator without a preceding field name');
-        }
-        expressionState.hasOperator = true;
-        expressionState.hasValue = false; // Reset value state when we see an operator
-
-        // Validate operator compatibility with field type
-        if (expressionState.currentField) {
-          const field = fieldNames[expressionState.currentField];
-          if (field && ['>', '<', '>=', '<='].includes(current) && field.type !== 'number') {
-            addError(token, `Operator ${current} can only be used with number fields`);
-          }
-        }
+    const versionId = model.getVersionId();
+    Promise.all(checks).then(results => {
+      const warnings = results.filter(Boolean);
+      // An edit in the meantime validates again
+      if (warnings.length === 0 || (model.isDisposed && model.isDisposed()) || model.getVersionId() !== versionId) {
+        return;
       }
+      setMarkers(model, [...markers, ...warnings]);
+    });
+  }
 
-      // Check for unclosed strings immediately (regardless of expression state)
-      if (token.type === 'unclosed-string') {
-        addError(token, 'Unclosed string literal. Did you forget a closing quote?');
-      }
+  // Track the last validation state
+  let lastValidationState = {
+    content: '',
+    ast: null,
+    markers: [],
+    hasErrors: false
+  };
 
-      // Special handling for IN operator (case-sensitive, uppercase only)
-      if (token.value === 'IN') {
-        if (!expressionState.hasField) {
-          addError(token, 'IN operator without a preceding field name');
-        }
-        expressionState.hasOperator = true;
-        expressionState.hasValue = false;
-        validateInList(tokens, index + 1, markers);
-      }
+  // Main validation function
+  function validateQuery(model) {
+    const value = model.getValue();
 
-      // Value validation with type checking
-      if ((token.type === 'string' || token.type === 'number' || token.type === 'boolean' || 
-           token.type === 'null' || token.type === 'unclosed-string') && expressionState.hasOperator) {
-        if (expressionState.currentField) {
-          const field = fieldNames[expressionState.currentField];
-          if (field) {
-            // NULL is allowed for any field type (represents absence of value)
-            if (token.type === 'null') {
-              // NULL is valid for any field, skip type validation
-            } else if (field.type === 'string' && token.type !== 'string' && token.type !== 'unclosed-string') {
-              addError(token, `Value must be a string for field '${expressionState.currentField}'`);
-            } else if (field.type === 'number' && token.type !== 'number') {
-              addError(token, `Value must be a number for field '${expressionState.currentField}'`);
-            } else if (field.type === 'boolean' && token.type !== 'boolean') {
-              addError(token, `Value must be a boolean for field '${expressionState.currentField}'`);
-            } else {
-              // Check for allowed values if field has specific values defined
-              if (field.values && field.type === 'string' && token.type === 'string') {
-                // Remove quotes from string value to compare with allowed values
-                const stringValue = token.value.slice(1, -1);
-                if (!field.values.includes(stringValue)) {
-                  let message;
-                  if (field.values.length <= 2) {
-                    // Show all values if there are 10 or fewer
-                    message = `Value "${stringValue}" is not one of the allowed values: [${field.values.join(', ')}]`;
-                  } else {
-                    // Show first few values and indicate there are more
-                    const preview = field.values.slice(0, 5).join(', ');
-                    message = `Value "${stringValue}" is not one of the allowed values. Expected one of: ${preview}... (${field.values.length} total values)`;
-                  }
-                  addWarning(token, message);
-                }
-              }
-            }
-          }
-        }
-        expressionState.hasValue = true;
-        expressionState.lastValueToken = token;
-        
-        // Check for consecutive tokens without proper logical operators
-        if (index < tokens.length - 1) {
-          const nextToken = tokens[index + 1];
-          if (nextToken.type === 'identifier' && !['AND', 'OR'].includes(nextToken.value.toUpperCase())) {
-            // We have a value followed immediately by an identifier that's not a logical operator
-            addError(nextToken, `Unexpected token '${nextToken.value}' after value. Did you forget a logical operator (AND/OR)?`);
-          }
-        }
-      }
-    });
+    // Quick check if content hasn't changed
+    if (value === lastValidationState.content) {
+      setMarkers(model, lastValidationState.markers);
+      validateProvidedValues(model, lastValidationState.ast, lastValidationState.markers);
+      return;
+    }
 
-    // Final validation checks
-    if (expressionState.parenthesesBalance > 0) {
-      markers.push({
-        severity: monaco.MarkerSeverity.Error,
-        message: 'Unclosed parentheses in expression',
-        startLineNumber: 1,
-        startColumn: 1,
-        endLineNumber: 1,
-        endColumn: value.length + 1
-      });
+    const { ast, errors } = parse(value);
+
+    // Check cache for identical content, keyed by the text itself so no two queries share markers
+    const cached = validationCache.get(value);
+    if (cached) {
+      setMarkers(model, cached);
+      validateProvidedValues(model, ast, cached);
+      lastValidationState = {
+        content: value,
+        ast,
+        markers: cached,
+        hasErrors: cached.length > 0
+      };
+      return;
     }
 
-    // Accept valid expressions ending with string/number/boolean/null
-    const lastToken = tokens[tokens.length - 1];
-    const validEndTypes = ['string', 'number', 'boolean', 'null'];
-    if (
-      tokens.length > 0 &&
-      !expressionState.hasValue &&
-      !expressionState.inParentheses &&
-      validEndTypes.includes(lastToken.type) &&
-      expressionState.hasField &&
-      expressionState.hasOperator
-    ) {
-      expressionState.hasValue = true;
-    }
-
-    if (tokens.length > 0 && !expressionState.hasValue && !expressionState.inParentheses) {
-      // Only mark as incomplete if we're at the actual end of content
-      // or if the last token is an operator/identifier and there's nothing valid after it
-      if (lastToken.type === 'identifier' || lastToken.type === 'operator') {
-        if (!position || !isPositionInMiddle(model, position)) {
-          addError(lastToken, 'Incomplete expression at end of query');
-        } else {
-          // Check if there's valid content after the cursor
-          const fullTokens = tokenize(value);
-          const tokensAfterCursor = fullTokens.filter(t => t.start >= model.getOffsetAt(position));
-          if (!tokensAfterCursor.some(t => t.type === 'string' || t.type === 'number' || t.type === 'boolean')) {
-            addError(lastToken, 'Incomplete expression at end of query');
-          }
-        }
+    // Syntax errors come straight from the parser
+    const markers = errors.map(error =>
+      createMarker(monaco.MarkerSeverity.Error, error.message, error.start, error.end, error.fixes)
+    );
+
+    // Semantic checks against the field definitions
+    walkQuery(ast, node => {
+      if (node.type === 'Comparison') {
+        validateComparison(node, markers);
+      } else if (node.type === 'Term' && !node.quoted && findFieldDefinition(fieldNames, node.value)) {
+        // A bare field name is searched as text, which is rarely what was meant
+        markers.push(createMarker(
+          monaco.MarkerSeverity.Hint,
+          `'${node.value}' is searched as text in all fields. Add an operator to filter by this field, or quote it to search for the word.`,
+          node.start,
+          node.end
+        ));
+      } else if (node.type === 'Literal' && node.valueType === 'string') {
+        validateStringValue(node, markers);
       }
-    }
+    });
 
     // Cache validation results
     if (value.length < 10000) {
-      validationCache.set(validationHash, markers);
+      validationCache.set(value, markers);
     }
 
     // Update last validation state
     lastValidationState = {
       content: value,
-      tokens,
+      ast,
       markers,
       hasErrors: markers.length > 0
     };
 
     // Set markers using the specific language ID
-    monaco.editor.setModelMarkers(model, languageId, markers);
+    setMarkers(model, markers);
+    validateProvidedValues(model, ast, markers);
   }
 
-  // Set up model change listener with incremental validation
+  // Validate a model now and again whenever its content changes
   let validateTimeout = null;
+  function setupModelValidation(model) {
+    // Initial validation
+    validateQuery(model);
+
+    // Set up change listener with debouncing
+    const changeDisposable = model.onDidChangeContent(() => {
+      // Clear previous timeout
+      if (validateTimeout) {
+        clearTimeout(validateTimeout);
+      }
+
+      // Set new timeout for validation
+      validateTimeout = setTimeout(() => {
+        validateQuery(model);
+      }, 300); // 300ms debounce
+    });
+
+    // Clean up when model is disposed
+    model.onWillDispose(() => {
+      if (validateTimeout) {
+        clearTimeout(validateTimeout);
+      }
+      changeDisposable.dispose();
+    });
+
+    return changeDisposable;
+  }
+
+  // Models created before this setup (e.g. when field names are swapped at runtime)
+  const existingModelDisposables = monaco.editor.getModels()
+    .filter(model => model.getLanguageId() === languageId)
+    .map(setupModelValidation);
+
+  // Set up model change listener for future models
   let disposable = monaco.editor.onDidCreateModel(model => {
     if (model.getLanguageId() === languageId) {
-      // Initial validation
-      validateQuery(model);
-
-      // Set up change listener with debouncing
-      const changeDisposable = model.onDidChangeContent((e) => {
-        // Clear previous timeout
-        if (validateTimeout) {
-          clearTimeout(validateTimeout);
-        }
-
-        // Get the cursor position from the last change
-        const position = e.changes[e.changes.length - 1].rangeOffset ? {
-          lineNumber: model.getPositionAt(e.changes[e.changes.length - 1].rangeOffset).lineNumber,
-          column: model.getPositionAt(e.changes[e.changes.length - 1].rangeOffset).column
-        } : null;
+      setupModelValidation(model);
+    }
+  });
 
-        // Set new timeout for validation
-        validateTimeout = setTimeout(() => {
-          validateQuery(model, position);
-        }, 300); // 300ms debounce
+  // Offer the fixes attached to the markers as quick fixes
+  const codeActionDisposable = monaco.languages.registerCodeActionProvider(languageId, {
+    provideCodeActions: (model, range, context) => {
+      const stored = modelMarkers.get(model);
+      // Markers from before the last edit would point at the wrong text
+      if (!stored || stored.versionId !== model.getVersionId()) {
+        return { actions: [], dispose: () => {} };
+      }
+
+      const actions = [];
+      context.markers.forEach(contextMarker => {
+        const marker = stored.markers.find(m =>
+          m.message === contextMarker.message &&
+          m.startLineNumber === contextMarker.startLineNumber &&
+          m.startColumn === contextMarker.startColumn &&
+          m.endLineNumber === contextMarker.endLineNumber &&
+          m.endColumn === contextMarker.endColumn
+        );
+        if (!marker) return;
+
+        marker.fixes.forEach((fix, index) => {
+          actions.push({
+            title: fix.title,
+            kind: 'quickfix',
+            diagnostics: [contextMarker],
+            isPreferred: index === 0,
+            edit: {
+              edits: fix.edits.map(edit => {
+                const start = model.getPositionAt(edit.start);
+                const end = model.getPositionAt(edit.end);
+                return {
+                  resource: model.uri,
+                  versionId: stored.versionId,
+                  textEdit: {
+                    range: {
+                      startLineNumber: start.lineNumber,
+                      startColumn: start.column,
+                      endLineNumber: end.lineNumber,
+                      endColumn: end.column
+                    },
+                    text: edit.text
+                  }
+                };
+              })
+            }
+          });
+        });
       });
 
-      // Clean up when model is disposed
-      model.onWillDispose(() => {
-        if (validateTimeout) {
-          clearTimeout(validateTimeout);
-        }
-        changeDisposable.dispose();
-      });
+      return { actions, dispose: () => {} };
     }
-  });
+  }, { providedCodeActionKinds: ['quickfix'] });
 
   // Return dispose function
   const disposeFunction = {
@@ -833,6 +596,8 @@ export function setupValidation(monaco, { fieldNames, languageId }) {
         clearTimeout(validateTimeout);
       }
       disposable.dispose();
+      codeActionDisposable.dispose();
+      existingModelDisposables.forEach(d => d.dispose());
       // Clean up the registration tracker
       if (monaco._validationSetup && monaco._validationSetup[languageId]) {
         delete monaco._validationSetup[languageId];
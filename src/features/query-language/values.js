@@ -0,0 +1,84 @@
+/**
+ * Values of fields declared with a `valuesProvider`.
+ *
+ * A string field may give `valuesProvider(prefix, context)` instead of (or on
+ * top of) a static `values` array. It returns the allowed values starting with
+ * `prefix`, or a promise of them, so fields with too many distinct values to
+ * list up front, or whose values live on a server, still get completion and
+ * validation. Requests are debounced and cancelled together with the
+ * completion request that made them, and answers are cached per field and
+ * prefix.
+ */
+
+// Answers of each field's provider by prefix, oldest first
+const fieldValuesCaches = new WeakMap();
+
+// Prefixes remembered per field before the oldest answers are dropped
+const QUERY_VALUES_CACHE_LIMIT = 100;
+
+/**
+ * Whether a field definition has a values provider
+ * @param {object} field The field definition
+ * @returns {boolean} Whether the field declares `valuesProvider`
+ */
+export function hasValuesProvider(field) {
+  return !!field && field.type === 'string' && typeof field.valuesProvider === 'function';
+}
+
+/**
+ * Asks a field's values provider for the values starting with a prefix
+ * @param {object} field The field definition
+ * @param {string} prefix The start of the value typed so far
+ * @param {object} [context] Passed on to the provider, along with an AbortSignal
+ *   as `signal` that aborts when the request is cancelled
+ * @param {object} [options] Request options
+ * @param {number} [options.delay=0] Milliseconds to wait before asking the provider
+ * @param {object} [options.token] A Monaco cancellation token; once cancelled the
+ *   provider is not asked, or its request is aborted
+ * @returns {Promise<string[]|null>} The values, or null when the request was
+ *   cancelled or the provider failed
+ */
+export function requestFieldValues(field, prefix, context = {}, { delay = 0, token } = {}) {
+  let cache = fieldValuesCaches.get(field);
+  if (!cache) {
+    cache = new Map();
+    fieldValuesCaches.set(field, cache);
+  }
+
+  const cancelled = () => !!token && token.isCancellationRequested;
+  const ask = () => {
+    if (cancelled()) {
+      return null;
+    }
+    // Answered (or asked for) while waiting
+    if (cache.has(prefix)) {
+      return cache.get(prefix);
+    }
+
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const subscription = controller && token && token.onCancellationRequested
+      ? token.onCancellationRequested(() => controller.abort())
+      : null;
+    const request = Promise.resolve()
+      .then(() => field.valuesProvider(prefix, { ...context, signal: controller ? controller.signal : undefined }))
+      .then(values => (Array.isArray(values) ? values : []))
+      .catch(() => {
+        // Failed and aborted requests are asked again next time
+        cache.delete(prefix);
+        return null;
+      })
+      .finally(() => subscription && subscription.dispose());
+
+    cache.set(prefix, request);
+    if (cache.size > QUERY_VALUES_CACHE_LIMIT) {
+      cache.delete(cache.keys().next().value);
+    }
+    return request;
+  };
+
+  // Cached answers need no debounce
+  if (cache.has(prefix) || delay <= 0) {
+    return Promise.resolve(ask());
+  }
+  return new Promise(resolve => setTimeout(resolve, delay)).then(ask);
+}
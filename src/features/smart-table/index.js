@@ -1,4 +1,4 @@
-import { createQueryEditor } from '../query-language';
+import { createQueryEditor, createQueryHistoryPanel, compileQuery, isIsoDate, readFieldPath } from '../query-language';
 
 /**
  * Sets up a smart table with query filtering, grouping, and sorting capabilities
@@ -11,6 +11,12 @@ import { createQueryEditor } from '../query-language';
  * @param {boolean} options.showCheckboxes Whether to show selection checkboxes (default: true)
  * @param {boolean} options.multiSelect Whether to enable multi-selection (default: true)
  * @param {function} options.onSelectionChange Callback when selection changes (receives array with last selected first)
+ * @param {boolean} options.urlSync Whether to keep the query, sort, grouping and collapsed groups in the URL (default: false)
+ * @param {string} options.bookmarkPrefix Prefix of the URL parameters, for several tables on a page (default: '')
+ * @param {string} options.theme Query editor theme: 'light', 'dark', 'hc' or 'auto' to follow the page (default: 'light')
+ * @param {object} options.tokenColors Token colour overrides for the query editor theme (default: none)
+ * @param {object} options.history A history created by createQueryHistory: queries submitted with Ctrl+Enter or
+ *   applied with `filter()` are recorded and a saved queries panel is shown next to the query editor (default: none)
  * @returns {object} Object containing control methods
  */
 export function setupSmartTable(monaco, { 
@@ -20,7 +26,12 @@ export function setupSmartTable(monaco, {
   editorContainer, 
   showCheckboxes = false, 
   multiSelect = true,
-  onSelectionChange = null 
+  onSelectionChange = null,
+  urlSync = false,
+  bookmarkPrefix = '',
+  theme = 'light',
+  tokenColors = null,
+  history = null
 }) {
   let sortField = null;
   let sortDirection = 'asc';
@@ -28,7 +39,7 @@ export function setupSmartTable(monaco, {
   let selectedRows = new Set();
   let selectionOrder = []; // Track order of selection (last selected first)
   let lastClickedRowId = null; // Track last clicked row for range selection
-  let collapsedGroups = new Set();
+  let collapsedGroups = new Set(); // Keys of the collapsed groups, as strings
   let isNewGrouping = false; // Track if we just changed grouping field
   let filteredData = data; // Track currently filtered data
   let originalColumns = [...columns]; // Store original column order
@@ -57,17 +68,24 @@ export function setupSmartTable(monaco, {
   // Set up the query language feature with the data fields
   const fieldNames = {};
 
-  // Extract field definitions from the first data item and columns
+  // Extract field definitions from the first data item, including its nested fields
   if (data.length > 0) {
-    const sampleItem = data[0];
-    Object.keys(sampleItem).forEach(field => {
-      const fieldType = typeof sampleItem[field] === 'boolean' ? 'boolean' :
-        typeof sampleItem[field] === 'number' ? 'number' : 'string';
+    collectFieldPaths(data[0]).forEach(field => {
+      // Array fields are described by their items, e.g. `tags` is a string field
+      const allValues = data.flatMap(item => {
+        const value = readFieldPath(item, field);
+        return Array.isArray(value) ? value : [value];
+      });
+      const sampleValue = allValues.find(value => value !== null && value !== undefined);
+      // Date objects and ISO timestamps get date comparisons instead of lexical ones
+      const fieldType = typeof sampleValue === 'boolean' ? 'boolean' :
+        typeof sampleValue === 'number' ? 'number' :
+          sampleValue instanceof Date || isIsoDate(sampleValue) ? 'date' : 'string';
       
       let fieldValues = undefined;
       if (fieldType === 'string') {
         // Get unique values, filtering out null/undefined and empty strings
-        const uniqueValues = [...new Set(data.map(item => item[field]))];
+        const uniqueValues = [...new Set(allValues)];
         const definedValues = uniqueValues.filter(value => 
           value !== null && value !== undefined && value !== ''
         );
@@ -83,6 +101,12 @@ export function setupSmartTable(monaco, {
           : definedValues;
       }
       
+      // Too many distinct values to list, completion asks for those starting with what is typed
+      if (fieldValues && fieldValues.length > SMART_TABLE_LISTED_VALUES_LIMIT) {
+        fieldNames[field] = { type: fieldType, valuesProvider: createValuesProvider(fieldValues) };
+        return;
+      }
+
       fieldNames[field] = {
         type: fieldType,
         values: fieldValues
@@ -93,12 +117,28 @@ export function setupSmartTable(monaco, {
   // Create query editor using the new modular approach
   const { editor, model } = createQueryEditor(monaco, editorContainer, {
     fieldNames,
+    getData: () => data,
+    theme,
+    tokenColors,
+    history,
     placeholder: 'Search or filter results... (e.g., age > 25 AND city = "New York")'
   });
 
   // Add the query-inputfield class for consistent styling
   editorContainer.classList.add('query-inputfield');
 
+  // A chosen saved or recent query is applied like a typed one
+  const historyPanel = history && createQueryHistoryPanel(history, {
+    getQuery: () => model.getValue(),
+    onSelect: query => {
+      model.setValue(query);
+      editor.focus();
+    }
+  });
+  if (historyPanel) {
+    editorContainer.insertAdjacentElement('afterend', historyPanel.element);
+  }
+
   // Manually trigger initial validation for the created model
   // This ensures validation is set up for our existing model
   setTimeout(() => {
@@ -448,15 +488,18 @@ export function setupSmartTable(monaco, {
     const groups = groupObjects(filteredObjects);
 
     groups.forEach(([groupValue, objects], groupIndex) => {
+      // Collapsed groups are remembered by value, so they stay collapsed when others come and go
+      const groupKey = String(groupValue);
+
       // Only start with groups collapsed when it's a new grouping field
-      if (isNewGrouping && !collapsedGroups.has(groupIndex)) {
-        collapsedGroups.add(groupIndex);
+      if (isNewGrouping && !collapsedGroups.has(groupKey)) {
+        collapsedGroups.add(groupKey);
       }
 
       // Add group header
       const groupHeader = document.createElement('tr');
       groupHeader.className = 'group-header';
-      if (collapsedGroups.has(groupIndex)) {
+      if (collapsedGroups.has(groupKey)) {
         groupHeader.className += ' collapsed';
       }
 
@@ -481,18 +524,19 @@ export function setupSmartTable(monaco, {
       tbody.appendChild(groupHeader);
 
       // Add group rows
-      renderRows(objects, tbody, groupIndex);
+      renderRows(objects, tbody, groupIndex, groupKey);
 
       // Set up group toggle
       groupHeader.addEventListener('click', () => {
-        const isCollapsed = collapsedGroups.has(groupIndex);
+        const isCollapsed = collapsedGroups.has(groupKey);
         if (isCollapsed) {
-          collapsedGroups.delete(groupIndex);
+          collapsedGroups.delete(groupKey);
           groupHeader.classList.remove('collapsed');
         } else {
-          collapsedGroups.add(groupIndex);
+          collapsedGroups.add(groupKey);
           groupHeader.classList.add('collapsed');
         }
+        updateUrlState();
 
         const groupRows = tbody.querySelectorAll(`[data-group="${groupIndex}"]`);
         groupRows.forEach(row => {
@@ -510,13 +554,13 @@ export function setupSmartTable(monaco, {
   }
 
   // Function to render table rows
-  function renderRows(objects, tbody, groupIndex = null) {
+  function renderRows(objects, tbody, groupIndex = null, groupKey = null) {
     objects.forEach((obj) => {
       const row = document.createElement('tr');
       row.setAttribute('data-row-id', obj.id); // Add row ID for selection tracking
       if (groupIndex !== null) {
         row.setAttribute('data-group', groupIndex);
-        if (collapsedGroups.has(groupIndex)) {
+        if (collapsedGroups.has(groupKey)) {
           row.className = 'group-collapsed';
         }
       }
@@ -795,6 +839,7 @@ export function setupSmartTable(monaco, {
     rebuildHeaders(); // Rebuild headers with current column order
     renderObjects(filteredObjects);
     updateInfoSection();
+    updateUrlState();
 
     // Synchronize column widths after rendering for split table
     // Use a longer delay to ensure DOM is fully rendered
@@ -817,8 +862,80 @@ export function setupSmartTable(monaco, {
     }
   }
 
-  // Initial render
-  renderAndSync(data);
+  // Reads the table state from the URL parameters
+  function readUrlState() {
+    const params = new URL(window.location).searchParams;
+    return {
+      query: params.get(`${bookmarkPrefix}query`) || '',
+      sortField: params.get(`${bookmarkPrefix}sort`) || null,
+      sortDirection: params.get(`${bookmarkPrefix}dir`) === 'desc' ? 'desc' : 'asc',
+      groupByField: params.get(`${bookmarkPrefix}group`) || '',
+      collapsedGroups: params.getAll(`${bookmarkPrefix}collapsed`)
+    };
+  }
+
+  // Takes over a state read from the URL and renders it
+  function applyUrlState(state) {
+    // Only columns offered for grouping can be restored as the grouping
+    const groupable = originalColumns.some(column => column.field === state.groupByField && column.groupable === true);
+
+    sortField = state.sortField;
+    sortDirection = state.sortDirection;
+    groupByField = groupable ? state.groupByField : '';
+    collapsedGroups = new Set(groupable ? state.collapsedGroups : []);
+    isNewGrouping = false;
+    if (groupBySelect) {
+      groupBySelect.value = groupByField;
+    }
+    updateColumnOrder();
+
+    if (model.getValue() !== state.query) {
+      model.setValue(state.query);
+    }
+    try {
+      const filteredIds = filterObjects(data, state.query);
+      renderAndSync(data.filter(obj => filteredIds.includes(obj.id)));
+    } catch (error) {
+      // Validation marks the invalid query
+      renderAndSync(data);
+    }
+  }
+
+  // Writes the table state to the URL, replacing the current history entry; defaults are left out
+  function updateUrlState() {
+    if (!urlSync) return;
+
+    const url = new URL(window.location);
+    ['query', 'sort', 'dir', 'group', 'collapsed'].forEach(name => url.searchParams.delete(`${bookmarkPrefix}${name}`));
+
+    const query = model.getValue().trim();
+    if (query) {
+      url.searchParams.set(`${bookmarkPrefix}query`, query);
+    }
+    if (sortField) {
+      url.searchParams.set(`${bookmarkPrefix}sort`, sortField);
+      if (sortDirection === 'desc') {
+        url.searchParams.set(`${bookmarkPrefix}dir`, 'desc');
+      }
+    }
+    if (groupByField) {
+      url.searchParams.set(`${bookmarkPrefix}group`, groupByField);
+      collapsedGroups.forEach(key => url.searchParams.append(`${bookmarkPrefix}collapsed`, key));
+    }
+
+    if (url.href !== window.location.href) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+
+  // Initial render, from the state bookmarked in the URL when synced
+  const handlePopState = () => applyUrlState(readUrlState());
+  if (urlSync) {
+    applyUrlState(readUrlState());
+    window.addEventListener('popstate', handlePopState);
+  } else {
+    renderAndSync(data);
+  }
 
   // Function to check validation and update table
   function handleQueryChange() {
@@ -969,7 +1086,12 @@ export function setupSmartTable(monaco, {
         // Only apply the query if there are no errors
         if (!hasErrors) {
           editorContainer.classList.remove('error');
-          return applyQuery(query);
+          const result = applyQuery(query);
+          // Queries the host applies are recorded in the history, typed ones on Ctrl+Enter
+          if (history && result.error === null) {
+            history.record(query);
+          }
+          return result;
         } else {
           editorContainer.classList.add('error');
           return data; // Return unfiltered data
@@ -1017,14 +1139,8 @@ export function setupSmartTable(monaco, {
             const recordGroupValue = record[groupByField];
             const groupKey = recordGroupValue === null || recordGroupValue === undefined ? 'N/A' : recordGroupValue;
             
-            // Get the grouped data to find the group index
-            const groups = groupObjects(newFilteredData);
-            const groupIndex = groups.findIndex(([groupValue]) => groupValue === groupKey);
-            
-            // Expand the group if it exists and is currently collapsed
-            if (groupIndex !== -1 && collapsedGroups.has(groupIndex)) {
-              collapsedGroups.delete(groupIndex);
-            }
+            // Expand the group if it is currently collapsed
+            collapsedGroups.delete(String(groupKey));
           }
           
           // Re-render the table
@@ -1061,187 +1177,63 @@ export function setupSmartTable(monaco, {
           delete tableForBody._resizeObserver;
         }
 
+        window.removeEventListener('popstate', handlePopState);
+
+        if (historyPanel) {
+          historyPanel.dispose();
+        }
         model.dispose();
         editor.dispose();
       }
     }
   }
 }
+// String fields with more distinct values than this get a values provider instead of a list
+const SMART_TABLE_LISTED_VALUES_LIMIT = 500;
+
+// Values provider over a field's distinct values: those starting with the prefix
+// (ignoring case), the exact value first so validation finds it
+function createValuesProvider(values) {
+  const sorted = values.map(String).sort((a, b) => a.localeCompare(b));
+  return prefix => {
+    const lowerPrefix = prefix.toLowerCase();
+    const matching = sorted.filter(value => value.toLowerCase().startsWith(lowerPrefix));
+    const exact = matching.filter(value => value === prefix);
+    return [...exact, ...matching.filter(value => value !== prefix)].slice(0, 100);
+  };
+}
+
 // Helper function to filter objects based on query
 function filterObjects(objects, query) {
   if (!query.trim()) return objects.map(obj => obj.id);
 
-  // Detect if this is search mode or structured query mode
-  const hasOperators = /[=!<>()]|(\bAND\b|\bOR\b|\bIN\b)/i.test(query);
-  
-  if (!hasOperators) {
-    // Search mode: look for terms in any field values
-    return searchObjects(objects, query);
+  // Parse once with the shared query parser, then evaluate per object
+  let matches;
+  try {
+    matches = compileQuery(query);
+  } catch (error) {
+    throw new Error(`Query error: ${error.message}`);
   }
 
-  // Structured query mode (existing logic)
-  const results = [];
-  for (const obj of objects) {
-    try {
-      if (evaluateExpression(obj, query)) {
-        results.push(obj.id);
-      }
-    } catch (error) {
-      throw new Error(`Query error: ${error.message}`);
-    }
-  }
-  return results;
+  return objects.filter(obj => matches(obj)).map(obj => obj.id);
 }
 
-// Helper function for search mode
-function searchObjects(objects, searchTerms) {
-  const terms = searchTerms.trim().toLowerCase().split(/\s+/).filter(term => term.length > 0);
-  
-  if (terms.length === 0) return objects.map(obj => obj.id);
-
-  const results = [];
-  
-  for (const obj of objects) {
-    // Convert all object values to searchable strings
-    const searchableValues = Object.values(obj)
-      .map(value => {
-        if (value === null || value === undefined) return '';
-        return String(value).toLowerCase();
-      })
-      .join(' ');
-
-    // Check if all search terms are found in the searchable values
-    const allTermsFound = terms.every(term => searchableValues.includes(term));
-    
-    if (allTermsFound) {
-      results.push(obj.id);
+/**
+ * Lists the field paths of a record, descending into nested objects and arrays of objects
+ * @param {object} record The record to inspect
+ * @param {string} [prefix=''] The path leading to the record
+ * @returns {string[]} Paths such as `name`, `address.city` or `items[*].price`
+ */
+function collectFieldPaths(record, prefix = '') {
+  const paths = [];
+  Object.keys(record).forEach(key => {
+    const value = record[key];
+    const sample = Array.isArray(value) ? value.find(item => item !== null && item !== undefined) : value;
+    if (sample !== null && typeof sample === 'object' && !Array.isArray(sample) && !(sample instanceof Date)) {
+      paths.push(...collectFieldPaths(sample, `${prefix}${key}${Array.isArray(value) ? '[*]' : ''}.`));
+    } else {
+      paths.push(`${prefix}${key}`);
     }
-  }
-  
-  return results;
-}
-
-// Helper function to evaluate expression (imported from query-language)
-function evaluateExpression(obj, expression) {
-  if (!expression.trim()) return true;
-
-  // Remove extra spaces
-  expression = expression.replace(/\s+/g, ' ').trim();
-
-  // Process the innermost parentheses first
-  while (/\(([^()]+)\)/.test(expression)) {
-    expression = expression.replace(/\(([^()]+)\)/g, (match, innerExpr) => {
-      return processGroup(obj, innerExpr) ? 'true' : 'false';
-    });
-  }
-
-  return processGroup(obj, expression);
-}
-
-// Helper function to process condition groups
-function processGroup(obj, group) {
-  const orConditions = group.split(/\s+OR\s+/);
-
-  return orConditions.some((conditionGroup) => {
-    const andConditions = conditionGroup.split(/\s+AND\s+/);
-
-    return andConditions.every((condition) => {
-      if (condition.trim().toLowerCase() === 'false') return false;
-      if (condition.trim().toLowerCase() === 'true') return true;
-
-      try {
-        const parsedCondition = parseCondition(condition);
-        return applyCondition(obj, parsedCondition);
-      } catch (error) {
-        throw new Error(`Invalid condition: ${condition}`);
-      }
-    });
   });
-}
-
-// Helper function to parse conditions
-function parseCondition(condition) {
-  const inMatch = condition.match(/(\w+)\s+IN\s+\[([^\]]+)\]/);
-  if (inMatch) {
-    const [, field, values] = inMatch;
-    return {
-      field,
-      operator: 'IN',
-      value: values.split(',').map(v => {
-        const trimmed = v.trim().replace(/"/g, '');
-        return trimmed === 'NULL' ? null : trimmed;
-      })
-    };
-  }
-
-  const match = condition.match(/(\w+)\s*(=|!=|>|<)\s*(.+)/i);
-  if (match) {
-    const [, field, operator, value] = match;
-    let parsedValue = value.trim();
-
-    // Handle quoted strings
-    if (parsedValue.startsWith('"') && parsedValue.endsWith('"')) {
-      parsedValue = parsedValue.slice(1, -1);
-    }
-    // Handle special values
-    else if (parsedValue === 'NULL') {
-      parsedValue = null;
-    }
-    else if (parsedValue.toLowerCase() === 'true') {
-      parsedValue = true;
-    }
-    else if (parsedValue.toLowerCase() === 'false') {
-      parsedValue = false;
-    }
-    // Handle numbers
-    else if (!isNaN(parsedValue) && parsedValue !== '') {
-      parsedValue = parseFloat(parsedValue);
-    }
-    // Otherwise keep as string
-
-    return { field, operator, value: parsedValue };
-  }
-
-  throw new Error(`Invalid condition: ${condition}`);
-}
-
-// Helper function to apply conditions
-function applyCondition(obj, { field, operator, value }) {
-  // Handle missing field - treat as null/undefined
-  const objValue = field in obj ? obj[field] : null;
-  
-  // Helper function to check if value is null/undefined/empty
-  const isNullish = (val) => val === null || val === undefined || val === '';
-  
-  switch (operator) {
-    case '=': 
-      // Handle NULL comparison specially
-      if (value === null) return isNullish(objValue);
-      if (isNullish(objValue)) return false;
-      return objValue == value;
-      
-    case '!=': 
-      // Handle NULL comparison specially
-      if (value === null) return !isNullish(objValue);
-      if (isNullish(objValue)) return true;
-      return objValue != value;
-      
-    case '>': 
-      if (isNullish(objValue)) return false;
-      return objValue > parseFloat(value);
-      
-    case '<': 
-      if (isNullish(objValue)) return false;
-      return objValue < parseFloat(value);
-      
-    case 'IN': 
-      // Handle NULL in array specially
-      if (value.includes(null)) {
-        return isNullish(objValue) || value.includes(objValue);
-      }
-      if (isNullish(objValue)) return false;
-      return value.includes(objValue);
-      
-    default: return false;
-  }
+  return paths;
 }
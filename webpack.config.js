@@ -41,6 +41,7 @@ function createVanillaFiles() {
             const baseDir = path.resolve(__dirname, 'src/features/json-schema-validation');
             const files = [
               'parser.js',
+              'schema.js',
               'token-validator.js',
               'completion.js',
               'hover.js',
@@ -54,6 +55,17 @@ function createVanillaFiles() {
             const baseDir = path.resolve(__dirname, 'src/features/query-language');
             const files = [
               'language-config.js',
+              'dates.js',
+              'fields.js',
+              'operators.js',
+              'parser.js',
+              'evaluator.js',
+              'translators.js',
+              'formatter.js',
+              'hover.js',
+              'values.js',
+              'history.js',
+              'history-panel.js',
               'theme.js',
               'tokens.js',
               'completion.js',
@@ -68,6 +80,17 @@ function createVanillaFiles() {
             const queryLangDir = path.resolve(__dirname, 'src/features/query-language');
             const queryLangFiles = [
               'language-config.js',
+              'dates.js',
+              'fields.js',
+              'operators.js',
+              'parser.js',
+              'evaluator.js',
+              'translators.js',
+              'formatter.js',
+              'hover.js',
+              'values.js',
+              'history.js',
+              'history-panel.js',
               'theme.js',
               'tokens.js',
               'completion.js',
@@ -113,7 +136,7 @@ function createVanillaFiles() {
                 if (typeof window !== 'undefined') {
                   window.awesomeEditor = window.awesomeEditor || {};
                   window.awesomeEditor['smart-table'] = {
-                    setupSmartTable, setupQueryLanguage, createQueryEditor
+                    setupSmartTable, setupQueryLanguage, createQueryEditor, parseQuery, compileQuery, createQueryHistory, createMemoryStorage, createQueryHistoryPanel
                   };
                   
                   // Also expose functions directly on window for immediate access
@@ -137,7 +160,7 @@ function createVanillaFiles() {
               window.awesomeEditor = window.awesomeEditor || {};
               window.awesomeEditor['${feature}'] = {
                 ${feature === 'json-schema-validation' ? 'setupJsonValidation, setupHoverProvider' :
-                  feature === 'query-language' ? 'setupQueryLanguage, createQueryEditor' : ''}
+                  feature === 'query-language' ? 'setupQueryLanguage, createQueryEditor, parseQuery, compileQuery, formatQuery, toSqlWhere, toMongoFilter, toODataFilter, toElasticsearchQuery, createQueryHistory, createMemoryStorage, createQueryHistoryPanel' : ''}
               };
             })(window.monaco);\n`;
           }